@@ -0,0 +1,18 @@
+import { clearCache } from '../services/cacheService.js';
+import { log } from '../utils/logger.js';
+
+/**
+ * 注册 cache 命令：管理代码变更分析缓存和 AI 生成结果缓存
+ * @param {Command} program 命令行程序
+ */
+export const registerCacheCommand = (program) => {
+  program
+    .command('cache')
+    .description('管理代码变更分析缓存和 AI 生成结果缓存')
+    .command('clear')
+    .description('清除代码变更分析缓存和 AI 生成结果缓存')
+    .action(async () => {
+      const result = await clearCache();
+      log.success(`已清除 ${result.repositories} 个仓库、${result.commits} 个提交的分析缓存和 ${result.aiResults} 条 AI 生成结果: ${result.dir}`);
+    });
+};
@@ -0,0 +1,113 @@
+import path from 'path';
+import fs from 'fs-extra';
+import { loadConfigFile, validateConfig, maskSecrets, getResolvedConfig, getLoadedConfigFiles, CONFIG_TEMPLATE } from '../utils/configLoader.js';
+import { formatTable, truncateText } from '../utils/tableUtils.js';
+import { log } from '../utils/logger.js';
+import config from '../config/default.js';
+
+// config init 默认生成的配置文件名
+const DEFAULT_CONFIG_FILENAME = 'git-report.config.js';
+
+// 显示配置来源时，值的最大显示长度
+const MAX_VALUE_WIDTH = 60;
+
+/**
+ * 显示当前生效的配置（API 密钥等敏感信息已隐藏）
+ * @param {Object} options 命令行选项
+ */
+const showConfig = (options) => {
+  if (!options.resolved) {
+    console.log(JSON.stringify(maskSecrets(config), null, 2));
+    return;
+  }
+  
+  const resolved = getResolvedConfig();
+  if (options.json) {
+    console.log(JSON.stringify(resolved, null, 2));
+    return;
+  }
+  
+  console.log(formatTable(
+    ['配置项', '值', '来源'],
+    resolved.map(({ key, value, source }) => [key, truncateText(JSON.stringify(value) ?? 'undefined', MAX_VALUE_WIDTH), source])
+  ));
+};
+
+/**
+ * 生成配置文件模板
+ * @param {string} file 配置文件路径
+ * @param {Object} options 命令行选项
+ */
+const initConfig = async (file = DEFAULT_CONFIG_FILENAME, options) => {
+  const configPath = path.resolve(file);
+  if (await fs.pathExists(configPath) && !options.force) {
+    log.error(`配置文件已存在: ${configPath}（使用 --force 覆盖）`);
+    process.exit(1);
+  }
+  
+  await fs.outputFile(configPath, CONFIG_TEMPLATE, 'utf8');
+  log.success(`已生成配置文件: ${configPath}`);
+  log.info(`使用方法: git-report-tool --config ${path.relative(process.cwd(), configPath) || configPath}`);
+};
+
+/**
+ * 检查配置文件
+ * @param {string} file 配置文件路径，默认检查所有已加载的配置文件（用户级配置、.gitreportrc 和 --config 指定的文件）
+ */
+const checkConfig = async (file) => {
+  const files = file ? [path.resolve(file)] : getLoadedConfigFiles();
+  if (files.length === 0) {
+    log.error('没有找到配置文件，请指定要检查的文件（config validate <file>）');
+    process.exit(1);
+  }
+  
+  let failed = false;
+  for (const configPath of files) {
+    let errors;
+    try {
+      errors = validateConfig(await loadConfigFile(configPath));
+    } catch (error) {
+      errors = [error.message];
+    }
+    
+    if (errors.length > 0) {
+      failed = true;
+      log.error(`配置文件有 ${errors.length} 处错误: ${configPath}`);
+      errors.forEach(error => log.error(`  - ${error}`));
+    } else {
+      log.success(`配置文件检查通过: ${configPath}`);
+    }
+  }
+  
+  if (failed) {
+    process.exit(1);
+  }
+};
+
+/**
+ * 注册 config 命令：查看、生成和检查配置
+ * @param {Command} program 命令行程序
+ */
+export const registerConfigCommand = (program) => {
+  const configCommand = program
+    .command('config')
+    .description('查看、生成和检查配置文件');
+  
+  configCommand
+    .command('show')
+    .description('显示当前生效的配置（以 JSON 格式输出，API 密钥已隐藏）')
+    .option('--resolved', '逐项列出生效的配置值及其来源（默认值、配置文件、环境变量或命令行参数）')
+    .option('--json', '与 --resolved 一起使用时以 JSON 格式输出')
+    .action(showConfig);
+  
+  configCommand
+    .command('init [file]')
+    .description(`生成配置文件模板（默认 ${DEFAULT_CONFIG_FILENAME}）`)
+    .option('--force', '覆盖已存在的文件')
+    .action(initConfig);
+  
+  configCommand
+    .command('validate [file]')
+    .description('检查配置文件中的未知配置项、类型和取值错误（默认检查所有已加载的配置文件）')
+    .action(checkConfig);
+};
@@ -0,0 +1,163 @@
+import moment from 'moment';
+import { readHistory, findHistoryEntry, buildHistorySeries, getHistoryPath, SERIES_DIMENSIONS } from '../services/historyService.js';
+import { formatDate } from '../utils/dateUtils.js';
+import { formatTable } from '../utils/tableUtils.js';
+import { log } from '../utils/logger.js';
+
+/**
+ * 读取报告历史，没有记录时提示并退出
+ * @returns {Promise<{runs: Array<Object>, commits: Array<Object>}>} 报告历史
+ */
+const loadHistoryOrExit = async () => {
+  const history = await readHistory();
+  if (history.runs.length === 0) {
+    log.warning(`暂无报告历史: ${getHistoryPath()}`);
+    process.exit(0);
+  }
+  return history;
+};
+
+/**
+ * 列出历史运行记录
+ * @param {Object} commandOptions 命令选项
+ */
+const listHistory = async (commandOptions) => {
+  const { runs: entries } = await loadHistoryOrExit();
+  
+  if (commandOptions.json) {
+    console.log(JSON.stringify(entries.map(({ summary, contributors, repositories, ...entry }) => ({
+      ...entry,
+      commits: summary.commits
+    })), null, 2));
+    return;
+  }
+  
+  console.log(formatTable(
+    ['编号', '时间范围', '周期', '统计范围', '提交', '活跃仓库', '记录时间'],
+    entries.map(entry => [
+      entry.id,
+      `${moment(entry.range.start).format('YYYY-MM-DD')} ~ ${moment(entry.range.end).format('YYYY-MM-DD')}`,
+      entry.range.period || '-',
+      entry.scope,
+      entry.summary.commits,
+      entry.summary.repositoriesWithCommits,
+      moment(entry.recordedAt).format('YYYY-MM-DD HH:mm')
+    ])
+  ));
+};
+
+/**
+ * 查看一条历史记录
+ * @param {string} id 记录编号或周期名称
+ * @param {Object} commandOptions 命令选项
+ */
+const showHistory = async (id, commandOptions) => {
+  const entry = findHistoryEntry((await loadHistoryOrExit()).runs, id);
+  if (!entry) {
+    log.error(`未找到历史记录: ${id}`);
+    process.exit(1);
+  }
+  
+  if (commandOptions.json) {
+    console.log(JSON.stringify(entry, null, 2));
+    return;
+  }
+  
+  log.info(`记录编号: ${entry.id}`);
+  console.log(`时间范围: ${formatDate(entry.range.start)} 至 ${formatDate(entry.range.end)}${entry.range.period ? `（${entry.range.period}）` : ''}`);
+  console.log(`统计范围: ${entry.scope}`);
+  console.log(`记录时间: ${formatDate(entry.recordedAt)}`);
+  if (entry.files.length > 0) {
+    console.log(`报告文件: ${entry.files.join(', ')}`);
+  }
+  const { summary } = entry;
+  console.log(`提交次数: ${summary.commits}，有提交的仓库: ${summary.repositoriesWithCommits}/${summary.repositories}`);
+  console.log(`代码变更: +${summary.additions} -${summary.deletions}（${summary.filesChanged} 个文件）`);
+  
+  if (entry.contributors.length > 0) {
+    console.log('');
+    console.log(formatTable(
+      ['贡献者', '提交', '增加', '删除'],
+      entry.contributors.map(item => [item.name, item.commits, item.additions, item.deletions])
+    ));
+  }
+  
+  if (entry.repositories.length > 0) {
+    console.log('');
+    console.log(formatTable(
+      ['仓库', '提交', '增加', '删除'],
+      entry.repositories.map(repo => [repo.name, repo.commits, repo.additions, repo.deletions])
+    ));
+  }
+};
+
+/**
+ * 按周汇总历史记录中的提交
+ * @param {Object} commandOptions 命令选项
+ */
+const showHistorySeries = async (commandOptions) => {
+  const weeks = parseInt(commandOptions.weeks, 10);
+  if (!SERIES_DIMENSIONS.includes(commandOptions.by)) {
+    log.error(`无效的统计维度: ${commandOptions.by}（可选 ${SERIES_DIMENSIONS.join(', ')}）`);
+    process.exit(1);
+  }
+  if (!Number.isInteger(weeks) || weeks < 1) {
+    log.error(`无效的周数: ${commandOptions.weeks}`);
+    process.exit(1);
+  }
+  
+  const series = buildHistorySeries(await loadHistoryOrExit(), { by: commandOptions.by, weeks, scope: commandOptions.scope });
+  
+  if (commandOptions.json) {
+    console.log(JSON.stringify(series, null, 2));
+    return;
+  }
+  
+  if (series.weeks.length === 0) {
+    log.warning(`统计范围 ${series.scope} 下没有提交记录`);
+    return;
+  }
+  
+  if (series.by === 'week') {
+    console.log(formatTable(
+      ['周', '提交', '增加', '删除', '活跃仓库', '贡献者'],
+      series.rows.map(row => [row.week, row.commits, row.additions, row.deletions, row.activeRepos, row.contributors])
+    ));
+  } else {
+    console.log(formatTable(
+      [series.by === 'author' ? '贡献者' : '仓库', ...series.weeks, '合计'],
+      series.rows.map(row => [row.name, ...row.commits, row.total])
+    ));
+  }
+};
+
+/**
+ * 注册 history 命令：查询报告历史
+ * @param {Command} program 命令行程序
+ */
+export const registerHistoryCommand = (program) => {
+  const historyCommand = program
+    .command('history')
+    .description('查询报告历史（输出目录下的 history.jsonl）');
+  
+  historyCommand
+    .command('list')
+    .description('列出历史运行记录')
+    .option('--json', '以 JSON 格式输出')
+    .action(listHistory);
+  
+  historyCommand
+    .command('show <id>')
+    .description('查看一条历史记录（记录编号或周期名称，如 2026-W41）')
+    .option('--json', '以 JSON 格式输出')
+    .action(showHistory);
+  
+  historyCommand
+    .command('series')
+    .description('按周汇总历史记录中的提交')
+    .option('--by <dimension>', `统计维度 (${SERIES_DIMENSIONS.join(', ')})`, 'week')
+    .option('--weeks <n>', '最多显示的周数', '12')
+    .option('--scope <scope>', '统计范围，如 all、team:backend（见 history list）', 'all')
+    .option('--json', '以 JSON 格式输出')
+    .action(showHistorySeries);
+};
@@ -0,0 +1,255 @@
+import path from 'path';
+import fs from 'fs-extra';
+import { findAllGitRepositories, writeReport } from '../utils/fileUtils.js';
+import { generateFullReport, generateAuthorReport, generateTrend, formatReport, getReportAuthors } from '../services/reportService.js';
+import { recordHistory, getHistoryPath } from '../services/historyService.js';
+import { loadComparisonReport } from '../services/trendService.js';
+import { getCacheStats, isCacheEnabled } from '../services/cacheService.js';
+import { isLlmAvailable, setRequestDump, getRequestDumpPath } from '../services/llmService.js';
+import { resolveFormatters } from '../formatters/index.js';
+import { resolveReviewStyle, getReviewStyleNames } from '../prompts/index.js';
+import { validateAuthorFilters } from '../utils/authorUtils.js';
+import { generateReportFilename, getReportRange, toUniqueFilenameParts } from '../utils/dateUtils.js';
+import { getLoadedConfigFiles } from '../utils/configLoader.js';
+import { log, isVerbose } from '../utils/logger.js';
+import config from '../config/default.js';
+
+/**
+ * 收集可重复的命令行选项
+ * @param {string} value 当前值
+ * @param {Array<string>} previous 之前收集的值
+ * @returns {Array<string>} 所有值
+ */
+const collect = (value, previous = []) => [...previous, value];
+
+/**
+ * 将报告命令的选项应用到配置，选项无效时退出
+ * @param {Object} options 命令行选项
+ */
+const applyReportOptions = (options) => {
+  if (options.days) config.reportDays = parseInt(options.days, 10);
+  if (options.since) config.since = options.since;
+  if (options.until) config.until = options.until;
+  if (options.period) config.period = options.period;
+  if (options.format) config.outputFormat = options.format;
+  if (options.csvBundle) {
+    if (!['folder', 'zip'].includes(options.csvBundle)) {
+      log.error(`无效的 CSV 输出方式: ${options.csvBundle}（可选 folder, zip）`);
+      process.exit(1);
+    }
+    config.csv = { ...config.csv, bundle: options.csvBundle };
+  }
+  if (options.csvBom === false) config.csv = { ...config.csv, bom: false };
+  if (options.compare) config.compare = options.compare;
+  if (options.history === false) config.history = false;
+  if (options.branches) config.branches = options.branches;
+  if (options.mergeCommits) {
+    if (!['include', 'exclude', 'first-parent'].includes(options.mergeCommits)) {
+      log.error(`无效的合并提交策略: ${options.mergeCommits}（可选 include, exclude, first-parent）`);
+      process.exit(1);
+    }
+    config.mergeCommits = options.mergeCommits;
+  }
+  if (options.includePath) config.includePaths = options.includePath;
+  if (options.author) config.authorFilter = options.author;
+  if (options.team) config.teamFilter = options.team;
+  if (options.perAuthor) config.perAuthorReports = true;
+  if (options.concurrency) {
+    const concurrency = parseInt(options.concurrency, 10);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      log.error(`无效的并发数: ${options.concurrency}`);
+      process.exit(1);
+    }
+    config.concurrency = concurrency;
+  }
+  if (options.analysis === false) config.includeCodeAnalysis = false;
+  if (options.cache === false) config.cache = { ...config.cache, enabled: false };
+  if (options.reviewStyle) config.openai = { ...config.openai, reviewStyle: options.reviewStyle };
+  if (options.repoSummaries) config.openai = { ...config.openai, repoSummaries: true };
+  if (options.rewriteCommits) config.openai = { ...config.openai, rewriteCommits: true };
+};
+
+/**
+ * 生成报告
+ * @param {Object} options 命令行选项（包含全局选项）
+ */
+const runReport = async (options) => {
+  applyReportOptions(options);
+  const verbose = isVerbose();
+  
+  try {
+    log.info('Git 代码仓库周报生成工具');
+    log.info('=======================');
+    
+    getLoadedConfigFiles().forEach(file => log.info(`已加载配置文件: ${file}`));
+    
+    if (options.dumpAiInput) {
+      await setRequestDump(options.dumpAiInput);
+    }
+    
+    // 解析报告时间范围、加载格式化器并校验过滤条件（无效时直接退出）
+    let formatters;
+    let comparison = null;
+    try {
+      formatters = await resolveFormatters(config.outputFormat);
+      getReportRange();
+      validateAuthorFilters();
+      if (config.openai?.enabled || options.dumpAiInput) {
+        await resolveReviewStyle();
+      }
+      // 对比报告在收集数据之前读取并校验，格式不对时不用等到报告生成完才报错
+      if (config.compare && config.compare !== 'previous') {
+        comparison = await loadComparisonReport(config.compare);
+      }
+    } catch (error) {
+      log.error(error.message);
+      process.exit(1);
+    }
+    
+    // 检查代码库路径是否存在
+    const rootDir = path.resolve(config.codeBasePath);
+    if (!await fs.pathExists(rootDir)) {
+      log.error(`代码库路径不存在: ${rootDir}`);
+      process.exit(1);
+    }
+    
+    log.info(`正在扫描代码库: ${rootDir}`);
+    
+    // 查找所有 Git 仓库
+    const repositories = await findAllGitRepositories(rootDir);
+    
+    if (repositories.length === 0) {
+      log.warning('未找到任何 Git 仓库');
+      process.exit(0);
+    }
+    
+    log.info(`共找到 ${repositories.length} 个 Git 仓库`);
+    
+    if (verbose) {
+      repositories.forEach(repo => {
+        log.verbose(`发现仓库: ${repo}`);
+      });
+    }
+    
+    // 生成报告
+    log.info('正在生成报告...');
+    const reportData = await generateFullReport(repositories, { verbose });
+    
+    if (config.includeCodeAnalysis && isCacheEnabled()) {
+      const { hits, misses } = getCacheStats();
+      log.verbose(`代码变更分析缓存: 命中 ${hits} 个提交，新分析 ${misses} 个提交`);
+    }
+    
+    // 趋势对比
+    if (config.compare) {
+      log.info('正在生成趋势对比...');
+      reportData.trend = await generateTrend(reportData, comparison || config.compare, repositories, { verbose });
+    }
+    
+    // 格式化报告（数据只收集一次，每种格式分别输出）
+    log.info('正在格式化报告...');
+    const reportContents = await formatReport(reportData, formatters);
+    
+    // 写入报告，各格式使用相同的文件名，只有扩展名不同
+    log.info('正在写入报告...');
+    const reportPaths = [];
+    for (const { formatter, content } of reportContents) {
+      const reportPath = await writeReport(content, generateReportFilename(config.teamFilter, formatter.extension));
+      reportPaths.push(reportPath);
+      log.success(`报告生成成功: ${reportPath}`);
+    }
+    
+    // 记录到报告历史（失败不影响报告生成）
+    if (config.history) {
+      try {
+        await recordHistory(reportData, reportPaths.map(reportPath => path.basename(reportPath)));
+        log.verbose(`已记录到报告历史: ${getHistoryPath()}`);
+      } catch (error) {
+        log.warning(`记录报告历史失败: ${error.message}`);
+      }
+    }
+    
+    // 为每位贡献者单独生成报告
+    if (config.perAuthorReports) {
+      const authors = getReportAuthors(reportData);
+      // 名称转换为文件名后相同的贡献者追加短哈希，避免个人报告互相覆盖
+      const filenameParts = toUniqueFilenameParts(authors);
+      log.info(`正在生成 ${authors.length} 位贡献者的个人报告...`);
+      
+      for (const author of authors) {
+        const authorReport = await generateAuthorReport(reportData, author);
+        const scope = [config.teamFilter, filenameParts.get(author)].filter(Boolean).join('-');
+        for (const { formatter, content } of await formatReport(authorReport, formatters)) {
+          const authorPath = await writeReport(content, generateReportFilename(scope, formatter.extension));
+          log.success(`个人报告生成成功: ${authorPath}`);
+        }
+      }
+    }
+    
+    if (getRequestDumpPath()) {
+      log.info(`AI 输入已写入: ${getRequestDumpPath()}`);
+    }
+    
+    log.info(`扫描仓库总数: ${reportData.totalRepos}`);
+    log.info(`有提交的仓库数: ${reportData.reposWithCommits}`);
+    log.info(`总提交次数: ${reportData.summary.totalCommits}`);
+    
+    if (reportData.reposWithCommits === 0) {
+      log.warning('在指定时间范围内没有发现任何提交记录');
+    } else {
+      log.success('周报生成完成！');
+      
+      // 如果启用了 AI 功能但没有可用的模型提供方，则提示用户
+      if (config.openai?.enabled && !isLlmAvailable()) {
+        log.warning('未设置 OpenAI API 密钥或可用的模型提供方，跳过 AI 点评功能');
+        log.info('如需启用 AI 点评功能，请在配置文件中设置 openai.apiKey 或 llm.providers');
+      } else if (isLlmAvailable()) {
+        log.success('已添加 AI 点评到报告中');
+      }
+    }
+  
+  } catch (error) {
+    log.error(`生成报告时出错: ${error.message}`);
+    
+    if (verbose) {
+      log.error(error.stack);
+    } else {
+      log.error('使用 --verbose 选项可查看详细错误信息');
+    }
+    
+    process.exit(1);
+  }
+};
+
+/**
+ * 注册 report 命令（默认命令）：扫描代码库并生成报告
+ * @param {Command} program 命令行程序
+ */
+export const registerReportCommand = (program) => {
+  program
+    .command('report', { isDefault: true })
+    .description('扫描代码库并生成报告（默认命令）')
+    .option('-d, --days <days>', `设置报告的时间范围（天数，默认 ${config.reportDays}）`)
+    .option('--since <date>', '设置报告开始日期 (YYYY-MM-DD)')
+    .option('--until <date>', '设置报告结束日期 (YYYY-MM-DD)')
+    .option('--period <period>', '设置报告周期 (last-week, this-week, last-month, this-month, 2026-W41, 2026-09, sprint:<开始日期>:<长度>)')
+    .option('-f, --format <format>', `设置输出格式 (markdown, json, text, html, csv，或模板/JS 模块的文件路径)，多个格式用逗号分隔（默认 ${config.outputFormat}）`)
+    .option('--csv-bundle <mode>', 'CSV 报告的输出方式 (folder, zip)')
+    .option('--no-csv-bom', 'CSV 文件不添加 UTF-8 BOM')
+    .option('--compare <source>', '与上一周期 (previous) 或之前生成的 JSON 报告对比，生成趋势对比')
+    .option('--no-history', '不记录到报告历史')
+    .option('-b, --branches <branches>', `设置统计的分支 (current, all, remote, 或逗号分隔的分支名/通配符如 main,feature/*，默认 ${config.branches})`)
+    .option('-m, --merge-commits <policy>', `设置合并提交的处理策略 (include, exclude, first-parent，默认 ${config.mergeCommits})`)
+    .option('--include-path <path>', '只统计修改了指定路径的提交（可重复）', collect)
+    .option('-a, --author <pattern>', '只统计匹配的作者的提交，匹配名称或邮箱（可重复）', collect)
+    .option('--team <name>', '只统计指定团队成员的提交（团队在配置文件 teams/authors 中定义）')
+    .option('--per-author', '为每位贡献者单独生成一份报告')
+    .option('--no-analysis', '不包含代码变更分析')
+    .option('--no-cache', '不使用缓存（重新分析所有提交，重新生成仓库 AI 总结）')
+    .option('--review-style <name>', `设置 AI 点评的风格 (${getReviewStyleNames().join(', ')}，openai.promptTemplates 中的名称或提示词模板文件路径，默认 ${config.openai.reviewStyle})`)
+    .option('--repo-summaries', '为每个仓库生成 AI 总结（需要启用 AI 功能，结果按提交集合缓存）')
+    .option('--rewrite-commits', '生成仓库 AI 总结时，把过于简略的提交信息改写为易读的一句话')
+    .option('--dump-ai-input <file>', '将发送给 AI 的输入（提示词和报告摘要）写入文件，未启用 AI 时也会写入')
+    .option('-j, --concurrency <n>', `设置并发处理的仓库数量（默认 ${config.concurrency}）`)
+    .action((options, command) => runReport(command.optsWithGlobals()));
+};
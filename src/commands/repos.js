@@ -0,0 +1,76 @@
+import path from 'path';
+import fs from 'fs-extra';
+import { findAllGitRepositories } from '../utils/fileUtils.js';
+import { getRepositoryInfo } from '../services/gitService.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { formatTable } from '../utils/tableUtils.js';
+import { log } from '../utils/logger.js';
+import config from '../config/default.js';
+
+/**
+ * 获取仓库状态说明
+ * @param {Object} repo 仓库信息
+ * @returns {string} 状态
+ */
+const getRepositoryStatus = (repo) => {
+  if (repo.error) return '出错';
+  if (repo.isEmpty) return '空仓库';
+  return '正常';
+};
+
+/**
+ * 列出代码库根目录下的 Git 仓库及其状态
+ * @param {Object} options 命令行选项（包含全局选项）
+ */
+const listRepositories = async (options) => {
+  const rootDir = path.resolve(config.codeBasePath);
+  if (!await fs.pathExists(rootDir)) {
+    log.error(`代码库路径不存在: ${rootDir}`);
+    process.exit(1);
+  }
+  
+  const repoPaths = await findAllGitRepositories(rootDir);
+  const repositories = await mapWithConcurrency(repoPaths, config.concurrency, getRepositoryInfo);
+  
+  if (options.json) {
+    console.log(JSON.stringify(repositories.map(repo => ({
+      name: repo.name,
+      path: repo.path,
+      remote: repo.remote || null,
+      currentBranch: repo.currentBranch || null,
+      lastCommitDate: repo.lastCommitDate || null,
+      status: repo.error ? 'error' : (repo.isEmpty ? 'empty' : 'ok'),
+      error: repo.error || null
+    })), null, 2));
+    return;
+  }
+  
+  if (repositories.length === 0) {
+    log.warning(`未找到任何 Git 仓库: ${rootDir}`);
+    return;
+  }
+  
+  console.log(formatTable(
+    ['仓库', '当前分支', '最后提交', '状态', '路径'],
+    repositories.map(repo => [
+      repo.name,
+      repo.currentBranch || '-',
+      repo.lastCommitDate || '-',
+      getRepositoryStatus(repo),
+      path.relative(rootDir, repo.path) || '.'
+    ])
+  ));
+  log.info(`共找到 ${repositories.length} 个 Git 仓库: ${rootDir}`);
+};
+
+/**
+ * 注册 repos 命令：列出扫描到的仓库
+ * @param {Command} program 命令行程序
+ */
+export const registerReposCommand = (program) => {
+  program
+    .command('repos')
+    .description('列出代码库根目录下扫描到的 Git 仓库及其状态')
+    .option('--json', '以 JSON 格式输出')
+    .action((options, command) => listRepositories(command.optsWithGlobals()));
+};
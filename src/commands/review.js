@@ -0,0 +1,125 @@
+import path from 'path';
+import fs from 'fs-extra';
+import { generateReportReview } from '../services/openaiService.js';
+import { isLlmAvailable, setRequestDump } from '../services/llmService.js';
+import { resolveReviewStyle, getReviewStyleNames } from '../prompts/index.js';
+import { markdownToHtml } from '../utils/htmlUtils.js';
+import { log } from '../utils/logger.js';
+import config from '../config/default.js';
+
+/**
+ * 将 AI 点评合并到报告内容中
+ *
+ * JSON 报告写入 aiReview 字段，HTML 报告在正文末尾添加点评部分，其他格式追加到末尾（与生成报告时一致）。
+ *
+ * @param {string} content 报告内容
+ * @param {string} review AI 点评
+ * @param {string} extension 报告文件扩展名
+ * @returns {string} 合并后的报告内容
+ */
+const mergeReview = (content, review, extension) => {
+  if (extension === '.json') {
+    return JSON.stringify({ ...JSON.parse(content), aiReview: review }, null, 2);
+  }
+  
+  if (['.html', '.htm'].includes(extension)) {
+    const section = `<section><h2>AI 点评</h2><div class="review">${markdownToHtml(review)}</div></section>\n`;
+    const index = content.includes('</main>') ? content.lastIndexOf('</main>') : content.lastIndexOf('</body>');
+    return index === -1 ? content + section : content.slice(0, index) + section + content.slice(index);
+  }
+  
+  return `${content}\n\n${review}`;
+};
+
+/**
+ * 从 JSON 报告获取提示词变量
+ * @param {Object} report JSON 报告
+ * @returns {Object<string, string|number>} 变量
+ */
+const getJsonPromptVariables = (report) => {
+  const repositories = (report.repositories || []).filter(repo => repo.commits?.length > 0);
+  return {
+    startDate: report.range?.start?.slice(0, 10) || '未知',
+    endDate: report.range?.end?.slice(0, 10) || '未知',
+    repoNames: repositories.map(repo => repo.name).join(', ') || '无',
+    authors: [...new Set(repositories.flatMap(repo => repo.commits.map(commit => commit.author)))].join(', ') || '无',
+    totalCommits: report.summary?.commits ?? '未知'
+  };
+};
+
+/**
+ * 为已有的报告生成 AI 点评
+ * @param {string} file 报告文件路径
+ * @param {Object} options 命令行选项
+ */
+const reviewReport = async (file, options) => {
+  const reportPath = path.resolve(file);
+  if (!await fs.pathExists(reportPath)) {
+    log.error(`报告文件不存在: ${reportPath}`);
+    process.exit(1);
+  }
+  
+  if (!isLlmAvailable()) {
+    log.error('未启用 OpenAI 功能或没有可用的模型提供方，无法生成 AI 点评');
+    log.info('请在配置文件中设置 openai.enabled，以及 openai.apiKey 或 llm.providers');
+    process.exit(1);
+  }
+  
+  const extension = path.extname(reportPath).toLowerCase();
+  const content = await fs.readFile(reportPath, 'utf8');
+  
+  // JSON 报告中已有的点评不作为输入，其他格式无法得到提示词变量时使用默认值
+  let reportContent = content;
+  let variables = {};
+  if (extension === '.json') {
+    try {
+      const report = JSON.parse(content);
+      reportContent = JSON.stringify({ ...report, aiReview: null }, null, 2);
+      variables = getJsonPromptVariables(report);
+    } catch (error) {
+      log.error(`无法解析 JSON 报告: ${error.message}`);
+      process.exit(1);
+    }
+  }
+  
+  if (options.reviewStyle) {
+    config.openai = { ...config.openai, reviewStyle: options.reviewStyle };
+  }
+  try {
+    await resolveReviewStyle();
+  } catch (error) {
+    log.error(error.message);
+    process.exit(1);
+  }
+  
+  if (options.dumpAiInput) {
+    await setRequestDump(options.dumpAiInput);
+  }
+  
+  log.info('正在生成 AI 点评...');
+  const review = await generateReportReview(reportContent, variables);
+  if (!review) {
+    log.error('AI 点评生成失败');
+    process.exit(1);
+  }
+  
+  const reviewPath = options.inPlace
+    ? reportPath
+    : path.join(path.dirname(reportPath), `${path.basename(reportPath, path.extname(reportPath))}_review${path.extname(reportPath)}`);
+  await fs.writeFile(reviewPath, mergeReview(content, review, extension), 'utf8');
+  log.success(`已将带有 AI 点评的报告保存到: ${reviewPath}`);
+};
+
+/**
+ * 注册 review 命令：为已有的报告生成 AI 点评
+ * @param {Command} program 命令行程序
+ */
+export const registerReviewCommand = (program) => {
+  program
+    .command('review <file>')
+    .description('为已有的报告（Markdown、文本、JSON 或 HTML）生成 AI 点评，默认保存为 <文件名>_review.<扩展名>')
+    .option('--in-place', '直接写入原报告文件')
+    .option('--review-style <name>', `AI 点评的风格 (${getReviewStyleNames().join(', ')}，openai.promptTemplates 中的名称或提示词模板文件路径)`)
+    .option('--dump-ai-input <file>', '将发送给 AI 的输入（提示词和报告内容）写入文件')
+    .action(reviewReport);
+};
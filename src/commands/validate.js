@@ -0,0 +1,46 @@
+import path from 'path';
+import fs from 'fs-extra';
+import { validateJsonReport } from '../formatters/jsonFormatter.js';
+import { log } from '../utils/logger.js';
+
+/**
+ * 校验 JSON 报告文件
+ * @param {string} file 报告文件路径
+ * @returns {Promise<boolean>} 是否通过校验
+ */
+const validateReportFile = async (file) => {
+  const filePath = path.resolve(file);
+  let report;
+  try {
+    report = await fs.readJson(filePath);
+  } catch (error) {
+    log.error(`无法读取 JSON 报告: ${error.message}`);
+    return false;
+  }
+  
+  const errors = validateJsonReport(report);
+  if (errors.length > 0) {
+    log.error(`报告不符合格式定义（共 ${errors.length} 处错误）: ${filePath}`);
+    errors.slice(0, 50).forEach(error => log.error(`  - ${error}`));
+    if (errors.length > 50) {
+      log.error(`  ... 另有 ${errors.length - 50} 处错误`);
+    }
+    return false;
+  }
+  
+  log.success(`报告符合格式定义（schemaVersion ${report.schemaVersion}）: ${filePath}`);
+  return true;
+};
+
+/**
+ * 注册 validate 命令：校验 JSON 报告是否符合报告格式定义
+ * @param {Command} program 命令行程序
+ */
+export const registerValidateCommand = (program) => {
+  program
+    .command('validate <file>')
+    .description('校验 JSON 报告是否符合报告格式定义')
+    .action(async (file) => {
+      process.exitCode = await validateReportFile(file) ? 0 : 1;
+    });
+};
@@ -1,3 +1,6 @@
+// 支持的模型提供方类型（llm.providers[].type）
+export const PROVIDER_TYPES = ['openai', 'azure', 'ollama', 'mock'];
+
 export default {
   // 代码库根目录
   codeBasePath: '',
@@ -5,18 +8,120 @@ export default {
   // 周报时间范围（天）
   reportDays: 7,
   
-  // 输出格式选项：'markdown', 'json', 'text'
+  // 报告开始日期（YYYY-MM-DD），设置后覆盖 reportDays
+  since: '',
+  
+  // 报告结束日期（YYYY-MM-DD），默认为今天
+  until: '',
+  
+  // 命名周期：'this-week', 'last-week', 'this-month', 'last-month',
+  // 'YYYY-Www'（ISO 周）, 'YYYY-MM'（月份）, 'sprint:<开始日期>:<长度>'
+  period: '',
+  
+  // 输出格式选项：'markdown', 'json', 'text', 'html', 'csv'，
+  // 也可以是模板文件（EJS 风格，如 './templates/weekly.md.ejs'）或导出 format 函数的 JS 模块的路径；
+  // 同时输出多种格式时用逗号分隔（如 'markdown,json,html'）或写成数组
   outputFormat: 'markdown',
   
+  // 自定义格式：键为格式名称，值为模板或 JS 模块的路径，可通过 --format <名称> 使用
+  formatters: {},
+  
+  // CSV 导出选项
+  csv: {
+    // 输出方式：'folder'（目录）或 'zip'（单个压缩包）
+    bundle: 'folder',
+    
+    // 是否添加 UTF-8 BOM（Excel 需要 BOM 才能正确显示中文）
+    bom: true
+  },
+  
+  // 趋势对比：'previous'（与上一个等长周期对比）或之前生成的 JSON 报告的路径，为空时不对比
+  compare: '',
+  
   // 输出文件路径
   outputPath: './reports',
   
+  // 是否将每次运行的报告数据记录到输出目录下的报告历史（history.jsonl），供 history 命令查询
+  history: true,
+  
+  // 作者身份映射：将同一个人的多个名称/邮箱合并为一个身份（在各仓库 .mailmap 映射之后应用）
+  // 键为规范名称，例如：
+  // '张三': { email: 'zhangsan@company.com', aliases: ['zhangsan@gmail.com', 'GitHub'], team: 'backend' }
+  authors: {},
+  
+  // 团队名单：键为团队名称，值为成员的名称或邮箱（也可以在 authors 中通过 team 指定）
+  teams: {},
+  
+  // 只统计这些作者的提交（不区分大小写的正则，匹配名称或邮箱）
+  authorFilter: [],
+  
+  // 只统计该团队成员的提交
+  teamFilter: '',
+  
+  // 是否为每位贡献者单独生成一份报告
+  perAuthorReports: false,
+  
+  // 并发处理的仓库数量
+  concurrency: 4,
+  
   // 是否包含详细的代码变更分析
   includeCodeAnalysis: true,
   
+  // 代码变更分析缓存：按仓库和提交哈希缓存每个提交的变更文件和增删行数，
+  // 提交内容不可变，因此缓存可以跨运行复用，时间范围重叠的多次运行只需分析新提交；
+  // 提交信息的解析结果依赖配置，不缓存，每次运行重新解析
+  cache: {
+    // 是否启用缓存
+    enabled: true,
+    
+    // 缓存目录，为空时使用 $XDG_CACHE_HOME/git-report-tool（默认 ~/.cache/git-report-tool）
+    dir: ''
+  },
+  
   // 忽略的文件类型
   ignoreFileTypes: ['.log', '.lock', '.md', '.gitignore', '.DS_Store'],
   
+  // 统计的分支范围：'current'（当前分支）, 'all'（所有本地分支）, 'remote'（所有远程跟踪分支），
+  // 或分支名称/通配符列表，如 ['main', 'feature/*']
+  branches: 'current',
+  
+  // 合并提交的处理策略：
+  // 'include'（默认）：合并提交与普通提交一样统计，其变更与第一个父提交比较（会与被合并分支上的提交重复计算）
+  // 'exclude'：不统计合并提交，只统计被合并分支上的提交（按作者统计分支上的工作时使用）
+  // 'first-parent'：只沿主线统计，每个合并提交作为一项工作并列出它带入的提交，行数只计算一次
+  mergeCommits: 'include',
+  
+  // 提交类型的自定义识别规则（在 Conventional Commits 之外，用于兼容 "[FIX] xxx" 这类历史风格）
+  // pattern 为匹配提交标题开头的正则（不区分大小写），可用命名捕获组 (?<scope>...) 提取范围
+  commitTypePatterns: [
+    { pattern: '^\\[(?:FIX|BUG|BUGFIX|HOTFIX)\\]\\s*', type: 'fix' },
+    { pattern: '^\\[(?:FEAT|FEATURE|ADD|NEW)\\]\\s*', type: 'feat' },
+    { pattern: '^\\[(?:REFACTOR|OPT|PERF)\\]\\s*', type: 'refactor' },
+    { pattern: '^\\[(?:DOC|DOCS)\\]\\s*', type: 'docs' },
+    { pattern: '^\\[(?:CHORE|BUILD|CI|TEST)\\]\\s*', type: 'chore' }
+  ],
+  
+  // 问题跟踪规则：从提交信息中提取问题编号并生成链接
+  // pattern 为正则，第一个捕获组为问题编号；prefix 为显示时加在编号前的前缀；
+  // url 为链接模板，可用变量 {id}, {key}, {repoUrl}（由仓库远程地址推导）, {repo}，为空时不生成链接；
+  // repoScoped 表示编号只在所属仓库内有效（如 GitHub 的 #123）；
+  // projects 和 exclude 按 JIRA 风格编号中 "-" 前的项目键过滤：设置了 projects 时只识别这些项目，
+  // 否则排除 exclude 中的项目键（UTF-8、SHA-256、ISO-8601 等不是问题编号）
+  issueTrackers: [
+    {
+      name: 'jira',
+      pattern: '\\b([A-Z][A-Z0-9]+-\\d+)\\b',
+      url: '',
+      projects: [],
+      exclude: ['UTF', 'SHA', 'ISO', 'RFC', 'CVE', 'CWE', 'PEP', 'ECMA', 'ES', 'MD', 'AES', 'TLS', 'SSL', 'HTTP', 'UTC', 'GMT', 'GPT']
+    },
+    { name: 'github', pattern: '(?:^|[^\\w/&])#(\\d+)\\b', prefix: '#', url: '{repoUrl}/issues/{id}', repoScoped: true }
+  ],
+  
+  // 只统计修改了这些路径的提交（相对仓库根目录，传给 git log -- <paths>），为空时统计全部
+  // 代码变更分析同样只统计这些路径下的文件和增删行数
+  includePaths: [],
+  
   // 忽略的目录
   ignoreDirs: ['node_modules', 'dist', 'build', '.git', '.idea', '.vscode'],
   
@@ -33,6 +138,7 @@ export default {
     baseURL: '',
     
     // OpenAI API 密钥，如果不设置则跳过 OpenAI 功能
+    // 建议通过环境变量 GIT_REPORT_OPENAI_API_KEY 设置，不要写入源码或配置文件
     apiKey: '',
     
     // 使用的模型
@@ -44,7 +150,28 @@ export default {
     // 最大输出 token 数
     maxTokens: 1000,
     
-    // 提示词模板
+    // AI 点评的风格：manager（团队经理点评）、self（个人周报）、release-notes（发布说明）、
+    // standup（站会摘要）、manager-en（英文点评），promptTemplates 中定义的名称，或提示词模板文件的路径
+    reviewStyle: 'manager',
+    
+    // 自定义提示词模板：名称 -> 文件路径，或 { description, language, system, prompt }
+    // 文件为 JSON/YAML/JS 时定义同样的字段，其他文件的全部内容作为提示词模板
+    // 模板中可以使用 {reportContent} {startDate} {endDate} {repoNames} {authors} {totalCommits} {language}
+    promptTemplates: {},
+    
+    // 系统提示词，为空时使用点评风格自带的系统提示词
+    systemPrompt: '',
+    
+    // 回答使用的语言（填入模板中的 {language}），为空时使用点评风格的默认语言
+    language: '',
+    
+    // 是否为每个仓库生成 AI 总结，显示在报告的仓库详情中（结果按提交集合缓存）
+    repoSummaries: false,
+    
+    // 生成仓库 AI 总结时，是否把过于简略的提交信息（如 "fix"、"wip"）改写为易读的一句话
+    rewriteCommits: false,
+    
+    // manager 风格的提示词模板
     promptTemplate: `
 你是一位专业的技术团队经理，负责审阅和总结团队的周报。
 请根据以下提供的代码仓库提交记录和变更情况，完成以下任务：
@@ -57,7 +184,7 @@ export default {
 提交记录和变更情况：
 {reportContent}
 
-请用中文回答，保持专业、简洁和建设性。回答格式如下：
+请用{language}回答，保持专业、简洁和建设性。回答格式如下：
 
 ## AI 周报点评
 
@@ -73,5 +200,57 @@ export default {
 ### 改进建议
 [提出改进建议或下周工作重点]
 `
+  },
+  
+  // 大模型调用配置（AI 功能由 openai.enabled 控制，温度和最大输出 token 数使用 openai 中的设置）
+  llm: {
+    // 模型提供方列表，按顺序尝试，前一个失败时使用下一个
+    // 为空时使用上面 openai 中的 baseURL、apiKey 和 model
+    // 支持的类型：
+    //   { type: 'openai', baseURL, apiKey, model }      OpenAI 及兼容接口（llama.cpp server、vLLM 等）
+    //   { type: 'azure', endpoint, apiKey, deployment, apiVersion }
+    //   { type: 'ollama', baseURL: 'http://localhost:11434', model }
+    //   { type: 'mock', response, failures, status, delay, interruptions }  离线模拟，不访问网络，用于测试
+    // apiKey 可以改用 apiKeyEnv 指定从哪个环境变量读取，name 可以设置日志中显示的名称
+    providers: [],
+    
+    // 单次请求的超时时间（毫秒）
+    timeout: 120000,
+    
+    // 遇到限流（429）、服务端错误（5xx）、网络错误或超时时的最大重试次数
+    maxRetries: 3,
+    
+    // 第一次重试前的等待时间（毫秒），之后每次翻倍
+    retryDelay: 1000,
+    
+    // 重试等待时间的上限（毫秒）
+    maxRetryDelay: 30000,
+    
+    // 单次请求输入（系统提示词和提示词）的 token 预算，应小于模型的上下文长度减去 openai.maxTokens
+    // token 数按字符估算，中文每个字约 1 个 token，英文和代码约 3 个字符 1 个 token
+    tokenBudget: 12000,
+    
+    // 周报内容超出预算时的处理方式：
+    // 'map-reduce' 按仓库（过大的仓库再按提交分批）分别摘要，再根据摘要生成点评
+    // 'truncate' 截断超出预算的部分
+    overflowStrategy: 'map-reduce',
+    
+    // map-reduce 时每部分摘要的最大输出 token 数
+    summaryMaxTokens: 600,
+    
+    // AI 点评的输入摘要（从报告数据生成，与输出格式无关）的长度限制
+    digest: {
+      // 每个仓库最多列出的提交数，超出时优先保留破坏性变更、新功能和问题修复
+      maxCommitsPerRepo: 30,
+      
+      // 每个仓库最多列出的变更最多的文件数（最多 5 个）
+      maxFilesPerRepo: 5,
+      
+      // 提交标题的最大字符数，超出部分截断
+      maxSubjectLength: 100,
+      
+      // 最多列出的问题数
+      maxIssues: 20
+    }
   }
 }; 
\ No newline at end of file
@@ -0,0 +1,157 @@
+import config from '../config/default.js';
+import { getCommitDisplayMessage, getCommitAiMessage } from './formatHelpers.js';
+
+// UTF-8 BOM，Excel 依赖它识别 UTF-8 编码的中文
+const UTF8_BOM = '\uFEFF';
+
+// 以这些字符开头的文本会被电子表格当作公式执行
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * 转换单个 CSV 字段
+ *
+ * 按 RFC 4180 处理引号：包含逗号、双引号或换行的字段用双引号包裹，内部双引号写两次。
+ * 以公式字符开头的文本前会加上单引号，避免在 Excel 中被当作公式执行。
+ *
+ * @param {*} value 字段值
+ * @returns {string} CSV 字段
+ */
+export const toCsvField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return String(value);
+  }
+  
+  let text = Array.isArray(value) ? value.join(';') : String(value);
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * 将表头和数据行转换为 CSV 文本
+ * @param {string[]} headers 表头
+ * @param {Array<Array<*>>} rows 数据行
+ * @param {boolean} bom 是否添加 UTF-8 BOM
+ * @returns {string} CSV 文本
+ */
+export const toCsv = (headers, rows, bom = config.csv?.bom !== false) => {
+  const lines = [headers, ...rows].map(row => row.map(toCsvField).join(','));
+  return `${bom ? UTF8_BOM : ''}${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * 生成提交明细表，每个提交一行
+ * @param {Object} reportData 报告数据
+ * @returns {string} CSV 文本
+ */
+const formatCommitsCsv = (reportData) => {
+  const headers = ['repo', 'branch', 'hash', 'date', 'author', 'email', 'team', 'type', 'message', 'additions', 'deletions', 'files_changed', 'ai_message'];
+  const rows = reportData.repositories.flatMap(repo => repo.commits.map(commit => [
+    repo.name,
+    commit.branches || [],
+    commit.hash,
+    commit.date,
+    commit.author,
+    commit.email,
+    commit.team,
+    commit.conventional?.type,
+    getCommitDisplayMessage(commit),
+    commit.additions,
+    commit.deletions,
+    commit.filesChanged,
+    getCommitAiMessage(repo, commit)
+  ]));
+  return toCsv(headers, rows);
+};
+
+/**
+ * 生成贡献者统计表
+ * @param {Object} reportData 报告数据
+ * @returns {string} CSV 文本
+ */
+const formatContributorsCsv = (reportData) => {
+  const headers = ['author', 'email', 'team', 'commits', 'additions', 'deletions'];
+  const rows = Object.entries(reportData.summary.commitsByAuthor)
+    .sort((a, b) => b[1].commits - a[1].commits)
+    .map(([author, stats]) => [author, stats.email, stats.team, stats.commits, stats.additions, stats.deletions]);
+  return toCsv(headers, rows);
+};
+
+/**
+ * 生成文件类型统计表
+ * @param {Object} reportData 报告数据
+ * @returns {string} CSV 文本
+ */
+const formatFileTypesCsv = (reportData) => {
+  const headers = ['file_type', 'changes'];
+  const rows = Object.entries(reportData.summary.fileTypes)
+    .sort((a, b) => b[1] - a[1]);
+  return toCsv(headers, rows);
+};
+
+/**
+ * 生成仓库汇总表
+ * @param {Object} reportData 报告数据
+ * @returns {string} CSV 文本
+ */
+const formatRepositoriesCsv = (reportData) => {
+  const headers = ['repo', 'path', 'current_branch', 'branches', 'commits', 'contributors', 'files_changed', 'additions', 'deletions', 'ai_summary'];
+  const rows = reportData.repositories.map(repo => [
+    repo.name,
+    repo.path,
+    repo.currentBranch,
+    (repo.scannedBranches || []).map(branch => branch.name),
+    repo.commits.length,
+    new Set(repo.commits.map(commit => commit.author)).size,
+    repo.analysis?.totalFilesChanged,
+    repo.analysis?.lineChanges.additions,
+    repo.analysis?.lineChanges.deletions,
+    repo.aiSummary?.summary
+  ]);
+  return toCsv(headers, rows);
+};
+
+/**
+ * 生成趋势对比表，汇总指标和每位贡献者的指标各占一行
+ * @param {Object} trend 趋势对比数据
+ * @returns {string} CSV 文本
+ */
+const formatTrendCsv = (trend) => {
+  const headers = ['scope', 'metric', 'current', 'previous', 'delta', 'percent'];
+  const rows = [
+    ...trend.metrics.map(metric => ['total', metric.key, metric.current, metric.previous, metric.delta, metric.percent]),
+    ...trend.authors.flatMap(author => ['commits', 'additions', 'deletions', 'activeRepos'].map(key => [
+      author.name, key, author[key].current, author[key].previous, author[key].delta, author[key].percent
+    ]))
+  ];
+  return toCsv(headers, rows);
+};
+
+/**
+ * 将报告数据转换为一组 CSV 文件
+ * @param {Object} reportData 报告数据
+ * @param {string|null} review AI 点评（Markdown），不为空时作为 ai-review.md 一起输出
+ * @returns {Object<string, string>} 文件名到 CSV 内容的映射
+ */
+export const formatReportAsCsv = (reportData, review = null) => {
+  const files = {
+    'commits.csv': formatCommitsCsv(reportData),
+    'contributors.csv': formatContributorsCsv(reportData),
+    'file-types.csv': formatFileTypesCsv(reportData),
+    'repositories.csv': formatRepositoriesCsv(reportData)
+  };
+  
+  if (reportData.trend) {
+    files['trend.csv'] = formatTrendCsv(reportData.trend);
+  }
+  
+  if (review) {
+    files['ai-review.md'] = review;
+  }
+  
+  return files;
+};
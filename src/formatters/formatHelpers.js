@@ -0,0 +1,104 @@
+import _ from 'lodash';
+
+/**
+ * 判断仓库报告是否统计了多个分支
+ * @param {Object} repo 仓库报告
+ * @returns {boolean} 是否为多分支
+ */
+export const isMultiBranch = (repo) => (repo.scannedBranches?.length || 0) > 1;
+
+/**
+ * 统计每个分支上的提交数
+ * @param {Object} repo 仓库报告
+ * @returns {Array<[string, number]>} 分支名称及提交数，按提交数降序
+ */
+export const getBranchCommitCounts = (repo) => {
+  const counts = _.countBy(repo.commits.flatMap(commit => commit.branches || []));
+  return Object.entries(counts).sort((a, b) => b[1] - a[1]);
+};
+
+/**
+ * 获取提交在报告中显示的信息，能识别合并请求时显示为 "PR #编号: 标题"
+ * @param {Object} commit 提交记录
+ * @returns {string} 显示的提交信息
+ */
+export const getCommitDisplayMessage = (commit) => {
+  if (commit.pullRequest) {
+    return `PR #${commit.pullRequest.number}: ${commit.pullRequest.title}`;
+  }
+  return commit.message;
+};
+
+/**
+ * 获取 AI 改写后的提交信息（见 repoSummaryService）
+ * @param {Object} repo 仓库报告
+ * @param {Object} commit 提交记录
+ * @returns {string|null} 改写后的提交信息，没有改写时为 null
+ */
+export const getCommitAiMessage = (repo, commit) => repo.aiSummary?.commitMessages?.[commit.hash] || null;
+
+/**
+ * 将提交类型统计格式化为简短文本，如 "feat 3, fix 2"
+ * @param {Object} types 类型到数量的映射
+ * @returns {string} 格式化后的文本
+ */
+export const formatCommitTypes = (types = {}) => {
+  return Object.entries(types)
+    .sort((a, b) => b[1] - a[1])
+    .map(([type, count]) => `${type} ${count}`)
+    .join(', ');
+};
+
+/**
+ * 获取变更分类中单条变更的显示文本
+ * @param {Object} entry 变更
+ * @returns {string} 显示文本
+ */
+export const getChangelogEntryText = (entry) => {
+  const scope = entry.scope ? `${entry.scope}: ` : '';
+  const pr = entry.pullRequest ? ` (#${entry.pullRequest.number})` : '';
+  return `${scope}${entry.subject}${pr}`;
+};
+
+/**
+ * 将文本中引用的问题转换为 Markdown 链接
+ * @param {string} text 文本
+ * @param {Array<Object>} issues 文本中引用的问题（包含 url）
+ * @returns {string} 转换后的文本
+ */
+export const linkifyIssues = (text, issues = []) => {
+  const linked = issues.filter(issue => issue.url);
+  if (linked.length === 0) {
+    return text;
+  }
+  
+  const urls = new Map(linked.map(issue => [issue.key, issue.url]));
+  const pattern = new RegExp(`(^|[^\\w\\[/])(${linked.map(issue => _.escapeRegExp(issue.key)).join('|')})(?![\\w-])`, 'g');
+  return text.replace(pattern, (match, prefix, key) => `${prefix}[${key}](${urls.get(key)})`);
+};
+
+/**
+ * 将指标变化格式化为带箭头和百分比的文本，如 "↑ +12 (+25%)"
+ * @param {{current: number, previous: number, delta: number, percent: number|null}} change 指标变化
+ * @returns {string} 格式化后的文本
+ */
+export const formatTrendChange = (change) => {
+  if (change.delta === 0) {
+    return '→ 0';
+  }
+  const arrow = change.delta > 0 ? '↑' : '↓';
+  const sign = change.delta > 0 ? '+' : '';
+  const percent = change.percent === null ? '新增' : `${sign}${change.percent}%`;
+  return `${arrow} ${sign}${change.delta} (${percent})`;
+};
+
+/**
+ * 获取趋势对比周期的说明文本
+ * @param {Object} trend 趋势对比数据
+ * @returns {string} 说明文本
+ */
+export const getTrendPeriodText = (trend) => {
+  const { previous } = trend;
+  const source = previous.source === 'previous' ? '上一周期' : `报告 ${previous.source}`;
+  return `${previous.startDate} 至 ${previous.endDate}（${source}）`;
+};
@@ -0,0 +1,448 @@
+import moment from 'moment';
+import _ from 'lodash';
+import { escapeHtml, markdownToHtml } from '../utils/htmlUtils.js';
+import { COMMIT_CATEGORIES } from '../utils/commitParser.js';
+import { isMultiBranch, getCommitDisplayMessage, getCommitAiMessage, formatTrendChange, getTrendPeriodText } from './formatHelpers.js';
+
+// 图表配色
+const PALETTE = ['#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f', '#edc948', '#b07aa1', '#ff9da7', '#9c755f', '#bab0ac'];
+
+// 饼图最多显示的分块数，其余合并为"其他"
+const MAX_PIE_SLICES = 8;
+
+// 贡献者柱状图最多显示的人数
+const MAX_CONTRIBUTOR_BARS = 15;
+
+// 内联样式，保证报告离线可用
+const STYLES = `
+  :root { --fg: #1f2328; --muted: #656d76; --border: #d0d7de; --bg: #f6f8fa; --accent: #4e79a7; --add: #1a7f37; --del: #cf222e; }
+  * { box-sizing: border-box; }
+  body { margin: 0; font-family: -apple-system, "Segoe UI", "PingFang SC", "Microsoft YaHei", sans-serif; color: var(--fg); background: #fff; line-height: 1.5; }
+  main { max-width: 1100px; margin: 0 auto; padding: 24px; }
+  h1 { margin: 0 0 4px; font-size: 28px; }
+  h2 { margin: 32px 0 12px; padding-bottom: 6px; border-bottom: 1px solid var(--border); font-size: 20px; }
+  h3 { font-size: 16px; margin: 16px 0 8px; }
+  .meta { color: var(--muted); margin: 0 0 16px; }
+  .cards { display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 12px; }
+  .card { background: var(--bg); border: 1px solid var(--border); border-radius: 8px; padding: 12px 16px; }
+  .card .value { font-size: 24px; font-weight: 600; }
+  .card .label { color: var(--muted); font-size: 13px; }
+  .charts { display: grid; grid-template-columns: repeat(auto-fit, minmax(320px, 1fr)); gap: 16px; }
+  .chart { border: 1px solid var(--border); border-radius: 8px; padding: 12px; }
+  .chart h3 { margin-top: 0; }
+  .chart svg { width: 100%; height: auto; display: block; }
+  .legend { list-style: none; padding: 0; margin: 8px 0 0; font-size: 13px; columns: 2; }
+  .legend li { display: flex; align-items: center; gap: 6px; }
+  .swatch { width: 10px; height: 10px; border-radius: 2px; display: inline-block; flex: none; }
+  table { border-collapse: collapse; width: 100%; font-size: 14px; margin: 8px 0 16px; }
+  th, td { border: 1px solid var(--border); padding: 6px 8px; text-align: left; vertical-align: top; }
+  th { background: var(--bg); }
+  td.num { text-align: right; white-space: nowrap; }
+  .add { color: var(--add); }
+  .del { color: var(--del); }
+  .up { color: var(--add); white-space: nowrap; }
+  .down { color: var(--del); white-space: nowrap; }
+  .flat { color: var(--muted); }
+  code { font-family: SFMono-Regular, Consolas, monospace; font-size: 12px; background: var(--bg); padding: 1px 4px; border-radius: 4px; }
+  details.repo { border: 1px solid var(--border); border-radius: 8px; margin: 8px 0; }
+  details.repo > summary { cursor: pointer; padding: 10px 14px; font-weight: 600; background: var(--bg); border-radius: 8px; }
+  details.repo[open] > summary { border-bottom: 1px solid var(--border); border-radius: 8px 8px 0 0; }
+  details.repo > summary .stats { font-weight: normal; color: var(--muted); margin-left: 8px; }
+  details.repo > .body { padding: 4px 14px 8px; }
+  .toolbar { margin: 8px 0; }
+  .toolbar button { border: 1px solid var(--border); background: #fff; border-radius: 6px; padding: 4px 10px; cursor: pointer; }
+  .tag { display: inline-block; font-size: 12px; border: 1px solid var(--border); border-radius: 10px; padding: 0 6px; margin-right: 4px; color: var(--muted); }
+  .review { border-left: 4px solid var(--accent); background: var(--bg); padding: 4px 16px; border-radius: 0 8px 8px 0; }
+  .ai-message { color: var(--muted); font-style: italic; }
+  .empty { color: var(--muted); font-style: italic; }
+  @media print { details.repo { break-inside: avoid; } .toolbar { display: none; } }
+`;
+
+// 展开/折叠全部仓库的脚本
+const SCRIPT = `
+  document.querySelectorAll('[data-toggle-repos]').forEach(function (button) {
+    button.addEventListener('click', function () {
+      var open = button.getAttribute('data-toggle-repos') === 'open';
+      document.querySelectorAll('details.repo').forEach(function (item) { item.open = open; });
+    });
+  });
+`;
+
+/**
+ * 格式化数字（千分位）
+ * @param {number} value 数字
+ * @returns {string} 格式化后的数字
+ */
+const formatNumber = (value) => Number(value || 0).toLocaleString('en-US');
+
+/**
+ * 生成贡献者提交次数的横向柱状图
+ * @param {Object} commitsByAuthor 贡献者统计
+ * @returns {string} SVG
+ */
+const renderContributorChart = (commitsByAuthor) => {
+  const entries = Object.entries(commitsByAuthor)
+    .sort((a, b) => b[1].commits - a[1].commits)
+    .slice(0, MAX_CONTRIBUTOR_BARS);
+  
+  if (entries.length === 0) {
+    return '<p class="empty">无贡献者数据</p>';
+  }
+  
+  const rowHeight = 26;
+  const labelWidth = 130;
+  const barWidth = 300;
+  const max = Math.max(...entries.map(([, stats]) => stats.commits));
+  const height = entries.length * rowHeight + 8;
+  
+  const rows = entries.map(([author, stats], index) => {
+    const y = index * rowHeight + 4;
+    const width = Math.max(2, Math.round(stats.commits / max * barWidth));
+    const title = `${author}: ${stats.commits} 次提交, +${stats.additions} / -${stats.deletions} 行`;
+    return `<g><title>${escapeHtml(title)}</title>`
+      + `<text x="${labelWidth - 6}" y="${y + 16}" text-anchor="end" font-size="12">${escapeHtml(_.truncate(author, { length: 18 }))}</text>`
+      + `<rect x="${labelWidth}" y="${y + 3}" width="${width}" height="${rowHeight - 8}" rx="3" fill="${PALETTE[0]}"></rect>`
+      + `<text x="${labelWidth + width + 6}" y="${y + 16}" font-size="12" fill="#656d76">${stats.commits}</text></g>`;
+  });
+  
+  return `<svg viewBox="0 0 ${labelWidth + barWidth + 50} ${height}" role="img" aria-label="贡献者提交次数">${rows.join('')}</svg>`;
+};
+
+/**
+ * 生成文件类型分布的饼图
+ * @param {Object} fileTypes 文件类型统计
+ * @returns {string} SVG 及图例
+ */
+const renderFileTypeChart = (fileTypes) => {
+  let entries = Object.entries(fileTypes).sort((a, b) => b[1] - a[1]);
+  
+  if (entries.length === 0) {
+    return '<p class="empty">无文件类型统计数据</p>';
+  }
+  
+  if (entries.length > MAX_PIE_SLICES) {
+    const rest = entries.slice(MAX_PIE_SLICES - 1).reduce((sum, [, count]) => sum + count, 0);
+    entries = [...entries.slice(0, MAX_PIE_SLICES - 1), ['其他', rest]];
+  }
+  
+  const total = entries.reduce((sum, [, count]) => sum + count, 0);
+  const radius = 80;
+  const center = 90;
+  let angle = -Math.PI / 2;
+  
+  const slices = entries.map(([type, count], index) => {
+    const color = PALETTE[index % PALETTE.length];
+    const title = `<title>${escapeHtml(`${type}: ${count} 次变更 (${Math.round(count / total * 100)}%)`)}</title>`;
+    
+    if (count === total) {
+      return `<circle cx="${center}" cy="${center}" r="${radius}" fill="${color}">${title}</circle>`;
+    }
+    
+    const start = angle;
+    angle += count / total * Math.PI * 2;
+    const x1 = center + radius * Math.cos(start);
+    const y1 = center + radius * Math.sin(start);
+    const x2 = center + radius * Math.cos(angle);
+    const y2 = center + radius * Math.sin(angle);
+    const largeArc = angle - start > Math.PI ? 1 : 0;
+    
+    return `<path d="M${center},${center} L${x1.toFixed(2)},${y1.toFixed(2)} A${radius},${radius} 0 ${largeArc} 1 ${x2.toFixed(2)},${y2.toFixed(2)} Z" fill="${color}">${title}</path>`;
+  });
+  
+  const legend = entries.map(([type, count], index) => {
+    return `<li><span class="swatch" style="background:${PALETTE[index % PALETTE.length]}"></span>${escapeHtml(type)} (${count})</li>`;
+  });
+  
+  return `<svg viewBox="0 0 ${center * 2} ${center * 2}" style="max-width:220px;margin:0 auto" role="img" aria-label="文件类型分布">${slices.join('')}</svg>`
+    + `<ul class="legend">${legend.join('')}</ul>`;
+};
+
+/**
+ * 生成每日提交数的时间线柱状图
+ * @param {Object} reportData 报告数据
+ * @returns {string} SVG
+ */
+const renderTimelineChart = (reportData) => {
+  const counts = _.countBy(
+    reportData.repositories.flatMap(repo => repo.commits),
+    commit => String(commit.date).slice(0, 10)
+  );
+  
+  const start = moment(reportData.startDate, 'YYYY-MM-DD HH:mm:ss').startOf('day');
+  const end = moment(reportData.endDate, 'YYYY-MM-DD HH:mm:ss').startOf('day');
+  const days = [];
+  for (const day = start.clone(); day.isSameOrBefore(end); day.add(1, 'day')) {
+    days.push(day.format('YYYY-MM-DD'));
+  }
+  
+  if (days.length === 0) {
+    return '<p class="empty">无提交记录</p>';
+  }
+  
+  const chartHeight = 120;
+  const slot = Math.max(6, Math.min(40, Math.floor(640 / days.length)));
+  const width = days.length * slot + 40;
+  const max = Math.max(1, ...days.map(day => counts[day] || 0));
+  // 日期标签的间隔，避免重叠
+  const labelEvery = Math.ceil(days.length / 12);
+  
+  const bars = days.map((day, index) => {
+    const count = counts[day] || 0;
+    const height = Math.round(count / max * chartHeight);
+    const x = 30 + index * slot;
+    const label = index % labelEvery === 0
+      ? `<text x="${x + slot / 2}" y="${chartHeight + 24}" text-anchor="middle" font-size="10" fill="#656d76">${day.slice(5)}</text>`
+      : '';
+    return `<g><title>${day}: ${count} 次提交</title>`
+      + `<rect x="${x + 1}" y="${chartHeight + 8 - height}" width="${slot - 2}" height="${height}" fill="${PALETTE[3]}"></rect>${label}</g>`;
+  });
+  
+  const axis = `<text x="24" y="16" text-anchor="end" font-size="10" fill="#656d76">${max}</text>`
+    + `<line x1="30" y1="${chartHeight + 8}" x2="${width - 10}" y2="${chartHeight + 8}" stroke="#d0d7de"></line>`;
+  
+  return `<svg viewBox="0 0 ${width} ${chartHeight + 32}" role="img" aria-label="每日提交数">${axis}${bars.join('')}</svg>`;
+};
+
+/**
+ * 生成提交信息的 HTML，问题编号转换为链接
+ * @param {string} text 提交信息
+ * @param {Array<Object>} issues 引用的问题
+ * @returns {string} HTML
+ */
+const renderMessage = (text, issues = []) => {
+  let html = escapeHtml(text);
+  issues.filter(issue => issue.url).forEach(issue => {
+    const key = escapeHtml(issue.key);
+    html = html.replace(
+      new RegExp(`(^|[^\\w/>])(${_.escapeRegExp(key)})(?![\\w-])`, 'g'),
+      `$1<a href="${escapeHtml(issue.url)}">$2</a>`
+    );
+  });
+  return html;
+};
+
+/**
+ * 生成带箭头和颜色的指标变化
+ * @param {Object} change 指标变化
+ * @returns {string} HTML
+ */
+const renderTrendChange = (change) => {
+  const className = change.delta > 0 ? 'up' : change.delta < 0 ? 'down' : 'flat';
+  return `<span class="${className}">${escapeHtml(formatTrendChange(change))}</span>`;
+};
+
+/**
+ * 生成趋势对比区块
+ * @param {Object} reportData 报告数据
+ * @returns {string} HTML
+ */
+const renderTrend = (reportData) => {
+  const { trend } = reportData;
+  let html = `<section><h2>趋势对比</h2><p class="meta">对比周期: ${escapeHtml(getTrendPeriodText(trend))}</p>`;
+  
+  html += `<table><thead><tr><th>指标</th><th>本期</th><th>上期</th><th>变化</th></tr></thead><tbody>`;
+  trend.metrics.forEach(metric => {
+    html += `<tr><td>${metric.label}</td><td class="num">${formatNumber(metric.current)}</td>`
+      + `<td class="num">${formatNumber(metric.previous)}</td><td class="num">${renderTrendChange(metric)}</td></tr>`;
+  });
+  html += `</tbody></table>`;
+  
+  if (!reportData.author && trend.authors.length > 0) {
+    html += `<h3>贡献者活跃度</h3><table><thead><tr><th>贡献者</th><th>本期提交</th><th>上期提交</th><th>提交变化</th><th>增加行数变化</th><th>删除行数变化</th></tr></thead><tbody>`;
+    trend.authors.forEach(author => {
+      html += `<tr><td>${escapeHtml(author.name)}</td><td class="num">${author.commits.current}</td><td class="num">${author.commits.previous}</td>`
+        + `<td class="num">${renderTrendChange(author.commits)}</td><td class="num">${renderTrendChange(author.additions)}</td>`
+        + `<td class="num">${renderTrendChange(author.deletions)}</td></tr>`;
+    });
+    html += `</tbody></table>`;
+  }
+  
+  return `${html}</section>`;
+};
+
+/**
+ * 生成单个仓库的折叠区块
+ * @param {Object} repo 仓库报告
+ * @returns {string} HTML
+ */
+const renderRepository = (repo) => {
+  const additions = repo.analysis?.lineChanges.additions ?? 0;
+  const deletions = repo.analysis?.lineChanges.deletions ?? 0;
+  const multiBranch = isMultiBranch(repo);
+  let html = `<details class="repo"><summary>${escapeHtml(repo.name)}`
+    + `<span class="stats">${repo.commits.length} 次提交 · <span class="add">+${formatNumber(additions)}</span> / <span class="del">-${formatNumber(deletions)}</span></span></summary>`
+    + `<div class="body">`;
+  
+  html += `<p class="meta">路径: <code>${escapeHtml(repo.path)}</code> · 当前分支: ${escapeHtml(repo.currentBranch)}`;
+  if (repo.analysis) {
+    html += ` · 变更文件数: ${repo.analysis.totalFilesChanged}`;
+  }
+  if (repo.commitTypes && Object.keys(repo.commitTypes).length > 0) {
+    html += `<br>提交类型: ${Object.entries(repo.commitTypes).sort((a, b) => b[1] - a[1]).map(([type, count]) => `<span class="tag">${escapeHtml(type)} ${count}</span>`).join('')}`;
+  }
+  html += `</p>`;
+  
+  // 变更最多的文件
+  if (repo.analysis?.mostChangedFiles.length > 0) {
+    html += `<h3>变更最多的文件</h3><table><thead><tr><th>文件路径</th><th>变更次数</th><th>增加行数</th><th>删除行数</th></tr></thead><tbody>`;
+    repo.analysis.mostChangedFiles.forEach(file => {
+      html += `<tr><td><code>${escapeHtml(file.path)}</code></td><td class="num">${file.count}</td>`
+        + `<td class="num add">+${file.additions}</td><td class="num del">-${file.deletions}</td></tr>`;
+    });
+    html += `</tbody></table>`;
+  }
+  
+  // 仓库 AI 总结
+  if (repo.aiSummary?.summary) {
+    html += `<h3>AI 总结</h3><div class="review">${markdownToHtml(repo.aiSummary.summary)}</div>`;
+  }
+  
+  // 提交记录
+  html += `<h3>提交记录</h3><table><thead><tr><th>提交时间</th><th>作者</th>${multiBranch ? '<th>分支</th>' : ''}<th>提交信息</th><th>行数</th></tr></thead><tbody>`;
+  repo.commits.forEach(commit => {
+    const lines = commit.additions !== undefined
+      ? `<span class="add">+${commit.additions}</span> / <span class="del">-${commit.deletions}</span>`
+      : '';
+    let message = renderMessage(getCommitDisplayMessage(commit), commit.conventional?.issues);
+    const aiMessage = getCommitAiMessage(repo, commit);
+    if (aiMessage) {
+      message += `<div class="ai-message">→ ${escapeHtml(aiMessage)}</div>`;
+    }
+    if (commit.mergedCommits?.length > 0) {
+      message += `<ul>${commit.mergedCommits.map(merged => `<li><code>${merged.hash.slice(0, 7)}</code> ${escapeHtml(merged.message)} (${escapeHtml(merged.author)})</li>`).join('')}</ul>`;
+    }
+    html += `<tr><td style="white-space:nowrap">${escapeHtml(commit.date)}</td><td>${escapeHtml(commit.author)}</td>`
+      + (multiBranch ? `<td>${(commit.branches || []).map(branch => `<span class="tag">${escapeHtml(branch)}</span>`).join('')}</td>` : '')
+      + `<td>${message}</td><td class="num">${lines}</td></tr>`;
+  });
+  html += `</tbody></table>`;
+  
+  html += `</div></details>`;
+  return html;
+};
+
+/**
+ * 将报告数据转换为 HTML 格式
+ *
+ * 生成的页面是自包含的：样式、脚本和图表（SVG）都内联在文件中，不依赖 CDN，可离线打开。
+ *
+ * @param {Object} reportData 报告数据
+ * @param {string|null} review AI 点评（Markdown），为空时不显示
+ * @returns {string} HTML 格式的报告
+ */
+export const formatReportAsHtml = (reportData, review = null) => {
+  const { summary } = reportData;
+  const title = reportData.author ? `Git 代码仓库周报 - ${reportData.author}` : 'Git 代码仓库周报';
+  
+  const scope = [
+    reportData.period ? `报告周期: ${escapeHtml(reportData.period)}` : null,
+    `报告时间范围: ${escapeHtml(reportData.startDate)} 至 ${escapeHtml(reportData.endDate)}`,
+    reportData.team ? `团队: ${escapeHtml(reportData.team)}` : null,
+    reportData.authorFilter?.length > 0 ? `作者过滤: ${escapeHtml(reportData.authorFilter.join(', '))}` : null
+  ].filter(Boolean).join(' · ');
+  
+  const cards = [
+    ['扫描仓库总数', formatNumber(reportData.totalRepos)],
+    ['有提交的仓库数', formatNumber(reportData.reposWithCommits)],
+    ['总提交次数', formatNumber(summary.totalCommits)],
+    ['变更文件总数', formatNumber(summary.totalFilesChanged)],
+    ['增加行数', `<span class="add">+${formatNumber(summary.totalAdditions)}</span>`],
+    ['删除行数', `<span class="del">-${formatNumber(summary.totalDeletions)}</span>`]
+  ].map(([label, value]) => `<div class="card"><div class="value">${value}</div><div class="label">${label}</div></div>`);
+  
+  let body = `<h1>${escapeHtml(title)}</h1><p class="meta">${scope}</p>`;
+  body += `<section><h2>报告概览</h2><div class="cards">${cards.join('')}</div></section>`;
+  
+  // 趋势对比
+  if (reportData.trend) {
+    body += renderTrend(reportData);
+  }
+  
+  // 图表
+  body += `<section><h2>统计图表</h2><div class="charts">`
+    + `<div class="chart"><h3>贡献者提交次数</h3>${renderContributorChart(summary.commitsByAuthor)}</div>`
+    + `<div class="chart"><h3>文件类型分布</h3>${renderFileTypeChart(summary.fileTypes)}</div>`
+    + `</div><div class="chart" style="margin-top:16px"><h3>每日提交数</h3>${renderTimelineChart(reportData)}</div></section>`;
+  
+  // 贡献者统计
+  body += `<section><h2>贡献者统计</h2>`;
+  const authors = Object.entries(summary.commitsByAuthor).sort((a, b) => b[1].commits - a[1].commits);
+  if (authors.length > 0) {
+    body += `<table><thead><tr><th>贡献者</th><th>团队</th><th>提交次数</th><th>增加行数</th><th>删除行数</th><th>提交类型</th></tr></thead><tbody>`;
+    authors.forEach(([author, stats]) => {
+      const types = Object.entries(summary.commitTypesByAuthor?.[author] || {})
+        .sort((a, b) => b[1] - a[1])
+        .map(([type, count]) => `<span class="tag">${escapeHtml(type)} ${count}</span>`)
+        .join('');
+      body += `<tr><td>${escapeHtml(author)}</td><td>${escapeHtml(stats.team || '-')}</td><td class="num">${stats.commits}</td>`
+        + `<td class="num add">+${formatNumber(stats.additions)}</td><td class="num del">-${formatNumber(stats.deletions)}</td><td>${types}</td></tr>`;
+    });
+    body += `</tbody></table>`;
+  } else {
+    body += `<p class="empty">无贡献者数据</p>`;
+  }
+  body += `</section>`;
+  
+  // 变更分类
+  if (reportData.changelog && Object.keys(reportData.changelog).length > 0) {
+    body += `<section><h2>变更分类</h2>`;
+    COMMIT_CATEGORIES.forEach(category => {
+      const entries = reportData.changelog[category.key];
+      if (!entries || entries.length === 0) {
+        return;
+      }
+      body += `<h3>${category.title} (${entries.length})</h3><ul>`;
+      entries.forEach(entry => {
+        const scopeText = entry.scope ? `<strong>${escapeHtml(entry.scope)}:</strong> ` : '';
+        const pr = entry.pullRequest ? ` (#${entry.pullRequest.number})` : '';
+        body += `<li>${scopeText}${renderMessage(entry.subject, entry.issues)}${pr} `
+          + `<span class="meta">— ${escapeHtml(entry.repo)}, ${escapeHtml(entry.author)}, <code>${entry.hash.slice(0, 7)}</code></span></li>`;
+      });
+      body += `</ul>`;
+    });
+    body += `</section>`;
+  }
+  
+  // 涉及的问题
+  if (reportData.issues?.length > 0) {
+    body += `<section><h2>涉及的问题</h2><table><thead><tr><th>问题</th><th>状态</th><th>提交数</th><th>仓库</th><th>作者</th></tr></thead><tbody>`;
+    reportData.issues.forEach(issue => {
+      const key = issue.url ? `<a href="${escapeHtml(issue.url)}">${escapeHtml(issue.key)}</a>` : escapeHtml(issue.key);
+      body += `<tr><td>${key}</td><td>${issue.closed ? '已关闭' : '关联'}</td><td class="num">${issue.commits.length}</td>`
+        + `<td>${escapeHtml(issue.repos.join(', '))}</td><td>${escapeHtml(issue.authors.join(', '))}</td></tr>`;
+    });
+    body += `</tbody></table></section>`;
+  }
+  
+  // 仓库详情
+  body += `<section><h2>仓库详情</h2>`;
+  if (reportData.repositories.length > 0) {
+    body += `<div class="toolbar"><button type="button" data-toggle-repos="open">全部展开</button> <button type="button" data-toggle-repos="close">全部折叠</button></div>`;
+    body += reportData.repositories.map(renderRepository).join('');
+  } else {
+    body += `<p class="empty">在指定时间范围内没有发现任何提交记录</p>`;
+  }
+  body += `</section>`;
+  
+  // AI 点评
+  if (review) {
+    body += `<section><h2>AI 点评</h2><div class="review">${markdownToHtml(review)}</div></section>`;
+  }
+  
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} ${escapeHtml(reportData.startDate.slice(0, 10))} ~ ${escapeHtml(reportData.endDate.slice(0, 10))}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<main>
+${body}
+</main>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+};
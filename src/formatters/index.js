@@ -0,0 +1,215 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import _ from 'lodash';
+import moment from 'moment';
+import { formatReportAsMarkdown } from './markdownFormatter.js';
+import { formatReportAsJson } from './jsonFormatter.js';
+import { formatReportAsText } from './textFormatter.js';
+import { formatReportAsHtml } from './htmlFormatter.js';
+import { formatReportAsCsv } from './csvFormatter.js';
+import * as formatHelpers from './formatHelpers.js';
+import { compileTemplate } from '../utils/templateUtils.js';
+import { escapeHtml, markdownToHtml } from '../utils/htmlUtils.js';
+import { COMMIT_CATEGORIES } from '../utils/commitParser.js';
+import { createRegistryEntry } from '../utils/registryUtils.js';
+import config from '../config/default.js';
+
+/**
+ * 格式化器注册表
+ *
+ * 每个格式化器包含：
+ * - name：格式名称
+ * - extension：输出文件扩展名（含点号）
+ * - format(reportData, { review })：返回报告内容（字符串，或文件名到内容的映射），可以是异步函数
+ */
+const formatters = new Map();
+
+// JS 模块格式化器的扩展名
+const MODULE_EXTENSIONS = ['.js', '.mjs', '.cjs'];
+
+/**
+ * 将 AI 点评追加到文本末尾
+ * @param {string} content 报告内容
+ * @param {string|null} review AI 点评
+ * @returns {string} 报告内容
+ */
+const appendReview = (content, review) => (review ? `${content}\n\n${review}` : content);
+
+/**
+ * 注册格式化器
+ * @param {string} name 格式名称
+ * @param {Object} formatter 格式化器
+ */
+export const registerFormatter = (name, formatter) => {
+  formatters.set(name.toLowerCase(), createRegistryEntry(name, formatter));
+};
+
+/**
+ * 获取所有已注册的格式名称
+ * @returns {string[]} 格式名称列表
+ */
+export const getFormatterNames = () => [...formatters.keys()];
+
+registerFormatter('markdown', {
+  extension: '.md',
+  format: (reportData, { review } = {}) => appendReview(formatReportAsMarkdown(reportData), review)
+});
+
+registerFormatter('json', {
+  extension: '.json',
+  format: (reportData, { review } = {}) => formatReportAsJson(reportData, review)
+});
+
+registerFormatter('text', {
+  extension: '.text',
+  format: (reportData, { review } = {}) => appendReview(formatReportAsText(reportData), review)
+});
+
+registerFormatter('html', {
+  extension: '.html',
+  format: (reportData, { review } = {}) => formatReportAsHtml(reportData, review)
+});
+
+registerFormatter('csv', {
+  // CSV 报告包含多个文件，打包为 ZIP 时扩展名为 .zip，否则输出为以 -csv 结尾的目录
+  get extension() {
+    return config.csv?.bundle === 'zip' ? '.zip' : '-csv';
+  },
+  format: (reportData, { review } = {}) => formatReportAsCsv(reportData, review)
+});
+
+/**
+ * 规范化扩展名，确保以点号开头
+ * @param {string} extension 扩展名
+ * @returns {string} 扩展名
+ */
+const normalizeExtension = (extension) => (extension.startsWith('.') ? extension : `.${extension}`);
+
+/**
+ * 加载 JS 模块格式化器
+ *
+ * 模块需要导出 format(reportData, { review }) 函数（命名导出或默认导出），
+ * 可以导出 extension 指定输出文件扩展名，默认为 .txt。
+ *
+ * @param {string} filePath 模块路径
+ * @returns {Promise<Object>} 格式化器
+ */
+const loadModuleFormatter = async (filePath) => {
+  const loaded = await import(pathToFileURL(filePath).href);
+  const exported = loaded.default && typeof loaded.default === 'object' ? loaded.default : loaded;
+  const format = exported.format || (typeof loaded.default === 'function' ? loaded.default : null);
+  
+  if (typeof format !== 'function') {
+    throw new Error(`格式化模块没有导出 format 函数: ${filePath}`);
+  }
+  
+  return {
+    name: path.basename(filePath),
+    extension: normalizeExtension(exported.extension || loaded.extension || '.txt'),
+    format
+  };
+};
+
+/**
+ * 加载模板格式化器
+ *
+ * 模板使用 EJS 风格的语法（见 compileTemplate）。输出文件扩展名取自模板文件名，
+ * 例如 weekly.md.ejs 输出 .md 文件，weekly.html 输出 .html 文件；
+ * 输出为 HTML 时 <%= %> 会转义 HTML 特殊字符。
+ *
+ * @param {string} filePath 模板路径
+ * @returns {Promise<Object>} 格式化器
+ */
+const loadTemplateFormatter = async (filePath) => {
+  const source = await fs.readFile(filePath, 'utf8');
+  const basename = path.basename(filePath);
+  const outputName = basename.endsWith('.ejs') ? basename.slice(0, -'.ejs'.length) : basename;
+  const extension = path.extname(outputName) || '.txt';
+  const render = compileTemplate(source, {
+    filename: basename,
+    escape: ['.html', '.htm'].includes(extension.toLowerCase()) ? escapeHtml : undefined
+  });
+  
+  return {
+    name: basename,
+    extension,
+    format: (reportData, { review = null } = {}) => render({
+      ...reportData,
+      reportData,
+      review,
+      config,
+      _,
+      moment,
+      escapeHtml,
+      markdownToHtml,
+      COMMIT_CATEGORIES,
+      ...formatHelpers
+    })
+  };
+};
+
+/**
+ * 根据格式名称或文件路径获取格式化器
+ *
+ * 依次查找：内置格式名称、配置文件 formatters 中定义的名称、模板或 JS 模块的文件路径。
+ *
+ * @param {string} format 格式名称或文件路径，默认读取配置
+ * @returns {Promise<Object>} 格式化器
+ */
+export const resolveFormatter = async (format = config.outputFormat) => {
+  const name = String(format || '').trim();
+  const builtin = formatters.get(name.toLowerCase());
+  if (builtin) {
+    return builtin;
+  }
+  
+  const filePath = path.resolve(config.formatters?.[name] || name);
+  if (!name || !await fs.pathExists(filePath)) {
+    const custom = Object.keys(config.formatters || {});
+    throw new Error(`不支持的输出格式: ${name}（支持 ${[...getFormatterNames(), ...custom].join(', ')}，或模板/JS 模块的文件路径）`);
+  }
+  
+  return MODULE_EXTENSIONS.includes(path.extname(filePath).toLowerCase())
+    ? loadModuleFormatter(filePath)
+    : loadTemplateFormatter(filePath);
+};
+
+/**
+ * 解析输出格式列表，支持逗号分隔的字符串或数组
+ * @param {string|string[]} formats 输出格式
+ * @returns {string[]} 去重后的格式列表
+ */
+export const parseFormatList = (formats) => {
+  const list = Array.isArray(formats) ? formats : String(formats || '').split(',');
+  return _.uniq(list.map(format => String(format).trim()).filter(Boolean));
+};
+
+/**
+ * 获取多个输出格式的格式化器
+ *
+ * 同一次运行生成的所有报告文件使用相同的文件名，只有扩展名不同，因此扩展名不能重复。
+ *
+ * @param {string|string[]} formats 输出格式，如 'markdown,json,html'，默认读取配置
+ * @returns {Promise<Object[]>} 格式化器列表
+ */
+export const resolveFormatters = async (formats = config.outputFormat) => {
+  const names = parseFormatList(formats);
+  if (names.length === 0) {
+    throw new Error('未指定输出格式');
+  }
+  
+  const list = [];
+  for (const name of names) {
+    list.push(await resolveFormatter(name));
+  }
+  
+  const duplicates = Object.values(_.groupBy(list, formatter => formatter.extension))
+    .filter(group => group.length > 1);
+  if (duplicates.length > 0) {
+    const conflicting = duplicates[0].map(formatter => formatter.name).join(', ');
+    throw new Error(`输出格式 ${conflicting} 的文件扩展名相同（${duplicates[0][0].extension}），无法同时输出`);
+  }
+  
+  return list;
+};
@@ -0,0 +1,258 @@
+import moment from 'moment';
+import fs from 'fs-extra';
+import _ from 'lodash';
+import { COMMIT_CATEGORIES } from '../utils/commitParser.js';
+import { validateSchema } from '../utils/schemaValidator.js';
+import { getCommitAiMessage } from './formatHelpers.js';
+
+// JSON 报告格式版本：新增字段时升级次版本号，删除或修改字段时升级主版本号
+export const JSON_SCHEMA_VERSION = '1.2';
+
+// JSON 报告格式定义（JSON Schema）
+export const REPORT_SCHEMA = fs.readJsonSync(new URL('../schemas/report.schema.json', import.meta.url));
+
+/**
+ * 将报告中的本地时间字符串转换为带时区的 ISO 8601 时间
+ * @param {string|null} value 本地时间字符串（YYYY-MM-DD HH:mm:ss）
+ * @returns {string|null} ISO 8601 时间
+ */
+const toIsoTime = (value) => {
+  return value ? moment(value, 'YYYY-MM-DD HH:mm:ss').format() : null;
+};
+
+/**
+ * 转换代码变更分析结果
+ * @param {Object|null} analysis 代码变更分析结果
+ * @returns {Object|null} 统计数据
+ */
+const toRepositoryStats = (analysis) => {
+  if (!analysis) {
+    return null;
+  }
+  return {
+    filesChanged: analysis.totalFilesChanged,
+    additions: analysis.lineChanges.additions,
+    deletions: analysis.lineChanges.deletions,
+    fileChanges: analysis.fileChanges,
+    fileTypes: analysis.fileTypes,
+    mostChangedFiles: analysis.mostChangedFiles.map(file => ({
+      path: file.path,
+      changes: file.count,
+      additions: file.additions,
+      deletions: file.deletions,
+      binary: file.binary
+    }))
+  };
+};
+
+/**
+ * 转换单个提交
+ * @param {Object} commit 提交记录
+ * @param {Object} repo 提交所在的仓库报告
+ * @returns {Object} 提交数据
+ */
+const toCommit = (commit, repo) => ({
+  hash: commit.hash,
+  date: commit.timestamp || toIsoTime(commit.date),
+  author: commit.author,
+  email: commit.email,
+  team: commit.team || null,
+  message: commit.message,
+  type: commit.conventional?.type || null,
+  scope: commit.conventional?.scope || null,
+  breaking: !!commit.conventional?.breaking,
+  branches: commit.branches || [],
+  isMerge: !!commit.isMerge,
+  isFirstCommit: !!commit.isFirstCommit,
+  pullRequest: commit.pullRequest
+    ? { number: commit.pullRequest.number, title: commit.pullRequest.title }
+    : null,
+  issues: (commit.conventional?.issues || []).map(issue => ({
+    key: issue.key,
+    tracker: issue.tracker,
+    url: issue.url || null,
+    closes: !!issue.closes
+  })),
+  // 未进行代码变更分析时为 null
+  stats: commit.additions !== undefined
+    ? { additions: commit.additions, deletions: commit.deletions, filesChanged: commit.filesChanged }
+    : null,
+  // 未生成仓库 AI 总结或提交信息没有被改写时为 null
+  aiMessage: getCommitAiMessage(repo, commit),
+  mergedCommits: (commit.mergedCommits || []).map(merged => ({
+    hash: merged.hash,
+    date: merged.timestamp || toIsoTime(merged.date),
+    author: merged.author,
+    email: merged.email,
+    message: merged.message
+  }))
+});
+
+/**
+ * 转换趋势对比数据
+ * @param {Object|null} trend 趋势对比数据
+ * @returns {Object|null} 趋势数据
+ */
+const toTrend = (trend) => {
+  if (!trend) {
+    return null;
+  }
+  return {
+    previous: {
+      source: trend.previous.source,
+      start: toIsoTime(trend.previous.startDate),
+      end: toIsoTime(trend.previous.endDate),
+      period: trend.previous.period || null
+    },
+    metrics: trend.metrics,
+    authors: trend.authors
+  };
+};
+
+/**
+ * 将报告数据转换为版本化的 JSON 报告对象
+ *
+ * 输出结构由 src/schemas/report.schema.json 定义，与内部的报告数据结构解耦，
+ * 内部重构不会影响 JSON 报告的使用方。时间均为带时区的 ISO 8601 格式。
+ *
+ * @param {Object} reportData 报告数据
+ * @param {string|null} review AI 点评
+ * @returns {Object} JSON 报告对象
+ */
+export const toJsonReport = (reportData, review = null) => {
+  const { summary } = reportData;
+  const timestamps = new Map(reportData.repositories.flatMap(repo => {
+    return repo.commits.map(commit => [commit.hash, commit.timestamp || toIsoTime(commit.date)]);
+  }));
+  
+  return {
+    schemaVersion: JSON_SCHEMA_VERSION,
+    generatedAt: reportData.generatedAt || moment().format(),
+    range: {
+      start: toIsoTime(reportData.startDate),
+      end: toIsoTime(reportData.endDate),
+      period: reportData.period || null
+    },
+    filters: {
+      team: reportData.team || null,
+      authors: reportData.authorFilter || [],
+      author: reportData.author || null
+    },
+    summary: {
+      repositories: reportData.totalRepos,
+      repositoriesWithCommits: reportData.reposWithCommits,
+      commits: summary.totalCommits,
+      filesChanged: summary.totalFilesChanged,
+      additions: summary.totalAdditions,
+      deletions: summary.totalDeletions,
+      fileChanges: summary.fileChanges,
+      commitTypes: summary.commitTypes || {},
+      fileTypes: summary.fileTypes
+    },
+    contributors: Object.entries(summary.commitsByAuthor)
+      .sort((a, b) => b[1].commits - a[1].commits)
+      .map(([name, stats]) => ({
+        name,
+        email: stats.email || null,
+        team: stats.team || null,
+        commits: stats.commits,
+        additions: stats.additions,
+        deletions: stats.deletions,
+        commitTypes: summary.commitTypesByAuthor?.[name] || {}
+      })),
+    changelog: COMMIT_CATEGORIES
+      .filter(category => reportData.changelog?.[category.key]?.length > 0)
+      .map(category => ({
+        category: category.key,
+        title: category.title,
+        entries: reportData.changelog[category.key].map(entry => ({
+          repository: entry.repo,
+          hash: entry.hash,
+          date: timestamps.get(entry.hash) || toIsoTime(entry.date),
+          author: entry.author,
+          type: entry.type,
+          scope: entry.scope,
+          subject: entry.subject,
+          pullRequest: entry.pullRequest ? entry.pullRequest.number : null,
+          issues: entry.issues.map(issue => issue.key)
+        }))
+      })),
+    issues: (reportData.issues || []).map(issue => ({
+      key: issue.key,
+      tracker: issue.tracker,
+      url: issue.url,
+      closed: issue.closed,
+      repositories: issue.repos,
+      authors: issue.authors,
+      commits: issue.commits.map(commit => ({ repository: commit.repo, hash: commit.hash }))
+    })),
+    repositories: reportData.repositories.map(repo => ({
+      name: repo.name,
+      path: repo.path,
+      remote: repo.remote || null,
+      currentBranch: repo.currentBranch || null,
+      branches: (repo.scannedBranches || []).map(branch => branch.name),
+      lastCommitDate: toIsoTime(repo.lastCommitDate),
+      commitTypes: repo.commitTypes || {},
+      stats: toRepositoryStats(repo.analysis),
+      aiSummary: repo.aiSummary?.summary || null,
+      commits: repo.commits.map(commit => toCommit(commit, repo))
+    })),
+    trend: toTrend(reportData.trend),
+    aiReview: review || null
+  };
+};
+
+/**
+ * 将报告数据转换为 JSON 格式
+ * @param {Object} reportData 报告数据
+ * @param {string|null} review AI 点评
+ * @returns {string} JSON 格式的报告
+ */
+export const formatReportAsJson = (reportData, review = null) => {
+  return JSON.stringify(toJsonReport(reportData, review), null, 2);
+};
+
+/**
+ * 去掉格式定义中的 additionalProperties: false，允许未定义的字段
+ * @param {*} schema 格式定义（或其中的一部分）
+ * @returns {*} 新的格式定义
+ */
+const allowAdditionalProperties = (schema) => {
+  if (Array.isArray(schema)) {
+    return schema.map(allowAdditionalProperties);
+  }
+  if (!_.isPlainObject(schema)) {
+    return schema;
+  }
+  return _.mapValues(
+    _.omitBy(schema, (value, key) => key === 'additionalProperties' && value === false),
+    allowAdditionalProperties
+  );
+};
+
+// 次版本号比当前新的报告使用的格式定义：新版本可能新增了字段，只校验当前已知的字段
+const NEWER_MINOR_SCHEMA = allowAdditionalProperties(REPORT_SCHEMA);
+
+/**
+ * 校验 JSON 报告是否符合报告格式定义
+ *
+ * 主版本号不同的报告直接视为不兼容；主版本号相同时按当前格式定义校验。
+ * 次版本号只会新增字段，因此次版本号比当前新的报告允许出现当前格式定义中没有的字段。
+ *
+ * @param {Object} report JSON 报告对象
+ * @returns {string[]} 错误列表，为空表示校验通过
+ */
+export const validateJsonReport = (report) => {
+  const version = report?.schemaVersion;
+  if (typeof version !== 'string') {
+    return validateSchema(report, REPORT_SCHEMA);
+  }
+  
+  const [major, minor] = version.split('.').map(Number);
+  const [currentMajor, currentMinor] = JSON_SCHEMA_VERSION.split('.').map(Number);
+  if (major !== currentMajor) {
+    return [`$.schemaVersion: 不支持的格式版本 ${version}（当前为 ${JSON_SCHEMA_VERSION}）`];
+  }
+  return validateSchema(report, minor > currentMinor ? NEWER_MINOR_SCHEMA : REPORT_SCHEMA);
+};
@@ -0,0 +1,223 @@
+import { COMMIT_CATEGORIES } from '../utils/commitParser.js';
+import { isMultiBranch, getBranchCommitCounts, getCommitDisplayMessage, getCommitAiMessage, formatCommitTypes, getChangelogEntryText, linkifyIssues, formatTrendChange, getTrendPeriodText } from './formatHelpers.js';
+
+/**
+ * 将报告数据转换为 Markdown 格式
+ * @param {Object} reportData 报告数据
+ * @returns {string} Markdown 格式的报告
+ */
+export const formatReportAsMarkdown = (reportData) => {
+  let markdown = `# Git 代码仓库周报\n\n`;
+  
+  // 报告时间范围
+  markdown += `## 报告概览\n\n`;
+  if (reportData.period) {
+    markdown += `- **报告周期**: ${reportData.period}\n`;
+  }
+  if (reportData.author) {
+    markdown += `- **贡献者**: ${reportData.author}\n`;
+  }
+  if (reportData.team) {
+    markdown += `- **团队**: ${reportData.team}\n`;
+  }
+  if (reportData.authorFilter?.length > 0) {
+    markdown += `- **作者过滤**: ${reportData.authorFilter.join(', ')}\n`;
+  }
+  markdown += `- **报告时间范围**: ${reportData.startDate} 至 ${reportData.endDate}\n`;
+  markdown += `- **扫描仓库总数**: ${reportData.totalRepos}\n`;
+  markdown += `- **有提交的仓库数**: ${reportData.reposWithCommits}\n`;
+  markdown += `- **总提交次数**: ${reportData.summary.totalCommits}\n`;
+  markdown += `- **变更文件总数**: ${reportData.summary.totalFilesChanged}\n`;
+  markdown += `- **代码行变更**: +${reportData.summary.totalAdditions} / -${reportData.summary.totalDeletions}\n\n`;
+  
+  // 趋势对比
+  if (reportData.trend) {
+    markdown += `## 趋势对比\n\n`;
+    markdown += `对比周期: ${getTrendPeriodText(reportData.trend)}\n\n`;
+    markdown += `| 指标 | 本期 | 上期 | 变化 |\n`;
+    markdown += `| ---- | ---- | ---- | ---- |\n`;
+    reportData.trend.metrics.forEach(metric => {
+      markdown += `| ${metric.label} | ${metric.current} | ${metric.previous} | ${formatTrendChange(metric)} |\n`;
+    });
+    markdown += `\n`;
+    
+    if (!reportData.author && reportData.trend.authors.length > 0) {
+      markdown += `### 贡献者活跃度\n\n`;
+      markdown += `| 贡献者 | 本期提交 | 上期提交 | 提交变化 | 增加行数变化 | 删除行数变化 |\n`;
+      markdown += `| ------ | -------- | -------- | -------- | ------------ | ------------ |\n`;
+      reportData.trend.authors.forEach(author => {
+        markdown += `| ${author.name} | ${author.commits.current} | ${author.commits.previous} | ${formatTrendChange(author.commits)} | ${formatTrendChange(author.additions)} | ${formatTrendChange(author.deletions)} |\n`;
+      });
+      markdown += `\n`;
+    }
+  }
+  
+  // 贡献者统计
+  markdown += `## 贡献者统计\n\n`;
+  
+  if (Object.keys(reportData.summary.commitsByAuthor).length > 0) {
+    markdown += `| 贡献者 | 团队 | 提交次数 | 增加行数 | 删除行数 |\n`;
+    markdown += `| ------ | ---- | -------- | -------- | -------- |\n`;
+    
+    Object.entries(reportData.summary.commitsByAuthor)
+      .sort((a, b) => b[1].commits - a[1].commits)
+      .forEach(([author, stats]) => {
+        markdown += `| ${author} | ${stats.team || '-'} | ${stats.commits} | ${stats.additions} | ${stats.deletions} |\n`;
+      });
+    
+    markdown += `\n`;
+  } else {
+    markdown += `*无贡献者数据*\n\n`;
+  }
+  
+  // 提交类型统计
+  const typeAuthors = Object.keys(reportData.summary.commitTypesByAuthor || {});
+  if (typeAuthors.length > 0) {
+    const types = Object.entries(reportData.summary.commitTypes)
+      .sort((a, b) => b[1] - a[1])
+      .map(([type]) => type);
+    
+    markdown += `## 提交类型统计\n\n`;
+    markdown += `| 贡献者 | ${types.join(' | ')} |\n`;
+    markdown += `| ------ | ${types.map(() => '----').join(' | ')} |\n`;
+    
+    typeAuthors.forEach(author => {
+      const authorTypes = reportData.summary.commitTypesByAuthor[author];
+      markdown += `| ${author} | ${types.map(type => authorTypes[type] || 0).join(' | ')} |\n`;
+    });
+    
+    markdown += `| **合计** | ${types.map(type => reportData.summary.commitTypes[type]).join(' | ')} |\n\n`;
+  }
+  
+  // 变更分类
+  if (reportData.changelog && Object.keys(reportData.changelog).length > 0) {
+    markdown += `## 变更分类\n\n`;
+    
+    COMMIT_CATEGORIES.forEach(category => {
+      const entries = reportData.changelog[category.key];
+      if (!entries || entries.length === 0) {
+        return;
+      }
+      
+      markdown += `### ${category.title} (${entries.length})\n\n`;
+      entries.forEach(entry => {
+        markdown += `- ${linkifyIssues(getChangelogEntryText(entry), entry.issues)} — ${entry.repo}, ${entry.author}, \`${entry.hash.slice(0, 7)}\`\n`;
+      });
+      markdown += `\n`;
+    });
+  }
+  
+  // 涉及的问题
+  if (reportData.issues?.length > 0) {
+    markdown += `## 涉及的问题\n\n`;
+    markdown += `| 问题 | 状态 | 提交数 | 仓库 | 作者 |\n`;
+    markdown += `| ---- | ---- | ------ | ---- | ---- |\n`;
+    
+    reportData.issues.forEach(issue => {
+      const key = issue.url ? `[${issue.key}](${issue.url})` : issue.key;
+      const commits = issue.commits.map(commit => `\`${commit.hash.slice(0, 7)}\``).join(' ');
+      markdown += `| ${key} | ${issue.closed ? '已关闭' : '关联'} | ${issue.commits.length} (${commits}) | ${issue.repos.join(', ')} | ${issue.authors.join(', ')} |\n`;
+    });
+    
+    markdown += `\n`;
+  }
+  
+  // 文件类型统计
+  markdown += `## 文件类型统计\n\n`;
+  
+  if (Object.keys(reportData.summary.fileTypes).length > 0) {
+    markdown += `| 文件类型 | 变更次数 |\n`;
+    markdown += `| -------- | -------- |\n`;
+    
+    Object.entries(reportData.summary.fileTypes)
+      .sort((a, b) => b[1] - a[1])
+      .forEach(([type, count]) => {
+        markdown += `| ${type} | ${count} |\n`;
+      });
+    
+    markdown += `\n`;
+  } else {
+    markdown += `*无文件类型统计数据*\n\n`;
+  }
+  
+  // 仓库详情
+  markdown += `## 仓库详情\n\n`;
+  
+  reportData.repositories.forEach(repo => {
+    markdown += `### ${repo.name}\n\n`;
+    markdown += `- **路径**: ${repo.path}\n`;
+    markdown += `- **当前分支**: ${repo.currentBranch}\n`;
+    if (isMultiBranch(repo)) {
+      const branchCounts = getBranchCommitCounts(repo).map(([branch, count]) => `${branch} (${count})`);
+      markdown += `- **统计分支**: ${branchCounts.join(', ')}\n`;
+    }
+    markdown += `- **提交次数**: ${repo.commits.length}\n`;
+    if (repo.commitTypes && Object.keys(repo.commitTypes).length > 0) {
+      markdown += `- **提交类型**: ${formatCommitTypes(repo.commitTypes)}\n`;
+    }
+    
+    if (repo.analysis) {
+      markdown += `- **变更文件数**: ${repo.analysis.totalFilesChanged}\n`;
+      markdown += `- **代码行变更**: +${repo.analysis.lineChanges.additions} / -${repo.analysis.lineChanges.deletions}\n`;
+      
+      // 变更最多的文件
+      if (repo.analysis.mostChangedFiles.length > 0) {
+        markdown += `\n#### 变更最多的文件\n\n`;
+        markdown += `| 文件路径 | 变更次数 | 增加行数 | 删除行数 |\n`;
+        markdown += `| -------- | -------- | -------- | -------- |\n`;
+        
+        repo.analysis.mostChangedFiles.forEach(file => {
+          markdown += `| ${file.path} | ${file.count} | ${file.additions} | ${file.deletions} |\n`;
+        });
+        
+        markdown += `\n`;
+      }
+    }
+    
+    // 仓库 AI 总结
+    if (repo.aiSummary?.summary) {
+      markdown += `#### AI 总结\n\n${repo.aiSummary.summary}\n\n`;
+    }
+    
+    // 提交记录
+    markdown += `#### 提交记录\n\n`;
+    
+    if (repo.commits.length > 0) {
+      const multiBranch = isMultiBranch(repo);
+      markdown += multiBranch ? `| 提交时间 | 作者 | 分支 | 提交信息 |\n` : `| 提交时间 | 作者 | 提交信息 |\n`;
+      markdown += multiBranch ? `| -------- | ---- | ---- | -------- |\n` : `| -------- | ---- | -------- |\n`;
+      
+      repo.commits.forEach(commit => {
+        const aiMessage = getCommitAiMessage(repo, commit);
+        const message = linkifyIssues(getCommitDisplayMessage(commit), commit.conventional?.issues) + (aiMessage ? ` → *${aiMessage}*` : '');
+        // 处理提交信息中可能包含的 Markdown 表格分隔符
+        const safeMessage = message.replace(/\|/g, '\\|');
+        const branchCell = multiBranch ? ` ${(commit.branches || []).join(', ')} |` : '';
+        markdown += `| ${commit.date} | ${commit.author} |${branchCell} ${safeMessage} |\n`;
+      });
+      
+      markdown += `\n`;
+      
+      // 合并请求及其带入的提交（first-parent 模式）
+      const merges = repo.commits.filter(commit => commit.mergedCommits?.length > 0);
+      if (merges.length > 0) {
+        markdown += `#### 合并请求\n\n`;
+        
+        merges.forEach(merge => {
+          markdown += `- **${getCommitDisplayMessage(merge)}** (${merge.author}, ${merge.date}, ${merge.mergedCommits.length} 个提交)\n`;
+          merge.mergedCommits.forEach(commit => {
+            markdown += `  - \`${commit.hash.slice(0, 7)}\` ${commit.message} (${commit.author})\n`;
+          });
+        });
+        
+        markdown += `\n`;
+      }
+    } else {
+      markdown += `*无提交记录*\n\n`;
+    }
+    
+    markdown += `\n`;
+  });
+  
+  return markdown;
+};
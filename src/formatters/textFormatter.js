@@ -0,0 +1,195 @@
+import { COMMIT_CATEGORIES } from '../utils/commitParser.js';
+import { isMultiBranch, getBranchCommitCounts, getCommitDisplayMessage, getCommitAiMessage, formatCommitTypes, getChangelogEntryText, formatTrendChange, getTrendPeriodText } from './formatHelpers.js';
+
+/**
+ * 将报告数据转换为纯文本格式
+ * @param {Object} reportData 报告数据
+ * @returns {string} 纯文本格式的报告
+ */
+export const formatReportAsText = (reportData) => {
+  let text = `Git 代码仓库周报\n\n`;
+  
+  // 报告时间范围
+  text += `报告概览\n`;
+  text += `==========\n\n`;
+  if (reportData.period) {
+    text += `报告周期: ${reportData.period}\n`;
+  }
+  if (reportData.author) {
+    text += `贡献者: ${reportData.author}\n`;
+  }
+  if (reportData.team) {
+    text += `团队: ${reportData.team}\n`;
+  }
+  if (reportData.authorFilter?.length > 0) {
+    text += `作者过滤: ${reportData.authorFilter.join(', ')}\n`;
+  }
+  text += `报告时间范围: ${reportData.startDate} 至 ${reportData.endDate}\n`;
+  text += `扫描仓库总数: ${reportData.totalRepos}\n`;
+  text += `有提交的仓库数: ${reportData.reposWithCommits}\n`;
+  text += `总提交次数: ${reportData.summary.totalCommits}\n`;
+  text += `变更文件总数: ${reportData.summary.totalFilesChanged}\n`;
+  text += `代码行变更: +${reportData.summary.totalAdditions} / -${reportData.summary.totalDeletions}\n\n`;
+  
+  // 趋势对比
+  if (reportData.trend) {
+    text += `趋势对比\n`;
+    text += `==========\n\n`;
+    text += `对比周期: ${getTrendPeriodText(reportData.trend)}\n`;
+    reportData.trend.metrics.forEach(metric => {
+      text += `${metric.label}: ${metric.current}（上期 ${metric.previous}）${formatTrendChange(metric)}\n`;
+    });
+    text += `\n`;
+    
+    if (!reportData.author && reportData.trend.authors.length > 0) {
+      text += `贡献者活跃度:\n`;
+      reportData.trend.authors.forEach(author => {
+        text += `- ${author.name}: ${author.commits.current} 次提交（上期 ${author.commits.previous}）${formatTrendChange(author.commits)}\n`;
+      });
+      text += `\n`;
+    }
+  }
+  
+  // 贡献者统计
+  text += `贡献者统计\n`;
+  text += `==========\n\n`;
+  
+  if (Object.keys(reportData.summary.commitsByAuthor).length > 0) {
+    Object.entries(reportData.summary.commitsByAuthor)
+      .sort((a, b) => b[1].commits - a[1].commits)
+      .forEach(([author, stats]) => {
+        const team = stats.team ? ` [${stats.team}]` : '';
+        text += `${author}${team}: ${stats.commits} 次提交, +${stats.additions} / -${stats.deletions} 行\n`;
+      });
+    
+    text += `\n`;
+  } else {
+    text += `无贡献者数据\n\n`;
+  }
+  
+  // 提交类型统计
+  if (Object.keys(reportData.summary.commitTypesByAuthor || {}).length > 0) {
+    text += `提交类型统计\n`;
+    text += `==========\n\n`;
+    text += `合计: ${formatCommitTypes(reportData.summary.commitTypes)}\n`;
+    
+    Object.entries(reportData.summary.commitTypesByAuthor).forEach(([author, types]) => {
+      text += `${author}: ${formatCommitTypes(types)}\n`;
+    });
+    
+    text += `\n`;
+  }
+  
+  // 变更分类
+  if (reportData.changelog && Object.keys(reportData.changelog).length > 0) {
+    text += `变更分类\n`;
+    text += `==========\n\n`;
+    
+    COMMIT_CATEGORIES.forEach(category => {
+      const entries = reportData.changelog[category.key];
+      if (!entries || entries.length === 0) {
+        return;
+      }
+      
+      text += `${category.title} (${entries.length}):\n`;
+      entries.forEach(entry => {
+        text += `- ${getChangelogEntryText(entry)} [${entry.repo}, ${entry.author}, ${entry.hash.slice(0, 7)}]\n`;
+      });
+      text += `\n`;
+    });
+  }
+  
+  // 涉及的问题
+  if (reportData.issues?.length > 0) {
+    text += `涉及的问题\n`;
+    text += `==========\n\n`;
+    
+    reportData.issues.forEach(issue => {
+      const url = issue.url ? ` ${issue.url}` : '';
+      const status = issue.closed ? ', 已关闭' : '';
+      text += `${issue.key}${url}: ${issue.commits.length} 次提交${status} [${issue.repos.join(', ')}] [${issue.authors.join(', ')}]\n`;
+    });
+    
+    text += `\n`;
+  }
+  
+  // 文件类型统计
+  text += `文件类型统计\n`;
+  text += `==========\n\n`;
+  
+  if (Object.keys(reportData.summary.fileTypes).length > 0) {
+    Object.entries(reportData.summary.fileTypes)
+      .sort((a, b) => b[1] - a[1])
+      .forEach(([type, count]) => {
+        text += `${type}: ${count} 次变更\n`;
+      });
+    
+    text += `\n`;
+  } else {
+    text += `无文件类型统计数据\n\n`;
+  }
+  
+  // 仓库详情
+  text += `仓库详情\n`;
+  text += `==========\n\n`;
+  
+  reportData.repositories.forEach(repo => {
+    text += `${repo.name}\n`;
+    text += `----------\n\n`;
+    text += `路径: ${repo.path}\n`;
+    text += `当前分支: ${repo.currentBranch}\n`;
+    if (isMultiBranch(repo)) {
+      const branchCounts = getBranchCommitCounts(repo).map(([branch, count]) => `${branch} (${count})`);
+      text += `统计分支: ${branchCounts.join(', ')}\n`;
+    }
+    text += `提交次数: ${repo.commits.length}\n`;
+    if (repo.commitTypes && Object.keys(repo.commitTypes).length > 0) {
+      text += `提交类型: ${formatCommitTypes(repo.commitTypes)}\n`;
+    }
+    
+    if (repo.analysis) {
+      text += `变更文件数: ${repo.analysis.totalFilesChanged}\n`;
+      text += `代码行变更: +${repo.analysis.lineChanges.additions} / -${repo.analysis.lineChanges.deletions}\n`;
+      
+      // 变更最多的文件
+      if (repo.analysis.mostChangedFiles.length > 0) {
+        text += `\n变更最多的文件:\n`;
+        
+        repo.analysis.mostChangedFiles.forEach(file => {
+          text += `- ${file.path}: ${file.count} 次变更, +${file.additions} / -${file.deletions} 行\n`;
+        });
+        
+        text += `\n`;
+      }
+    }
+    
+    // 仓库 AI 总结
+    if (repo.aiSummary?.summary) {
+      text += `AI 总结:\n${repo.aiSummary.summary}\n\n`;
+    }
+    
+    // 提交记录
+    text += `提交记录:\n`;
+    
+    if (repo.commits.length > 0) {
+      repo.commits.forEach(commit => {
+        const branchTag = isMultiBranch(repo) ? `[${(commit.branches || []).join(', ')}] ` : '';
+        const aiMessage = getCommitAiMessage(repo, commit);
+        text += `- ${commit.date} | ${commit.author} | ${branchTag}${getCommitDisplayMessage(commit)}${aiMessage ? ` → ${aiMessage}` : ''}\n`;
+        
+        // 合并提交带入的提交（first-parent 模式）
+        (commit.mergedCommits || []).forEach(merged => {
+          text += `    * ${merged.hash.slice(0, 7)} ${merged.message} (${merged.author})\n`;
+        });
+      });
+      
+      text += `\n`;
+    } else {
+      text += `无提交记录\n\n`;
+    }
+    
+    text += `\n`;
+  });
+  
+  return text;
+};
@@ -1,12 +1,15 @@
 #!/usr/bin/env node
 
 import { Command } from 'commander';
-import chalk from 'chalk';
-import path from 'path';
-import fs from 'fs-extra';
-import { findAllGitRepositories, writeReport } from './utils/fileUtils.js';
-import { generateFullReport, formatReport } from './services/reportService.js';
-import { generateReportFilename } from './utils/dateUtils.js';
+import { registerReportCommand } from './commands/report.js';
+import { registerReviewCommand } from './commands/review.js';
+import { registerReposCommand } from './commands/repos.js';
+import { registerConfigCommand } from './commands/config.js';
+import { registerHistoryCommand } from './commands/history.js';
+import { registerCacheCommand } from './commands/cache.js';
+import { registerValidateCommand } from './commands/validate.js';
+import { loadLayeredConfig, applyConfigLayer } from './utils/configLoader.js';
+import { log, setVerbose, isVerbose } from './utils/logger.js';
 import config from './config/default.js';
 
 // 创建命令行程序
@@ -18,153 +21,49 @@ program
   .description('一个用于生成代码仓库周报的工具')
   .version('1.0.0');
 
-// 添加选项
+// 全局选项（所有子命令通用，可以写在子命令前后）
 program
-  .option('-d, --days <days>', '设置报告的时间范围（天数）', config.reportDays)
-  .option('-p, --path <path>', '设置代码库根目录', config.codeBasePath)
-  .option('-o, --output <path>', '设置输出目录', config.outputPath)
-  .option('-f, --format <format>', '设置输出格式 (markdown, json, text)', config.outputFormat)
-  .option('--no-analysis', '不包含代码变更分析')
   .option('-c, --config <path>', '指定配置文件路径')
+  .option('-p, --path <path>', '设置代码库根目录')
+  .option('-o, --output <path>', `设置输出目录（默认 ${config.outputPath}）`)
   .option('--no-verbose', '不显示详细日志信息')
   .option('--ignore-errors', '忽略错误并继续执行');
 
-// 解析命令行参数
-program.parse();
-const options = program.opts();
-
-// 确保 verbose 选项默认为 true
-if (options.verbose === undefined) {
-  options.verbose = true;
-}
-
-// 更新配置
-if (options.config) {
+// 执行子命令前按层级加载配置（默认值、配置文件、环境变量）并应用全局选项
+program.hook('preAction', async (thisCommand, actionCommand) => {
+  const options = actionCommand.optsWithGlobals();
+  setVerbose(options.verbose);
+  
   try {
-    const customConfigPath = path.resolve(options.config);
-    if (fs.existsSync(customConfigPath)) {
-      console.log(chalk.blue(`正在加载配置文件: ${customConfigPath}`));
-      const customConfig = await import(customConfigPath);
-      Object.assign(config, customConfig.default);
-    } else {
-      console.error(chalk.red(`配置文件不存在: ${customConfigPath}`));
-      process.exit(1);
-    }
+    const { warnings } = await loadLayeredConfig({ configFile: options.config });
+    warnings.forEach(warning => log.warning(`配置警告: ${warning}`));
   } catch (error) {
-    console.error(chalk.red(`加载配置文件时出错: ${error.message}`));
+    log.error(error.message);
     process.exit(1);
   }
-}
-
-// 应用命令行选项
-if (options.days) config.reportDays = parseInt(options.days, 10);
-if (options.path) config.codeBasePath = options.path;
-if (options.output) config.outputPath = options.output;
-if (options.format) config.outputFormat = options.format;
-if (options.analysis === false) config.includeCodeAnalysis = false;
-
-// 日志函数
-const log = {
-  info: (message) => console.log(chalk.blue(message)),
-  success: (message) => console.log(chalk.green(message)),
-  warning: (message) => console.log(chalk.yellow(message)),
-  error: (message) => console.error(chalk.red(message)),
-  verbose: (message) => {
-    if (options.verbose) {
-      console.log(chalk.gray(`[详细] ${message}`));
-    }
-  }
-};
+  
+  if (options.path) applyConfigLayer({ codeBasePath: options.path }, '命令行参数 --path');
+  if (options.output) applyConfigLayer({ outputPath: options.output }, '命令行参数 --output');
+});
 
-/**
- * 主函数
- */
-async function main() {
-  try {
-    log.info('Git 代码仓库周报生成工具');
-    log.info('=======================');
-    
-    // 检查代码库路径是否存在
-    const rootDir = path.resolve(config.codeBasePath);
-    if (!await fs.pathExists(rootDir)) {
-      log.error(`代码库路径不存在: ${rootDir}`);
-      process.exit(1);
-    }
-    
-    log.info(`正在扫描代码库: ${rootDir}`);
-    
-    // 查找所有 Git 仓库
-    const repositories = await findAllGitRepositories(rootDir);
-    
-    if (repositories.length === 0) {
-      log.warning('未找到任何 Git 仓库');
-      process.exit(0);
-    }
-    
-    log.info(`共找到 ${repositories.length} 个 Git 仓库`);
-    
-    if (options.verbose) {
-      repositories.forEach(repo => {
-        log.verbose(`发现仓库: ${repo}`);
-      });
-    }
-    
-    // 生成报告
-    log.info('正在生成报告...');
-    const reportData = await generateFullReport(repositories, { verbose: options.verbose });
-    
-    // 格式化报告
-    log.info('正在格式化报告...');
-    const reportContent = await formatReport(reportData);
-    
-    // 生成报告文件名
-    const filename = generateReportFilename();
-    
-    // 写入报告
-    log.info('正在写入报告...');
-    const reportPath = await writeReport(reportContent, filename);
-    
-    log.success(`报告生成成功: ${reportPath}`);
-    log.info(`扫描仓库总数: ${reportData.totalRepos}`);
-    log.info(`有提交的仓库数: ${reportData.reposWithCommits}`);
-    log.info(`总提交次数: ${reportData.summary.totalCommits}`);
-    
-    if (reportData.reposWithCommits === 0) {
-      log.warning('在指定时间范围内没有发现任何提交记录');
-    } else {
-      log.success('周报生成完成！');
-      
-      // 如果启用了 OpenAI 功能但未设置 API 密钥，则提示用户
-      if (config.openai?.enabled && !config.openai?.apiKey) {
-        log.warning('未设置 OpenAI API 密钥，跳过 AI 点评功能');
-        log.info('如需启用 AI 点评功能，请在配置文件中设置 openai.apiKey');
-      } else if (config.openai?.enabled && config.openai?.apiKey) {
-        log.success('已添加 AI 点评到报告中');
-      }
-    }
-    
-  } catch (error) {
-    log.error(`生成报告时出错: ${error.message}`);
-    
-    if (options.verbose) {
-      log.error(error.stack);
-    } else {
-      log.error('使用 --verbose 选项可查看详细错误信息');
-    }
-    
-    process.exit(1);
-  }
-}
+// 注册子命令，未指定子命令时执行 report
+registerReportCommand(program);
+registerReviewCommand(program);
+registerReposCommand(program);
+registerConfigCommand(program);
+registerHistoryCommand(program);
+registerCacheCommand(program);
+registerValidateCommand(program);
 
 // 设置全局错误处理
 process.on('uncaughtException', (error) => {
   log.error(`未捕获的异常: ${error.message}`);
   
-  if (options.verbose) {
+  if (isVerbose()) {
     log.error(error.stack);
   }
   
-  if (!options.ignoreErrors) {
+  if (!program.opts().ignoreErrors) {
     process.exit(1);
   }
 });
@@ -172,14 +71,14 @@ process.on('uncaughtException', (error) => {
 process.on('unhandledRejection', (reason, promise) => {
   log.error(`未处理的 Promise 拒绝: ${reason}`);
   
-  if (options.verbose) {
+  if (isVerbose()) {
     log.error(reason.stack);
   }
   
-  if (!options.ignoreErrors) {
+  if (!program.opts().ignoreErrors) {
     process.exit(1);
   }
 });
 
-// 执行主函数
-main(); 
\ No newline at end of file
+// 解析命令行参数并执行命令
+await program.parseAsync();
@@ -0,0 +1,256 @@
+import fs from 'fs-extra';
+import path from 'path';
+import _ from 'lodash';
+import { loadConfigFile } from '../utils/configLoader.js';
+import { createRegistryEntry } from '../utils/registryUtils.js';
+import config from '../config/default.js';
+
+/**
+ * AI 点评风格（提示词模板）注册表
+ *
+ * 每个风格包含：
+ * - name：风格名称
+ * - description：说明
+ * - language：回答使用的语言，填入 {language}，可以被 openai.language 覆盖
+ * - system：系统提示词，可以被 openai.systemPrompt 覆盖
+ * - prompt：提示词模板，必须包含 {reportContent}
+ */
+const reviewStyles = new Map();
+
+// 提示词模板中可以使用的变量，报告中没有对应数据时填入默认值
+export const PROMPT_VARIABLES = {
+  reportContent: '',
+  startDate: '未知',
+  endDate: '未知',
+  repoNames: '未知',
+  authors: '未知',
+  totalCommits: '未知',
+  language: '中文'
+};
+
+// 作为数据文件（而不是纯文本提示词）读取的提示词模板扩展名
+const DATA_EXTENSIONS = ['.json', '.yaml', '.yml', '.js', '.mjs', '.cjs'];
+
+/**
+ * 注册点评风格
+ * @param {string} name 风格名称
+ * @param {Object} style 点评风格
+ */
+export const registerReviewStyle = (name, style) => {
+  reviewStyles.set(name.toLowerCase(), createRegistryEntry(name, style));
+};
+
+/**
+ * 获取所有内置点评风格的名称
+ * @returns {string[]} 风格名称列表
+ */
+export const getReviewStyleNames = () => [...reviewStyles.keys()];
+
+registerReviewStyle('manager', {
+  description: '团队经理点评：总结工作、分析问题、评价并提出建议',
+  language: '中文',
+  system: '你是一位专业的技术团队经理，负责审阅和总结团队的周报。',
+  // 使用配置中的 openai.promptTemplate，兼容之前自定义的提示词
+  get prompt() {
+    return config.openai.promptTemplate;
+  }
+});
+
+registerReviewStyle('self', {
+  description: '个人周报：以第一人称总结自己的工作',
+  language: '中文',
+  system: '你是一位软件工程师，正在根据自己的代码提交记录撰写个人周报。',
+  prompt: `请根据以下 {startDate} 至 {endDate} 的代码提交记录，以第一人称撰写一份个人周报。
+贡献者：{authors}；涉及的仓库：{repoNames}；共 {totalCommits} 个提交。
+
+{reportContent}
+
+请用{language}撰写，按工作主题归纳，不要逐条罗列提交；突出完成的功能和解决的问题，语气客观、简洁。格式如下：
+
+## 个人周报
+
+### 本周完成
+[按主题归纳完成的工作]
+
+### 进行中的工作
+[尚未完成的工作及进展]
+
+### 遇到的问题
+[遇到的问题及解决情况，没有则写"无"]
+
+### 下周计划
+[根据本周工作推断的下周计划]
+`
+});
+
+registerReviewStyle('release-notes', {
+  description: '发布说明：面向用户整理新功能、问题修复和破坏性变更',
+  language: '中文',
+  system: '你是一位负责撰写版本发布说明的技术文档工程师。',
+  prompt: `请根据以下 {startDate} 至 {endDate} 的代码变更（仓库：{repoNames}，共 {totalCommits} 个提交），撰写面向用户的发布说明。
+
+{reportContent}
+
+要求：
+1. 用{language}撰写，按仓库分节，每节按"破坏性变更"、"新功能"、"问题修复"、"改进"分类列出
+2. 用用户能理解的语言描述变更带来的影响，合并同一功能的多个提交
+3. 忽略文档、构建、测试等不影响用户的变更
+4. 破坏性变更需要说明升级时要注意的事项
+
+格式如下：
+
+## 发布说明
+
+### 仓库名
+#### 新功能
+- ...
+`
+});
+
+registerReviewStyle('standup', {
+  description: '站会摘要：每位成员一到三条要点',
+  language: '中文',
+  system: '你是一位敏捷团队的 Scrum Master，负责整理站会摘要。',
+  prompt: `请根据以下 {startDate} 至 {endDate} 的代码提交记录，为站会整理一份简短的摘要。
+成员：{authors}；共 {totalCommits} 个提交。
+
+{reportContent}
+
+要求：用{language}撰写，每位成员列出一到三条要点（做了什么），最后列出需要关注的风险或阻塞（没有则省略）。总长度不超过 300 字。格式如下：
+
+## 站会摘要
+
+- **成员名**：要点；要点
+
+**需要关注**：...
+`
+});
+
+registerReviewStyle('manager-en', {
+  description: 'Team manager review in English',
+  language: 'English',
+  system: 'You are an experienced engineering manager reviewing and summarizing your team\'s weekly report.',
+  prompt: `Based on the repository activity below ({startDate} to {endDate}, repositories: {repoNames}, {totalCommits} commits, contributors: {authors}), please:
+
+1. Summarize the main work and achievements of the period
+2. Identify possible problems or challenges
+3. Evaluate the team's work
+4. Suggest improvements or priorities for next week
+
+Repository activity:
+{reportContent}
+
+Answer in {language}. Be professional, concise and constructive. Use this format:
+
+## AI Weekly Review
+
+### Summary
+[Main work and achievements]
+
+### Problems and Challenges
+[Possible problems or challenges]
+
+### Evaluation
+[Evaluation of the team's work]
+
+### Suggestions
+[Improvements or priorities for next week]
+`
+});
+
+/**
+ * 规范化用户定义的点评风格
+ * @param {string} name 风格名称
+ * @param {Object|string} value 风格定义，字符串表示提示词模板
+ * @param {string} source 来源（用于错误信息）
+ * @returns {Object} 点评风格
+ */
+const normalizeReviewStyle = (name, value, source) => {
+  const style = typeof value === 'string' ? { prompt: value } : value;
+  if (!style || typeof style.prompt !== 'string') {
+    throw new Error(`提示词模板缺少 prompt: ${source}`);
+  }
+  if (!style.prompt.includes('{reportContent}')) {
+    throw new Error(`提示词模板缺少 {reportContent} 变量: ${source}`);
+  }
+  return {
+    name,
+    description: style.description || '',
+    language: style.language || PROMPT_VARIABLES.language,
+    system: style.system || reviewStyles.get('manager').system,
+    prompt: style.prompt
+  };
+};
+
+/**
+ * 从文件加载点评风格
+ *
+ * JSON、YAML 和 JS 文件定义 { description, language, system, prompt }，其他文件的全部内容作为提示词模板。
+ *
+ * @param {string} filePath 文件路径
+ * @param {string} name 风格名称
+ * @returns {Promise<Object>} 点评风格
+ */
+const loadReviewStyleFile = async (filePath, name) => {
+  const value = DATA_EXTENSIONS.includes(path.extname(filePath).toLowerCase())
+    ? await loadConfigFile(filePath)
+    : await fs.readFile(filePath, 'utf8');
+  return normalizeReviewStyle(name, value, filePath);
+};
+
+/**
+ * 根据名称或文件路径获取点评风格
+ *
+ * 依次查找：内置风格名称、配置文件 openai.promptTemplates 中定义的名称、提示词模板的文件路径。
+ * openai.systemPrompt 和 openai.language 不为空时覆盖风格中的设置。
+ *
+ * @param {string} name 风格名称或文件路径，默认读取配置 openai.reviewStyle
+ * @returns {Promise<Object>} 点评风格
+ */
+export const resolveReviewStyle = async (name = config.openai.reviewStyle) => {
+  const styleName = String(name || '').trim();
+  const custom = config.openai.promptTemplates || {};
+  let style = reviewStyles.get(styleName.toLowerCase());
+  
+  if (!style && typeof custom[styleName] === 'object') {
+    style = normalizeReviewStyle(styleName, custom[styleName], `openai.promptTemplates.${styleName}`);
+  }
+  if (!style) {
+    const filePath = path.resolve(custom[styleName] || styleName);
+    if (!styleName || !await fs.pathExists(filePath)) {
+      throw new Error(`不支持的点评风格: ${styleName}（支持 ${[...getReviewStyleNames(), ...Object.keys(custom)].join(', ')}，或提示词模板的文件路径）`);
+    }
+    style = await loadReviewStyleFile(filePath, custom[styleName] ? styleName : path.basename(filePath));
+  }
+  
+  return {
+    name: style.name,
+    description: style.description,
+    language: config.openai.language || style.language,
+    system: config.openai.systemPrompt || style.system,
+    prompt: style.prompt
+  };
+};
+
+/**
+ * 从报告数据获取提示词变量
+ * @param {Object} reportData 报告数据
+ * @returns {Object<string, string|number>} 变量
+ */
+export const getPromptVariables = (reportData) => ({
+  startDate: reportData.startDate.slice(0, 10),
+  endDate: reportData.endDate.slice(0, 10),
+  repoNames: reportData.repositories.map(repo => repo.name).join(', ') || '无',
+  authors: _.uniq(reportData.repositories.flatMap(repo => repo.commits.map(commit => commit.author))).join(', ') || '无',
+  totalCommits: reportData.summary.totalCommits
+});
+
+/**
+ * 填入提示词模板中的变量，未知的变量保持原样
+ * @param {string} template 提示词模板
+ * @param {Object<string, *>} variables 变量
+ * @returns {string} 提示词
+ */
+export const renderPrompt = (template, variables) => {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (key in variables ? String(variables[key]) : match));
+};
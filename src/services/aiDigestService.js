@@ -0,0 +1,170 @@
+import path from 'path';
+import _ from 'lodash';
+import { COMMIT_CATEGORIES, getCommitCategory } from '../utils/commitParser.js';
+import { formatCommitTypes, formatTrendChange, getTrendPeriodText, getCommitAiMessage } from '../formatters/formatHelpers.js';
+import config from '../config/default.js';
+
+/**
+ * AI 点评的输入摘要
+ *
+ * 直接从报告数据生成紧凑的纯文本，不依赖输出格式：概览、每个仓库的主题、按分类整理的提交标题、
+ * 代码行统计和变更最多的文件。长度由 llm.digest 中的配置控制。
+ */
+
+/**
+ * 截断过长的文本
+ * @param {string} text 文本
+ * @param {number} maxLength 最大字符数
+ * @returns {string} 截断后的文本
+ */
+const truncate = (text, maxLength) => {
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+};
+
+/**
+ * 格式化增删行数，如 "+120/-30 行"
+ * @param {number} additions 增加行数
+ * @param {number} deletions 删除行数
+ * @returns {string} 格式化后的文本
+ */
+const formatLines = (additions, deletions) => `+${additions}/-${deletions} 行`;
+
+/**
+ * 将计数映射格式化为 "a(3), b(2)"，按数量降序
+ * @param {Object<string, number>} counts 名称到数量的映射
+ * @param {number} limit 最多列出的项数
+ * @returns {string} 格式化后的文本
+ */
+const formatCounts = (counts, limit) => {
+  return _.orderBy(Object.entries(counts), ([, count]) => count, 'desc')
+    .slice(0, limit)
+    .map(([name, count]) => `${name}(${count})`)
+    .join(', ');
+};
+
+/**
+ * 获取提交在摘要中的标题：作用域、标题和合并请求编号，提交信息被 AI 改写时附上改写后的说明
+ * @param {Object} repo 仓库报告
+ * @param {Object} commit 提交记录
+ * @returns {string} 标题
+ */
+const getCommitSubject = (repo, commit) => {
+  if (commit.pullRequest) {
+    return `PR #${commit.pullRequest.number}: ${commit.pullRequest.title}`;
+  }
+  const scope = commit.conventional?.scope ? `${commit.conventional.scope}: ` : '';
+  const rewritten = getCommitAiMessage(repo, commit);
+  return `${scope}${commit.conventional?.subject || commit.message}${rewritten ? `（${rewritten}）` : ''}`;
+};
+
+/**
+ * 提炼仓库的主题：提交中最常见的作用域和变更最多的目录
+ * @param {Object} repo 仓库报告
+ * @returns {string[]} 主题
+ */
+const getRepoThemes = (repo) => {
+  const scopes = _.countBy(repo.commits.filter(commit => commit.conventional?.scope), commit => commit.conventional.scope);
+  const directories = {};
+  (repo.analysis?.mostChangedFiles || []).forEach(file => {
+    const directory = path.posix.dirname(file.path);
+    if (directory !== '.') {
+      directories[directory] = (directories[directory] || 0) + file.count;
+    }
+  });
+  
+  return [
+    Object.keys(scopes).length > 0 ? `作用域 ${formatCounts(scopes, 5)}` : null,
+    Object.keys(directories).length > 0 ? `目录 ${formatCounts(directories, 3)}` : null
+  ].filter(Boolean);
+};
+
+/**
+ * 生成单个仓库的摘要
+ * @param {Object} repo 仓库报告
+ * @param {Object} options 长度配置（llm.digest）
+ * @returns {string} 仓库摘要
+ */
+const buildRepoDigest = (repo, options) => {
+  const lines = [`## ${repo.name}`];
+  
+  const stats = [`${repo.commits.length} 个提交`];
+  if (repo.analysis) {
+    stats.push(`变更 ${repo.analysis.totalFilesChanged} 个文件`, formatLines(repo.analysis.lineChanges.additions, repo.analysis.lineChanges.deletions));
+  }
+  stats.push(`贡献者 ${formatCounts(_.countBy(repo.commits, 'author'), Infinity)}`);
+  lines.push(`统计: ${stats.join('，')}`);
+  if (repo.aiSummary?.summary) {
+    lines.push(`AI 总结: ${repo.aiSummary.summary.replace(/\s*\n\s*/g, ' ')}`);
+  }
+  
+  const themes = getRepoThemes(repo);
+  if (themes.length > 0) {
+    lines.push(`主题: ${themes.join('；')}`);
+  }
+  
+  const files = (repo.analysis?.mostChangedFiles || []).slice(0, options.maxFilesPerRepo);
+  if (files.length > 0) {
+    lines.push(`主要文件: ${files.map(file => `${file.path} (${file.count} 次, ${formatLines(file.additions, file.deletions)})`).join('；')}`);
+  }
+  
+  // 按分类列出提交标题，超出数量限制时优先保留靠前的分类（破坏性变更、新功能、问题修复……）
+  const byCategory = _.groupBy(repo.commits, commit => getCommitCategory(commit.conventional));
+  let listed = 0;
+  COMMIT_CATEGORIES.forEach(category => {
+    const commits = (byCategory[category.key] || []).slice(0, options.maxCommitsPerRepo - listed);
+    if (commits.length === 0) {
+      return;
+    }
+    lines.push(`${category.title}:`);
+    commits.forEach(commit => {
+      lines.push(`- ${truncate(getCommitSubject(repo, commit), options.maxSubjectLength)} [${commit.author}]`);
+    });
+    listed += commits.length;
+  });
+  if (listed < repo.commits.length) {
+    lines.push(`（另有 ${repo.commits.length - listed} 个提交未列出）`);
+  }
+  
+  return lines.join('\n');
+};
+
+/**
+ * 从报告数据生成 AI 点评的输入摘要
+ *
+ * 同一份报告数据无论输出什么格式都生成相同的摘要。仓库按 "## 仓库名" 分段，
+ * 超出 token 预算时按仓库分段摘要。
+ *
+ * @param {Object} reportData 报告数据
+ * @returns {string} 输入摘要
+ */
+export const buildAiDigest = (reportData) => {
+  const options = config.llm.digest;
+  const { summary } = reportData;
+  const lines = ['# 周报概览'];
+  
+  lines.push(`时间范围: ${reportData.startDate} 至 ${reportData.endDate}${reportData.period ? `（${reportData.period}）` : ''}`);
+  if (reportData.author) lines.push(`贡献者: ${reportData.author}`);
+  if (reportData.team) lines.push(`团队: ${reportData.team}`);
+  if (reportData.authorFilter?.length > 0) lines.push(`作者过滤: ${reportData.authorFilter.join(', ')}`);
+  
+  lines.push(`总计: ${summary.totalCommits} 个提交，${reportData.reposWithCommits}/${reportData.totalRepos} 个仓库有提交，` +
+    `变更 ${summary.totalFilesChanged} 个文件，${formatLines(summary.totalAdditions, summary.totalDeletions)}`);
+  if (Object.keys(summary.commitTypes).length > 0) {
+    lines.push(`提交类型: ${formatCommitTypes(summary.commitTypes)}`);
+  }
+  
+  const authors = _.orderBy(Object.entries(summary.commitsByAuthor), ([, stats]) => stats.commits, 'desc');
+  if (authors.length > 0) {
+    lines.push(`贡献者统计: ${authors.map(([name, stats]) => `${name} ${stats.commits} 个提交 ${formatLines(stats.additions, stats.deletions)}`).join('；')}`);
+  }
+  
+  if (reportData.trend) {
+    lines.push(`趋势（对比 ${getTrendPeriodText(reportData.trend)}）: ${reportData.trend.metrics.map(metric => `${metric.label} ${metric.current} ${formatTrendChange(metric)}`).join('；')}`);
+  }
+  
+  if (reportData.issues?.length > 0) {
+    lines.push(`涉及的问题: ${reportData.issues.slice(0, options.maxIssues).map(issue => `${issue.key}${issue.closed ? '（已关闭）' : ''}`).join(', ')}`);
+  }
+  
+  return [lines.join('\n'), ...reportData.repositories.map(repo => buildRepoDigest(repo, options))].join('\n\n') + '\n';
+};
@@ -0,0 +1,293 @@
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import config from '../config/default.js';
+
+/**
+ * 分析缓存
+ *
+ * 按仓库和提交哈希缓存每个提交的变更文件和增删行数（git log --raw --numstat 的解析结果），提交内容不可变，缓存可以跨运行复用。
+ * 提交信息的解析结果（类型、问题编号、合并请求）保存在同一个缓存文件中，但还依赖 commitTypePatterns、issueTrackers 等配置，
+ * 因此同时记录解析配置的哈希，配置改变后已缓存的解析结果全部失效。AI 生成结果按输入内容的哈希缓存在单独的目录中。
+ */
+
+// 缓存格式版本：变更解析结果的结构改变时升级，旧版本的缓存会被忽略
+const CACHE_VERSION = 1;
+
+// 各仓库已加载的缓存：仓库路径 -> Promise<{ file, commits: Map }>
+const repoCaches = new Map();
+
+// 本次运行的缓存命中统计
+const stats = { hits: 0, misses: 0 };
+
+/**
+ * 获取缓存目录
+ * @returns {string} 缓存目录
+ */
+export const getCacheDir = () => {
+  if (config.cache?.dir) {
+    return path.resolve(config.cache.dir);
+  }
+  return path.join(process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache'), 'git-report-tool');
+};
+
+/**
+ * 获取代码变更分析缓存目录
+ * @returns {string} 缓存目录
+ */
+const getAnalysisCacheDir = () => path.join(getCacheDir(), 'analysis');
+
+/**
+ * 获取 AI 生成结果缓存目录
+ * @returns {string} 缓存目录
+ */
+const getAiCacheDir = () => path.join(getCacheDir(), 'ai');
+
+/**
+ * 判断是否启用缓存
+ * @returns {boolean} 是否启用
+ */
+export const isCacheEnabled = () => config.cache?.enabled !== false;
+
+/**
+ * 写入 JSON 缓存文件
+ *
+ * 先写入临时文件再替换，避免中途失败损坏缓存。临时文件名包含进程号和随机后缀，
+ * 多个进程或同一进程内的多次写入同时进行时不会互相覆盖临时文件。
+ *
+ * @param {string} file 缓存文件路径
+ * @param {Object} data 缓存内容
+ * @returns {Promise<void>}
+ */
+const writeCacheFile = async (file, data) => {
+  const tempFile = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  await fs.ensureDir(path.dirname(file));
+  try {
+    await fs.writeJson(tempFile, data);
+    await fs.rename(tempFile, file);
+  } catch (error) {
+    await fs.remove(tempFile).catch(() => {});
+    throw error;
+  }
+};
+
+/**
+ * 加载仓库的缓存文件（每个仓库只读取一次）
+ * @param {string} repoPath 仓库路径
+ * @returns {Promise<{file: string, repo: string, commits: Map<string, Object>, messages: {key: string|null, commits: Map<string, Object>}, writing?: Promise<void>}>} 仓库缓存
+ */
+const loadRepoCache = (repoPath) => {
+  const repo = path.resolve(repoPath);
+  if (!repoCaches.has(repo)) {
+    const key = crypto.createHash('sha1').update(repo).digest('hex').slice(0, 16);
+    const file = path.join(getAnalysisCacheDir(), `${key}.json`);
+    repoCaches.set(repo, (async () => {
+      let commits = new Map();
+      let messages = { key: null, commits: new Map() };
+      try {
+        if (await fs.pathExists(file)) {
+          const data = await fs.readJson(file);
+          if (data.version === CACHE_VERSION && data.repo === repo) {
+            commits = new Map(Object.entries(data.commits));
+            if (data.messages) {
+              messages = { key: data.messages.key, commits: new Map(Object.entries(data.messages.commits)) };
+            }
+          }
+        }
+      } catch (error) {
+        // 缓存损坏时视为空缓存，下次写入时覆盖
+        console.error(`读取分析缓存失败，将重新分析: ${file}（${error.message}）`);
+      }
+      return { file, repo, commits, messages };
+    })());
+  }
+  return repoCaches.get(repo);
+};
+
+/**
+ * 将仓库缓存写入文件
+ *
+ * 同一仓库的写入依次进行，并在轮到时才生成内容，最后完成的写入总是包含所有已缓存的提交。
+ *
+ * @param {Object} cache 仓库缓存（见 loadRepoCache）
+ * @returns {Promise<void>}
+ */
+const writeRepoCache = async (cache) => {
+  cache.writing = (cache.writing || Promise.resolve()).then(async () => {
+    try {
+      await writeCacheFile(cache.file, {
+        version: CACHE_VERSION,
+        repo: cache.repo,
+        commits: Object.fromEntries(cache.commits),
+        messages: { key: cache.messages.key, commits: Object.fromEntries(cache.messages.commits) }
+      });
+    } catch (error) {
+      console.error(`写入分析缓存失败: ${cache.file}（${error.message}）`);
+    }
+  });
+  await cache.writing;
+};
+
+/**
+ * 从缓存中读取提交的变更详情
+ * @param {string} repoPath 仓库路径
+ * @param {Array<string>} hashes 提交哈希列表
+ * @returns {Promise<{changes: Map<string, Object>, missing: Array<string>}>} 命中的变更详情和未命中的提交哈希
+ */
+export const getCachedChanges = async (repoPath, hashes) => {
+  const changes = new Map();
+  if (!isCacheEnabled()) {
+    return { changes, missing: hashes };
+  }
+  
+  const cache = await loadRepoCache(repoPath);
+  const missing = [];
+  hashes.forEach(hash => {
+    if (cache.commits.has(hash)) {
+      changes.set(hash, cache.commits.get(hash));
+    } else {
+      missing.push(hash);
+    }
+  });
+  
+  stats.hits += changes.size;
+  stats.misses += missing.length;
+  return { changes, missing };
+};
+
+/**
+ * 将提交的变更详情写入缓存
+ * @param {string} repoPath 仓库路径
+ * @param {Map<string, Object>} changes 提交哈希到变更详情的映射
+ * @returns {Promise<void>}
+ */
+export const saveCachedChanges = async (repoPath, changes) => {
+  if (!isCacheEnabled() || changes.size === 0) {
+    return;
+  }
+  
+  const cache = await loadRepoCache(repoPath);
+  changes.forEach((change, hash) => cache.commits.set(hash, change));
+  
+  await writeRepoCache(cache);
+};
+
+/**
+ * 从缓存中读取提交信息的解析结果
+ * @param {string} repoPath 仓库路径
+ * @param {string} key 解析配置的哈希，与缓存中记录的不同时视为没有缓存
+ * @returns {Promise<Map<string, Object>>} 提交哈希到解析结果的映射
+ */
+export const getCachedMessages = async (repoPath, key) => {
+  if (!isCacheEnabled()) {
+    return new Map();
+  }
+  
+  const cache = await loadRepoCache(repoPath);
+  return cache.messages.key === key ? new Map(cache.messages.commits) : new Map();
+};
+
+/**
+ * 将提交信息的解析结果写入缓存，解析配置改变时替换之前缓存的所有解析结果
+ * @param {string} repoPath 仓库路径
+ * @param {string} key 解析配置的哈希
+ * @param {Map<string, Object>} messages 提交哈希到解析结果的映射
+ * @returns {Promise<void>}
+ */
+export const saveCachedMessages = async (repoPath, key, messages) => {
+  if (!isCacheEnabled() || messages.size === 0) {
+    return;
+  }
+  
+  const cache = await loadRepoCache(repoPath);
+  if (cache.messages.key !== key) {
+    cache.messages = { key, commits: new Map() };
+  }
+  messages.forEach((message, hash) => cache.messages.commits.set(hash, message));
+  await writeRepoCache(cache);
+};
+
+/**
+ * 读取缓存的 AI 生成结果
+ * @param {string} key 缓存键（由输入内容计算的哈希）
+ * @returns {Promise<*|null>} 缓存的结果，未命中时为 null
+ */
+export const getCachedAiResult = async (key) => {
+  if (!isCacheEnabled()) {
+    return null;
+  }
+  
+  const file = path.join(getAiCacheDir(), `${key}.json`);
+  try {
+    if (await fs.pathExists(file)) {
+      const data = await fs.readJson(file);
+      if (data.version === CACHE_VERSION && data.key === key) {
+        return data.value;
+      }
+    }
+  } catch (error) {
+    console.error(`读取 AI 结果缓存失败: ${file}（${error.message}）`);
+  }
+  return null;
+};
+
+/**
+ * 将 AI 生成结果写入缓存
+ * @param {string} key 缓存键
+ * @param {*} value 结果
+ * @returns {Promise<void>}
+ */
+export const saveCachedAiResult = async (key, value) => {
+  if (!isCacheEnabled()) {
+    return;
+  }
+  
+  const file = path.join(getAiCacheDir(), `${key}.json`);
+  try {
+    await writeCacheFile(file, { version: CACHE_VERSION, key, value });
+  } catch (error) {
+    console.error(`写入 AI 结果缓存失败: ${file}（${error.message}）`);
+  }
+};
+
+/**
+ * 获取本次运行的缓存命中统计
+ * @returns {{hits: number, misses: number}} 命中和未命中的提交数
+ */
+export const getCacheStats = () => ({ ...stats });
+
+/**
+ * 清除代码变更分析缓存和 AI 生成结果缓存
+ * @returns {Promise<{dir: string, repositories: number, commits: number, aiResults: number}>} 清除的缓存目录、仓库数、提交数和 AI 结果数
+ */
+export const clearCache = async () => {
+  const dir = getAnalysisCacheDir();
+  const aiDir = getAiCacheDir();
+  const result = { dir: getCacheDir(), repositories: 0, commits: 0, aiResults: 0 };
+  
+  if (await fs.pathExists(aiDir)) {
+    result.aiResults = (await fs.readdir(aiDir)).filter(name => name.endsWith('.json')).length;
+    await fs.remove(aiDir);
+  }
+  if (!await fs.pathExists(dir)) {
+    return result;
+  }
+  
+  for (const name of await fs.readdir(dir)) {
+    if (!name.endsWith('.json')) {
+      continue;
+    }
+    result.repositories++;
+    try {
+      const data = await fs.readJson(path.join(dir, name));
+      result.commits += Object.keys(data.commits || {}).length;
+    } catch (error) {
+      // 损坏的缓存文件同样删除
+    }
+  }
+  
+  await fs.remove(dir);
+  repoCaches.clear();
+  return result;
+};
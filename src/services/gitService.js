@@ -1,8 +1,13 @@
 import { simpleGit } from 'simple-git';
+import { spawn } from 'child_process';
 import path from 'path';
 import fs from 'fs-extra';
 import _ from 'lodash';
-import { isDateInReportRange, formatDate } from '../utils/dateUtils.js';
+import { isDateInReportRange, formatDate, getReportStartDate } from '../utils/dateUtils.js';
+import { resolveAuthor, getAuthorFilterPatterns, matchesAuthorFilters } from '../utils/authorUtils.js';
+import { parsePullRequest, parseCommitMessage, getMergedCommitsTitle, getParserConfigKey } from '../utils/commitParser.js';
+import { createChangeLogParser, CHANGE_LOG_FORMAT } from '../utils/gitLogParser.js';
+import { getCachedChanges, saveCachedChanges, getCachedMessages, saveCachedMessages } from './cacheService.js';
 import config from '../config/default.js';
 
 /**
@@ -37,11 +42,15 @@ export const getRepositoryInfo = async (repoPath) => {
     // 获取最后一次提交
     const lastCommit = await git.log({ maxCount: 1 });
     
+    // 获取需要统计的分支
+    const scannedBranches = await resolveBranches(git, branch.current);
+    
     return {
       path: repoPath,
       name: path.basename(repoPath),
       remote: remote ? remote.refs.fetch : null,
       currentBranch: branch.current,
+      scannedBranches,
       lastCommitDate: lastCommit.latest ? formatDate(lastCommit.latest.date) : null,
       isEmpty: false
     };
@@ -85,145 +94,349 @@ const getCurrentBranch = async (git) => {
 };
 
 /**
- * 获取仓库在指定时间范围内的提交记录
- * @param {string} repoPath 仓库路径
- * @returns {Promise<Array>} 提交记录列表
+ * 构建 git log 的过滤参数
+ *
+ * 时间下限交给 git 的 --since（按提交者时间过滤，提交者时间不早于作者时间，因此不会漏掉提交），
+ * git 在越过下限后即停止遍历历史，不再加载整个仓库的提交记录。
+ * 报告按作者时间统计，提交者时间晚于结束日期的提交（如变基或 cherry-pick 过的提交）仍可能属于报告范围，
+ * 而且提交者时间可以晚任意多天，因此不使用 --until，结束日期只在 JS 中按作者时间精确过滤。
+ *
+ * @param {Object} filters 过滤条件
+ * @param {Array<string>} filters.authors 作者匹配模式（匹配名称或邮箱）
+ * @param {Array<string>} filters.paths 只统计这些路径下的变更
+ * @param {Array<string>} filters.revisions 起始修订版本列表，默认 HEAD
+ * @param {string} filters.mergeCommits 合并提交策略：'include', 'exclude', 'first-parent'
+ * @returns {Array<string>} git log 参数
  */
-export const getCommitsInDateRange = async (repoPath) => {
-  const git = simpleGit(repoPath);
+const buildLogArgs = ({ authors = [], paths = [], revisions = ['HEAD'], mergeCommits = 'include' } = {}) => {
+  const args = [`--since=${getReportStartDate().format()}`];
   
-  try {
-    // 检查仓库是否有提交记录
-    if (!await hasAnyCommits(git)) {
-      return [];
+  // 合并提交的处理策略
+  if (mergeCommits === 'exclude') {
+    args.push('--no-merges');
+  } else if (mergeCommits === 'first-parent') {
+    args.push('--first-parent');
+  }
+  
+  if (authors.length > 0) {
+    // 多个 --author 之间为“或”的关系，按扩展正则不区分大小写匹配
+    args.push('--regexp-ignore-case', '--extended-regexp');
+    authors.forEach(author => args.push(`--author=${author}`));
+  }
+  args.push(...revisions);
+  
+  if (paths.length > 0) {
+    args.push('--', ...paths);
+  }
+  
+  return args;
+};
+
+/**
+ * 获取仓库的根提交（没有父提交的提交）
+ * @param {SimpleGit} git SimpleGit 实例
+ * @param {Array<string>} revisions 起始修订版本列表
+ * @returns {Promise<Set<string>>} 根提交哈希集合
+ */
+const getRootCommits = async (git, revisions = ['HEAD']) => {
+  const output = await git.raw(['rev-list', '--max-parents=0', ...revisions]);
+  return new Set(output.split('\n').map(line => line.trim()).filter(Boolean));
+};
+
+/**
+ * 解析配置中的分支范围，返回需要统计的分支列表
+ *
+ * config.branches 支持：
+ * - 'current'：只统计当前分支（HEAD），默认值
+ * - 'all'：所有本地分支
+ * - 'remote'：所有远程跟踪分支
+ * - 分支名称或通配符列表（数组或逗号分隔的字符串），如 ['main', 'feature/*']，
+ *   同时匹配本地分支和任意远程上的同名远程跟踪分支（如 origin/feature/*），
+ *   也可以写出远程名称只匹配该远程的分支（如 origin/main）
+ *
+ * @param {SimpleGit} git SimpleGit 实例
+ * @param {string} currentBranch 当前分支名称
+ * @param {string|Array<string>} spec 分支范围，默认读取 config.branches
+ * @returns {Promise<Array<{name: string, ref: string}>>} 分支名称及其完整引用
+ */
+export const resolveBranches = async (git, currentBranch, spec = config.branches) => {
+  const patterns = Array.isArray(spec)
+    ? spec
+    : String(spec || 'current').split(',').map(item => item.trim()).filter(Boolean);
+  
+  if (patterns.length === 0 || (patterns.length === 1 && patterns[0] === 'current')) {
+    return [{ name: currentBranch || 'HEAD', ref: 'HEAD' }];
+  }
+  
+  const refPatterns = patterns.flatMap(pattern => {
+    switch (pattern) {
+      case 'all': return ['refs/heads/'];
+      case 'remote': return ['refs/remotes/'];
+      case 'current': return [];
+      default: return [`refs/heads/${pattern}`, `refs/remotes/*/${pattern}`, `refs/remotes/${pattern}`];
     }
-    
-    // 获取所有提交记录
-    const log = await git.log();
-    
-    // 过滤出在时间范围内的提交
-    const filteredCommits = log.all.filter(commit => 
-      isDateInReportRange(commit.date)
-    );
-    
-    return filteredCommits.map(commit => ({
-      hash: commit.hash,
-      date: formatDate(commit.date),
-      message: commit.message,
-      author: commit.author_name,
-      email: commit.author_email,
-      isFirstCommit: isFirstCommit(log.all, commit.hash)
-    }));
-  } catch (error) {
-    console.error(`获取提交记录时出错: ${repoPath}`, error);
-    return [];
+  });
+  
+  const output = refPatterns.length > 0
+    ? await git.raw(['for-each-ref', '--format=%(refname)%09%(refname:short)', ...refPatterns])
+    : '';
+  const branches = output.split('\n')
+    .filter(line => line.trim() !== '')
+    .map(line => {
+      const [ref, name] = line.split('\t');
+      return { name, ref };
+    })
+    // 跳过 origin/HEAD 这类符号引用
+    .filter(branch => !branch.ref.endsWith('/HEAD'));
+  
+  if (patterns.includes('current')) {
+    branches.unshift({ name: currentBranch || 'HEAD', ref: 'HEAD' });
   }
+  
+  return _.uniqBy(branches, 'name');
 };
 
 /**
- * 检查是否为首次提交
- * @param {Array} allCommits 所有提交记录
- * @param {string} commitHash 提交哈希
- * @returns {boolean} 是否为首次提交
+ * 获取报告范围内的合并提交（有多个父提交的提交）
+ * @param {SimpleGit} git SimpleGit 实例
+ * @param {Object} filters 过滤条件
+ * @returns {Promise<Set<string>>} 合并提交哈希集合
+ */
+const getMergeCommits = async (git, filters) => {
+  const output = await git.raw(['rev-list', '--min-parents=2', ...buildLogArgs(filters)]);
+  return new Set(output.split('\n').map(line => line.trim()).filter(Boolean));
+};
+
+/**
+ * 获取每个分支在报告范围内包含的提交，用于标记提交所在的分支
+ * @param {SimpleGit} git SimpleGit 实例
+ * @param {Array<{name: string, ref: string}>} branches 分支列表
+ * @param {Object} filters 过滤条件
+ * @returns {Promise<Map<string, Array<string>>>} 提交哈希到分支名称列表的映射
  */
-const isFirstCommit = (allCommits, commitHash) => {
-  // 找到当前提交在数组中的索引
-  const index = allCommits.findIndex(commit => commit.hash === commitHash);
+const getCommitBranches = async (git, branches, filters) => {
+  const commitBranches = new Map();
   
-  // 如果是数组中的最后一个元素，则认为是首次提交
-  // 注意：git log 默认按时间倒序排列，所以最早的提交在数组末尾
-  return index === allCommits.length - 1;
+  for (const branch of branches) {
+    const output = await git.raw(['rev-list', ...buildLogArgs({ ...filters, revisions: [branch.ref] })]);
+    output.split('\n').filter(Boolean).forEach(hash => {
+      if (!commitBranches.has(hash)) {
+        commitBranches.set(hash, []);
+      }
+      commitBranches.get(hash).push(branch.name);
+    });
+  }
+  
+  return commitBranches;
 };
 
 /**
- * 获取提交的详细变更
+ * 获取合并提交带入的提交（第二个及之后的父提交可达、但第一个父提交不可达的提交）
+ * @param {SimpleGit} git SimpleGit 实例
+ * @param {string} mergeHash 合并提交哈希
+ * @returns {Promise<Array<Object>>} 带入的提交列表
+ */
+const getMergedCommits = async (git, mergeHash) => {
+  const output = await git.raw([
+    'log',
+    '--format=%H%x09%aI%x09%aN%x09%aE%x09%s',
+    `${mergeHash}^@`,
+    `^${mergeHash}^1`
+  ]);
+  
+  return output.split('\n')
+    .filter(line => line.trim() !== '')
+    .map(line => {
+      const [hash, date, name, email, ...subject] = line.split('\t');
+      const author = resolveAuthor(name, email);
+      return {
+        hash,
+        date: formatDate(date),
+        // ISO 8601 格式的作者时间，保留作者所在时区
+        timestamp: date,
+        message: subject.join('\t'),
+        author: author.name,
+        email: author.email
+      };
+    });
+};
+
+/**
+ * 获取仓库在指定时间范围内的提交记录
+ *
+ * 统计多个分支时，同一个提交只出现一次，并在 branches 中记录包含它的所有分支。
+ *
  * @param {string} repoPath 仓库路径
- * @param {string} commitHash 提交哈希
- * @param {boolean} isFirstCommit 是否为首次提交
- * @returns {Promise<Object>} 变更详情
+ * @param {Object} filters 过滤条件，默认使用配置中的路径、作者和团队过滤
+ * @param {Array<{name: string, ref: string}>} filters.branches 需要统计的分支，默认按 config.branches 解析
+ * @returns {Promise<Array>} 提交记录列表
  */
-export const getCommitDetails = async (repoPath, commitHash, isFirstCommit) => {
+export const getCommitsInDateRange = async (repoPath, filters = {}) => {
   const git = simpleGit(repoPath);
+  const { branches: branchFilter, ...otherFilters } = filters;
   
   try {
-    // 获取提交的详细信息
-    const show = await git.show([commitHash]);
-    
-    // 获取变更的文件列表
-    let changedFiles = [];
+    // 检查仓库是否有提交记录
+    if (!await hasAnyCommits(git)) {
+      return [];
+    }
     
-    if (isFirstCommit) {
-      // 对于首次提交，使用特殊处理
-      const files = await git.raw(['ls-tree', '--name-status', '-r', commitHash]);
-      changedFiles = parseFirstCommitFiles(files);
-    } else {
-      // 对于非首次提交，使用常规方法
-      const diff = await git.diff([`${commitHash}^`, commitHash, '--name-status']);
-      changedFiles = parseGitDiff(diff);
+    const branches = branchFilter || await resolveBranches(git, await getCurrentBranch(git));
+    if (branches.length === 0) {
+      return [];
     }
     
-    return {
-      hash: commitHash,
-      details: show,
-      changedFiles
+    const logFilters = {
+      paths: config.includePaths,
+      authors: getAuthorFilterPatterns(),
+      revisions: branches.map(branch => branch.ref),
+      mergeCommits: config.mergeCommits,
+      ...otherFilters
     };
+    
+    // 由 git 完成时间、作者和路径过滤
+    const log = await git.log(buildLogArgs(logFilters));
+    
+    // 按作者时间精确过滤，作者和团队按规范身份精确过滤（git 的 --author 过滤只是预先缩小范围）
+    const filteredCommits = log.all.filter(commit => 
+      isDateInReportRange(commit.date) && matchesAuthorFilters(commit.author_name, commit.author_email)
+    );
+    
+    if (filteredCommits.length === 0) {
+      return [];
+    }
+    
+    const rootCommits = await getRootCommits(git, logFilters.revisions);
+    const mergeCommits = logFilters.mergeCommits === 'exclude'
+      ? new Set()
+      : await getMergeCommits(git, logFilters);
+    
+    // 只有一个分支时所有提交都属于该分支，无需逐个分支查询
+    const commitBranches = branches.length > 1
+      ? await getCommitBranches(git, branches, logFilters)
+      : null;
+    
+    // 提交信息的解析结果按解析配置缓存，合并请求标题补全需要的 git 调用也只在首次解析时执行
+    const parserKey = getParserConfigKey();
+    const cachedMessages = await getCachedMessages(repoPath, parserKey);
+    const parsedMessages = new Map();
+    
+    const commits = [];
+    for (const commit of filteredCommits) {
+      // author_name/author_email 来自 %aN/%aE，已按仓库的 .mailmap 映射
+      const author = resolveAuthor(commit.author_name, commit.author_email);
+      const isMerge = mergeCommits.has(commit.hash);
+      // first-parent 模式下每个合并提交作为一项工作，列出它带入的提交
+      const mergedCommits = isMerge && logFilters.mergeCommits === 'first-parent'
+        ? await getMergedCommits(git, commit.hash)
+        : [];
+      
+      let parsed = cachedMessages.get(commit.hash);
+      if (!parsed) {
+        const pullRequest = parsePullRequest(commit.message, commit.body);
+        if (pullRequest && !pullRequest.title) {
+          // 合并提交没有正文时，用它带入的提交标题作为合并请求标题
+          const merged = isMerge && mergedCommits.length === 0 ? await getMergedCommits(git, commit.hash) : mergedCommits;
+          pullRequest.title = getMergedCommitsTitle(merged.map(item => item.message));
+        }
+        parsed = {
+          pullRequest,
+          // 合并请求的标题比合并提交本身的标题更能说明变更类型
+          conventional: parseCommitMessage(pullRequest ? pullRequest.title : commit.message, commit.body)
+        };
+        parsedMessages.set(commit.hash, parsed);
+      }
+      
+      commits.push({
+        hash: commit.hash,
+        date: formatDate(commit.date),
+        // ISO 8601 格式的作者时间，保留作者所在时区
+        timestamp: commit.date,
+        message: commit.message,
+        author: author.name,
+        email: author.email,
+        team: author.team,
+        branches: commitBranches ? (commitBranches.get(commit.hash) || []) : [branches[0].name],
+        isFirstCommit: rootCommits.has(commit.hash),
+        isMerge,
+        pullRequest: parsed.pullRequest,
+        conventional: parsed.conventional,
+        mergedCommits
+      });
+    }
+    
+    await saveCachedMessages(repoPath, parserKey, parsedMessages);
+    return commits;
   } catch (error) {
-    console.error(`获取提交详情时出错: ${repoPath}, ${commitHash}`, error);
-    return {
-      hash: commitHash,
-      error: error.message
-    };
+    console.error(`获取提交记录时出错: ${repoPath}`, error);
+    return [];
   }
 };
 
 /**
- * 解析首次提交的文件列表
- * @param {string} output git ls-tree 输出
- * @returns {Array} 变更文件列表
+ * 通过一次流式 git log 获取多个提交的变更详情
+ *
+ * 使用 `git log --no-walk --stdin --raw --numstat` 一次性读取所有提交的文件状态和增删行数，
+ * 替代逐个提交调用 diff/show。根提交通过 --root 与空树比较，
+ * 合并提交只与第一个父提交比较（与 `commit^` 的比较结果一致）。
+ * 注意 --name-status 会覆盖 --numstat 的输出，因此这里使用格式等价的 --raw。
+ *
+ * @param {string} repoPath 仓库路径
+ * @param {Array<string>} hashes 提交哈希列表
+ * @returns {Promise<Map<string, Object>>} 提交哈希到变更详情的映射
  */
-const parseFirstCommitFiles = (output) => {
-  const lines = output.split('\n').filter(line => line.trim() !== '');
-  
-  return lines.map(line => {
-    // 提取文件路径，格式通常是 "100644 blob hash\tfilepath"
-    const parts = line.split('\t');
-    const filePath = parts.length > 1 ? parts[1] : '';
+export const getCommitChanges = (repoPath, hashes) => {
+  return new Promise((resolve, reject) => {
+    const parser = createChangeLogParser();
+    const child = spawn('git', [
+      'log',
+      '-z',
+      '--no-walk=unsorted',
+      '--stdin',
+      '--root',
+      '--diff-merges=first-parent',
+      '-M',
+      '--raw',
+      '--numstat',
+      CHANGE_LOG_FORMAT
+    ], { cwd: repoPath });
     
-    return {
-      path: filePath,
-      type: '新增',
-      status: 'A'
-    };
+    let stderr = '';
+    child.stdout.setEncoding('utf8');
+    child.stdout.on('data', chunk => parser.push(chunk));
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', reject);
+    child.on('close', code => {
+      if (code !== 0) {
+        reject(new Error(`git log 执行失败 (退出码 ${code}): ${stderr.trim()}`));
+        return;
+      }
+      resolve(parser.end());
+    });
+    
+    child.stdin.on('error', () => {
+      // git 提前退出时忽略写入错误，由 close 事件报告失败原因
+    });
+    child.stdin.end(hashes.join('\n') + '\n');
   });
 };
 
 /**
- * 解析 Git diff 输出
- * @param {string} diffOutput Git diff 输出
- * @returns {Array} 变更文件列表
+ * 判断文件是否位于 includePaths 指定的路径下
+ *
+ * git log 的路径过滤只筛选提交，提交中其他路径的文件仍会出现在变更列表中，因此统计时按相同的路径再过滤一次。
+ *
+ * @param {string} filePath 文件路径（相对于仓库根目录）
+ * @param {Array<string>} includePaths 路径列表，为空时包含所有文件
+ * @returns {boolean} 是否包含
  */
-const parseGitDiff = (diffOutput) => {
-  const lines = diffOutput.split('\n').filter(line => line.trim() !== '');
-  
-  return lines.map(line => {
-    const [status, ...fileParts] = line.split('\t');
-    const filePath = fileParts.join('\t');
-    
-    let changeType;
-    switch (status.charAt(0)) {
-      case 'A': changeType = '新增'; break;
-      case 'M': changeType = '修改'; break;
-      case 'D': changeType = '删除'; break;
-      case 'R': changeType = '重命名'; break;
-      case 'C': changeType = '复制'; break;
-      default: changeType = '未知';
-    }
-    
-    return {
-      path: filePath,
-      type: changeType,
-      status
-    };
+const isIncludedPath = (filePath, includePaths = config.includePaths || []) => {
+  if (includePaths.length === 0) {
+    return true;
+  }
+  return includePaths.some(includePath => {
+    const prefix = includePath.replace(/^\.\//, '').replace(/\/+$/, '');
+    return prefix === '' || prefix === '.' || filePath === prefix || filePath.startsWith(`${prefix}/`);
   });
 };
 
@@ -238,7 +451,6 @@ export const analyzeCodeChanges = async (repoPath, commits) => {
     return null;
   }
   
-  const git = simpleGit(repoPath);
   const analysis = {
     totalCommits: commits.length,
     totalFilesChanged: 0,
@@ -257,98 +469,97 @@ export const analyzeCodeChanges = async (repoPath, commits) => {
     commitsByAuthor: {}
   };
   
-  // 获取所有变更的文件
-  const allChangedFiles = [];
+  // 缓存中没有的提交一次性获取变更
+  let changes;
+  try {
+    const cached = await getCachedChanges(repoPath, commits.map(commit => commit.hash));
+    changes = cached.changes;
+    if (cached.missing.length > 0) {
+      const fresh = await getCommitChanges(repoPath, cached.missing);
+      fresh.forEach((change, hash) => changes.set(hash, change));
+      await saveCachedChanges(repoPath, fresh);
+    }
+  } catch (error) {
+    console.error(`分析提交时出错: ${repoPath}`, error);
+    return null;
+  }
+  
+  // 按文件汇总的变更统计
+  const fileStats = {};
   
   for (const commit of commits) {
-    try {
-      // 获取变更的文件
-      let changedFiles = [];
+    const change = changes.get(commit.hash) || { files: [], additions: 0, deletions: 0 };
+    
+    // 只统计 includePaths 下的文件，文件列表和行数统计保持一致
+    const files = change.files.filter(file => isIncludedPath(file.path));
+    const additions = _.sumBy(files, 'additions');
+    const deletions = _.sumBy(files, 'deletions');
+    
+    // 在提交记录上保存行变更统计
+    commit.additions = additions;
+    commit.deletions = deletions;
+    commit.filesChanged = files.length;
+    
+    // 更新行变更统计
+    analysis.lineChanges.additions += additions;
+    analysis.lineChanges.deletions += deletions;
+    
+    // 更新文件变更统计
+    files.forEach(file => {
+      // 统计文件类型
+      const ext = path.extname(file.path).toLowerCase();
+      if (ext && !config.ignoreFileTypes.includes(ext)) {
+        analysis.fileTypes[ext] = (analysis.fileTypes[ext] || 0) + 1;
+      }
       
-      if (commit.isFirstCommit) {
-        // 对于首次提交，使用特殊处理
-        const files = await git.raw(['ls-tree', '--name-status', '-r', commit.hash]);
-        changedFiles = parseFirstCommitFiles(files);
-        
-        // 获取首次提交的统计信息
-        const show = await git.show([commit.hash, '--stat']);
-        // 简单解析统计信息，格式通常是 "n files changed, n insertions(+), n deletions(-)"
-        const statMatch = show.match(/(\d+) files? changed(?:, (\d+) insertions?\(\+\))?(?:, (\d+) deletions?\(-\))?/);
-        
-        if (statMatch) {
-          analysis.lineChanges.additions += parseInt(statMatch[2] || 0, 10);
-          analysis.lineChanges.deletions += parseInt(statMatch[3] || 0, 10);
-        }
-      } else {
-        // 对于非首次提交，使用常规方法
-        const stats = await git.diffSummary([`${commit.hash}^`, commit.hash]);
-        
-        // 更新行变更统计
-        analysis.lineChanges.additions += stats.insertions;
-        analysis.lineChanges.deletions += stats.deletions;
-        
-        // 获取变更的文件
-        const diff = await git.diff([`${commit.hash}^`, commit.hash, '--name-status']);
-        changedFiles = parseGitDiff(diff);
+      // 统计变更类型
+      switch (file.type) {
+        case '新增': analysis.fileChanges.added++; break;
+        case '修改': analysis.fileChanges.modified++; break;
+        case '删除': analysis.fileChanges.deleted++; break;
+        case '重命名': analysis.fileChanges.renamed++; break;
       }
       
-      // 更新文件变更统计
-      changedFiles.forEach(file => {
-        // 统计文件类型
-        const ext = path.extname(file.path).toLowerCase();
-        if (ext && !config.ignoreFileTypes.includes(ext)) {
-          analysis.fileTypes[ext] = (analysis.fileTypes[ext] || 0) + 1;
-        }
-        
-        // 统计变更类型
-        switch (file.type) {
-          case '新增': analysis.fileChanges.added++; break;
-          case '修改': analysis.fileChanges.modified++; break;
-          case '删除': analysis.fileChanges.deleted++; break;
-          case '重命名': analysis.fileChanges.renamed++; break;
-        }
-        
-        // 记录变更的文件
-        allChangedFiles.push({
+      // 记录文件的变更次数和行数
+      if (!fileStats[file.path]) {
+        fileStats[file.path] = {
           path: file.path,
-          type: file.type,
-          commit: commit.hash
-        });
-      });
-      
-      // 更新作者统计
-      const author = commit.author;
-      if (!analysis.commitsByAuthor[author]) {
-        analysis.commitsByAuthor[author] = {
-          commits: 0,
+          count: 0,
           additions: 0,
-          deletions: 0
+          deletions: 0,
+          binary: file.binary
         };
       }
-      analysis.commitsByAuthor[author].commits++;
-      
-      // 如果是首次提交，我们已经在上面更新了行变更统计
-      if (!commit.isFirstCommit) {
-        const stats = await git.diffSummary([`${commit.hash}^`, commit.hash]);
-        analysis.commitsByAuthor[author].additions += stats.insertions;
-        analysis.commitsByAuthor[author].deletions += stats.deletions;
-      }
-      
-    } catch (error) {
-      console.error(`分析提交时出错: ${repoPath}, ${commit.hash}`, error);
-      // 继续处理下一个提交
+      fileStats[file.path].count++;
+      fileStats[file.path].additions += file.additions;
+      fileStats[file.path].deletions += file.deletions;
+    });
+    
+    // 更新作者统计
+    const author = commit.author;
+    if (!analysis.commitsByAuthor[author]) {
+      analysis.commitsByAuthor[author] = {
+        email: commit.email,
+        team: commit.team,
+        commits: 0,
+        additions: 0,
+        deletions: 0
+      };
     }
+    analysis.commitsByAuthor[author].commits++;
+    analysis.commitsByAuthor[author].additions += additions;
+    analysis.commitsByAuthor[author].deletions += deletions;
   }
   
   // 计算总变更文件数
-  analysis.totalFilesChanged = _.uniqBy(allChangedFiles, 'path').length;
+  analysis.totalFilesChanged = Object.keys(fileStats).length;
   
   // 找出变更最多的文件
-  const fileChangeCounts = _.countBy(allChangedFiles, 'path');
-  analysis.mostChangedFiles = Object.entries(fileChangeCounts)
-    .map(([path, count]) => ({ path, count }))
-    .sort((a, b) => b.count - a.count)
-    .slice(0, 5);
+  analysis.mostChangedFiles = _.orderBy(
+    Object.values(fileStats),
+    ['count', file => file.additions + file.deletions],
+    ['desc', 'desc']
+  ).slice(0, 5);
   
   return analysis;
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,274 @@
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import moment from 'moment';
+import _ from 'lodash';
+import { toJsonReport } from '../formatters/jsonFormatter.js';
+import config from '../config/default.js';
+
+// 报告历史文件名（位于输出目录下，每行一条 JSON 记录）
+export const HISTORY_FILENAME = 'history.jsonl';
+
+// 历史序列支持的统计维度
+export const SERIES_DIMENSIONS = ['week', 'author', 'repo'];
+
+/**
+ * 获取报告历史文件路径
+ * @returns {string} 文件路径
+ */
+export const getHistoryPath = () => path.join(path.resolve(config.outputPath), HISTORY_FILENAME);
+
+/**
+ * 将分支范围转换为统一的文本，如 current、main,feature/*
+ * @param {string|Array<string>} branches 分支范围
+ * @returns {string} 分支范围文本
+ */
+const toBranchesText = (branches) => {
+  const items = Array.isArray(branches) ? branches : String(branches || 'current').split(',');
+  return items.map(item => item.trim()).filter(Boolean).sort().join(',') || 'current';
+};
+
+/**
+ * 获取报告的统计范围标识，如 all、team:backend、author:张三
+ *
+ * 除作者和团队过滤外，路径过滤、分支范围和合并提交策略与默认值（全部路径、current、include）不同时
+ * 同样计入统计范围，统计口径不同的报告不会互相覆盖，也不会在历史序列中混在一起。
+ *
+ * @param {Object} report JSON 报告对象
+ * @returns {string} 统计范围标识
+ */
+export const getScopeKey = (report) => {
+  const parts = [];
+  if (report.filters.team) {
+    parts.push(`team:${report.filters.team}`);
+  }
+  if (report.filters.authors.length > 0) {
+    parts.push(`authors:${[...report.filters.authors].sort().join(',')}`);
+  }
+  if (report.filters.author) {
+    parts.push(`author:${report.filters.author}`);
+  }
+  if (config.includePaths?.length > 0) {
+    parts.push(`paths:${[...config.includePaths].sort().join(',')}`);
+  }
+  const branches = toBranchesText(config.branches);
+  if (branches !== 'current') {
+    parts.push(`branches:${branches}`);
+  }
+  if (config.mergeCommits && config.mergeCommits !== 'include') {
+    parts.push(`merge:${config.mergeCommits}`);
+  }
+  return parts.length > 0 ? parts.join(';') : 'all';
+};
+
+/**
+ * 从 JSON 报告中提取历史记录
+ *
+ * 历史只保存汇总指标，不保存完整报告：运行记录包含汇总统计、贡献者和仓库的提交数及增删行数；
+ * 提交记录只包含生成历史序列需要的作者、时间和增删行数，同一提交在整个历史文件中只保存一份。
+ *
+ * @param {Object} report JSON 报告对象
+ * @param {Object} meta 运行记录的其他字段（id、key、scope、recordedAt、files）
+ * @returns {{run: Object, commits: Array<Object>}} 运行记录和提交记录
+ */
+const toHistoryRecords = (report, meta) => {
+  const activeRepos = report.repositories.filter(repo => repo.commits.length > 0);
+  const run = {
+    type: 'run',
+    ...meta,
+    range: report.range,
+    summary: _.pick(report.summary, ['repositories', 'repositoriesWithCommits', 'commits', 'filesChanged', 'additions', 'deletions']),
+    contributors: report.contributors.map(item => _.pick(item, ['name', 'commits', 'additions', 'deletions'])),
+    repositories: activeRepos.map(repo => ({
+      name: repo.name,
+      commits: repo.commits.length,
+      additions: repo.stats?.additions ?? null,
+      deletions: repo.stats?.deletions ?? null
+    }))
+  };
+  
+  const commits = activeRepos.flatMap(repo => repo.commits.map(commit => ({
+    type: 'commit',
+    id: `${repo.path}:${commit.hash}`,
+    repo: repo.name,
+    author: commit.author,
+    date: commit.date,
+    additions: commit.stats?.additions || 0,
+    deletions: commit.stats?.deletions || 0,
+    scopes: [meta.scope]
+  })));
+  
+  return { run, commits };
+};
+
+/**
+ * 合并提交记录，同一提交合并其所属的统计范围，其他字段以后记录的为准
+ * @param {Map<string, Object>} commits 已有的提交记录（按 id 索引），会被修改
+ * @param {Array<Object>} records 新的提交记录
+ */
+const mergeCommitRecords = (commits, records) => {
+  records.forEach(record => {
+    const existing = commits.get(record.id);
+    commits.set(record.id, { ...record, scopes: _.union(existing?.scopes || [], record.scopes) });
+  });
+};
+
+/**
+ * 读取报告历史
+ *
+ * 历史文件每行一条记录：运行记录（type 为 run）或提交记录（type 为 commit）。
+ * 旧版本的历史文件每行保存一份完整的 JSON 报告，读取时转换为运行记录和提交记录。
+ *
+ * @returns {Promise<{runs: Array<Object>, commits: Array<Object>}>} 运行记录（按时间范围排序）和提交记录
+ */
+export const readHistory = async () => {
+  const historyPath = getHistoryPath();
+  if (!await fs.pathExists(historyPath)) {
+    return { runs: [], commits: [] };
+  }
+  
+  const content = await fs.readFile(historyPath, 'utf8');
+  const runs = [];
+  const commits = new Map();
+  content.split('\n').forEach((line, index) => {
+    if (line.trim() === '') {
+      return;
+    }
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      console.error(`报告历史第 ${index + 1} 行格式错误，已跳过: ${error.message}`);
+      return;
+    }
+    
+    if (record.type === 'commit') {
+      mergeCommitRecords(commits, [record]);
+    } else if (record.type === 'run') {
+      runs.push(record);
+    } else if (record.report) {
+      const { report, ...meta } = record;
+      const converted = toHistoryRecords(report, meta);
+      runs.push(converted.run);
+      mergeCommitRecords(commits, converted.commits);
+    }
+  });
+  
+  return {
+    runs: _.sortBy(runs, [run => run.range.start, run => run.scope]),
+    commits: [...commits.values()]
+  };
+};
+
+/**
+ * 将本次运行的报告数据写入报告历史
+ *
+ * 运行记录以时间范围和统计范围为键，同一周期、同一范围重复生成时覆盖之前的记录；
+ * 提交记录按仓库和提交哈希去重，时间范围重叠的多次运行不会重复保存同一个提交。
+ *
+ * @param {Object} reportData 报告数据
+ * @param {string[]} files 本次生成的报告文件
+ * @returns {Promise<Object>} 写入的运行记录
+ */
+export const recordHistory = async (reportData, files = []) => {
+  const report = toJsonReport(reportData);
+  const scope = getScopeKey(report);
+  const key = `${report.range.start}~${report.range.end}|${scope}`;
+  const { run, commits } = toHistoryRecords(report, {
+    id: crypto.createHash('sha1').update(key).digest('hex').slice(0, 8),
+    key,
+    scope,
+    recordedAt: moment().format(),
+    files
+  });
+  
+  const history = await readHistory();
+  const runs = [...history.runs.filter(item => item.key !== key), run];
+  const commitIndex = new Map(history.commits.map(commit => [commit.id, commit]));
+  mergeCommitRecords(commitIndex, commits);
+  const records = [...runs, ..._.sortBy([...commitIndex.values()], 'date')];
+  
+  // 先写入临时文件再替换，避免中途失败损坏历史文件；临时文件名包含进程号和随机后缀，同时运行的多个进程不会互相覆盖
+  const historyPath = getHistoryPath();
+  const tempPath = `${historyPath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  await fs.ensureDir(path.dirname(historyPath));
+  try {
+    await fs.writeFile(tempPath, records.map(item => JSON.stringify(item)).join('\n') + '\n', 'utf8');
+    await fs.rename(tempPath, historyPath);
+  } catch (error) {
+    await fs.remove(tempPath).catch(() => {});
+    throw error;
+  }
+  
+  return run;
+};
+
+/**
+ * 按编号或周期名称查找历史记录
+ * @param {Array<Object>} entries 运行记录列表
+ * @param {string} id 记录编号（可以是前缀）或周期名称
+ * @returns {Object|null} 历史记录，有多条匹配时返回最近生成的一条
+ */
+export const findHistoryEntry = (entries, id) => {
+  const matches = entries.filter(entry => entry.id.startsWith(id) || entry.range.period === id);
+  return _.maxBy(matches, entry => entry.recordedAt) || null;
+};
+
+/**
+ * 汇总报告历史中的提交，生成按周的统计序列
+ *
+ * 多次运行的时间范围可能重叠，提交记录已按仓库和提交哈希去重；提交按作者时间归入 ISO 周。
+ *
+ * @param {{commits: Array<Object>}} history 报告历史（readHistory 的结果）
+ * @param {Object} options 选项
+ * @param {string} options.by 统计维度：week（每周汇总）、author（每位贡献者每周的提交数）、repo（每个仓库每周的提交数）
+ * @param {number} options.weeks 最多显示的周数（取最近的周）
+ * @param {string} options.scope 统计范围标识，默认 all
+ * @returns {{by: string, scope: string, weeks: string[], rows: Array<Object>}} 统计序列
+ */
+export const buildHistorySeries = (history, { by = 'week', weeks = 12, scope = 'all' } = {}) => {
+  const commits = history.commits
+    .filter(commit => commit.scopes.includes(scope))
+    .map(commit => ({ ...commit, week: moment(commit.date).format('GGGG-[W]WW') }));
+  
+  const weekLabels = _.uniq(commits.map(commit => commit.week)).sort().slice(-weeks);
+  const inRange = commits.filter(commit => weekLabels.includes(commit.week));
+  
+  if (by === 'week') {
+    const byWeek = _.groupBy(inRange, 'week');
+    return {
+      by,
+      scope,
+      weeks: weekLabels,
+      rows: weekLabels.map(week => {
+        const items = byWeek[week] || [];
+        return {
+          week,
+          commits: items.length,
+          additions: _.sumBy(items, 'additions'),
+          deletions: _.sumBy(items, 'deletions'),
+          activeRepos: _.uniqBy(items, 'repo').length,
+          contributors: _.uniqBy(items, 'author').length
+        };
+      })
+    };
+  }
+  
+  const field = by === 'author' ? 'author' : 'repo';
+  const groups = _.groupBy(inRange, field);
+  const rows = Object.entries(groups).map(([name, items]) => {
+    const counts = _.countBy(items, 'week');
+    return {
+      name,
+      total: items.length,
+      commits: weekLabels.map(week => counts[week] || 0)
+    };
+  });
+  
+  return {
+    by,
+    scope,
+    weeks: weekLabels,
+    rows: _.orderBy(rows, ['total', 'name'], ['desc', 'asc'])
+  };
+};
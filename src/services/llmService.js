@@ -0,0 +1,461 @@
+import OpenAI, { AzureOpenAI } from 'openai';
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs-extra';
+import chalk from 'chalk';
+import config, { PROVIDER_TYPES } from '../config/default.js';
+
+// Ollama 的默认地址
+const DEFAULT_OLLAMA_URL = 'http://localhost:11434';
+
+// Azure OpenAI 的默认接口版本
+const DEFAULT_AZURE_API_VERSION = '2024-10-21';
+
+/**
+ * 创建模型调用错误
+ * @param {string} message 错误信息
+ * @param {Object} options 错误属性
+ * @param {number|null} options.status HTTP 状态码（网络错误和超时时为 null）
+ * @param {boolean} options.retryable 是否可以重试
+ * @param {number|null} options.retryAfter 服务端要求的等待时间（毫秒）
+ * @param {boolean} options.partial 是否已经通过 onToken 输出了部分内容
+ * @returns {Error} 错误对象
+ */
+const createLlmError = (message, { status = null, retryable = false, retryAfter = null, partial = false } = {}) => {
+  return Object.assign(new Error(message), { isLlmError: true, status, retryable, retryAfter, partial });
+};
+
+/**
+ * 判断 HTTP 状态码是否可以重试（限流和服务端错误）
+ * @param {number|null} status HTTP 状态码
+ * @returns {boolean} 是否可以重试
+ */
+const isRetryableStatus = (status) => status === 408 || status === 429 || (status >= 500 && status < 600);
+
+/**
+ * 解析 Retry-After 响应头
+ * @param {string|null|undefined} value 响应头的值（秒数或 HTTP 日期）
+ * @returns {number|null} 等待时间（毫秒）
+ */
+const parseRetryAfter = (value) => {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * 将 OpenAI SDK 抛出的错误转换为模型调用错误
+ * @param {Error} error SDK 错误
+ * @returns {Error} 模型调用错误
+ */
+const toLlmError = (error) => {
+  if (error.isLlmError) {
+    return error;
+  }
+  if (error instanceof OpenAI.APIError && error.status) {
+    return createLlmError(error.message, {
+      status: error.status,
+      retryable: isRetryableStatus(error.status),
+      retryAfter: parseRetryAfter(error.headers?.['retry-after'])
+    });
+  }
+  // 网络错误和超时
+  return createLlmError(error.message, { retryable: true });
+};
+
+/**
+ * 读取提供方的 API 密钥（apiKeyEnv 指定从环境变量读取）
+ * @param {Object} options 提供方配置
+ * @returns {string} API 密钥
+ */
+const getApiKey = (options) => (options.apiKeyEnv ? process.env[options.apiKeyEnv] : options.apiKey) || '';
+
+/**
+ * 通过 OpenAI SDK 发送流式对话请求
+ * @param {OpenAI} client SDK 客户端
+ * @param {string} model 模型
+ * @param {Array<Object>} messages 对话消息
+ * @param {Object} options 请求选项
+ * @returns {Promise<string>} 模型回复
+ */
+const streamChatCompletion = async (client, model, messages, { temperature, maxTokens, signal, onToken }) => {
+  try {
+    const stream = await client.chat.completions.create({
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      stream: true
+    }, { signal });
+    
+    let content = '';
+    for await (const chunk of stream) {
+      const token = chunk.choices[0]?.delta?.content || '';
+      if (token) {
+        content += token;
+        onToken?.(token);
+      }
+    }
+    return content;
+  } catch (error) {
+    throw toLlmError(error);
+  }
+};
+
+/**
+ * 各类型提供方的实现
+ *
+ * validate(options) 返回配置错误（为 null 表示可用），create(options) 返回 chat(messages, requestOptions) 函数。
+ */
+const PROVIDERS = {
+  // OpenAI 兼容接口（OpenAI、llama.cpp server、vLLM 等）
+  openai: {
+    validate: (options) => {
+      if (!getApiKey(options)) return '未设置 API 密钥';
+      if (!options.model) return '未设置模型';
+      return null;
+    },
+    create: (options) => {
+      const client = new OpenAI({ apiKey: getApiKey(options), baseURL: options.baseURL || undefined, maxRetries: 0 });
+      return (messages, requestOptions) => streamChatCompletion(client, options.model, messages, requestOptions);
+    }
+  },
+  
+  // Azure OpenAI（按部署名称调用）
+  azure: {
+    validate: (options) => {
+      if (!getApiKey(options)) return '未设置 API 密钥';
+      if (!options.endpoint) return '未设置 endpoint';
+      if (!options.deployment) return '未设置 deployment';
+      return null;
+    },
+    create: (options) => {
+      const client = new AzureOpenAI({
+        apiKey: getApiKey(options),
+        endpoint: options.endpoint,
+        deployment: options.deployment,
+        apiVersion: options.apiVersion || DEFAULT_AZURE_API_VERSION,
+        maxRetries: 0
+      });
+      return (messages, requestOptions) => streamChatCompletion(client, options.deployment, messages, requestOptions);
+    }
+  },
+  
+  // 本地 Ollama（/api/chat 接口，按行返回 JSON）
+  ollama: {
+    validate: (options) => (options.model ? null : '未设置模型'),
+    create: (options) => async (messages, { temperature, maxTokens, signal, onToken }) => {
+      const url = `${(options.baseURL || DEFAULT_OLLAMA_URL).replace(/\/+$/, '')}/api/chat`;
+      let response;
+      try {
+        response = await fetch(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            model: options.model,
+            messages,
+            stream: true,
+            options: { temperature, num_predict: maxTokens }
+          }),
+          signal
+        });
+      } catch (error) {
+        throw createLlmError(`无法连接 Ollama (${url}): ${error.cause?.message || error.message}`, { retryable: true });
+      }
+      
+      if (!response.ok) {
+        const text = await response.text().catch(() => '');
+        throw createLlmError(`Ollama 返回错误 ${response.status}: ${text.trim()}`, {
+          status: response.status,
+          retryable: isRetryableStatus(response.status),
+          retryAfter: parseRetryAfter(response.headers.get('retry-after'))
+        });
+      }
+      
+      let content = '';
+      let buffer = '';
+      const handleLine = (line) => {
+        if (line.trim() === '') return;
+        const data = JSON.parse(line);
+        if (data.error) {
+          throw createLlmError(`Ollama 返回错误: ${data.error}`);
+        }
+        const token = data.message?.content || '';
+        if (token) {
+          content += token;
+          onToken?.(token);
+        }
+      };
+      
+      const decoder = new TextDecoder();
+      for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+      }
+      handleLine(buffer);
+      return content;
+    }
+  },
+  
+  // 离线模拟：不访问网络，根据输入返回确定的内容，用于测试和离线演示
+  mock: {
+    validate: () => null,
+    create: (options) => {
+      let calls = 0;
+      return async (messages, { onToken, signal }) => {
+        calls++;
+        // 模拟响应延迟，请求被取消（超时）时提前结束
+        if (options.delay) {
+          await new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, options.delay);
+            signal?.addEventListener('abort', () => {
+              clearTimeout(timer);
+              reject(createLlmError('模拟的请求已取消'));
+            }, { once: true });
+          });
+        }
+        if (calls <= (options.failures || 0)) {
+          const status = options.status || 503;
+          throw createLlmError(`模拟的调用失败 (${status})`, { status, retryable: isRetryableStatus(status) });
+        }
+        const interrupted = calls <= (options.failures || 0) + (options.interruptions || 0);
+        
+        const input = messages.map(message => message.content).join('\n');
+        const content = options.response ?? [
+          '## AI 周报点评（模拟）',
+          '',
+          '### 本周工作总结',
+          `收到 ${messages.length} 条消息，共 ${input.length} 个字符（摘要 ${crypto.createHash('sha1').update(input).digest('hex').slice(0, 8)}）。`,
+          '',
+          '### 问题与挑战',
+          '模拟提供方不分析内容。',
+          '',
+          '### 工作评价',
+          '模拟提供方不分析内容。',
+          '',
+          '### 改进建议',
+          '配置真实的模型提供方以获得 AI 点评。'
+        ].join('\n');
+        
+        // 模拟输出一半内容后连接中断
+        if (interrupted) {
+          onToken?.(content.slice(0, Math.ceil(content.length / 2)));
+          throw createLlmError('模拟的输出中断', { retryable: true });
+        }
+        onToken?.(content);
+        return content;
+      };
+    }
+  }
+};
+
+/**
+ * 获取配置的模型提供方列表
+ *
+ * 优先使用 llm.providers；未配置时使用 openai 配置作为唯一的提供方。
+ *
+ * @returns {Array<Object>} 提供方配置列表
+ */
+export const getProviderConfigs = () => {
+  const providers = config.llm?.providers || [];
+  if (providers.length > 0) {
+    return providers;
+  }
+  const { openai = {} } = config;
+  return [{ type: 'openai', baseURL: openai.baseURL, apiKey: openai.apiKey, model: openai.model }];
+};
+
+/**
+ * 获取提供方的显示名称
+ * @param {Object} options 提供方配置
+ * @returns {string} 显示名称，如 ollama:qwen2.5
+ */
+export const getProviderName = (options) => {
+  const model = options.type === 'azure' ? options.deployment : options.model;
+  return options.name || (model ? `${options.type}:${model}` : options.type);
+};
+
+/**
+ * 检查提供方配置
+ * @param {Object} options 提供方配置
+ * @returns {string|null} 配置错误，为 null 表示可用
+ */
+export const validateProvider = (options) => {
+  const provider = PROVIDERS[options.type];
+  if (!provider) {
+    return `不支持的模型提供方: ${options.type}（可选 ${PROVIDER_TYPES.join(', ')}）`;
+  }
+  return provider.validate(options);
+};
+
+/**
+ * 是否启用了 AI 功能并且至少有一个可用的模型提供方
+ * @returns {boolean} 是否可用
+ */
+export const isLlmAvailable = () => {
+  return !!config.openai?.enabled && getProviderConfigs().some(options => !validateProvider(options));
+};
+
+// 已创建的提供方（同一配置只创建一次，mock 的调用计数在整个运行期间有效）
+const providerCache = new Map();
+
+/**
+ * 创建提供方的对话函数
+ * @param {Object} options 提供方配置
+ * @returns {function(Array<Object>, Object): Promise<string>} 对话函数
+ */
+const getProviderChat = (options) => {
+  if (!providerCache.has(options)) {
+    providerCache.set(options, PROVIDERS[options.type].create(options));
+  }
+  return providerCache.get(options);
+};
+
+/**
+ * 等待指定时间
+ * @param {number} ms 毫秒
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * 计算第 attempt 次重试前的等待时间（指数退避，优先使用服务端要求的等待时间）
+ * @param {number} attempt 重试次数（从 1 开始）
+ * @param {Error} error 上一次的错误
+ * @returns {number} 等待时间（毫秒）
+ */
+export const getRetryDelay = (attempt, error) => {
+  const { retryDelay = 1000, maxRetryDelay = 30000 } = config.llm || {};
+  const delay = error?.retryAfter ?? retryDelay * 2 ** (attempt - 1);
+  return Math.min(delay, maxRetryDelay);
+};
+
+/**
+ * 调用单个提供方，超时或遇到可重试的错误时按指数退避重试
+ *
+ * 已经通过 onToken 输出的内容无法撤回，收到第一段内容后出错时不再重试，返回 partial 错误，避免重复输出。
+ *
+ * @param {Object} options 提供方配置
+ * @param {Array<Object>} messages 对话消息
+ * @param {Object} requestOptions 请求选项
+ * @returns {Promise<string>} 模型回复
+ */
+const chatWithRetry = async (options, messages, requestOptions) => {
+  const { timeout = 120000, maxRetries = 3 } = config.llm || {};
+  const chat = getProviderChat(options);
+  const name = getProviderName(options);
+  
+  for (let attempt = 0; ; attempt++) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    let streamed = false;
+    const onToken = requestOptions.onToken && ((token) => {
+      streamed = true;
+      requestOptions.onToken(token);
+    });
+    try {
+      return await chat(messages, { ...requestOptions, onToken, signal: controller.signal });
+    } catch (error) {
+      const llmError = controller.signal.aborted
+        ? createLlmError(`请求超时（${timeout} 毫秒）`, { retryable: true })
+        : toLlmError(error);
+      
+      if (streamed) {
+        throw createLlmError(`输出部分内容后中断: ${llmError.message}`, { status: llmError.status, partial: true });
+      }
+      if (!llmError.retryable || attempt >= maxRetries) {
+        throw llmError;
+      }
+      
+      const delay = getRetryDelay(attempt + 1, llmError);
+      console.log(chalk.yellow(`\n${name} 调用失败: ${llmError.message}，${delay / 1000} 秒后重试（${attempt + 1}/${maxRetries}）`));
+      await sleep(delay);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+};
+
+// 记录发送给模型的请求的文件（--dump-ai-input），为 null 时不记录
+let requestDumpPath = null;
+let requestDumpCount = 0;
+
+/**
+ * 设置记录发送给模型的请求的文件，清空已有内容
+ * @param {string|null} filePath 文件路径，为 null 时不记录
+ * @returns {Promise<void>}
+ */
+export const setRequestDump = async (filePath) => {
+  requestDumpPath = filePath ? path.resolve(filePath) : null;
+  requestDumpCount = 0;
+  if (requestDumpPath) {
+    await fs.outputFile(requestDumpPath, '', 'utf8');
+  }
+};
+
+/**
+ * 获取记录请求的文件
+ * @returns {string|null} 文件路径
+ */
+export const getRequestDumpPath = () => requestDumpPath;
+
+/**
+ * 将一次请求的消息追加到记录文件
+ * @param {Array<{role: string, content: string}>} messages 对话消息
+ * @param {string} note 说明，如 "未发送"
+ * @returns {Promise<void>}
+ */
+export const dumpRequest = async (messages, note = '') => {
+  if (!requestDumpPath) {
+    return;
+  }
+  requestDumpCount++;
+  const header = `===== 请求 ${requestDumpCount}${note ? `（${note}）` : ''} =====`;
+  const body = messages.map(message => `----- ${message.role} -----\n${message.content}`).join('\n\n');
+  await fs.appendFile(requestDumpPath, `${header}\n${body}\n\n`, 'utf8');
+};
+
+/**
+ * 发送对话请求
+ *
+ * 按配置顺序尝试各个模型提供方：跳过配置不完整的提供方，单个提供方重试后仍失败时使用下一个。
+ * 提供方已经通过 onToken 输出部分内容后失败时不再切换提供方，直接抛出 partial 错误。
+ * 设置了记录文件（setRequestDump）时先记录请求的消息。
+ *
+ * @param {Array<{role: string, content: string}>} messages 对话消息
+ * @param {Object} options 选项
+ * @param {number} options.temperature 温度参数，默认使用 openai.temperature
+ * @param {number} options.maxTokens 最大输出 token 数，默认使用 openai.maxTokens
+ * @param {function(string): void} options.onToken 流式输出时每收到一段内容调用一次
+ * @returns {Promise<{content: string, provider: string}>} 模型回复和实际使用的提供方
+ */
+export const chat = async (messages, { temperature = config.openai?.temperature, maxTokens = config.openai?.maxTokens, onToken } = {}) => {
+  const errors = [];
+  await dumpRequest(messages);
+  
+  for (const options of getProviderConfigs()) {
+    const name = getProviderName(options);
+    const problem = validateProvider(options);
+    if (problem) {
+      errors.push(`${name}: ${problem}`);
+      continue;
+    }
+    
+    try {
+      const content = await chatWithRetry(options, messages, { temperature, maxTokens, onToken });
+      return { content, provider: name };
+    } catch (error) {
+      if (error.partial) {
+        throw createLlmError(`${name}: ${error.message}`, { status: error.status, partial: true });
+      }
+      errors.push(`${name}: ${error.message}`);
+      console.log(chalk.yellow(`\n${name} 调用失败: ${error.message}`));
+    }
+  }
+  
+  throw createLlmError(`所有模型提供方均调用失败（${errors.join('；')}）`);
+};
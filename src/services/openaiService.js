@@ -1,99 +1,201 @@
-import OpenAI from 'openai';
 import config from '../config/default.js';
 import chalk from 'chalk';
+import { chat, isLlmAvailable, dumpRequest } from './llmService.js';
+import { resolveReviewStyle, renderPrompt, PROMPT_VARIABLES } from '../prompts/index.js';
+import { estimateTokens, truncateToTokens, splitByTokens } from '../utils/tokenUtils.js';
+
+// map-reduce 时摘要各部分周报内容的提示词
+const SUMMARY_PROMPT = `下面是一份代码仓库周报的第 {index}/{total} 部分。
+请提炼这部分的要点：涉及的仓库和贡献者、主要工作内容、重要的提交、代码变更规模，以及可能存在的问题。
+只列出要点，不要评价，保留仓库名、贡献者和关键数字。
+
+{content}`;
+
+// 摘要合并后仍超出预算时，最多再摘要的轮数
+const MAX_SUMMARY_ROUNDS = 3;
 
 /**
- * 创建 OpenAI 客户端实例
- * @returns {OpenAI|null} OpenAI 客户端实例或 null
+ * 计算提示词中可以放入周报内容的 token 数
+ * @param {string} system 系统提示词
+ * @param {string} prompt 已填入其他变量、只留下 {reportContent} 的提示词
+ * @returns {number} 可用的 token 数
  */
-const createOpenAIClient = () => {
-  const { openai } = config;
+const getAvailableTokens = (system, prompt) => {
+  return config.llm.tokenBudget - estimateTokens(system) - estimateTokens(prompt.replace(/\{\w+\}/g, ''));
+};
+
+/**
+ * 分部分摘要内容，合并后仍超出可用的 token 数时对摘要再摘要
+ * @param {string} content 内容
+ * @param {string} system 系统提示词
+ * @param {number} availableTokens 合并后的摘要可用的 token 数
+ * @param {Object} usage 输入处理情况，摘要的部分数和截断的 token 数累加到其中
+ * @returns {Promise<string>} 合并后的摘要
+ */
+const summarizeContent = async (content, system, availableTokens, usage) => {
+  const chunkTokens = getAvailableTokens(system, SUMMARY_PROMPT);
+  let text = content;
   
-  // 如果未启用 OpenAI 功能或未设置 API 密钥，则返回 null
-  if (!openai.enabled || !openai.apiKey) {
-    return null;
+  for (let round = 1; round <= MAX_SUMMARY_ROUNDS; round++) {
+    const { chunks, truncatedTokens } = splitByTokens(text, chunkTokens);
+    usage.truncatedTokens += truncatedTokens;
+    
+    const summaries = [];
+    for (const [index, chunk] of chunks.entries()) {
+      console.log(chalk.blue(`正在摘要第 ${index + 1}/${chunks.length} 部分（约 ${estimateTokens(chunk)} tokens）...`));
+      const { content: summary } = await chat([
+        { role: 'system', content: system },
+        { role: 'user', content: renderPrompt(SUMMARY_PROMPT, { index: index + 1, total: chunks.length, content: chunk }) }
+      ], { maxTokens: config.llm.summaryMaxTokens });
+      summaries.push(`### 第 ${index + 1} 部分摘要\n\n${summary.trim()}`);
+    }
+    usage.chunks += chunks.length;
+    usage.rounds = round;
+    
+    text = summaries.join('\n\n');
+    if (estimateTokens(text) <= availableTokens) {
+      return text;
+    }
   }
   
-  try {
-    return new OpenAI({
-      apiKey: openai.apiKey,
-      baseURL: openai.baseURL
-    });
-  } catch (error) {
-    console.error(chalk.red(`创建 OpenAI 客户端时出错: ${error.message}`));
-    return null;
+  // 多轮摘要后仍然超出预算，截断剩余部分
+  const result = truncateToTokens(text, availableTokens);
+  usage.truncatedTokens += result.truncatedTokens;
+  return result.text;
+};
+
+/**
+ * 使周报内容符合 token 预算：未超出时原样返回，超出时按 llm.overflowStrategy 摘要或截断
+ * @param {string} reportContent 周报内容
+ * @param {string} system 系统提示词
+ * @param {string} prompt 已填入其他变量、只留下 {reportContent} 的提示词
+ * @returns {Promise<{content: string, usage: Object|null}>} 处理后的内容和输入处理情况（未超出预算时为 null）
+ */
+const fitReportContent = async (reportContent, system, prompt) => {
+  const availableTokens = getAvailableTokens(system, prompt);
+  if (availableTokens <= 0) {
+    throw new Error(`llm.tokenBudget (${config.llm.tokenBudget}) 过小，不足以容纳提示词`);
+  }
+  
+  const inputTokens = estimateTokens(reportContent);
+  if (inputTokens <= availableTokens) {
+    return { content: reportContent, usage: null };
+  }
+  
+  const usage = { inputTokens, availableTokens, strategy: config.llm.overflowStrategy, chunks: 0, rounds: 0, truncatedTokens: 0 };
+  console.log(chalk.yellow(`周报内容约 ${inputTokens} tokens，超出输入预算 ${availableTokens} tokens`));
+  
+  if (usage.strategy === 'truncate') {
+    const result = truncateToTokens(reportContent, availableTokens);
+    usage.truncatedTokens = result.truncatedTokens;
+    return { content: result.text, usage };
+  }
+  
+  return { content: await summarizeContent(reportContent, system, availableTokens, usage), usage };
+};
+
+/**
+ * 描述周报内容被摘要或截断的情况
+ * @param {Object} usage 输入处理情况
+ * @returns {string} 说明
+ */
+const describeUsage = (usage) => {
+  const parts = [`周报内容约 ${usage.inputTokens} tokens，超出输入预算 ${usage.availableTokens} tokens`];
+  if (usage.chunks > 0) {
+    parts.push(`已分 ${usage.chunks} 部分摘要${usage.rounds > 1 ? `（共 ${usage.rounds} 轮）` : ''}后生成点评`);
+  }
+  if (usage.truncatedTokens > 0) {
+    parts.push(`截断了约 ${usage.truncatedTokens} tokens（${Math.round(usage.truncatedTokens / usage.inputTokens * 100)}%）`);
   }
+  return `${parts.join('，')}。`;
+};
+
+/**
+ * 按点评风格填入除周报内容以外的变量
+ * @param {Object} style 点评风格
+ * @param {Object<string, *>} variables 提示词变量（见 getPromptVariables）
+ * @returns {string} 只留下 {reportContent} 的提示词
+ */
+const preparePrompt = (style, variables) => {
+  return renderPrompt(style.prompt, { ...PROMPT_VARIABLES, ...variables, language: style.language, reportContent: '{reportContent}' });
+};
+
+/**
+ * 生成周报点评请求的消息
+ * @param {Object} style 点评风格
+ * @param {string} prompt 只留下 {reportContent} 的提示词
+ * @param {string} reportContent 周报内容
+ * @returns {Array<{role: string, content: string}>} 对话消息
+ */
+const buildReviewMessages = (style, prompt, reportContent) => [
+  { role: 'system', content: style.system },
+  { role: 'user', content: renderPrompt(prompt, { reportContent }) }
+];
+
+/**
+ * 不调用模型，只把周报点评请求记录到 --dump-ai-input 指定的文件（用于未启用 AI 时检查输入）
+ * @param {string} reportContent 周报内容
+ * @param {Object<string, *>} variables 提示词变量
+ * @returns {Promise<void>}
+ */
+export const dumpReviewInput = async (reportContent, variables = {}) => {
+  const style = await resolveReviewStyle();
+  await dumpRequest(buildReviewMessages(style, preparePrompt(style, variables), reportContent), '未启用 AI，未发送');
 };
 
 /**
- * 使用 OpenAI 生成周报点评（流式输出）
+ * 使用大模型生成周报点评（流式输出）
+ *
+ * 提示词按 openai.reviewStyle 选择的点评风格生成，模型提供方、超时、重试和备用提供方见 llm 配置。
+ * 周报内容超出 llm.tokenBudget 时先摘要或截断，并在点评末尾说明处理情况。
+ *
  * @param {string} reportContent 周报内容
+ * @param {Object<string, *>} variables 提示词变量（见 getPromptVariables），缺少的变量使用默认值
  * @returns {Promise<string|null>} 生成的点评内容或 null
  */
-export const generateReportReview = async (reportContent) => {
+export const generateReportReview = async (reportContent, variables = {}) => {
   const { openai } = config;
   
-  // 如果未启用 OpenAI 功能或未设置 API 密钥，则跳过
+  // 如果未启用 AI 功能或没有可用的模型提供方，则跳过
   if (!openai.enabled) {
     console.log(chalk.yellow('OpenAI 功能未启用，跳过生成周报点评'));
     return null;
   }
   
-  if (!openai.apiKey) {
-    console.log(chalk.yellow('未设置 OpenAI API 密钥，跳过生成周报点评'));
-    return null;
-  }
-  
-  // 创建 OpenAI 客户端
-  const client = createOpenAIClient();
-  if (!client) {
+  if (!isLlmAvailable()) {
+    console.log(chalk.yellow('未设置 OpenAI API 密钥或可用的模型提供方，跳过生成周报点评'));
     return null;
   }
   
   try {
-    console.log(chalk.blue('正在使用 OpenAI 生成周报点评...'));
+    const style = await resolveReviewStyle();
+    const prompt = preparePrompt(style, variables);
+    console.log(chalk.blue(`正在使用 AI 生成周报点评（风格: ${style.name}）...`));
+    
+    // 超出 token 预算时先摘要或截断周报内容
+    const { content: fittedContent, usage } = await fitReportContent(reportContent, style.system, prompt);
+    
     console.log(chalk.blue('正在流式接收 AI 生成内容：'));
     console.log(chalk.cyan('----------------------------------------'));
     
-    // 准备提示词
-    const prompt = openai.promptTemplate.replace('{reportContent}', reportContent);
-    
-    // 使用流式输出调用 OpenAI API
-    const stream = await client.chat.completions.create({
-      model: openai.model,
-      messages: [
-        { role: 'system', content: '你是一位专业的技术团队经理，负责审阅和总结团队的周报。' },
-        { role: 'user', content: prompt }
-      ],
-      temperature: openai.temperature,
-      max_tokens: openai.maxTokens,
-      stream: true // 启用流式输出
+    // 流式输出：在控制台实时打印内容
+    const { content, provider } = await chat(buildReviewMessages(style, prompt, fittedContent), {
+      onToken: (token) => process.stdout.write(chalk.cyan(token))
     });
     
-    // 收集完整的响应
-    let fullContent = '';
-    
-    // 处理流式响应
-    for await (const chunk of stream) {
-      const content = chunk.choices[0]?.delta?.content || '';
-      if (content) {
-        // 在控制台实时打印内容
-        process.stdout.write(chalk.cyan(content));
-        // 收集完整内容
-        fullContent += content;
-      }
-    }
-    
     console.log('\n' + chalk.cyan('----------------------------------------'));
-    console.log(chalk.green('周报点评生成成功'));
+    console.log(chalk.green(`周报点评生成成功（${provider}）`));
     
-    return fullContent;
+    if (!usage) {
+      return content;
+    }
     
+    const note = describeUsage(usage);
+    console.log(chalk.yellow(note));
+    return `${content.trimEnd()}\n\n> 说明：${note}\n`;
+  
   } catch (error) {
     console.error(chalk.red(`生成周报点评时出错: ${error.message}`));
-    if (error.response) {
-      console.error(chalk.red(`OpenAI API 错误: ${JSON.stringify(error.response.data)}`));
-    }
     return null;
   }
-}; 
\ No newline at end of file
+};
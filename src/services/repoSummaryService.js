@@ -0,0 +1,224 @@
+import crypto from 'crypto';
+import chalk from 'chalk';
+import { chat, getProviderConfigs, getProviderName, validateProvider } from './llmService.js';
+import { getCachedAiResult, saveCachedAiResult } from './cacheService.js';
+import { renderPrompt, PROMPT_VARIABLES } from '../prompts/index.js';
+import { estimateTokens, truncateToTokens } from '../utils/tokenUtils.js';
+import { getDisplayWidth } from '../utils/tableUtils.js';
+import config from '../config/default.js';
+
+/**
+ * 仓库 AI 总结
+ *
+ * 根据每个仓库的提交信息和增删行数，让大模型总结仓库在报告周期内的工作，并可选地把过于简略的提交信息
+ * 改写为易读的一句话。结果保存在仓库报告的 aiSummary 中：
+ * { summary, commitMessages: { 提交哈希: 改写后的信息 }, provider: 实际回答的提供方 }，
+ * 并按报告周期和提交集合的哈希缓存，提交没有变化时不再调用模型。
+ */
+
+// 提示词或结果格式改变时升级，旧的缓存结果会被忽略
+const PROMPT_VERSION = 1;
+
+const SUMMARY_PROMPT = `下面是仓库 {repoName} 在 {startDate} 至 {endDate} 的提交记录，每行依次为提交哈希、提交信息、增删行数和文件数、作者：
+
+{commits}
+
+请用{language}写 2 到 4 句话总结这个仓库在这段时间的工作：完成了哪些功能或修复、涉及哪些模块、变更规模如何。
+归纳主题，不要逐条罗列提交，不要评价。`;
+
+const REWRITE_PROMPT = `
+
+下面这些提交的信息过于简略：
+
+{terseCommits}
+
+请结合其他提交和变更规模推断这些提交做了什么，为每个提交写一句简洁易读的说明（不超过 40 个字），无法推断时保留原意。
+只输出 JSON，不要输出其他内容，格式为：{"summary": "仓库总结", "commits": {"提交哈希": "改写后的说明"}}`;
+
+// 显示宽度小于该值的提交信息视为过于简略（中文字符宽度为 2）
+const TERSE_MIN_WIDTH = 8;
+
+// 没有实际信息的常见提交信息
+const TERSE_MESSAGE = /^(fix(e[sd])?|bug ?fix(es)?|wip|update[sd]?|changes?|misc|tweaks?|cleanup|refactor|temp|tmp|tests?|minor|typo|修复|更新|修改|调整|优化|提交|临时)( ?(some|the|a)? ?(bugs?|issues?|stuff|things?|code|问题|bug|代码))?[\s\p{P}]*$/iu;
+
+/**
+ * 判断提交信息是否过于简略
+ * @param {Object} commit 提交记录
+ * @returns {boolean} 是否过于简略
+ */
+const isTerseMessage = (commit) => {
+  // 合并请求显示为标题，不需要改写
+  if (commit.pullRequest || commit.isMerge) {
+    return false;
+  }
+  const subject = (commit.conventional?.subject || commit.message || '').trim();
+  return getDisplayWidth(subject) < TERSE_MIN_WIDTH || TERSE_MESSAGE.test(subject);
+};
+
+/**
+ * 生成提交在提示词中的一行
+ * @param {Object} commit 提交记录
+ * @returns {string} 提交行
+ */
+const formatCommitLine = (commit) => {
+  const message = commit.message.length > config.llm.digest.maxSubjectLength
+    ? `${commit.message.slice(0, config.llm.digest.maxSubjectLength - 1)}…`
+    : commit.message;
+  const stats = commit.additions !== undefined ? ` (+${commit.additions}/-${commit.deletions}, ${commit.filesChanged} 个文件)` : '';
+  return `${commit.hash.slice(0, 7)} ${message}${stats} [${commit.author}]`;
+};
+
+/**
+ * 计算仓库 AI 总结的缓存键：报告周期、提交集合及其增删行数、是否改写提交信息和回答语言
+ *
+ * 提示词包含报告周期和每个提交的增删行数、文件数，这些变化（如调整路径过滤）后需要重新生成。
+ *
+ * @param {Object} repo 仓库报告
+ * @param {Object} reportData 报告数据
+ * @param {boolean} rewrite 是否改写提交信息
+ * @param {string} language 回答使用的语言
+ * @returns {string} 缓存键
+ */
+const getCacheKey = (repo, reportData, rewrite, language) => {
+  const hash = crypto.createHash('sha1');
+  hash.update(JSON.stringify({
+    version: PROMPT_VERSION,
+    rewrite,
+    language,
+    startDate: reportData.startDate,
+    endDate: reportData.endDate,
+    commits: repo.commits
+      .map(commit => [commit.hash, commit.additions ?? null, commit.deletions ?? null, commit.filesChanged ?? null])
+      .sort((a, b) => a[0].localeCompare(b[0]))
+  }));
+  return `repo-summary-${hash.digest('hex')}`;
+};
+
+/**
+ * 获取首选的模型提供方（第一个配置完整的提供方）
+ * @returns {string|null} 提供方名称
+ */
+const getPreferredProvider = () => {
+  const options = getProviderConfigs().find(item => !validateProvider(item));
+  return options ? getProviderName(options) : null;
+};
+
+/**
+ * 生成仓库 AI 总结的提示词
+ * @param {Object} repo 仓库报告
+ * @param {Object} reportData 报告数据
+ * @param {Object[]} terseCommits 需要改写信息的提交
+ * @param {string} language 回答使用的语言
+ * @returns {string} 提示词
+ */
+const buildPrompt = (repo, reportData, terseCommits, language) => {
+  const template = terseCommits.length > 0 ? SUMMARY_PROMPT + REWRITE_PROMPT : SUMMARY_PROMPT;
+  const variables = {
+    repoName: repo.name,
+    startDate: reportData.startDate.slice(0, 10),
+    endDate: reportData.endDate.slice(0, 10),
+    language,
+    terseCommits: terseCommits.map(commit => `${commit.hash.slice(0, 7)} ${commit.message}`).join('\n')
+  };
+  
+  // 提交记录超出 token 预算时截断
+  const availableTokens = config.llm.tokenBudget - estimateTokens(renderPrompt(template, { ...variables, commits: '' }));
+  const { text } = truncateToTokens(repo.commits.map(formatCommitLine).join('\n'), Math.max(availableTokens, 0));
+  return renderPrompt(template, { ...variables, commits: text });
+};
+
+/**
+ * 解析模型的回答
+ *
+ * 改写提交信息时要求回答 JSON，提交哈希可能是缩写，按前缀对应到仓库中的提交。
+ *
+ * @param {string} content 模型的回答
+ * @param {Object[]} terseCommits 需要改写信息的提交
+ * @returns {{summary: string, commitMessages: Object<string, string>}} 仓库 AI 总结
+ * @throws {Error} 回答为空，或要求 JSON 时无法解析出仓库总结时抛出
+ */
+const parseResponse = (content, terseCommits) => {
+  const text = content.trim();
+  if (!text) {
+    throw new Error('模型的回答为空');
+  }
+  if (terseCommits.length === 0) {
+    return { summary: text, commitMessages: {} };
+  }
+  
+  const data = JSON.parse(text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1));
+  if (typeof data?.summary !== 'string' || !data.summary.trim()) {
+    throw new Error('回答中缺少 summary');
+  }
+  
+  const commitMessages = {};
+  Object.entries(data.commits || {}).forEach(([hash, message]) => {
+    const key = hash.trim().toLowerCase();
+    const commit = key.length >= 4 && terseCommits.find(item => item.hash.startsWith(key) || key.startsWith(item.hash));
+    if (commit && typeof message === 'string' && message.trim()) {
+      commitMessages[commit.hash] = message.trim();
+    }
+  });
+  return { summary: data.summary.trim(), commitMessages };
+};
+
+/**
+ * 生成单个仓库的 AI 总结，提交集合没有变化时使用缓存的结果
+ *
+ * 回答无法解析时不保存到缓存（下次运行重新生成），本次的仓库总结为 null，不把原始回答当作总结显示。
+ *
+ * @param {Object} repo 仓库报告
+ * @param {Object} reportData 报告数据
+ * @returns {Promise<{summary: string|null, commitMessages: Object<string, string>, provider?: string}>} 仓库 AI 总结
+ */
+const summarizeRepository = async (repo, reportData) => {
+  const rewrite = !!config.openai.rewriteCommits;
+  const language = config.openai.language || PROMPT_VARIABLES.language;
+  const key = getCacheKey(repo, reportData, rewrite, language);
+  
+  // 首选提供方失败时由后备提供方生成的结果只用于本次，首选提供方恢复后重新生成
+  const cached = await getCachedAiResult(key);
+  if (cached && cached.provider === getPreferredProvider()) {
+    console.log(chalk.blue(`使用缓存的 AI 总结: ${repo.name}`));
+    return cached;
+  }
+  
+  const terseCommits = rewrite ? repo.commits.filter(isTerseMessage).slice(0, config.llm.digest.maxCommitsPerRepo) : [];
+  console.log(chalk.blue(`正在使用 AI 总结仓库 ${repo.name}（${repo.commits.length} 个提交${terseCommits.length > 0 ? `，改写 ${terseCommits.length} 条提交信息` : ''}）...`));
+  
+  const { content, provider } = await chat([
+    { role: 'system', content: '你是一位资深软件工程师，擅长根据代码提交记录总结工作内容。' },
+    { role: 'user', content: buildPrompt(repo, reportData, terseCommits, language) }
+  ]);
+  
+  let result;
+  try {
+    result = { ...parseResponse(content, terseCommits), provider };
+  } catch (error) {
+    console.log(chalk.yellow(`无法解析仓库 ${repo.name} 的 AI 总结，本次不显示（${error.message}）`));
+    return { summary: null, commitMessages: {} };
+  }
+  await saveCachedAiResult(key, result);
+  return result;
+};
+
+/**
+ * 为报告中的每个仓库生成 AI 总结，结果保存到仓库报告的 aiSummary
+ *
+ * 仓库依次处理，单个仓库失败时跳过该仓库，不影响报告生成。
+ *
+ * @param {Object} reportData 报告数据
+ * @returns {Promise<void>}
+ */
+export const summarizeRepositories = async (reportData) => {
+  for (const repo of reportData.repositories) {
+    if (repo.commits.length === 0) {
+      continue;
+    }
+    try {
+      repo.aiSummary = await summarizeRepository(repo, reportData);
+    } catch (error) {
+      console.error(chalk.red(`生成仓库 ${repo.name} 的 AI 总结时出错: ${error.message}`));
+    }
+  }
+};
@@ -1,8 +1,19 @@
 import _ from 'lodash';
+import moment from 'moment';
 import chalk from 'chalk';
 import { getRepositoryInfo, getCommitsInDateRange, analyzeCodeChanges } from './gitService.js';
-import { formatDate, getReportStartDate, getReportEndDate } from '../utils/dateUtils.js';
-import { generateReportReview } from './openaiService.js';
+import { formatDate, getReportStartDate, getReportEndDate, getReportPeriodLabel, getReportRange, getPreviousRange, withReportRange } from '../utils/dateUtils.js';
+import { buildTrend, getAuthorTrend, loadComparisonReport, snapshotFromReportData } from './trendService.js';
+import { generateReportReview, dumpReviewInput } from './openaiService.js';
+import { isLlmAvailable, getRequestDumpPath } from './llmService.js';
+import { buildAiDigest } from './aiDigestService.js';
+import { summarizeRepositories } from './repoSummaryService.js';
+import { getPromptVariables } from '../prompts/index.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { COMMIT_CATEGORIES, getCommitCategory } from '../utils/commitParser.js';
+import { getIssueUrl, isRepoScopedIssue } from '../utils/issueUtils.js';
+import { createProgress } from '../utils/progress.js';
+import { resolveFormatters } from '../formatters/index.js';
 import config from '../config/default.js';
 
 /**
@@ -33,7 +44,7 @@ export const generateRepoReport = async (repoPath) => {
   }
   
   // 获取时间范围内的提交记录
-  const commits = await getCommitsInDateRange(repoPath);
+  const commits = await getCommitsInDateRange(repoPath, { branches: repoInfo.scannedBranches });
   
   // 如果没有提交记录，返回基本信息
   if (commits.length === 0) {
@@ -47,46 +58,149 @@ export const generateRepoReport = async (repoPath) => {
   // 分析代码变更
   const analysis = await analyzeCodeChanges(repoPath, commits);
   
+  // 生成提交中引用的问题的链接
+  commits.forEach(commit => {
+    (commit.conventional?.issues || []).forEach(issue => {
+      issue.url = getIssueUrl(issue, repoInfo);
+    });
+  });
+  
   return {
     ...repoInfo,
     commits,
+    commitTypes: countCommitTypes(commits),
     analysis
   };
 };
 
+/**
+ * 统计提交类型的数量
+ * @param {Array<Object>} commits 提交记录列表
+ * @returns {Object} 类型到数量的映射，未识别类型计为 other
+ */
+const countCommitTypes = (commits) => {
+  return _.countBy(commits, commit => commit.conventional?.type || 'other');
+};
+
+/**
+ * 按变更分类整理所有仓库的提交
+ * @param {Array<Object>} repoReports 仓库报告列表
+ * @returns {Object} 分类键到变更列表的映射，只包含有变更的分类
+ */
+const buildChangelog = (repoReports) => {
+  const changelog = {};
+  
+  repoReports.forEach(repo => {
+    repo.commits.forEach(commit => {
+      const category = getCommitCategory(commit.conventional);
+      if (!changelog[category]) {
+        changelog[category] = [];
+      }
+      changelog[category].push({
+        repo: repo.name,
+        hash: commit.hash,
+        date: commit.date,
+        author: commit.author,
+        type: commit.conventional?.type || null,
+        scope: commit.conventional?.scope || null,
+        subject: commit.conventional?.subject || commit.message,
+        issues: commit.conventional?.issues || [],
+        pullRequest: commit.pullRequest || null
+      });
+    });
+  });
+  
+  return changelog;
+};
+
+/**
+ * 汇总所有仓库提交中引用的问题
+ *
+ * 仓库内编号的问题（如 GitHub 的 #123）按仓库区分，其他问题（如 JIRA 的 PROJ-123）跨仓库合并。
+ *
+ * @param {Array<Object>} repoReports 仓库报告列表
+ * @returns {Array<Object>} 问题列表，按涉及的提交数降序
+ */
+const buildIssueIndex = (repoReports) => {
+  const issues = new Map();
+  
+  repoReports.forEach(repo => {
+    repo.commits.forEach(commit => {
+      (commit.conventional?.issues || []).forEach(issue => {
+        const id = isRepoScopedIssue(issue) ? `${repo.name}${issue.key}` : issue.key;
+        
+        if (!issues.has(id)) {
+          issues.set(id, {
+            key: issue.key,
+            tracker: issue.tracker,
+            url: issue.url || null,
+            closed: false,
+            repos: [],
+            authors: [],
+            commits: []
+          });
+        }
+        
+        const entry = issues.get(id);
+        entry.closed = entry.closed || issue.closes;
+        if (!entry.repos.includes(repo.name)) {
+          entry.repos.push(repo.name);
+        }
+        if (!entry.authors.includes(commit.author)) {
+          entry.authors.push(commit.author);
+        }
+        entry.commits.push({
+          repo: repo.name,
+          hash: commit.hash,
+          author: commit.author,
+          message: commit.message
+        });
+      });
+    });
+  });
+  
+  return [...issues.values()].sort((a, b) => b.commits.length - a.commits.length);
+};
+
 /**
  * 生成所有仓库的报告
  * @param {Array<string>} repoPaths 仓库路径列表
  * @param {Object} options 选项
+ * @param {boolean} options.verbose 是否显示详细信息
+ * @param {number} options.concurrency 并发处理的仓库数，默认使用配置中的 concurrency
  * @returns {Promise<Object>} 完整报告数据
  */
 export const generateFullReport = async (repoPaths, options = {}) => {
   const startDate = getReportStartDate();
   const endDate = getReportEndDate();
+  const period = getReportPeriodLabel();
   
   console.log(`正在生成 ${formatDate(startDate)} 至 ${formatDate(endDate)} 的周报...`);
   console.log(`共发现 ${repoPaths.length} 个 Git 仓库`);
   
-  const repoReports = [];
-  
-  // 为每个仓库生成报告
-  for (const repoPath of repoPaths) {
-    console.log(`处理仓库: ${repoPath}`);
+  // 并发为每个仓库生成报告，结果按仓库顺序返回
+  const concurrency = options.concurrency || config.concurrency;
+  const progress = createProgress({ total: repoPaths.length, verbose: options.verbose });
+  const reports = await mapWithConcurrency(repoPaths, concurrency, async (repoPath) => {
+    progress.start(repoPath);
     const report = await generateRepoReport(repoPath);
-    
-    // 只包含有提交记录的仓库
-    if (report.commits && report.commits.length > 0) {
-      repoReports.push(report);
-      
-      // 打印详细的提交记录
-      if (options.verbose) {
-        console.log(chalk.blue(`\n${report.name} 的提交记录:`));
-        report.commits.forEach(commit => {
-          console.log(chalk.blue(`  [${commit.date}] ${commit.author}: ${commit.message}`));
-        });
-        console.log('');
-      }
-    }
+    progress.done(repoPath);
+    return report;
+  });
+  progress.finish();
+  
+  // 只包含有提交记录的仓库
+  const repoReports = reports.filter(report => report.commits && report.commits.length > 0);
+  
+  // 打印详细的提交记录（在全部完成后按仓库顺序输出，避免并发时交错）
+  if (options.verbose) {
+    repoReports.forEach(report => {
+      console.log(chalk.blue(`\n${report.name} 的提交记录:`));
+      report.commits.forEach(commit => {
+        console.log(chalk.blue(`  [${commit.date}] ${commit.author}: ${commit.message}`));
+      });
+      console.log('');
+    });
   }
   
   // 按提交数量排序
@@ -95,16 +209,122 @@ export const generateFullReport = async (repoPaths, options = {}) => {
   // 生成汇总统计
   const summary = generateSummaryStats(repoReports);
   
+  // 按变更分类整理提交
+  const changelog = buildChangelog(repoReports);
+  
+  // 汇总引用的问题
+  const issues = buildIssueIndex(repoReports);
+  
   return {
+    generatedAt: moment().format(),
     startDate: formatDate(startDate),
     endDate: formatDate(endDate),
+    period,
+    team: config.teamFilter || null,
+    authorFilter: config.authorFilter || [],
+    author: null,
     totalRepos: repoPaths.length,
     reposWithCommits: repoReports.length,
     summary,
-    repositories: repoReports
+    changelog,
+    issues,
+    repositories: repoReports,
+    trend: null
+  };
+};
+
+/**
+ * 生成趋势对比数据
+ *
+ * source 为 previous 时按相同的过滤条件重新统计上一个等长周期；为字符串时视为之前生成的 JSON 报告的路径；
+ * 也可以传入 loadComparisonReport 已加载的上期统计。
+ *
+ * @param {Object} reportData 本期报告数据
+ * @param {string|{period: Object, snapshot: Object}} source 对比来源：'previous'、JSON 报告路径或已加载的上期统计
+ * @param {Array<string>} repoPaths 仓库路径列表
+ * @param {Object} options 选项，同 generateFullReport
+ * @returns {Promise<Object>} 趋势对比数据
+ */
+export const generateTrend = async (reportData, source, repoPaths, options = {}) => {
+  if (typeof source === 'object') {
+    return buildTrend(reportData, source);
+  }
+  if (source !== 'previous') {
+    return buildTrend(reportData, await loadComparisonReport(source));
+  }
+  
+  const range = getPreviousRange(getReportRange());
+  console.log(chalk.blue(`正在统计上一周期: ${formatDate(range.start)} 至 ${formatDate(range.end)}`));
+  
+  const previousReport = await withReportRange(range, () => generateFullReport(repoPaths, options));
+  return buildTrend(reportData, {
+    period: {
+      source: 'previous',
+      startDate: previousReport.startDate,
+      endDate: previousReport.endDate,
+      period: previousReport.period
+    },
+    snapshot: snapshotFromReportData(previousReport)
+  });
+};
+
+/**
+ * 从完整报告中提取单个贡献者的报告
+ *
+ * 各仓库只保留该贡献者的提交，并重新分析代码变更和生成汇总统计。
+ *
+ * @param {Object} reportData 完整报告数据
+ * @param {string} author 贡献者（规范名称）
+ * @param {Object} options 选项
+ * @param {number} options.concurrency 并发处理的仓库数，默认使用配置中的 concurrency
+ * @returns {Promise<Object>} 该贡献者的报告数据
+ */
+export const generateAuthorReport = async (reportData, author, options = {}) => {
+  const concurrency = options.concurrency || config.concurrency;
+  
+  const reports = await mapWithConcurrency(reportData.repositories, concurrency, async (repo) => {
+    const commits = repo.commits.filter(commit => commit.author === author);
+    if (commits.length === 0) {
+      return null;
+    }
+    
+    const analysis = await analyzeCodeChanges(repo.path, commits);
+    return {
+      // 完整报告的仓库 AI 总结针对所有贡献者的提交，个人报告重新生成
+      ..._.omit(repo, 'aiSummary'),
+      commits,
+      commitTypes: countCommitTypes(commits),
+      analysis
+    };
+  });
+  
+  const repoReports = reports.filter(Boolean);
+  repoReports.sort((a, b) => b.commits.length - a.commits.length);
+  
+  return {
+    ...reportData,
+    author,
+    reposWithCommits: repoReports.length,
+    summary: generateSummaryStats(repoReports),
+    changelog: buildChangelog(repoReports),
+    issues: buildIssueIndex(repoReports),
+    repositories: repoReports,
+    trend: getAuthorTrend(reportData.trend, author)
   };
 };
 
+/**
+ * 获取报告中有提交的贡献者
+ *
+ * 从各仓库的提交记录中收集，不依赖代码变更分析（--no-analysis 时同样可用）。
+ *
+ * @param {Object} reportData 报告数据
+ * @returns {Array<string>} 贡献者（规范名称）列表，按首次出现的顺序
+ */
+export const getReportAuthors = (reportData) => {
+  return _.uniq(reportData.repositories.flatMap(repo => repo.commits.map(commit => commit.author)));
+};
+
 /**
  * 生成汇总统计数据
  * @param {Array<Object>} repoReports 仓库报告列表
@@ -117,6 +337,8 @@ const generateSummaryStats = (repoReports) => {
     totalAdditions: 0,
     totalDeletions: 0,
     commitsByAuthor: {},
+    commitTypes: {},
+    commitTypesByAuthor: {},
     fileTypes: {},
     fileChanges: {
       added: 0,
@@ -131,6 +353,32 @@ const generateSummaryStats = (repoReports) => {
     // 累加提交数
     summary.totalCommits += repo.commits.length;
     
+    repo.commits.forEach(commit => {
+      // 作者统计（按提交记录统计，未分析代码变更时增删行数为 0）
+      if (!summary.commitsByAuthor[commit.author]) {
+        summary.commitsByAuthor[commit.author] = {
+          email: commit.email,
+          team: commit.team,
+          commits: 0,
+          additions: 0,
+          deletions: 0
+        };
+      }
+      summary.commitsByAuthor[commit.author].commits++;
+      summary.commitsByAuthor[commit.author].additions += commit.additions || 0;
+      summary.commitsByAuthor[commit.author].deletions += commit.deletions || 0;
+      
+      // 提交类型统计
+      const type = commit.conventional?.type || 'other';
+      summary.commitTypes[type] = (summary.commitTypes[type] || 0) + 1;
+      
+      if (!summary.commitTypesByAuthor[commit.author]) {
+        summary.commitTypesByAuthor[commit.author] = {};
+      }
+      const authorTypes = summary.commitTypesByAuthor[commit.author];
+      authorTypes[type] = (authorTypes[type] || 0) + 1;
+    });
+    
     // 累加代码分析数据
     if (repo.analysis) {
       // 文件变更统计
@@ -148,21 +396,6 @@ const generateSummaryStats = (repoReports) => {
       summary.fileChanges.modified += repo.analysis.fileChanges.modified;
       summary.fileChanges.deleted += repo.analysis.fileChanges.deleted;
       summary.fileChanges.renamed += repo.analysis.fileChanges.renamed;
-      
-      // 作者统计
-      Object.entries(repo.analysis.commitsByAuthor).forEach(([author, stats]) => {
-        if (!summary.commitsByAuthor[author]) {
-          summary.commitsByAuthor[author] = {
-            commits: 0,
-            additions: 0,
-            deletions: 0
-          };
-        }
-        
-        summary.commitsByAuthor[author].commits += stats.commits;
-        summary.commitsByAuthor[author].additions += stats.additions;
-        summary.commitsByAuthor[author].deletions += stats.deletions;
-      });
     }
   });
   
@@ -170,260 +403,43 @@ const generateSummaryStats = (repoReports) => {
 };
 
 /**
- * 将报告数据转换为 Markdown 格式
+ * 格式化报告
+ *
+ * 启用 OpenAI 时先按配置为每个仓库生成 AI 总结（见 repoSummaryService），再基于报告数据的摘要
+ * （见 aiDigestService）生成 AI 点评，然后交给各个格式化器输出。
+ * 同时输出多种格式时 AI 总结和点评只生成一次，所有格式共用。
+ *
  * @param {Object} reportData 报告数据
- * @returns {string} Markdown 格式的报告
+ * @param {Object[]} formatters 格式化器列表，默认根据配置的输出格式获取
+ * @returns {Promise<Array<{formatter: Object, content: string|Object<string, string>}>>} 每种格式的报告内容，多文件格式为文件名到内容的映射
  */
-export const formatReportAsMarkdown = (reportData) => {
-  let markdown = `# Git 代码仓库周报\n\n`;
-  
-  // 报告时间范围
-  markdown += `## 报告概览\n\n`;
-  markdown += `- **报告时间范围**: ${reportData.startDate} 至 ${reportData.endDate}\n`;
-  markdown += `- **扫描仓库总数**: ${reportData.totalRepos}\n`;
-  markdown += `- **有提交的仓库数**: ${reportData.reposWithCommits}\n`;
-  markdown += `- **总提交次数**: ${reportData.summary.totalCommits}\n`;
-  markdown += `- **变更文件总数**: ${reportData.summary.totalFilesChanged}\n`;
-  markdown += `- **代码行变更**: +${reportData.summary.totalAdditions} / -${reportData.summary.totalDeletions}\n\n`;
-  
-  // 贡献者统计
-  markdown += `## 贡献者统计\n\n`;
-  
-  if (Object.keys(reportData.summary.commitsByAuthor).length > 0) {
-    markdown += `| 贡献者 | 提交次数 | 增加行数 | 删除行数 |\n`;
-    markdown += `| ------ | -------- | -------- | -------- |\n`;
-    
-    Object.entries(reportData.summary.commitsByAuthor)
-      .sort((a, b) => b[1].commits - a[1].commits)
-      .forEach(([author, stats]) => {
-        markdown += `| ${author} | ${stats.commits} | ${stats.additions} | ${stats.deletions} |\n`;
-      });
-    
-    markdown += `\n`;
-  } else {
-    markdown += `*无贡献者数据*\n\n`;
-  }
-  
-  // 文件类型统计
-  markdown += `## 文件类型统计\n\n`;
-  
-  if (Object.keys(reportData.summary.fileTypes).length > 0) {
-    markdown += `| 文件类型 | 变更次数 |\n`;
-    markdown += `| -------- | -------- |\n`;
-    
-    Object.entries(reportData.summary.fileTypes)
-      .sort((a, b) => b[1] - a[1])
-      .forEach(([type, count]) => {
-        markdown += `| ${type} | ${count} |\n`;
-      });
-    
-    markdown += `\n`;
-  } else {
-    markdown += `*无文件类型统计数据*\n\n`;
-  }
-  
-  // 仓库详情
-  markdown += `## 仓库详情\n\n`;
-  
-  reportData.repositories.forEach(repo => {
-    markdown += `### ${repo.name}\n\n`;
-    markdown += `- **路径**: ${repo.path}\n`;
-    markdown += `- **当前分支**: ${repo.currentBranch}\n`;
-    markdown += `- **提交次数**: ${repo.commits.length}\n`;
-    
-    if (repo.analysis) {
-      markdown += `- **变更文件数**: ${repo.analysis.totalFilesChanged}\n`;
-      markdown += `- **代码行变更**: +${repo.analysis.lineChanges.additions} / -${repo.analysis.lineChanges.deletions}\n`;
-      
-      // 变更最多的文件
-      if (repo.analysis.mostChangedFiles.length > 0) {
-        markdown += `\n#### 变更最多的文件\n\n`;
-        markdown += `| 文件路径 | 变更次数 |\n`;
-        markdown += `| -------- | -------- |\n`;
-        
-        repo.analysis.mostChangedFiles.forEach(file => {
-          markdown += `| ${file.path} | ${file.count} |\n`;
-        });
-        
-        markdown += `\n`;
-      }
+export const formatReport = async (reportData, formatters = null) => {
+  const reportFormatters = formatters || await resolveFormatters();
+  let review = null;
+  
+  // 如果启用了 AI 功能并且有可用的模型提供方，则基于报告数据的摘要生成周报点评（与输出格式无关）
+  if (isLlmAvailable()) {
+    // 仓库 AI 总结保存在报告数据中，由各个格式化器显示在仓库详情里
+    if (config.openai.repoSummaries || config.openai.rewriteCommits) {
+      console.log(chalk.blue('\n开始生成仓库 AI 总结...'));
+      await summarizeRepositories(reportData);
     }
     
-    // 提交记录
-    markdown += `#### 提交记录\n\n`;
-    
-    if (repo.commits.length > 0) {
-      markdown += `| 提交时间 | 作者 | 提交信息 |\n`;
-      markdown += `| -------- | ---- | -------- |\n`;
-      
-      repo.commits.forEach(commit => {
-        // 处理提交信息中可能包含的 Markdown 表格分隔符
-        const safeMessage = commit.message.replace(/\|/g, '\\|');
-        markdown += `| ${commit.date} | ${commit.author} | ${safeMessage} |\n`;
-      });
-      
-      markdown += `\n`;
-    } else {
-      markdown += `*无提交记录*\n\n`;
-    }
-    
-    markdown += `\n`;
-  });
-  
-  return markdown;
-};
-
-/**
- * 将报告数据转换为 JSON 格式
- * @param {Object} reportData 报告数据
- * @returns {string} JSON 格式的报告
- */
-export const formatReportAsJson = (reportData) => {
-  return JSON.stringify(reportData, null, 2);
-};
-
-/**
- * 将报告数据转换为纯文本格式
- * @param {Object} reportData 报告数据
- * @returns {string} 纯文本格式的报告
- */
-export const formatReportAsText = (reportData) => {
-  let text = `Git 代码仓库周报\n\n`;
-  
-  // 报告时间范围
-  text += `报告概览\n`;
-  text += `==========\n\n`;
-  text += `报告时间范围: ${reportData.startDate} 至 ${reportData.endDate}\n`;
-  text += `扫描仓库总数: ${reportData.totalRepos}\n`;
-  text += `有提交的仓库数: ${reportData.reposWithCommits}\n`;
-  text += `总提交次数: ${reportData.summary.totalCommits}\n`;
-  text += `变更文件总数: ${reportData.summary.totalFilesChanged}\n`;
-  text += `代码行变更: +${reportData.summary.totalAdditions} / -${reportData.summary.totalDeletions}\n\n`;
-  
-  // 贡献者统计
-  text += `贡献者统计\n`;
-  text += `==========\n\n`;
-  
-  if (Object.keys(reportData.summary.commitsByAuthor).length > 0) {
-    Object.entries(reportData.summary.commitsByAuthor)
-      .sort((a, b) => b[1].commits - a[1].commits)
-      .forEach(([author, stats]) => {
-        text += `${author}: ${stats.commits} 次提交, +${stats.additions} / -${stats.deletions} 行\n`;
-      });
-    
-    text += `\n`;
-  } else {
-    text += `无贡献者数据\n\n`;
-  }
-  
-  // 文件类型统计
-  text += `文件类型统计\n`;
-  text += `==========\n\n`;
-  
-  if (Object.keys(reportData.summary.fileTypes).length > 0) {
-    Object.entries(reportData.summary.fileTypes)
-      .sort((a, b) => b[1] - a[1])
-      .forEach(([type, count]) => {
-        text += `${type}: ${count} 次变更\n`;
-      });
-    
-    text += `\n`;
-  } else {
-    text += `无文件类型统计数据\n\n`;
-  }
-  
-  // 仓库详情
-  text += `仓库详情\n`;
-  text += `==========\n\n`;
-  
-  reportData.repositories.forEach(repo => {
-    text += `${repo.name}\n`;
-    text += `----------\n\n`;
-    text += `路径: ${repo.path}\n`;
-    text += `当前分支: ${repo.currentBranch}\n`;
-    text += `提交次数: ${repo.commits.length}\n`;
-    
-    if (repo.analysis) {
-      text += `变更文件数: ${repo.analysis.totalFilesChanged}\n`;
-      text += `代码行变更: +${repo.analysis.lineChanges.additions} / -${repo.analysis.lineChanges.deletions}\n`;
-      
-      // 变更最多的文件
-      if (repo.analysis.mostChangedFiles.length > 0) {
-        text += `\n变更最多的文件:\n`;
-        
-        repo.analysis.mostChangedFiles.forEach(file => {
-          text += `- ${file.path}: ${file.count} 次变更\n`;
-        });
-        
-        text += `\n`;
-      }
-    }
-    
-    // 提交记录
-    text += `提交记录:\n`;
-    
-    if (repo.commits.length > 0) {
-      repo.commits.forEach(commit => {
-        text += `- ${commit.date} | ${commit.author} | ${commit.message}\n`;
-      });
-      
-      text += `\n`;
-    } else {
-      text += `无提交记录\n\n`;
-    }
-    
-    text += `\n`;
-  });
-  
-  return text;
-};
-
-/**
- * 根据配置的输出格式格式化报告
- * @param {Object} reportData 报告数据
- * @returns {Promise<string>} 格式化后的报告
- */
-export const formatReport = async (reportData) => {
-  let formattedReport;
-  
-  switch (config.outputFormat.toLowerCase()) {
-    case 'markdown':
-      formattedReport = formatReportAsMarkdown(reportData);
-      break;
-    case 'json':
-      formattedReport = formatReportAsJson(reportData);
-      break;
-    case 'text':
-      formattedReport = formatReportAsText(reportData);
-      break;
-    default:
-      formattedReport = formatReportAsMarkdown(reportData);
-  }
-  
-  // 如果启用了 OpenAI 功能并且有 API 密钥，则生成周报点评
-  if (config.openai?.enabled && config.openai?.apiKey) {
     try {
       console.log(chalk.blue('\n开始生成 AI 周报点评...'));
       
       // 生成周报点评（流式输出）
-      const review = await generateReportReview(formattedReport);
-      
-      // 如果成功生成点评，则添加到报告末尾
-      if (review) {
-        if (config.outputFormat.toLowerCase() === 'json') {
-          // 对于 JSON 格式，将点评添加到 JSON 对象中
-          const reportObj = JSON.parse(formattedReport);
-          reportObj.aiReview = review;
-          return JSON.stringify(reportObj, null, 2);
-        } else {
-          // 对于其他格式，直接添加到文本末尾
-          return `${formattedReport}\n\n${review}`;
-        }
-      }
+      review = await generateReportReview(buildAiDigest(reportData), getPromptVariables(reportData));
     } catch (error) {
       console.error(chalk.red(`添加 AI 点评时出错: ${error.message}`));
     }
+  } else if (getRequestDumpPath()) {
+    await dumpReviewInput(buildAiDigest(reportData), getPromptVariables(reportData));
   }
   
-  return formattedReport;
-}; 
\ No newline at end of file
+  const results = [];
+  for (const formatter of reportFormatters) {
+    results.push({ formatter, content: await formatter.format(reportData, { review }) });
+  }
+  return results;
+};
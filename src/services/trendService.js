@@ -0,0 +1,179 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { validateJsonReport } from '../formatters/jsonFormatter.js';
+import { formatDate } from '../utils/dateUtils.js';
+
+// 趋势对比的指标
+export const TREND_METRICS = [
+  { key: 'commits', label: '提交次数' },
+  { key: 'additions', label: '增加行数' },
+  { key: 'deletions', label: '删除行数' },
+  { key: 'activeRepos', label: '活跃仓库数' },
+  { key: 'contributors', label: '活跃贡献者数' }
+];
+
+/**
+ * 按提交汇总统计快照
+ * @param {Array<{repo: string, author: string, additions: number, deletions: number}>} commits 提交列表
+ * @returns {Object} 统计快照
+ */
+const buildSnapshot = (commits) => {
+  const authors = {};
+  const repos = new Set();
+  
+  commits.forEach(({ repo, author, additions, deletions }) => {
+    repos.add(repo);
+    if (!authors[author]) {
+      authors[author] = { commits: 0, additions: 0, deletions: 0, repos: new Set() };
+    }
+    authors[author].commits += 1;
+    authors[author].additions += additions || 0;
+    authors[author].deletions += deletions || 0;
+    authors[author].repos.add(repo);
+  });
+  
+  return {
+    commits: commits.length,
+    additions: commits.reduce((sum, commit) => sum + (commit.additions || 0), 0),
+    deletions: commits.reduce((sum, commit) => sum + (commit.deletions || 0), 0),
+    activeRepos: repos.size,
+    contributors: Object.keys(authors).length,
+    authors: Object.fromEntries(Object.entries(authors).map(([name, stats]) => [name, {
+      commits: stats.commits,
+      additions: stats.additions,
+      deletions: stats.deletions,
+      activeRepos: stats.repos.size
+    }]))
+  };
+};
+
+/**
+ * 从报告数据生成统计快照
+ * @param {Object} reportData 报告数据
+ * @returns {Object} 统计快照
+ */
+export const snapshotFromReportData = (reportData) => {
+  return buildSnapshot(reportData.repositories.flatMap(repo => repo.commits.map(commit => ({
+    repo: repo.name,
+    author: commit.author,
+    additions: commit.additions,
+    deletions: commit.deletions
+  }))));
+};
+
+/**
+ * 从 JSON 报告生成统计快照
+ * @param {Object} report JSON 报告对象
+ * @returns {Object} 统计快照
+ */
+export const snapshotFromJsonReport = (report) => {
+  return buildSnapshot(report.repositories.flatMap(repo => repo.commits.map(commit => ({
+    repo: repo.name,
+    author: commit.author,
+    additions: commit.stats?.additions,
+    deletions: commit.stats?.deletions
+  }))));
+};
+
+/**
+ * 计算单个指标的变化
+ * @param {number} current 本期数值
+ * @param {number} previous 上期数值
+ * @returns {{current: number, previous: number, delta: number, percent: number|null}} 变化，上期为 0 时 percent 为 null
+ */
+const compareValue = (current, previous) => ({
+  current,
+  previous,
+  delta: current - previous,
+  percent: previous === 0 ? null : Math.round((current - previous) / previous * 1000) / 10
+});
+
+/**
+ * 对比两个统计快照
+ * @param {Object} current 本期快照
+ * @param {Object} previous 上期快照
+ * @returns {{metrics: Array<Object>, authors: Array<Object>}} 指标和贡献者的变化
+ */
+export const compareSnapshots = (current, previous) => {
+  const metrics = TREND_METRICS.map(metric => ({
+    key: metric.key,
+    label: metric.label,
+    ...compareValue(current[metric.key], previous[metric.key])
+  }));
+  
+  const names = [...new Set([...Object.keys(current.authors), ...Object.keys(previous.authors)])];
+  const empty = { commits: 0, additions: 0, deletions: 0, activeRepos: 0 };
+  const authors = names.map(name => {
+    const now = current.authors[name] || empty;
+    const before = previous.authors[name] || empty;
+    return {
+      name,
+      commits: compareValue(now.commits, before.commits),
+      additions: compareValue(now.additions, before.additions),
+      deletions: compareValue(now.deletions, before.deletions),
+      activeRepos: compareValue(now.activeRepos, before.activeRepos)
+    };
+  }).sort((a, b) => b.commits.current - a.commits.current || b.commits.previous - a.commits.previous);
+  
+  return { metrics, authors };
+};
+
+/**
+ * 从 JSON 报告加载用于对比的上期统计
+ * @param {string} source JSON 报告路径
+ * @returns {Promise<{period: Object, snapshot: Object}>} 上期的时间范围和统计快照
+ */
+export const loadComparisonReport = async (source) => {
+  const filePath = path.resolve(source);
+  const report = await fs.readJson(filePath).catch(error => {
+    throw new Error(`无法读取对比报告 ${filePath}: ${error.message}`);
+  });
+  const errors = validateJsonReport(report);
+  if (errors.length > 0) {
+    throw new Error(`对比报告不符合格式定义: ${filePath}（${errors[0]}）`);
+  }
+  
+  return {
+    period: {
+      source: filePath,
+      startDate: formatDate(report.range.start),
+      endDate: formatDate(report.range.end),
+      period: report.range.period
+    },
+    snapshot: snapshotFromJsonReport(report)
+  };
+};
+
+/**
+ * 生成趋势对比数据
+ * @param {Object} reportData 本期报告数据
+ * @param {{period: Object, snapshot: Object}} comparison 上期的时间范围和统计快照
+ * @returns {Object} 趋势对比数据
+ */
+export const buildTrend = (reportData, comparison) => {
+  return {
+    previous: comparison.period,
+    ...compareSnapshots(snapshotFromReportData(reportData), comparison.snapshot)
+  };
+};
+
+/**
+ * 从趋势对比数据中提取单个贡献者的趋势（用于个人报告）
+ * @param {Object|null} trend 趋势对比数据
+ * @param {string} author 贡献者
+ * @returns {Object|null} 该贡献者的趋势对比数据
+ */
+export const getAuthorTrend = (trend, author) => {
+  const entry = trend?.authors.find(item => item.name === author);
+  if (!entry) {
+    return null;
+  }
+  
+  return {
+    previous: trend.previous,
+    metrics: TREND_METRICS
+      .filter(metric => entry[metric.key])
+      .map(metric => ({ key: metric.key, label: metric.label, ...entry[metric.key] })),
+    authors: [entry]
+  };
+};
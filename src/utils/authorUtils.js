@@ -0,0 +1,250 @@
+import _ from 'lodash';
+import config from '../config/default.js';
+
+// 已构建的别名索引及其对应的配置对象
+let aliasIndex = null;
+let indexedAuthors = null;
+
+/**
+ * 规范化名称或邮箱，用于不区分大小写的匹配
+ * @param {string} value 名称或邮箱
+ * @returns {string} 规范化后的值
+ */
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+/**
+ * 根据配置中的 authors 构建别名索引
+ *
+ * authors 的键为规范名称，值为该作者的身份信息：
+ * { email: '主邮箱', aliases: ['其他名称或邮箱', ...], team: '所属团队' }
+ *
+ * @param {Object} authors 作者配置
+ * @returns {Map<string, Object>} 名称/邮箱到规范身份的映射
+ */
+const buildAliasIndex = (authors = {}) => {
+  const index = new Map();
+  
+  Object.entries(authors).forEach(([name, identity]) => {
+    const canonical = {
+      name,
+      email: identity?.email || null,
+      team: identity?.team || null
+    };
+    
+    [name, identity?.email, ...(identity?.aliases || [])]
+      .filter(Boolean)
+      .forEach(alias => index.set(normalize(alias), canonical));
+  });
+  
+  return index;
+};
+
+/**
+ * 获取当前配置对应的别名索引
+ * @returns {Map<string, Object>} 别名索引
+ */
+const getAliasIndex = () => {
+  if (!aliasIndex || indexedAuthors !== config.authors) {
+    aliasIndex = buildAliasIndex(config.authors);
+    indexedAuthors = config.authors;
+  }
+  return aliasIndex;
+};
+
+/**
+ * 查找作者在团队名单（config.teams）中所属的团队
+ * @param {string} name 规范名称
+ * @param {string} email 邮箱
+ * @returns {string|null} 团队名称
+ */
+const findTeamInRoster = (name, email) => {
+  const keys = [normalize(name), normalize(email)];
+  const entry = Object.entries(config.teams || {})
+    .find(([, members]) => (members || []).some(member => keys.includes(normalize(member))));
+  return entry ? entry[0] : null;
+};
+
+/**
+ * 将提交作者解析为规范身份
+ *
+ * 传入的名称和邮箱应已经过 git 的 .mailmap 映射（git log 的 %aN/%aE），
+ * 这里再按配置中的 authors 别名合并跨仓库的身份。优先按邮箱匹配，其次按名称匹配；
+ * 未配置的作者保持原样。团队优先取 authors 中的 team，其次取 teams 名单。
+ *
+ * @param {string} name 作者名称
+ * @param {string} email 作者邮箱
+ * @returns {{name: string, email: string, team: string|null}} 规范身份
+ */
+export const resolveAuthor = (name, email) => {
+  const index = getAliasIndex();
+  const canonical = index.get(normalize(email)) || index.get(normalize(name));
+  
+  if (!canonical) {
+    return { name, email, team: findTeamInRoster(name, email) };
+  }
+  
+  return {
+    name: canonical.name,
+    email: canonical.email || email,
+    team: canonical.team || findTeamInRoster(canonical.name, canonical.email)
+  };
+};
+
+/**
+ * 转义 git 扩展正则（ERE）中的特殊字符
+ * @param {string} value 原始字符串
+ * @returns {string} 转义后的字符串
+ */
+const escapeGitPattern = (value) => String(value).replace(/[\\.[\]*^$+?(){}|]/g, '\\$&');
+
+/**
+ * 获取某个身份的全部名称和邮箱（规范名称、主邮箱及别名）
+ * @param {string} name 规范名称
+ * @returns {Array<string>} 名称和邮箱列表
+ */
+const getIdentityAliases = (name) => {
+  const identity = (config.authors || {})[name];
+  return [name, identity?.email, ...(identity?.aliases || [])].filter(Boolean);
+};
+
+/**
+ * 获取团队的成员列表（名称或邮箱）
+ * @param {string} team 团队名称
+ * @returns {Array<string>} 成员列表
+ */
+export const getTeamMembers = (team) => {
+  const members = [...((config.teams || {})[team] || [])];
+  
+  Object.entries(config.authors || {}).forEach(([name, identity]) => {
+    if (identity?.team === team) {
+      members.push(name);
+    }
+  });
+  
+  return _.uniq(members);
+};
+
+/**
+ * 获取所有已知的团队名称
+ * @returns {Array<string>} 团队名称列表
+ */
+export const getTeamNames = () => {
+  const fromAuthors = Object.values(config.authors || {}).map(identity => identity?.team);
+  return _.uniq([...Object.keys(config.teams || {}), ...fromAuthors].filter(Boolean));
+};
+
+/**
+ * 生成完整匹配名称或邮箱的 git 作者模式
+ *
+ * git log --author 匹配的是 "名称 <邮箱>"，这里锚定到完整的名称或完整的 <邮箱>，
+ * 避免团队成员 Ali 匹配到 Alice。
+ *
+ * @param {string} value 名称或邮箱
+ * @returns {string} git 扩展正则
+ */
+const toIdentityPattern = (value) => {
+  const escaped = escapeGitPattern(value);
+  return `^${escaped} <|<${escaped}>$`;
+};
+
+/**
+ * 判断作者模式是否不含正则元字符
+ *
+ * 这类模式在 JS 正则和 git 扩展正则中的含义相同（不区分大小写的子串匹配），可以直接交给 git 预先过滤。
+ *
+ * @param {string} pattern 作者模式
+ * @returns {boolean} 是否为纯文本模式
+ */
+const isLiteralPattern = (pattern) => escapeGitPattern(pattern) === pattern;
+
+/**
+ * 根据配置中的作者和团队过滤条件生成 git log --author 参数
+ *
+ * git 的过滤只用于减少需要读取的提交，结果是 matchesAuthorFilters 的超集，最终以 matchesAuthorFilters 为准。
+ * 作者模式不含正则元字符时直接交给 git；若某个模式匹配到 authors 中的规范身份，
+ * 同时加入该身份全部别名的完整匹配，使按规范名称过滤时也能找到使用其他名称/邮箱的提交。
+ * 作者模式按 JS 正则校验和匹配，与 git 的扩展正则语法不完全相同，因此含正则元字符时不交给 git 过滤。
+ * 团队过滤会展开为团队全部成员（及其别名）的完整匹配。同时指定作者和团队时取并集。
+ *
+ * @returns {Array<string>} git 作者匹配模式，为空表示不过滤
+ */
+export const getAuthorFilterPatterns = () => {
+  const authorFilter = config.authorFilter || [];
+  if (!authorFilter.every(isLiteralPattern)) {
+    return [];
+  }
+  
+  const patterns = [...authorFilter];
+  
+  // 展开匹配到的规范身份的别名
+  authorFilter.forEach(pattern => {
+    const regex = new RegExp(pattern, 'i');
+    Object.keys(config.authors || {}).forEach(name => {
+      const aliases = getIdentityAliases(name);
+      if (aliases.some(alias => regex.test(alias))) {
+        patterns.push(...aliases.map(toIdentityPattern));
+      }
+    });
+  });
+  
+  // 展开团队成员
+  if (config.teamFilter) {
+    getTeamMembers(config.teamFilter).forEach(member => {
+      const resolved = resolveAuthor(member, member);
+      patterns.push(...getIdentityAliases(resolved.name).map(toIdentityPattern));
+      patterns.push(toIdentityPattern(member));
+    });
+  }
+  
+  return _.uniq(patterns);
+};
+
+/**
+ * 判断提交作者是否满足配置中的作者和团队过滤条件
+ *
+ * 作者模式为不区分大小写的 JS 正则，匹配提交的名称或邮箱，或其规范身份的任一名称、邮箱和别名；
+ * 团队过滤按规范身份所属的团队判断。同时指定作者和团队时取并集，都未指定时全部满足。
+ *
+ * @param {string} name 作者名称（已经过 .mailmap 映射）
+ * @param {string} email 作者邮箱
+ * @returns {boolean} 是否满足过滤条件
+ */
+export const matchesAuthorFilters = (name, email) => {
+  const authorFilter = config.authorFilter || [];
+  if (authorFilter.length === 0 && !config.teamFilter) {
+    return true;
+  }
+  
+  const resolved = resolveAuthor(name, email);
+  if (config.teamFilter && resolved.team === config.teamFilter) {
+    return true;
+  }
+  
+  const candidates = _.uniq([name, email, ...getIdentityAliases(resolved.name)].filter(Boolean));
+  return authorFilter.some(pattern => {
+    const regex = new RegExp(pattern, 'i');
+    return candidates.some(candidate => regex.test(candidate));
+  });
+};
+
+/**
+ * 校验作者和团队过滤条件
+ *
+ * 作者模式按 JS 正则匹配（见 matchesAuthorFilters），因此按 JS 正则的语法校验。
+ *
+ * @throws {Error} 作者模式不是合法正则，或团队不存在/没有成员时抛出
+ */
+export const validateAuthorFilters = () => {
+  (config.authorFilter || []).forEach(pattern => {
+    try {
+      new RegExp(pattern, 'i');
+    } catch (error) {
+      throw new Error(`无效的作者匹配模式: ${pattern}`);
+    }
+  });
+  
+  if (config.teamFilter && getTeamMembers(config.teamFilter).length === 0) {
+    const teams = getTeamNames();
+    throw new Error(`团队 ${config.teamFilter} 不存在或没有成员${teams.length > 0 ? `（已配置的团队: ${teams.join(', ')}）` : ''}`);
+  }
+};
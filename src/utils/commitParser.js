@@ -0,0 +1,228 @@
+import crypto from 'crypto';
+import { extractIssues } from './issueUtils.js';
+import config from '../config/default.js';
+
+/**
+ * 提交信息解析
+ */
+
+// GitHub/Gitee 风格的合并提交："Merge pull request #123 from owner/branch"
+const MERGE_PR_PATTERN = /^Merge pull request #(\d+)(?: from (\S+))?/i;
+
+// GitLab 风格的合并提交："Merge branch 'feature' into 'main'"，正文中包含 "See merge request group/project!123"
+const GITLAB_MR_PATTERN = /See merge request \S*!(\d+)/i;
+
+// Squash 合并的提交："Add login page (#123)"
+const SQUASH_PR_PATTERN = /^(.*\S)\s+\(#(\d+)\)\s*$/;
+
+// 无法确定合并请求标题时显示的标题
+export const UNKNOWN_PR_TITLE = '（标题未知）';
+
+/**
+ * 从提交信息中解析合并请求编号和标题
+ *
+ * 支持以下格式：
+ * - "Merge pull request #123 from owner/branch"，标题取提交正文的第一行；没有正文时标题为 null，
+ *   分支名不能说明变更内容，由调用方根据合并带入的提交补全（见 getMergedCommitsTitle）
+ * - "Merge branch 'x' into 'y'" 且正文包含 "See merge request group/project!123"
+ * - "标题 (#123)"（squash 合并）
+ *
+ * @param {string} subject 提交标题（第一行）
+ * @param {string} body 提交正文
+ * @returns {{number: number, title: string|null}|null} 合并请求信息，无法识别时返回 null
+ */
+export const parsePullRequest = (subject = '', body = '') => {
+  const firstBodyLine = String(body).split('\n').map(line => line.trim()).find(Boolean) || '';
+  let match;
+  
+  if ((match = subject.match(MERGE_PR_PATTERN))) {
+    return {
+      number: parseInt(match[1], 10),
+      title: firstBodyLine || null
+    };
+  }
+  
+  if ((match = String(body).match(GITLAB_MR_PATTERN))) {
+    return {
+      number: parseInt(match[1], 10),
+      title: firstBodyLine && !GITLAB_MR_PATTERN.test(firstBodyLine) ? firstBodyLine : subject
+    };
+  }
+  
+  if ((match = subject.match(SQUASH_PR_PATTERN))) {
+    return {
+      number: parseInt(match[2], 10),
+      title: match[1]
+    };
+  }
+  
+  return null;
+};
+
+/**
+ * 根据合并带入的提交生成合并请求标题
+ *
+ * 只有一个提交时使用它的标题；有多个提交时使用最早的提交标题并注明提交数量；没有提交时标记为标题未知。
+ *
+ * @param {Array<string>} subjects 带入的提交标题，按时间倒序（与 git log 相同）
+ * @returns {string} 合并请求标题
+ */
+export const getMergedCommitsTitle = (subjects = []) => {
+  if (subjects.length === 0) {
+    return UNKNOWN_PR_TITLE;
+  }
+  const first = subjects[subjects.length - 1];
+  return subjects.length === 1 ? first : `${first} 等 ${subjects.length} 个提交`;
+};
+
+// Conventional Commits 标题："type(scope)!: subject"，type 还需要是可识别的类型（见 getKnownTypes）
+const CONVENTIONAL_PATTERN = /^(\w+)(?:\(([^)]*)\))?(!)?:\s*(.+)$/;
+
+// 正文或脚注中的破坏性变更说明
+const BREAKING_FOOTER_PATTERN = /^BREAKING[ -]CHANGE:/m;
+
+// 类型别名，统一为 Conventional Commits 的标准类型
+const TYPE_ALIASES = {
+  feature: 'feat',
+  bugfix: 'fix',
+  hotfix: 'fix',
+  doc: 'docs',
+  refactoring: 'refactor',
+  performance: 'perf'
+};
+
+/**
+ * 报告中的变更分类，按显示顺序排列
+ * breaking 收录所有破坏性变更；未识别类型的提交归入 other
+ */
+export const COMMIT_CATEGORIES = [
+  { key: 'breaking', title: '破坏性变更', types: [] },
+  { key: 'features', title: '新功能', types: ['feat'] },
+  { key: 'fixes', title: '问题修复', types: ['fix'] },
+  { key: 'refactors', title: '重构与优化', types: ['refactor', 'perf'] },
+  { key: 'docs', title: '文档', types: ['docs'] },
+  { key: 'chores', title: '杂项', types: ['chore', 'build', 'ci', 'test', 'style', 'revert'] },
+  { key: 'other', title: '其他', types: [] }
+];
+
+/**
+ * 获取可识别的提交类型：各分类中的标准类型、类型别名以及 commitTypePatterns 中配置的类型
+ *
+ * "Update: xxx"、"WIP: xxx" 这类标题形式上符合规范，但冒号前不是提交类型，不按 Conventional Commits 解析。
+ *
+ * @returns {Set<string>} 小写的类型集合
+ */
+const getKnownTypes = () => new Set([
+  ...COMMIT_CATEGORIES.flatMap(category => category.types),
+  ...Object.keys(TYPE_ALIASES),
+  ...(config.commitTypePatterns || []).map(rule => String(rule.type).toLowerCase())
+]);
+
+/**
+ * 规范化提交类型
+ * @param {string} type 原始类型
+ * @returns {string} 标准类型
+ */
+const normalizeType = (type) => {
+  const lower = String(type).toLowerCase();
+  return TYPE_ALIASES[lower] || lower;
+};
+
+/**
+ * 按配置中的自定义规则解析提交标题，用于兼容 "[FIX] xxx" 这类历史风格
+ *
+ * 每条规则为 { pattern: '正则', type: '类型', breaking: false }，
+ * 正则匹配提交标题，匹配部分之后的内容作为描述；若正则包含名为 scope 的捕获组，则作为范围。
+ *
+ * @param {string} subject 提交标题
+ * @returns {Object|null} 解析结果，没有规则匹配时返回 null
+ */
+const parseWithCustomPatterns = (subject) => {
+  for (const rule of config.commitTypePatterns || []) {
+    const match = subject.match(new RegExp(rule.pattern, 'i'));
+    if (match) {
+      return {
+        type: normalizeType(rule.type),
+        scope: match.groups?.scope || null,
+        breaking: !!rule.breaking,
+        subject: subject.slice(match.index + match[0].length).trim() || subject
+      };
+    }
+  }
+  return null;
+};
+
+/**
+ * 解析提交信息
+ *
+ * 优先按 Conventional Commits 规范解析（type(scope)!: subject，正文中的 BREAKING CHANGE 也视为破坏性变更），
+ * 只接受可识别的类型；再按配置中的 commitTypePatterns 解析历史风格；都不匹配时 type 为 null（归入“其他”）。
+ *
+ * @param {string} message 提交标题
+ * @param {string} body 提交正文
+ * @returns {{type: string|null, scope: string|null, breaking: boolean, subject: string, issues: Array<Object>}} 解析结果
+ */
+export const parseCommitMessage = (message = '', body = '') => {
+  const subject = String(message).trim();
+  const breakingInBody = BREAKING_FOOTER_PATTERN.test(body);
+  const issues = extractIssues(`${subject}\n${body}`);
+  
+  const match = subject.match(CONVENTIONAL_PATTERN);
+  if (match && getKnownTypes().has(match[1].toLowerCase())) {
+    return {
+      type: normalizeType(match[1]),
+      scope: match[2] || null,
+      breaking: !!match[3] || breakingInBody,
+      subject: match[4].trim(),
+      issues
+    };
+  }
+  
+  const custom = parseWithCustomPatterns(subject);
+  if (custom) {
+    return {
+      ...custom,
+      breaking: custom.breaking || breakingInBody,
+      issues
+    };
+  }
+  
+  return {
+    type: null,
+    scope: null,
+    breaking: breakingInBody,
+    subject,
+    issues
+  };
+};
+
+// 解析逻辑或结果格式改变时升级，已缓存的解析结果会被忽略
+const PARSER_VERSION = 1;
+
+/**
+ * 计算提交信息解析所依赖配置（commitTypePatterns、issueTrackers）的哈希，用作解析结果的缓存键
+ * @returns {string} 哈希
+ */
+export const getParserConfigKey = () => crypto.createHash('sha1')
+  .update(JSON.stringify({
+    version: PARSER_VERSION,
+    commitTypePatterns: config.commitTypePatterns || [],
+    issueTrackers: config.issueTrackers || []
+  }))
+  .digest('hex');
+
+/**
+ * 获取提交所属的变更分类
+ * @param {Object} parsed parseCommitMessage 的解析结果
+ * @returns {string} 分类键
+ */
+export const getCommitCategory = (parsed) => {
+  if (!parsed) {
+    return 'other';
+  }
+  if (parsed.breaking) {
+    return 'breaking';
+  }
+  const category = COMMIT_CATEGORIES.find(item => item.types.includes(parsed.type));
+  return category ? category.key : 'other';
+};
@@ -0,0 +1,32 @@
+/**
+ * 以有限的并发数对列表中的每一项执行异步任务
+ *
+ * 结果按输入顺序返回，与串行执行的结果一致。任一任务失败时以该错误拒绝，并且不再开始新的任务
+ * （已经开始的任务会继续执行完）。
+ *
+ * @param {Array} items 待处理的列表
+ * @param {number} concurrency 最大并发数
+ * @param {function(*, number): Promise<*>} mapper 异步任务，参数为列表项及其下标
+ * @returns {Promise<Array>} 按输入顺序排列的结果
+ */
+export const mapWithConcurrency = async (items, concurrency, mapper) => {
+  const results = new Array(items.length);
+  const limit = Math.max(1, Math.min(Number(concurrency) || 1, items.length));
+  let nextIndex = 0;
+  let failed = false;
+  
+  const worker = async () => {
+    while (!failed && nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = await mapper(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  };
+  
+  await Promise.all(Array.from({ length: limit }, worker));
+  return results;
+};
@@ -0,0 +1,500 @@
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import { pathToFileURL } from 'url';
+import _ from 'lodash';
+import YAML from 'yaml';
+import config, { PROVIDER_TYPES } from '../config/default.js';
+
+// 内置默认配置（在任何配置文件或命令行选项修改 config 之前保存）
+export const DEFAULT_CONFIG = _.cloneDeep(config);
+
+// 用户级配置文件（位于 $XDG_CONFIG_HOME/git-report-tool，默认 ~/.config/git-report-tool）
+const USER_CONFIG_FILES = ['config.json', 'config.yaml', 'config.yml', 'config.js', 'config.mjs'];
+
+// 项目配置文件（从当前目录向上查找）
+const PROJECT_CONFIG_FILES = ['.gitreportrc', '.gitreportrc.json', '.gitreportrc.yaml', '.gitreportrc.yml', '.gitreportrc.js', '.gitreportrc.mjs'];
+
+// 环境变量前缀，如 GIT_REPORT_OPENAI_API_KEY 对应 openai.apiKey
+export const ENV_PREFIX = 'GIT_REPORT_';
+
+// 内置默认配置的来源名称
+export const DEFAULT_SOURCE = '默认值';
+
+// 各配置项的来源：配置项路径（如 openai.apiKey） -> 来源
+const configSources = new Map();
+
+// 已加载的配置文件
+const loadedFiles = [];
+
+// 值为任意键名映射的配置项，不检查其中的键
+const MAP_KEYS = ['formatters', 'authors', 'teams', 'openai.promptTemplates'];
+
+// 值为名称到文件路径的映射的配置项，配置文件中的相对路径相对于配置文件所在目录
+const PATH_MAP_KEYS = ['formatters', 'openai.promptTemplates'];
+
+// 允许多种类型的配置项（逗号分隔的字符串或数组）
+const ALTERNATIVE_TYPES = {
+  outputFormat: ['string', 'array'],
+  branches: ['string', 'array']
+};
+
+// 取值受限的配置项
+const ALLOWED_VALUES = {
+  mergeCommits: ['include', 'exclude', 'first-parent'],
+  'csv.bundle': ['folder', 'zip'],
+  'llm.overflowStrategy': ['map-reduce', 'truncate']
+};
+
+// 需要为正整数的配置项
+const POSITIVE_INTEGERS = [
+  'reportDays', 'concurrency', 'maxAnalysisLines', 'openai.maxTokens',
+  'llm.timeout', 'llm.retryDelay', 'llm.maxRetryDelay', 'llm.tokenBudget', 'llm.summaryMaxTokens',
+  'llm.digest.maxCommitsPerRepo', 'llm.digest.maxFilesPerRepo', 'llm.digest.maxSubjectLength', 'llm.digest.maxIssues'
+];
+
+// 值为文件或目录路径的配置项，配置文件中的相对路径相对于配置文件所在目录
+const PATH_KEYS = ['codeBasePath', 'outputPath', 'cache.dir'];
+
+// 显示配置时需要隐藏的敏感配置项（[] 表示列表中的每一项）
+const SECRET_KEYS = ['openai.apiKey', 'llm.providers[].apiKey'];
+
+/**
+ * 获取配置值的类型
+ * @param {*} value 配置值
+ * @returns {string} 类型
+ */
+const getValueType = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+/**
+ * 加载配置文件
+ *
+ * 按扩展名识别格式：.js/.mjs 默认导出配置对象，.json 为 JSON，.yaml/.yml 为 YAML；
+ * 没有扩展名的文件（如 .gitreportrc）先按 JSON 解析，失败时按 YAML 解析。
+ *
+ * @param {string} filePath 配置文件路径
+ * @returns {Promise<Object>} 配置对象
+ */
+export const loadConfigFile = async (filePath) => {
+  const configPath = path.resolve(filePath);
+  if (!await fs.pathExists(configPath)) {
+    throw new Error(`配置文件不存在: ${configPath}`);
+  }
+  
+  const extension = path.extname(configPath).toLowerCase();
+  let value;
+  try {
+    if (['.js', '.mjs', '.cjs'].includes(extension)) {
+      value = (await import(pathToFileURL(configPath).href)).default;
+    } else {
+      const content = await fs.readFile(configPath, 'utf8');
+      if (extension === '.json') {
+        value = JSON.parse(content);
+      } else if (['.yaml', '.yml'].includes(extension)) {
+        value = YAML.parse(content, { merge: true });
+      } else {
+        try {
+          value = JSON.parse(content);
+        } catch (error) {
+          value = YAML.parse(content, { merge: true });
+        }
+      }
+    }
+  } catch (error) {
+    throw new Error(`加载配置文件时出错: ${configPath}（${error.message}）`);
+  }
+  
+  if (getValueType(value) !== 'object') {
+    throw new Error(`配置文件需要包含（或默认导出）一个配置对象: ${configPath}`);
+  }
+  return value;
+};
+
+/**
+ * 将配置文件中的相对路径转换为绝对路径（相对于配置文件所在目录）
+ * @param {Object} values 配置
+ * @param {string} file 配置文件路径
+ * @returns {Object} 转换后的配置
+ */
+const resolveConfigPaths = (values, file) => {
+  const resolved = _.cloneDeep(values);
+  const baseDir = path.dirname(file);
+  PATH_KEYS.forEach(key => {
+    const value = _.get(resolved, key);
+    if (typeof value === 'string' && value !== '') {
+      _.set(resolved, key, path.resolve(baseDir, value));
+    }
+  });
+  PATH_MAP_KEYS.forEach(key => {
+    const value = _.get(resolved, key);
+    if (getValueType(value) === 'object') {
+      _.set(resolved, key, _.mapValues(value, item => {
+        return typeof item === 'string' ? path.resolve(baseDir, item) : item;
+      }));
+    }
+  });
+  return resolved;
+};
+
+/**
+ * 查找用户级配置文件
+ * @returns {Promise<string|null>} 配置文件路径，不存在时为 null
+ */
+export const findUserConfigFile = async () => {
+  const dir = path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'git-report-tool');
+  for (const name of USER_CONFIG_FILES) {
+    if (await fs.pathExists(path.join(dir, name))) {
+      return path.join(dir, name);
+    }
+  }
+  return null;
+};
+
+/**
+ * 从指定目录开始向上查找项目配置文件（.gitreportrc）
+ * @param {string} startDir 开始查找的目录
+ * @returns {Promise<string|null>} 配置文件路径，不存在时为 null
+ */
+export const findProjectConfigFile = async (startDir = process.cwd()) => {
+  let dir = path.resolve(startDir);
+  while (true) {
+    for (const name of PROJECT_CONFIG_FILES) {
+      const file = path.join(dir, name);
+      if (await fs.pathExists(file) && (await fs.stat(file)).isFile()) {
+        return file;
+      }
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+};
+
+/**
+ * 将配置项路径转换为环境变量名，如 openai.apiKey -> GIT_REPORT_OPENAI_API_KEY
+ * @param {string} key 配置项路径
+ * @returns {string} 环境变量名
+ */
+export const toEnvName = (key) => {
+  return ENV_PREFIX + key.split('.').map(part => _.snakeCase(part).toUpperCase()).join('_');
+};
+
+/**
+ * 列出可以通过环境变量设置的配置项路径
+ * @param {Object} defaults 对应层级的默认配置
+ * @param {string} prefix 当前层级的配置项前缀
+ * @returns {string[]} 配置项路径
+ */
+const getEnvKeys = (defaults = DEFAULT_CONFIG, prefix = '') => {
+  return Object.entries(defaults).flatMap(([key, value]) => {
+    const name = `${prefix}${key}`;
+    return getValueType(value) === 'object' && !MAP_KEYS.includes(name)
+      ? getEnvKeys(value, `${name}.`)
+      : [name];
+  });
+};
+
+/**
+ * 按默认值的类型解析环境变量
+ * @param {string} text 环境变量的值
+ * @param {string} key 配置项路径
+ * @returns {*} 配置值
+ */
+const parseEnvValue = (text, key) => {
+  const type = getValueType(_.get(DEFAULT_CONFIG, key));
+  if (type === 'number') {
+    const value = Number(text);
+    if (text.trim() === '' || Number.isNaN(value)) {
+      throw new Error(`应为数字，实际为 ${text}`);
+    }
+    return value;
+  }
+  if (type === 'boolean') {
+    if (['true', '1', 'yes', 'on'].includes(text.toLowerCase())) return true;
+    if (['false', '0', 'no', 'off'].includes(text.toLowerCase())) return false;
+    throw new Error(`应为 true 或 false，实际为 ${text}`);
+  }
+  if (type === 'array') {
+    // JSON 数组或逗号分隔的列表
+    return text.trim().startsWith('[')
+      ? JSON.parse(text)
+      : text.split(',').map(item => item.trim()).filter(Boolean);
+  }
+  if (type === 'object') {
+    return JSON.parse(text);
+  }
+  return text;
+};
+
+/**
+ * 从环境变量读取配置（GIT_REPORT_ 开头，如 GIT_REPORT_OPENAI_API_KEY、GIT_REPORT_REPORT_DAYS）
+ * @param {Object} env 环境变量
+ * @returns {{values: Object, sources: Object<string, string>, unknown: string[], errors: string[]}} 配置、各配置项对应的环境变量名、未知的环境变量和无法解析的值
+ */
+export const readEnvConfig = (env = process.env) => {
+  const keysByEnv = new Map(getEnvKeys().map(key => [toEnvName(key), key]));
+  const result = { values: {}, sources: {}, unknown: [], errors: [] };
+  
+  Object.keys(env).filter(name => name.startsWith(ENV_PREFIX)).sort().forEach(name => {
+    const key = keysByEnv.get(name);
+    if (!key) {
+      result.unknown.push(`${name}: 未知的环境变量`);
+      return;
+    }
+    try {
+      _.set(result.values, key, parseEnvValue(env[name], key));
+      result.sources[key] = name;
+    } catch (error) {
+      result.errors.push(`${name}: ${error.message}`);
+    }
+  });
+  
+  return result;
+};
+
+/**
+ * 列出配置对象中的所有配置项路径（列表和映射类配置项作为整体）
+ * @param {Object} value 配置对象
+ * @param {string} prefix 当前层级的配置项前缀
+ * @returns {string[]} 配置项路径
+ */
+const getLeafKeys = (value, prefix = '') => {
+  return Object.entries(value).flatMap(([key, item]) => {
+    const name = `${prefix}${key}`;
+    return getValueType(item) === 'object' && !MAP_KEYS.includes(name) && Object.keys(item).length > 0
+      ? getLeafKeys(item, `${name}.`)
+      : [name];
+  });
+};
+
+/**
+ * 将一层配置深度合并到当前配置中，并记录各配置项的来源
+ *
+ * 对象逐层合并（如 openai 中只设置 apiKey 时保留其他默认值），列表整体替换。
+ *
+ * @param {Object} values 配置
+ * @param {string|Object<string, string>} source 来源名称，或配置项路径到来源名称的映射
+ */
+export const applyConfigLayer = (values, source) => {
+  _.mergeWith(config, values, (target, item) => (Array.isArray(item) ? item : undefined));
+  getLeafKeys(values).forEach(key => {
+    configSources.set(key, typeof source === 'string' ? source : source[key]);
+  });
+};
+
+/**
+ * 获取配置项的来源
+ * @param {string} key 配置项路径
+ * @returns {string} 来源
+ */
+export const getConfigSource = (key) => {
+  const prefix = key.split('.').map((part, index, parts) => parts.slice(0, index + 1).join('.'))
+    .reverse()
+    .find(item => configSources.has(item));
+  return prefix ? configSources.get(prefix) : DEFAULT_SOURCE;
+};
+
+/**
+ * 按层级加载配置：内置默认值 < 用户级配置文件 < 项目配置文件（.gitreportrc） < --config 指定的文件 < 环境变量
+ *
+ * 命令行选项在此之后由各命令应用，优先级最高。
+ * 所有配置层检查通过后才合并到当前配置：未知的配置项和环境变量只作为警告，
+ * 类型错误、取值错误和无法解析的环境变量会抛出错误，避免按错误的配置生成报告。
+ *
+ * @param {Object} options 选项
+ * @param {string} options.configFile --config 指定的配置文件
+ * @param {Object} options.env 环境变量
+ * @returns {Promise<{files: string[], warnings: string[]}>} 已加载的配置文件和警告（未知的配置项和环境变量）
+ * @throws {Error} 配置文件无法加载，或配置项的类型、取值错误时抛出
+ */
+export const loadLayeredConfig = async ({ configFile = null, env = process.env } = {}) => {
+  const files = [];
+  const warnings = [];
+  const errors = [];
+  const layers = [];
+  
+  // 检查一层配置，label 为错误信息的前缀
+  const checkLayer = (values, label) => {
+    checkConfig(values).forEach(problem => (problem.unknown ? warnings : errors).push(`${label}${problem.message}`));
+  };
+  
+  const candidates = [await findUserConfigFile(), await findProjectConfigFile()];
+  if (configFile) {
+    candidates.push(path.resolve(configFile));
+  }
+  
+  for (const file of _.uniq(candidates.filter(Boolean))) {
+    const values = await loadConfigFile(file);
+    checkLayer(values, `${file}: `);
+    layers.push({ values: resolveConfigPaths(values, file), source: file });
+    files.push(file);
+  }
+  
+  const envConfig = readEnvConfig(env);
+  envConfig.unknown.forEach(warning => warnings.push(`环境变量 ${warning}`));
+  envConfig.errors.forEach(error => errors.push(`环境变量 ${error}`));
+  checkLayer(envConfig.values, '环境变量 ');
+  layers.push({ values: envConfig.values, source: _.mapValues(envConfig.sources, name => `环境变量 ${name}`) });
+  
+  if (errors.length > 0) {
+    throw new Error(`配置错误，请修正后重试:\n${errors.map(error => `  ${error}`).join('\n')}`);
+  }
+  
+  layers.forEach(({ values, source }) => applyConfigLayer(values, source));
+  loadedFiles.push(...files);
+  return { files, warnings };
+};
+
+/**
+ * 获取已加载的配置文件
+ * @returns {string[]} 配置文件路径，按加载顺序排列
+ */
+export const getLoadedConfigFiles = () => [...loadedFiles];
+
+/**
+ * 列出当前生效的配置及其来源（敏感信息已隐藏）
+ * @returns {Array<{key: string, value: *, source: string}>} 配置项列表
+ */
+export const getResolvedConfig = () => {
+  const masked = maskSecrets(config);
+  return getLeafKeys(masked).map(key => ({
+    key,
+    value: _.get(masked, key),
+    source: getConfigSource(key)
+  }));
+};
+
+/**
+ * 按内置默认配置检查配置对象
+ * @param {Object} value 配置对象
+ * @param {Object} defaults 对应层级的默认配置
+ * @param {string} prefix 当前层级的配置项前缀，如 openai.
+ * @returns {Array<{message: string, unknown: boolean}>} 问题列表，unknown 表示未知的配置项（不影响其他配置）
+ */
+const checkConfig = (value, defaults = DEFAULT_CONFIG, prefix = '') => {
+  const problems = [];
+  const addError = (message) => problems.push({ message, unknown: false });
+  
+  Object.entries(value).forEach(([key, item]) => {
+    const name = `${prefix}${key}`;
+    if (!(key in defaults)) {
+      problems.push({ message: `${name}: 未知的配置项`, unknown: true });
+      return;
+    }
+    
+    const expected = ALTERNATIVE_TYPES[name] || [getValueType(defaults[key])];
+    const actual = getValueType(item);
+    if (!expected.includes(actual)) {
+      addError(`${name}: 类型应为 ${expected.join(' 或 ')}，实际为 ${actual}`);
+      return;
+    }
+    
+    if (ALLOWED_VALUES[name] && !ALLOWED_VALUES[name].includes(item)) {
+      addError(`${name}: 取值应为 ${ALLOWED_VALUES[name].join(', ')} 之一`);
+    }
+    if (POSITIVE_INTEGERS.includes(name) && !(Number.isInteger(item) && item > 0)) {
+      addError(`${name}: 应为正整数`);
+    }
+    if (name === 'llm.providers') {
+      item.forEach((provider, index) => {
+        if (getValueType(provider) !== 'object') {
+          addError(`${name}[${index}]: 类型应为 object`);
+        } else if (!PROVIDER_TYPES.includes(provider.type)) {
+          addError(`${name}[${index}].type: 取值应为 ${PROVIDER_TYPES.join(', ')} 之一`);
+        }
+      });
+    }
+    
+    if (actual === 'object' && !MAP_KEYS.includes(name)) {
+      problems.push(...checkConfig(item, defaults[key], `${name}.`));
+    }
+  });
+  
+  return problems;
+};
+
+/**
+ * 按内置默认配置检查配置对象，报告未知的配置项、类型和取值错误
+ * @param {Object} value 配置对象
+ * @returns {string[]} 错误列表，为空表示检查通过
+ */
+export const validateConfig = (value) => checkConfig(value).map(problem => problem.message);
+
+/**
+ * 隐藏配置中的敏感信息（如 API 密钥），用于显示配置
+ * @param {Object} value 配置对象
+ * @returns {Object} 隐藏敏感信息后的配置副本
+ */
+export const maskSecrets = (value) => {
+  const masked = _.cloneDeep(value);
+  const maskKey = (target, key) => {
+    const [listKey, itemKey] = key.split('[].');
+    if (itemKey) {
+      const list = _.get(target, listKey);
+      if (Array.isArray(list)) list.forEach(item => item && maskKey(item, itemKey));
+      return;
+    }
+    const secret = _.get(target, key);
+    if (typeof secret === 'string' && secret) {
+      _.set(target, key, secret.length > 8 ? `${secret.slice(0, 3)}****${secret.slice(-4)}` : '****');
+    }
+  };
+  SECRET_KEYS.forEach(key => maskKey(masked, key));
+  return masked;
+};
+
+// config init 生成的配置文件模板
+export const CONFIG_TEMPLATE = `// git-report-tool 配置文件
+// 完整的配置项及说明见 src/config/default.js，未设置的配置项使用默认值
+export default {
+  // 代码库根目录
+  codeBasePath: '',
+  
+  // 周报时间范围（天）
+  reportDays: 7,
+  
+  // 输出格式：'markdown', 'json', 'text', 'html', 'csv'，多个格式用逗号分隔或写成数组
+  outputFormat: 'markdown',
+  
+  // 输出文件路径
+  outputPath: './reports',
+  
+  // 统计的分支：'current', 'all', 'remote' 或逗号分隔的分支名/通配符
+  branches: 'current',
+  
+  // 作者身份映射，例如：
+  // '张三': { email: 'zhangsan@company.com', aliases: ['zhangsan@gmail.com'], team: 'backend' }
+  authors: {},
+  
+  // 团队名单，例如：backend: ['张三', 'lisi@company.com']
+  teams: {},
+  
+  // OpenAI 配置
+  openai: {
+    // 是否启用 AI 点评
+    enabled: false,
+    
+    // API 基础 URL，使用官方 API 时为 'https://api.openai.com/v1/'
+    baseURL: '',
+    
+    // API 密钥（建议通过环境变量 GIT_REPORT_OPENAI_API_KEY 设置，不要写入配置文件）
+    apiKey: '',
+    
+    // 使用的模型
+    model: '',
+    
+    // 点评风格：manager, self, release-notes, standup, manager-en，或提示词模板文件路径
+    reviewStyle: 'manager',
+    
+    // 是否为每个仓库生成 AI 总结，以及是否改写过于简略的提交信息
+    repoSummaries: false,
+    rewriteCommits: false
+  }
+};
+`;
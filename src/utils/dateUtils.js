@@ -1,12 +1,242 @@
+import crypto from 'crypto';
+import _ from 'lodash';
 import moment from 'moment';
 import config from '../config/default.js';
 
+// 支持的日期输入格式（严格解析）
+const DATE_INPUT_FORMATS = ['YYYY-MM-DD', 'YYYY-MM-DD HH:mm', 'YYYY-MM-DD HH:mm:ss', moment.ISO_8601];
+
+/**
+ * 解析命令行或配置中传入的日期
+ * @param {string} value 日期字符串
+ * @param {string} name 参数名称（用于错误提示）
+ * @returns {moment.Moment} 解析后的日期
+ */
+const parseDateInput = (value, name) => {
+  const date = moment(value, DATE_INPUT_FORMATS, true);
+  if (!date.isValid()) {
+    throw new Error(`无效的日期 ${name}: ${value}（应为 YYYY-MM-DD 格式）`);
+  }
+  return date;
+};
+
+/**
+ * 判断日期字符串是否只包含日期部分（不含时间）
+ * @param {string} value 日期字符串
+ * @returns {boolean} 是否只包含日期
+ */
+const isDateOnly = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value).trim());
+
+/**
+ * 解析命名周期，返回对应的时间范围
+ *
+ * 支持的格式：
+ * - this-week / last-week：本周 / 上周（ISO 周，周一至周日）
+ * - this-month / last-month：本月 / 上月
+ * - YYYY-Www：指定 ISO 周，例如 2026-W41
+ * - YYYY-MM：指定月份，例如 2026-09
+ * - sprint:<开始日期>:<长度>：迭代周期，长度单位可为 d（天，默认）或 w（周），例如 sprint:2026-09-28:2w
+ *
+ * @param {string} period 周期名称
+ * @param {moment.Moment} now 当前时间
+ * @returns {{start: moment.Moment, end: moment.Moment, label: string}} 时间范围
+ */
+export const parsePeriod = (period, now = moment()) => {
+  const value = String(period).trim();
+  let match;
+  
+  switch (value.toLowerCase()) {
+    case 'this-week':
+      return {
+        start: now.clone().startOf('isoWeek'),
+        end: now.clone().endOf('isoWeek'),
+        label: now.format('GGGG-[W]WW')
+      };
+    case 'last-week': {
+      const lastWeek = now.clone().subtract(1, 'week');
+      return {
+        start: lastWeek.clone().startOf('isoWeek'),
+        end: lastWeek.clone().endOf('isoWeek'),
+        label: lastWeek.format('GGGG-[W]WW')
+      };
+    }
+    case 'this-month':
+      return {
+        start: now.clone().startOf('month'),
+        end: now.clone().endOf('month'),
+        label: now.format('YYYY-MM')
+      };
+    case 'last-month': {
+      const lastMonth = now.clone().subtract(1, 'month');
+      return {
+        start: lastMonth.clone().startOf('month'),
+        end: lastMonth.clone().endOf('month'),
+        label: lastMonth.format('YYYY-MM')
+      };
+    }
+  }
+  
+  // ISO 周，例如 2026-W41
+  if ((match = value.match(/^(\d{4})-?W(\d{1,2})$/i))) {
+    const week = moment(`${match[1]}-W${match[2].padStart(2, '0')}`, 'GGGG-[W]WW', true);
+    if (!week.isValid() || week.isoWeekYear() !== Number(match[1])) {
+      throw new Error(`无效的 ISO 周: ${value}`);
+    }
+    return {
+      start: week.clone().startOf('isoWeek'),
+      end: week.clone().endOf('isoWeek'),
+      label: week.format('GGGG-[W]WW')
+    };
+  }
+  
+  // 月份，例如 2026-09
+  if (/^\d{4}-\d{2}$/.test(value)) {
+    const month = moment(value, 'YYYY-MM', true);
+    if (!month.isValid()) {
+      throw new Error(`无效的月份: ${value}`);
+    }
+    return {
+      start: month.clone().startOf('month'),
+      end: month.clone().endOf('month'),
+      label: value
+    };
+  }
+  
+  // 迭代周期，例如 sprint:2026-09-28:14 或 sprint:2026-09-28:2w
+  if ((match = value.match(/^sprint:([^:]+):(\d+)([dw]?)$/i))) {
+    const start = parseDateInput(match[1], 'sprint 开始日期').startOf('day');
+    const length = parseInt(match[2], 10) * (match[3].toLowerCase() === 'w' ? 7 : 1);
+    if (length <= 0) {
+      throw new Error(`无效的迭代长度: ${value}`);
+    }
+    return {
+      start,
+      end: start.clone().add(length - 1, 'days').endOf('day'),
+      label: `sprint-${start.format('YYYYMMDD')}-${length}d`
+    };
+  }
+  
+  throw new Error(`无法识别的周期: ${value}（支持 this-week, last-week, this-month, last-month, YYYY-Www, YYYY-MM, sprint:<开始日期>:<长度>）`);
+};
+
+/**
+ * 根据配置解析报告的时间范围
+ *
+ * 优先级：period > since/until > reportDays。
+ * 只指定 since 时结束日期为今天；只指定 until 时开始日期为 until 往前 reportDays 天。
+ *
+ * @param {Object} options 时间范围选项，默认读取全局配置
+ * @param {moment.Moment} now 当前时间
+ * @returns {{start: moment.Moment, end: moment.Moment, label: string|null}} 时间范围
+ */
+export const resolveReportRange = (options = config, now = moment()) => {
+  const { period, since, until, reportDays } = options;
+  
+  if (period) {
+    if (since || until) {
+      throw new Error('--period 不能与 --since/--until 同时使用');
+    }
+    return parsePeriod(period, now);
+  }
+  
+  if (since || until) {
+    const end = until
+      ? parseDateInput(until, '--until')
+      : now.clone().endOf('day');
+    if (until && isDateOnly(until)) {
+      end.endOf('day');
+    }
+    
+    const start = since
+      ? parseDateInput(since, '--since')
+      : end.clone().subtract(reportDays, 'days').startOf('day');
+    
+    if (start.isAfter(end)) {
+      throw new Error(`开始日期 ${start.format('YYYY-MM-DD')} 晚于结束日期 ${end.format('YYYY-MM-DD')}`);
+    }
+    return { start, end, label: null };
+  }
+  
+  return {
+    start: now.clone().subtract(reportDays, 'days').startOf('day'),
+    end: now.clone().endOf('day'),
+    label: null
+  };
+};
+
+// 当前运行的时间范围，首次使用时解析并固定，保证同一次运行内各处一致
+let currentRange = null;
+
+/**
+ * 获取本次运行的报告时间范围
+ * @returns {{start: moment.Moment, end: moment.Moment, label: string|null}} 时间范围
+ */
+export const getReportRange = () => {
+  if (!currentRange) {
+    currentRange = resolveReportRange();
+  }
+  return currentRange;
+};
+
+/**
+ * 重置已解析的报告时间范围（配置变更后调用）
+ */
+export const resetReportRange = () => {
+  currentRange = null;
+};
+
+/**
+ * 在指定的时间范围内执行操作（如统计上一周期），执行完成后恢复原来的时间范围
+ * @param {{start: moment.Moment, end: moment.Moment, label: string|null}} range 时间范围
+ * @param {function(): Promise<*>} action 操作
+ * @returns {Promise<*>} 操作的返回值
+ */
+export const withReportRange = async (range, action) => {
+  const previous = getReportRange();
+  currentRange = range;
+  try {
+    return await action();
+  } finally {
+    currentRange = previous;
+  }
+};
+
+/**
+ * 计算与指定时间范围等长的上一周期
+ *
+ * 命名周期按日历计算（上一个 ISO 周、上一个月、上一个迭代），其他时间范围按相同的时长向前平移。
+ *
+ * @param {{start: moment.Moment, end: moment.Moment, label: string|null}} range 时间范围
+ * @returns {{start: moment.Moment, end: moment.Moment, label: string|null}} 上一周期的时间范围
+ */
+export const getPreviousRange = (range) => {
+  const { start, end, label } = range;
+  
+  if (label && /^\d{4}-W\d{2}$/.test(label)) {
+    return parsePeriod(start.clone().subtract(1, 'week').format('GGGG-[W]WW'));
+  }
+  if (label && /^\d{4}-\d{2}$/.test(label)) {
+    return parsePeriod(start.clone().subtract(1, 'month').format('YYYY-MM'));
+  }
+  
+  const duration = end.diff(start);
+  const previousEnd = start.clone().subtract(1, 'millisecond');
+  const previousStart = previousEnd.clone().subtract(duration, 'milliseconds');
+  return {
+    start: previousStart,
+    end: previousEnd,
+    label: label?.startsWith('sprint-')
+      ? `sprint-${previousStart.format('YYYYMMDD')}-${label.split('-').pop()}`
+      : null
+  };
+};
+
 /**
  * 获取周报的开始日期
  * @returns {moment.Moment} 开始日期
  */
 export const getReportStartDate = () => {
-  return moment().subtract(config.reportDays, 'days').startOf('day');
+  return getReportRange().start.clone();
 };
 
 /**
@@ -14,7 +244,15 @@ export const getReportStartDate = () => {
  * @returns {moment.Moment} 结束日期
  */
 export const getReportEndDate = () => {
-  return moment().endOf('day');
+  return getReportRange().end.clone();
+};
+
+/**
+ * 获取周报的周期名称（未指定 --period 时为 null）
+ * @returns {string|null} 周期名称
+ */
+export const getReportPeriodLabel = () => {
+  return getReportRange().label;
 };
 
 /**
@@ -26,14 +264,47 @@ export const formatDate = (date) => {
   return moment(date).format('YYYY-MM-DD HH:mm:ss');
 };
 
+/**
+ * 将任意文本转换为可用于文件名的片段
+ * @param {string} value 文本
+ * @returns {string} 文件名片段
+ */
+const toFilenamePart = (value) => String(value).trim().replace(/[\\/:*?"<>|\s]+/g, '_');
+
+/**
+ * 为一组文本生成互不相同的文件名片段
+ *
+ * 不同的文本转换后可能相同（如 "张 三" 和 "张_三"，或只有大小写不同，在不区分大小写的文件系统上是同一个文件），
+ * 这时在冲突的片段后追加原文本的短哈希，同一文本在每次运行中得到的文件名不变。
+ *
+ * @param {Array<string>} values 文本列表
+ * @returns {Map<string, string>} 文本到文件名片段的映射
+ */
+export const toUniqueFilenameParts = (values) => {
+  const groups = _.groupBy(_.uniq(values), value => toFilenamePart(value).toLowerCase());
+  return new Map(Object.values(groups).flatMap(group => group.map(value => {
+    const part = toFilenamePart(value);
+    if (group.length === 1) {
+      return [value, part];
+    }
+    return [value, `${part}-${crypto.createHash('sha1').update(String(value)).digest('hex').slice(0, 8)}`];
+  })));
+};
+
 /**
  * 生成报告文件名
+ * @param {string} scope 报告范围（如贡献者名称），会追加到文件名末尾
+ * @param {string} extension 文件扩展名（含点号），由格式化器决定
  * @returns {string} 报告文件名
  */
-export const generateReportFilename = () => {
+export const generateReportFilename = (scope = '', extension = '.md') => {
   const startDate = getReportStartDate().format('YYYYMMDD');
   const endDate = getReportEndDate().format('YYYYMMDD');
-  return `git-report-${startDate}-to-${endDate}.${config.outputFormat === 'markdown' ? 'md' : config.outputFormat}`;
+  const suffix = [getReportPeriodLabel(), scope]
+    .filter(Boolean)
+    .map(part => `-${toFilenamePart(part)}`)
+    .join('');
+  return `git-report-${startDate}-to-${endDate}${suffix}${extension}`;
 };
 
 /**
@@ -43,6 +314,6 @@ export const generateReportFilename = () => {
  */
 export const isDateInReportRange = (date) => {
   const momentDate = moment(date);
-  return momentDate.isSameOrAfter(getReportStartDate()) && 
+  return momentDate.isSameOrAfter(getReportStartDate()) &&
          momentDate.isSameOrBefore(getReportEndDate());
-}; 
\ No newline at end of file
+};
@@ -1,6 +1,7 @@
 import fs from 'fs-extra';
 import path from 'path';
 import config from '../config/default.js';
+import { createZip } from './zipUtils.js';
 
 /**
  * 检查路径是否为 Git 仓库
@@ -68,13 +69,28 @@ export const ensureOutputDir = async () => {
 
 /**
  * 写入报告文件
- * @param {string} content 报告内容
+ *
+ * 报告内容为多个文件（文件名到内容的映射）时，根据 filename 的扩展名写入 ZIP 压缩包，
+ * 或写入以 filename 命名的目录。
+ *
+ * @param {string|Object<string, string>} content 报告内容
  * @param {string} filename 文件名
  * @returns {Promise<string>} 文件路径
  */
 export const writeReport = async (content, filename) => {
   const outputDir = await ensureOutputDir();
   const filePath = path.join(outputDir, filename);
-  await fs.writeFile(filePath, content, 'utf8');
+  
+  if (typeof content === 'string') {
+    await fs.writeFile(filePath, content, 'utf8');
+  } else if (path.extname(filename) === '.zip') {
+    await fs.writeFile(filePath, createZip(content));
+  } else {
+    await fs.ensureDir(filePath);
+    for (const [name, fileContent] of Object.entries(content)) {
+      await fs.writeFile(path.join(filePath, name), fileContent, 'utf8');
+    }
+  }
+  
   return filePath;
 }; 
\ No newline at end of file
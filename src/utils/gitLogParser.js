@@ -0,0 +1,140 @@
+/**
+ * git log 变更输出解析
+ *
+ * 解析 `git log -z --format=%x01%H --raw --numstat` 的输出。
+ * 开启 -z 后所有字段都以 NUL 分隔，文件路径不做转义，可以安全处理包含空格、制表符或中文的路径。
+ * 每个提交的输出依次为：
+ * - 提交头：\x01<hash>
+ * - raw 记录：":<旧模式> <新模式> <旧 blob> <新 blob> <状态>"，后跟一个路径；重命名/复制后跟旧路径和新路径
+ * - numstat 记录："<增加>\t<删除>\t<路径>"；重命名/复制时路径为空，后跟旧路径和新路径；二进制文件的行数为 "-"
+ */
+
+// 提交头标记
+export const COMMIT_MARKER = '\x01';
+
+// git log 的输出格式参数
+export const CHANGE_LOG_FORMAT = '--format=%x01%H';
+
+/**
+ * 将 git 状态码转换为变更类型
+ * @param {string} status git 状态码，如 A、M、D、R100
+ * @returns {string} 变更类型
+ */
+export const getChangeType = (status) => {
+  switch (status.charAt(0)) {
+    case 'A': return '新增';
+    case 'M': return '修改';
+    case 'D': return '删除';
+    case 'R': return '重命名';
+    case 'C': return '复制';
+    default: return '未知';
+  }
+};
+
+/**
+ * 创建流式解析器
+ *
+ * 通过 push 逐块写入 git 输出，调用 end 后返回解析结果。
+ * 每个提交的结果为 { files, additions, deletions }，
+ * 其中 files 的元素为 { path, oldPath, status, type, additions, deletions, binary }。
+ *
+ * @returns {{push: function(string): void, end: function(): Map<string, Object>}} 解析器
+ */
+export const createChangeLogParser = () => {
+  const commits = new Map();
+  let buffer = '';
+  let current = null;
+  // 等待读取的路径数量及其所属记录
+  let pendingPaths = [];
+  let pendingEntry = null;
+  // numstat 记录与 raw 记录按相同的文件顺序输出，用下标对应
+  let numstatIndex = 0;
+  
+  const getFile = (index) => {
+    if (!current.files[index]) {
+      current.files[index] = {
+        path: '',
+        oldPath: null,
+        status: 'M',
+        type: getChangeType('M'),
+        additions: 0,
+        deletions: 0,
+        binary: false
+      };
+    }
+    return current.files[index];
+  };
+  
+  const handleToken = (rawToken) => {
+    // 读取上一条记录的路径
+    if (pendingPaths.length > 0) {
+      const field = pendingPaths.shift();
+      pendingEntry[field] = rawToken;
+      return;
+    }
+    
+    // 提交之间的换行符会出现在下一个字段的开头
+    const token = rawToken.replace(/^\n+/, '');
+    
+    if (token === '') {
+      return;
+    }
+    
+    if (token.startsWith(COMMIT_MARKER)) {
+      current = { files: [], additions: 0, deletions: 0 };
+      commits.set(token.slice(COMMIT_MARKER.length), current);
+      numstatIndex = 0;
+      return;
+    }
+    
+    if (!current) {
+      return;
+    }
+    
+    // raw 记录
+    if (token.startsWith(':')) {
+      const status = token.split(' ').pop();
+      const file = getFile(current.files.length);
+      file.status = status;
+      file.type = getChangeType(status);
+      pendingEntry = file;
+      pendingPaths = /^[RC]/.test(status) ? ['oldPath', 'path'] : ['path'];
+      return;
+    }
+    
+    // numstat 记录
+    const match = token.match(/^(\d+|-)\t(\d+|-)\t(.*)$/s);
+    if (match) {
+      const file = getFile(numstatIndex++);
+      file.binary = match[1] === '-';
+      file.additions = file.binary ? 0 : parseInt(match[1], 10);
+      file.deletions = file.binary ? 0 : parseInt(match[2], 10);
+      current.additions += file.additions;
+      current.deletions += file.deletions;
+      
+      if (match[3] === '') {
+        // 重命名/复制：后面跟旧路径和新路径
+        pendingEntry = { oldPath: null, path: null };
+        pendingPaths = ['oldPath', 'path'];
+      } else if (!file.path) {
+        file.path = match[3];
+      }
+    }
+  };
+  
+  return {
+    push(chunk) {
+      buffer += chunk;
+      const tokens = buffer.split('\0');
+      buffer = tokens.pop();
+      tokens.forEach(handleToken);
+    },
+    end() {
+      if (buffer) {
+        handleToken(buffer);
+        buffer = '';
+      }
+      return commits;
+    }
+  };
+};
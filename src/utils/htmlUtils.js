@@ -0,0 +1,115 @@
+/**
+ * 转义 HTML 特殊字符
+ * @param {*} value 任意值
+ * @returns {string} 转义后的字符串
+ */
+export const escapeHtml = (value) => {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+/**
+ * 转换行内 Markdown 语法（代码、粗体、斜体、链接）
+ * @param {string} text 已转义的文本
+ * @returns {string} HTML
+ */
+const renderInline = (text) => {
+  return text
+    .replace(/`([^`]+)`/g, '<code>$1</code>')
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>')
+    .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, '<a href="$2">$1</a>');
+};
+
+/**
+ * 将简单的 Markdown 转换为 HTML
+ *
+ * 只支持 AI 点评中常见的语法：标题、有序/无序列表、引用、代码块、段落及行内代码、粗体、斜体和链接。
+ * 输入内容会先做 HTML 转义，不会输出原始 HTML。
+ *
+ * @param {string} markdown Markdown 文本
+ * @returns {string} HTML
+ */
+export const markdownToHtml = (markdown) => {
+  const lines = String(markdown || '').replace(/\r\n/g, '\n').split('\n');
+  const html = [];
+  let paragraph = [];
+  let list = null;
+  let inCode = false;
+  let code = [];
+  
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      html.push(`<p>${renderInline(paragraph.join(' '))}</p>`);
+      paragraph = [];
+    }
+  };
+  
+  const flushList = () => {
+    if (list) {
+      html.push(`<${list.tag}>${list.items.map(item => `<li>${renderInline(item)}</li>`).join('')}</${list.tag}>`);
+      list = null;
+    }
+  };
+  
+  lines.forEach(rawLine => {
+    if (/^\s*```/.test(rawLine)) {
+      if (inCode) {
+        html.push(`<pre><code>${code.join('\n')}</code></pre>`);
+        code = [];
+        inCode = false;
+      } else {
+        flushParagraph();
+        flushList();
+        inCode = true;
+      }
+      return;
+    }
+    
+    const line = escapeHtml(rawLine);
+    if (inCode) {
+      code.push(line);
+      return;
+    }
+    
+    let match;
+    if (line.trim() === '') {
+      flushParagraph();
+      flushList();
+    } else if ((match = line.match(/^(#{1,6})\s+(.*)$/))) {
+      flushParagraph();
+      flushList();
+      const level = match[1].length;
+      html.push(`<h${level}>${renderInline(match[2])}</h${level}>`);
+    } else if ((match = line.match(/^\s*[-*+]\s+(.*)$/)) || (match = line.match(/^\s*\d+[.)]\s+(.*)$/))) {
+      flushParagraph();
+      const tag = /^\s*\d/.test(line) ? 'ol' : 'ul';
+      if (list && list.tag !== tag) {
+        flushList();
+      }
+      if (!list) {
+        list = { tag, items: [] };
+      }
+      list.items.push(match[1]);
+    } else if ((match = line.match(/^&gt;\s?(.*)$/))) {
+      flushParagraph();
+      flushList();
+      html.push(`<blockquote>${renderInline(match[1])}</blockquote>`);
+    } else {
+      flushList();
+      paragraph.push(line.trim());
+    }
+  });
+  
+  if (inCode) {
+    html.push(`<pre><code>${code.join('\n')}</code></pre>`);
+  }
+  flushParagraph();
+  flushList();
+  
+  return html.join('\n');
+};
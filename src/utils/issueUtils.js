@@ -0,0 +1,136 @@
+import config from '../config/default.js';
+
+// 关闭问题的关键字，如 "fixes #123"、"closes PROJ-1"
+const CLOSING_KEYWORD_PATTERN = /\b(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?)\s*:?\s*$/i;
+
+/**
+ * 将仓库的远程地址转换为网页地址
+ *
+ * 支持 git@host:owner/repo.git、ssh://git@host/owner/repo.git 和 https://host/owner/repo.git 等形式。
+ *
+ * @param {string} remote 远程地址
+ * @returns {string|null} 网页地址，无法识别时返回 null
+ */
+export const toWebUrl = (remote) => {
+  if (!remote) {
+    return null;
+  }
+  
+  let url = String(remote).trim().replace(/\.git$/, '').replace(/\/$/, '');
+  let match;
+  
+  if ((match = url.match(/^[\w.-]+@([^:/]+):(.+)$/))) {
+    // scp 风格：git@github.com:owner/repo
+    url = `https://${match[1]}/${match[2]}`;
+  } else if ((match = url.match(/^(?:ssh|git|https?):\/\/(?:[^@/]+@)?([^/:]+)(?::\d+)?\/(.+)$/))) {
+    url = `https://${match[1]}/${match[2]}`;
+  } else {
+    return null;
+  }
+  
+  return url;
+};
+
+/**
+ * 获取配置的问题跟踪规则，并编译正则
+ * @returns {Array<Object>} 问题跟踪规则
+ */
+const getTrackers = () => {
+  return (config.issueTrackers || []).map(tracker => ({
+    ...tracker,
+    regex: new RegExp(tracker.pattern, 'g')
+  }));
+};
+
+/**
+ * 按规则的 projects 和 exclude 检查问题编号的项目键（JIRA 风格编号中最后一个 "-" 之前的部分，不区分大小写）
+ * @param {Object} tracker 问题跟踪规则
+ * @param {string} id 问题编号
+ * @returns {boolean} 是否识别为问题
+ */
+const isTrackedProject = (tracker, id) => {
+  const index = id.lastIndexOf('-');
+  if (index <= 0) {
+    return true;
+  }
+  const project = id.slice(0, index).toUpperCase();
+  const toUpper = (list) => (list || []).map(item => String(item).toUpperCase());
+  if (tracker.projects?.length > 0) {
+    return toUpper(tracker.projects).includes(project);
+  }
+  return !toUpper(tracker.exclude).includes(project);
+};
+
+/**
+ * 提取文本中引用的问题
+ *
+ * 按配置中的 issueTrackers 规则依次匹配，每条规则的正则需包含一个捕获组作为问题编号；
+ * 项目键不在 projects 中或在 exclude 中的编号会被忽略（见 isTrackedProject）；
+ * 前面带有 fixes/closes/resolves 等关键字的引用会标记为 closes。
+ *
+ * @param {string} text 提交信息
+ * @returns {Array<{tracker: string, id: string, key: string, closes: boolean}>} 问题列表（按 key 去重）
+ */
+export const extractIssues = (text) => {
+  const source = String(text || '');
+  const issues = [];
+  
+  getTrackers().forEach(tracker => {
+    for (const match of source.matchAll(tracker.regex)) {
+      const id = match[1] ?? match[0];
+      if (!isTrackedProject(tracker, id)) {
+        continue;
+      }
+      const key = (tracker.prefix || '') + id;
+      const before = source.slice(0, match.index + match[0].indexOf(id) - (tracker.prefix || '').length);
+      const closes = CLOSING_KEYWORD_PATTERN.test(before);
+      
+      const existing = issues.find(issue => issue.key === key);
+      if (existing) {
+        existing.closes = existing.closes || closes;
+      } else {
+        issues.push({ tracker: tracker.name, id, key, closes });
+      }
+    }
+  });
+  
+  return issues;
+};
+
+/**
+ * 根据问题跟踪规则的 URL 模板生成问题链接
+ *
+ * 模板变量：{id} 问题编号，{key} 显示的问题标识，{repoUrl} 仓库网页地址，{repo} 仓库名称。
+ * 模板为空，或模板使用了 {repoUrl} 但仓库没有可识别的远程地址时返回 null。
+ *
+ * @param {Object} issue 问题
+ * @param {Object} repo 仓库信息（name、remote）
+ * @returns {string|null} 问题链接
+ */
+export const getIssueUrl = (issue, repo = {}) => {
+  const tracker = (config.issueTrackers || []).find(item => item.name === issue.tracker);
+  if (!tracker?.url) {
+    return null;
+  }
+  
+  const repoUrl = toWebUrl(repo.remote);
+  if (tracker.url.includes('{repoUrl}') && !repoUrl) {
+    return null;
+  }
+  
+  return tracker.url
+    .replace(/\{id\}/g, encodeURIComponent(issue.id))
+    .replace(/\{key\}/g, encodeURIComponent(issue.key))
+    .replace(/\{repoUrl\}/g, repoUrl || '')
+    .replace(/\{repo\}/g, encodeURIComponent(repo.name || ''));
+};
+
+/**
+ * 判断问题是否只在所属仓库内有效（如 GitHub 的 #123），用于汇总时区分不同仓库的同号问题
+ * @param {Object} issue 问题
+ * @returns {boolean} 是否为仓库内编号
+ */
+export const isRepoScopedIssue = (issue) => {
+  const tracker = (config.issueTrackers || []).find(item => item.name === issue.tracker);
+  return !!tracker?.repoScoped;
+};
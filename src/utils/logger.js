@@ -0,0 +1,31 @@
+import chalk from 'chalk';
+
+// 是否显示详细日志
+let verbose = true;
+
+/**
+ * 设置是否显示详细日志
+ * @param {boolean} enabled 是否显示
+ */
+export const setVerbose = (enabled) => {
+  verbose = enabled !== false;
+};
+
+/**
+ * 是否显示详细日志
+ * @returns {boolean} 是否显示
+ */
+export const isVerbose = () => verbose;
+
+// 日志函数
+export const log = {
+  info: (message) => console.log(chalk.blue(message)),
+  success: (message) => console.log(chalk.green(message)),
+  warning: (message) => console.log(chalk.yellow(message)),
+  error: (message) => console.error(chalk.red(message)),
+  verbose: (message) => {
+    if (verbose) {
+      console.log(chalk.gray(`[详细] ${message}`));
+    }
+  }
+};
@@ -0,0 +1,71 @@
+import chalk from 'chalk';
+
+// 进度条宽度（字符）
+const BAR_WIDTH = 24;
+
+/**
+ * 创建仓库处理进度显示
+ *
+ * 在交互式终端（TTY）且开启详细模式时，在同一行刷新进度条，显示已完成/总数和当前仓库；
+ * 否则退化为逐行输出的普通日志，便于重定向到文件或在 CI 中查看。
+ *
+ * @param {Object} options 选项
+ * @param {number} options.total 总数
+ * @param {boolean} options.verbose 是否为详细模式
+ * @param {NodeJS.WriteStream} options.stream 输出流，默认为 process.stdout
+ * @returns {{start: function(string): void, done: function(string): void, finish: function(): void}} 进度显示
+ */
+export const createProgress = ({ total, verbose = true, stream = process.stdout }) => {
+  const interactive = verbose && stream.isTTY;
+  let completed = 0;
+  let current = '';
+  
+  const render = () => {
+    const ratio = total > 0 ? completed / total : 1;
+    const filled = Math.round(ratio * BAR_WIDTH);
+    const bar = '█'.repeat(filled) + '░'.repeat(BAR_WIDTH - filled);
+    const counter = `${completed}/${total}`;
+    // 截断仓库名称到终端宽度，避免换行导致无法在同一行刷新
+    const columns = stream.columns || 80;
+    const room = Math.max(0, columns - BAR_WIDTH - counter.length - 3);
+    const name = current.length > room ? `…${current.slice(current.length - room + 1)}` : current;
+    stream.write(`\r\x1b[K${chalk.cyan(bar)} ${counter} ${chalk.gray(name)}`);
+  };
+  
+  return {
+    /**
+     * 标记开始处理某个仓库
+     * @param {string} name 仓库路径或名称
+     */
+    start(name) {
+      current = name;
+      if (interactive) {
+        render();
+      } else {
+        console.log(`处理仓库: ${name}`);
+      }
+    },
+    
+    /**
+     * 标记某个仓库处理完成
+     * @param {string} name 仓库路径或名称
+     */
+    done(name) {
+      completed++;
+      if (interactive) {
+        render();
+      } else if (verbose) {
+        console.log(chalk.gray(`[${completed}/${total}] 完成: ${name}`));
+      }
+    },
+    
+    /**
+     * 结束进度显示
+     */
+    finish() {
+      if (interactive) {
+        stream.write('\r\x1b[K');
+      }
+    }
+  };
+};
@@ -0,0 +1,13 @@
+/**
+ * 创建注册表条目：在定义前加上名称
+ *
+ * 复制属性描述符而不是属性值，保留 getter（如依赖运行时配置的 extension、prompt），
+ * 每次读取时都使用最新的配置。
+ *
+ * @param {string} name 名称
+ * @param {Object} definition 定义
+ * @returns {Object} 包含 name 和定义中所有属性的新对象
+ */
+export const createRegistryEntry = (name, definition) => {
+  return Object.defineProperties({ name }, Object.getOwnPropertyDescriptors(definition));
+};
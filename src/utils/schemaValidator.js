@@ -0,0 +1,121 @@
+/**
+ * JSON Schema 校验
+ *
+ * 只实现报告格式定义用到的关键字：$ref（仅限文档内引用）、type、enum、const、required、properties、
+ * additionalProperties、items、minimum、pattern 和 format（date-time）。
+ */
+
+// 带时区的 ISO 8601 时间
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+/**
+ * 获取值的 JSON 类型
+ * @param {*} value 值
+ * @returns {string} JSON 类型
+ */
+const getJsonType = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+/**
+ * 判断值是否符合 JSON Schema 类型
+ * @param {*} value 值
+ * @param {string} type JSON Schema 类型
+ * @returns {boolean} 是否符合
+ */
+const matchesType = (value, type) => {
+  const actual = getJsonType(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+/**
+ * 解析文档内引用，如 #/$defs/commit
+ * @param {Object} root 根 Schema
+ * @param {string} ref 引用
+ * @returns {Object} 引用的 Schema
+ */
+const resolveRef = (root, ref) => {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`不支持的 Schema 引用: ${ref}`);
+  }
+  return ref.slice(2).split('/').reduce((node, key) => {
+    if (!node || !(key in node)) {
+      throw new Error(`无效的 Schema 引用: ${ref}`);
+    }
+    return node[key];
+  }, root);
+};
+
+/**
+ * 按 JSON Schema 校验数据
+ * @param {*} value 数据
+ * @param {Object} schema JSON Schema
+ * @param {Object} root 根 Schema（用于解析 $ref）
+ * @param {string} pointer 当前数据的位置，如 repositories[0].commits[1].hash
+ * @returns {string[]} 错误列表，为空表示校验通过
+ */
+export const validateSchema = (value, schema, root = schema, pointer = '$') => {
+  if (schema.$ref) {
+    return validateSchema(value, resolveRef(root, schema.$ref), root, pointer);
+  }
+  
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${pointer}: 类型应为 ${types.join(' 或 ')}，实际为 ${getJsonType(value)}`];
+    }
+  }
+  
+  const errors = [];
+  
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${pointer}: 取值应为 ${schema.enum.map(item => JSON.stringify(item)).join(', ')} 之一`);
+  }
+  if ('const' in schema && value !== schema.const) {
+    errors.push(`${pointer}: 取值应为 ${JSON.stringify(schema.const)}`);
+  }
+  
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${pointer}: 不能小于 ${schema.minimum}`);
+  }
+  
+  if (typeof value === 'string') {
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${pointer}: 不符合格式 ${schema.pattern}`);
+    }
+    if (schema.format === 'date-time' && !DATE_TIME_PATTERN.test(value)) {
+      errors.push(`${pointer}: 应为带时区的 ISO 8601 时间`);
+    }
+  }
+  
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(item, schema.items, root, `${pointer}[${index}]`));
+    });
+  }
+  
+  if (getJsonType(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) {
+        errors.push(`${pointer}: 缺少字段 ${key}`);
+      }
+    });
+    
+    const properties = schema.properties || {};
+    Object.entries(value).forEach(([key, item]) => {
+      const childPointer = `${pointer}.${key}`;
+      if (properties[key]) {
+        errors.push(...validateSchema(item, properties[key], root, childPointer));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${childPointer}: 未定义的字段`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(item, schema.additionalProperties, root, childPointer));
+      }
+    });
+  }
+  
+  return errors;
+};
@@ -0,0 +1,70 @@
+/**
+ * 计算文本在终端中的显示宽度（中日韩字符和全角符号占两列）
+ * @param {string} text 文本
+ * @returns {number} 显示宽度
+ */
+export const getDisplayWidth = (text) => {
+  let width = 0;
+  for (const char of String(text)) {
+    const code = char.codePointAt(0);
+    width += (code >= 0x1100 && code <= 0x115f) || (code >= 0x2e80 && code <= 0xa4cf) ||
+      (code >= 0xac00 && code <= 0xd7a3) || (code >= 0xf900 && code <= 0xfaff) ||
+      (code >= 0xfe30 && code <= 0xfe4f) || (code >= 0xff00 && code <= 0xff60) ||
+      (code >= 0xffe0 && code <= 0xffe6) || (code >= 0x20000 && code <= 0x3fffd) ? 2 : 1;
+  }
+  return width;
+};
+
+/**
+ * 按显示宽度截断文本，超出时以省略号结尾
+ * @param {string} text 文本
+ * @param {number} width 最大显示宽度
+ * @returns {string} 截断后的文本
+ */
+export const truncateText = (text, width) => {
+  if (getDisplayWidth(text) <= width) {
+    return text;
+  }
+  let result = '';
+  for (const char of text) {
+    if (getDisplayWidth(result + char) > width - 1) {
+      break;
+    }
+    result += char;
+  }
+  return `${result}…`;
+};
+
+/**
+ * 按显示宽度补齐文本
+ * @param {string} text 文本
+ * @param {number} width 目标宽度
+ * @param {boolean} alignRight 是否右对齐
+ * @returns {string} 补齐后的文本
+ */
+const pad = (text, width, alignRight) => {
+  const padding = ' '.repeat(Math.max(0, width - getDisplayWidth(text)));
+  return alignRight ? `${padding}${text}` : `${text}${padding}`;
+};
+
+/**
+ * 将数据格式化为对齐的终端表格，数字列右对齐
+ * @param {string[]} headers 表头
+ * @param {Array<Array<*>>} rows 数据行
+ * @returns {string} 表格文本
+ */
+export const formatTable = (headers, rows) => {
+  const cells = rows.map(row => row.map(value => (value === null || value === undefined ? '-' : String(value))));
+  const widths = headers.map((header, index) => {
+    return Math.max(getDisplayWidth(header), ...cells.map(row => getDisplayWidth(row[index] ?? '')));
+  });
+  const numeric = headers.map((header, index) => rows.length > 0 && rows.every(row => typeof row[index] === 'number'));
+  
+  const formatRow = (row) => row.map((cell, index) => pad(cell, widths[index], numeric[index])).join('  ').trimEnd();
+  
+  return [
+    formatRow(headers),
+    widths.map(width => '-'.repeat(width)).join('  '),
+    ...cells.map(formatRow)
+  ].join('\n');
+};
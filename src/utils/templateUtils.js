@@ -0,0 +1,72 @@
+// 模板标签：<% 代码 %>、<%= 输出 %>、<%- 原样输出 %>、<%# 注释 %>，以 -%> 结尾时去掉标签后的换行
+const TAG_PATTERN = /<%([=\-#]?)([\s\S]*?)(-?)%>/g;
+
+/**
+ * 将值转换为输出文本，null 和 undefined 输出为空
+ * @param {*} value 值
+ * @returns {string} 文本
+ */
+const toOutput = (value) => (value === null || value === undefined ? '' : String(value));
+
+/**
+ * 编译 EJS 风格的模板
+ *
+ * 模板中可以使用任意 JavaScript 表达式和语句，数据对象的属性可以直接作为变量访问，例如：
+ *
+ *   # 周报 <%= startDate %> ~ <%= endDate %>
+ *   <% repositories.forEach(repo => { -%>
+ *   - <%= repo.name %>: <%= repo.commits.length %> 次提交
+ *   <% }) -%>
+ *
+ * @param {string} source 模板内容
+ * @param {Object} options 选项
+ * @param {function(*): string} [options.escape] <%= %> 输出时使用的转义函数，默认不转义
+ * @param {string} [options.filename] 模板文件名（用于错误提示）
+ * @returns {function(Object): string} 渲染函数
+ */
+export const compileTemplate = (source, { escape = toOutput, filename = 'template' } = {}) => {
+  let code = '';
+  let cursor = 0;
+  let trimNewline = false;
+  let match;
+  
+  const appendText = (text) => {
+    const content = trimNewline ? text.replace(/^\r?\n/, '') : text;
+    if (content) {
+      code += `__out += ${JSON.stringify(content)};\n`;
+    }
+  };
+  
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(source))) {
+    const [tag, type, body, trim] = match;
+    appendText(source.slice(cursor, match.index));
+    cursor = match.index + tag.length;
+    trimNewline = trim === '-';
+    
+    if (type === '=') {
+      code += `__out += __escape(${body});\n`;
+    } else if (type === '-') {
+      code += `__out += __output(${body});\n`;
+    } else if (type === '') {
+      code += `${body}\n`;
+    }
+  }
+  appendText(source.slice(cursor));
+  
+  let render;
+  try {
+    // 使用 with 让数据对象的属性可以直接作为变量访问
+    render = new Function('__locals', '__escape', '__output', `let __out = '';\nwith (__locals) {\n${code}}\nreturn __out;`);
+  } catch (error) {
+    throw new Error(`模板编译失败 ${filename}: ${error.message}`);
+  }
+  
+  return (locals) => {
+    try {
+      return render(locals, value => escape(toOutput(value)), toOutput);
+    } catch (error) {
+      throw new Error(`模板渲染失败 ${filename}: ${error.message}`);
+    }
+  };
+};
@@ -0,0 +1,138 @@
+import { getDisplayWidth } from './tableUtils.js';
+
+/**
+ * token 估算和按 token 数拆分文本
+ *
+ * 不依赖具体模型的分词器，按字符粗略估算：中日韩字符和全角符号每个约 1 个 token，
+ * 其他字符约 3 个一个 token（英文一般约 4 个，代码和 JSON 更密，取偏大的估计）。
+ */
+
+/**
+ * 估算单个字符的 token 数
+ * @param {string} char 字符
+ * @returns {number} token 数
+ */
+const getCharTokens = (char) => (getDisplayWidth(char) > 1 ? 1 : 1 / 3);
+
+/**
+ * 估算文本的 token 数
+ * @param {string} text 文本
+ * @returns {number} 估算的 token 数
+ */
+export const estimateTokens = (text) => {
+  let tokens = 0;
+  for (const char of String(text || '')) {
+    tokens += getCharTokens(char);
+  }
+  return Math.ceil(tokens);
+};
+
+/**
+ * 按 token 数截断文本
+ * @param {string} text 文本
+ * @param {number} maxTokens 最大 token 数
+ * @returns {{text: string, truncatedTokens: number}} 截断后的文本和被截掉的 token 数
+ */
+export const truncateToTokens = (text, maxTokens) => {
+  const total = estimateTokens(text);
+  if (total <= maxTokens) {
+    return { text, truncatedTokens: 0 };
+  }
+  
+  let tokens = 0;
+  let end = 0;
+  for (const char of text) {
+    tokens += getCharTokens(char);
+    if (tokens > maxTokens) {
+      break;
+    }
+    end += char.length;
+  }
+  const result = text.slice(0, end);
+  return { text: result, truncatedTokens: total - estimateTokens(result) };
+};
+
+/**
+ * 判断是否为 Markdown 标题行
+ * @param {string} line 行内容
+ * @returns {boolean} 是否为标题
+ */
+const isHeading = (line) => /^#{1,6}\s/.test(line);
+
+/**
+ * 将文本拆分为不超过指定 token 数的若干块
+ *
+ * 按 Markdown 标题把文本分成段落（如周报中每个仓库一段），尽量把完整的段落放进同一块；
+ * 超过限制的段落按行拆分，后续各块以段落标题加"（续）"开头；超过限制的单行被截断。
+ *
+ * @param {string} text 文本
+ * @param {number} maxTokens 每块的最大 token 数
+ * @returns {{chunks: string[], truncatedTokens: number}} 拆分结果和被截掉的 token 数
+ */
+export const splitByTokens = (text, maxTokens) => {
+  const sections = [];
+  text.split('\n').forEach(line => {
+    if (sections.length === 0 || isHeading(line)) {
+      sections.push([]);
+    }
+    sections[sections.length - 1].push(line);
+  });
+  
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+  let truncatedTokens = 0;
+  
+  const flush = () => {
+    if (current.length > 0 && current.some(line => line.trim() !== '')) {
+      chunks.push(current.join('\n'));
+    }
+    current = [];
+    currentTokens = 0;
+  };
+  const append = (lines, tokens) => {
+    if (currentTokens + tokens > maxTokens) {
+      flush();
+    }
+    current.push(...lines);
+    currentTokens += tokens;
+  };
+  
+  sections.forEach(lines => {
+    // 每行末尾的换行符计 1 个 token
+    const tokens = estimateTokens(lines.join('\n')) + 1;
+    if (tokens <= maxTokens) {
+      append(lines, tokens);
+      return;
+    }
+    
+    // 超过限制的段落按行拆分
+    flush();
+    const heading = isHeading(lines[0]) ? `${lines[0]}（续）` : null;
+    const headingTokens = heading ? estimateTokens(heading) + 1 : 0;
+    lines.forEach((line, index) => {
+      let lineTokens = estimateTokens(line) + 1;
+      // 段落标题本身位于第一块的开头，不需要为续块的标题预留空间
+      const room = index === 0 && heading ? maxTokens : maxTokens - headingTokens;
+      if (lineTokens > room) {
+        const result = truncateToTokens(line, room - 1);
+        truncatedTokens += result.truncatedTokens;
+        line = result.text;
+        lineTokens = estimateTokens(line) + 1;
+      }
+      if (currentTokens + lineTokens > maxTokens) {
+        flush();
+        if (heading) {
+          current.push(heading);
+          currentTokens = headingTokens;
+        }
+      }
+      current.push(line);
+      currentTokens += lineTokens;
+    });
+    flush();
+  });
+  flush();
+  
+  return { chunks, truncatedTokens };
+};
@@ -0,0 +1,134 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildAiDigest } from '../src/services/aiDigestService.js';
+import config from '../src/config/default.js';
+
+beforeEach(() => {
+  config.llm = {
+    ...config.llm,
+    digest: { maxCommitsPerRepo: 30, maxFilesPerRepo: 5, maxSubjectLength: 100, maxIssues: 20 }
+  };
+});
+
+/**
+ * 生成提交记录
+ * @param {string} hash 提交哈希的首字符
+ * @param {string} type 提交类型，null 表示未识别
+ * @param {string} subject 提交标题
+ * @param {Object} extra 其他字段
+ * @returns {Object} 提交记录
+ */
+const createCommit = (hash, type, subject, extra = {}) => ({
+  hash: hash.repeat(40),
+  message: type ? `${type}: ${subject}` : subject,
+  author: 'Alice',
+  conventional: { type, scope: null, breaking: false, subject, issues: [] },
+  ...extra
+});
+
+/**
+ * 生成只有一个仓库的报告数据
+ * @param {Array<Object>} commits 提交列表
+ * @param {Object} extra 报告数据的其他字段
+ * @returns {Object} 报告数据
+ */
+const createReportData = (commits, extra = {}) => ({
+  startDate: '2026-10-12',
+  endDate: '2026-10-18',
+  period: '2026-W42',
+  totalRepos: 2,
+  reposWithCommits: 1,
+  summary: {
+    totalCommits: commits.length,
+    totalFilesChanged: 3,
+    totalAdditions: 30,
+    totalDeletions: 5,
+    commitTypes: {},
+    commitsByAuthor: { Alice: { commits: commits.length, additions: 30, deletions: 5 } }
+  },
+  issues: [],
+  trend: null,
+  repositories: [{
+    name: 'app',
+    analysis: {
+      totalFilesChanged: 3,
+      lineChanges: { additions: 30, deletions: 5 },
+      mostChangedFiles: [
+        { path: 'src/login/page.js', count: 3, additions: 20, deletions: 2 },
+        { path: 'src/login/api.js', count: 2, additions: 8, deletions: 3 },
+        { path: 'README.md', count: 1, additions: 2, deletions: 0 }
+      ]
+    },
+    commits
+  }],
+  ...extra
+});
+
+/**
+ * 获取仓库摘要中列出的提交行
+ * @param {string} digest 输入摘要
+ * @returns {string[]} 提交行
+ */
+const getCommitLines = (digest) => digest.split('\n').filter(line => line.startsWith('- '));
+
+test('提交按分类列出，破坏性变更、新功能和问题修复在前', () => {
+  const digest = buildAiDigest(createReportData([
+    createCommit('1', 'chore', '升级依赖'),
+    createCommit('2', 'fix', '修复登录超时'),
+    createCommit('3', null, '调整文案'),
+    createCommit('4', 'feat', '新增登录页'),
+    createCommit('5', 'feat', '移除旧接口', { conventional: { type: 'feat', scope: 'api', breaking: true, subject: '移除旧接口', issues: [] } })
+  ]));
+  
+  assert.match(digest, /^# 周报概览\n时间范围: 2026-10-12 至 2026-10-18（2026-W42）\n/);
+  assert.match(digest, /总计: 5 个提交，1\/2 个仓库有提交，变更 3 个文件，\+30\/-5 行/);
+  assert.deepEqual(getCommitLines(digest), [
+    '- api: 移除旧接口 [Alice]',
+    '- 新增登录页 [Alice]',
+    '- 修复登录超时 [Alice]',
+    '- 升级依赖 [Alice]',
+    '- 调整文案 [Alice]'
+  ]);
+  assert.match(digest, /破坏性变更:\n- api: 移除旧接口/);
+  assert.match(digest, /主题: 作用域 api\(1\)；目录 src\/login\(5\)/);
+});
+
+test('超出每个仓库的提交数限制时优先保留靠前的分类，并注明未列出的数量', () => {
+  config.llm.digest.maxCommitsPerRepo = 3;
+  const digest = buildAiDigest(createReportData([
+    createCommit('1', 'docs', '更新文档'),
+    createCommit('2', 'chore', '升级依赖'),
+    createCommit('3', 'fix', '修复登录超时'),
+    createCommit('4', 'feat', '新增登录页'),
+    createCommit('5', 'fix', '修复样式')
+  ]));
+  
+  assert.deepEqual(getCommitLines(digest), ['- 新增登录页 [Alice]', '- 修复登录超时 [Alice]', '- 修复样式 [Alice]']);
+  assert.match(digest, /（另有 2 个提交未列出）/);
+  assert.doesNotMatch(digest, /更新文档|升级依赖/);
+});
+
+test('限制提交标题长度（省略号计入长度）、主要文件数和问题数', () => {
+  Object.assign(config.llm.digest, { maxSubjectLength: 12, maxFilesPerRepo: 1, maxIssues: 2 });
+  const reportData = createReportData([createCommit('1', 'feat', '新增一个非常非常长的登录页面标题')], {
+    issues: [{ key: 'APP-1', closed: true }, { key: 'APP-2', closed: false }, { key: 'APP-3', closed: false }]
+  });
+  const digest = buildAiDigest(reportData);
+  
+  assert.deepEqual(getCommitLines(digest), ['- 新增一个非常非常长的登… [Alice]']);
+  assert.match(digest, /主要文件: src\/login\/page\.js \(3 次, \+20\/-2 行\)\n/);
+  assert.match(digest, /涉及的问题: APP-1（已关闭）, APP-2\n/);
+});
+
+test('合并请求使用编号和标题，AI 改写的说明附在标题后', () => {
+  const commits = [
+    createCommit('1', 'feat', '合并登录功能', { pullRequest: { number: 9, title: 'feat: 登录功能' } }),
+    createCommit('2', null, 'fix')
+  ];
+  const reportData = createReportData(commits);
+  reportData.repositories[0].aiSummary = { summary: '完成了登录功能。\n修复了超时。', commitMessages: { ['2'.repeat(40)]: '修复登录超时' } };
+  const digest = buildAiDigest(reportData);
+  
+  assert.deepEqual(getCommitLines(digest), ['- PR #9: feat: 登录功能 [Alice]', '- fix（修复登录超时） [Alice]']);
+  assert.match(digest, /AI 总结: 完成了登录功能。 修复了超时。/);
+});
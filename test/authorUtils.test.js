@@ -0,0 +1,129 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getAuthorFilterPatterns,
+  getTeamMembers,
+  getTeamNames,
+  matchesAuthorFilters,
+  resolveAuthor,
+  validateAuthorFilters
+} from '../src/utils/authorUtils.js';
+import config from '../src/config/default.js';
+
+beforeEach(() => {
+  config.authors = {
+    '张三': { email: 'zhangsan@company.com', aliases: ['zhangsan@gmail.com', 'GitHub'], team: 'backend' }
+  };
+  config.teams = { frontend: ['Ali', 'lisi@company.com'] };
+  config.authorFilter = [];
+  config.teamFilter = '';
+});
+
+test('按主邮箱、别名邮箱或别名名称合并为规范身份', () => {
+  const expected = { name: '张三', email: 'zhangsan@company.com', team: 'backend' };
+  assert.deepEqual(resolveAuthor('zhangsan', 'zhangsan@company.com'), expected);
+  assert.deepEqual(resolveAuthor('San Zhang', 'zhangsan@gmail.com'), expected);
+  assert.deepEqual(resolveAuthor('GitHub', 'noreply@github.com'), expected);
+  assert.deepEqual(resolveAuthor('张三', 'other@example.com'), expected);
+});
+
+test('匹配名称和邮箱时不区分大小写并忽略首尾空白', () => {
+  assert.equal(resolveAuthor('Someone', ' ZhangSan@Gmail.COM ').name, '张三');
+  assert.equal(resolveAuthor('github', 'noreply@github.com').name, '张三');
+});
+
+test('优先按邮箱匹配，其次按名称匹配', () => {
+  config.authors = {
+    ...config.authors,
+    '李四': { email: 'lisi@company.com', aliases: ['GitHub Actions'] }
+  };
+  
+  assert.equal(resolveAuthor('GitHub Actions', 'zhangsan@gmail.com').name, '张三');
+  assert.equal(resolveAuthor('GitHub Actions', 'actions@github.com').name, '李四');
+});
+
+test('未配置的作者保持原样，团队取自 teams 名单', () => {
+  assert.deepEqual(resolveAuthor('Ali', 'ali@company.com'), { name: 'Ali', email: 'ali@company.com', team: 'frontend' });
+  assert.deepEqual(resolveAuthor('Li Si', 'LISI@company.com'), { name: 'Li Si', email: 'LISI@company.com', team: 'frontend' });
+  assert.deepEqual(resolveAuthor('Alice', 'alice@company.com'), { name: 'Alice', email: 'alice@company.com', team: null });
+});
+
+test('规范身份的团队优先取 authors 中的 team，未设置时取 teams 名单', () => {
+  config.authors = {
+    '张三': { email: 'zhangsan@company.com', team: 'backend' },
+    '王五': { email: 'wangwu@company.com', aliases: ['wangwu'] }
+  };
+  config.teams = { frontend: ['张三', 'wangwu@company.com'] };
+  
+  assert.equal(resolveAuthor('张三', 'zhangsan@company.com').team, 'backend');
+  assert.deepEqual(resolveAuthor('wangwu', 'wangwu@gmail.com'), { name: '王五', email: 'wangwu@company.com', team: 'frontend' });
+});
+
+test('替换 authors 配置后重新构建别名索引', () => {
+  assert.equal(resolveAuthor('GitHub', 'noreply@github.com').name, '张三');
+  
+  config.authors = { '赵六': { aliases: ['GitHub'] } };
+  assert.deepEqual(resolveAuthor('GitHub', 'noreply@github.com'), { name: '赵六', email: 'noreply@github.com', team: null });
+});
+
+test('团队成员和团队名称合并 teams 名单和 authors 中的 team', () => {
+  config.authors['王五'] = { team: 'frontend' };
+  
+  assert.deepEqual(getTeamMembers('frontend'), ['Ali', 'lisi@company.com', '王五']);
+  assert.deepEqual(getTeamMembers('backend'), ['张三']);
+  assert.deepEqual(getTeamMembers('qa'), []);
+  assert.deepEqual(getTeamNames(), ['frontend', 'backend']);
+});
+
+test('团队成员的 git 作者模式锚定到完整的名称或邮箱', () => {
+  config.teamFilter = 'frontend';
+  const patterns = getAuthorFilterPatterns();
+  
+  assert.deepEqual(patterns, ['^Ali <|<Ali>$', '^lisi@company\\.com <|<lisi@company\\.com>$']);
+  const regexes = patterns.map(pattern => new RegExp(pattern, 'i'));
+  assert.ok(regexes.some(regex => regex.test('Ali <ali@company.com>')));
+  assert.ok(regexes.some(regex => regex.test('Li Si <lisi@company.com>')));
+  assert.ok(!regexes.some(regex => regex.test('Alice <alice@company.com>')));
+});
+
+test('按团队过滤时以规范身份所属的团队为准', () => {
+  config.teamFilter = 'frontend';
+  assert.equal(matchesAuthorFilters('Ali', 'ali@company.com'), true);
+  assert.equal(matchesAuthorFilters('Alice', 'alice@company.com'), false);
+  
+  config.teamFilter = 'backend';
+  assert.equal(matchesAuthorFilters('GitHub', 'noreply@github.com'), true);
+  assert.equal(matchesAuthorFilters('zhangsan', 'zhangsan@gmail.com'), true);
+  assert.equal(matchesAuthorFilters('Ali', 'ali@company.com'), false);
+});
+
+test('作者模式同时匹配规范身份的别名，与团队过滤取并集', () => {
+  config.authorFilter = ['张三'];
+  assert.equal(matchesAuthorFilters('GitHub', 'noreply@github.com'), true);
+  assert.equal(matchesAuthorFilters('Ali', 'ali@company.com'), false);
+  assert.ok(getAuthorFilterPatterns().includes('^GitHub <|<GitHub>$'));
+  
+  config.teamFilter = 'frontend';
+  assert.equal(matchesAuthorFilters('Ali', 'ali@company.com'), true);
+});
+
+test('含正则元字符的作者模式按 JS 正则在本地过滤，不交给 git', () => {
+  config.authorFilter = ['^ali\\b', 'bob'];
+  
+  assert.deepEqual(getAuthorFilterPatterns(), []);
+  assert.equal(matchesAuthorFilters('Ali', 'ali@company.com'), true);
+  assert.equal(matchesAuthorFilters('Alice', 'alice@company.com'), false);
+  assert.equal(matchesAuthorFilters('Robert', 'bob@company.com'), true);
+});
+
+test('validateAuthorFilters 拒绝无效的正则和不存在的团队', () => {
+  config.authorFilter = ['(?<name>ali)'];
+  assert.doesNotThrow(() => validateAuthorFilters());
+  
+  config.authorFilter = ['[ali'];
+  assert.throws(() => validateAuthorFilters(), /无效的作者匹配模式: \[ali/);
+  
+  config.authorFilter = [];
+  config.teamFilter = 'qa';
+  assert.throws(() => validateAuthorFilters(), /团队 qa 不存在或没有成员（已配置的团队: frontend, backend）/);
+});
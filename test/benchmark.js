@@ -0,0 +1,83 @@
+import { performance } from 'perf_hooks';
+import { createLargeRepo } from './fixtures/largeRepo.js';
+import { getCommitsByFullLog } from './fixtures/fullLogReference.js';
+import { getCommitsInDateRange } from '../src/services/gitService.js';
+import { resetReportRange } from '../src/utils/dateUtils.js';
+import config from '../src/config/default.js';
+
+/**
+ * 提交查询的性能对比
+ *
+ * 生成一个大型仓库，分别用读取完整历史再在 JS 中过滤的方式（优化前）和 getCommitsInDateRange
+ * 查询最近一周的提交，输出耗时并检查两边的结果一致。
+ *
+ * 用法：npm run bench -- [提交数量]，默认 20000 个提交。
+ */
+
+// 每种方式的运行次数，取中位数
+const RUNS = 3;
+
+/**
+ * 多次执行并返回耗时的中位数
+ * @param {function(): Promise<Array>} action 查询操作
+ * @returns {Promise<{ms: number, result: Array}>} 耗时（毫秒）和最后一次的结果
+ */
+const measure = async (action) => {
+  const times = [];
+  let result = [];
+  for (let i = 0; i < RUNS; i++) {
+    const start = performance.now();
+    result = await action();
+    times.push(performance.now() - start);
+  }
+  times.sort((a, b) => a - b);
+  return { ms: times[Math.floor(RUNS / 2)], result };
+};
+
+const main = async () => {
+  const commits = parseInt(process.argv[2], 10) || 20000;
+  config.period = null;
+  config.since = '2026-10-09';
+  config.until = '2026-10-15';
+  resetReportRange();
+  
+  console.log(`生成包含 ${commits} 个提交的测试仓库...`);
+  const repo = await createLargeRepo({ commits });
+  
+  const scenarios = [
+    { name: '最近一周', filters: {} },
+    { name: '最近一周 + 作者过滤', filters: { authors: ['author-3@'] } },
+    { name: '最近一周 + 路径过滤', filters: { paths: ['src/module-1*'] } }
+  ];
+  
+  let mismatched = false;
+  try {
+    for (const { name, filters } of scenarios) {
+      const baseline = await measure(() => getCommitsByFullLog(repo.dir, filters));
+      const current = await measure(() => getCommitsInDateRange(repo.dir, {
+        branches: [{ name: 'main', ref: 'HEAD' }],
+        authors: [],
+        paths: [],
+        mergeCommits: 'include',
+        ...filters
+      }));
+      
+      const same = JSON.stringify(baseline.result.map(commit => commit.hash)) ===
+        JSON.stringify(current.result.map(commit => commit.hash));
+      mismatched = mismatched || !same;
+      console.log(`${name}: ${current.result.length} 个提交，完整历史 ${baseline.ms.toFixed(0)} ms，` +
+        `git 过滤 ${current.ms.toFixed(0)} ms，加速 ${(baseline.ms / current.ms).toFixed(1)} 倍${same ? '' : '，结果不一致！'}`);
+    }
+  } finally {
+    await repo.cleanup();
+  }
+  
+  if (mismatched) {
+    process.exit(1);
+  }
+};
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,143 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import os from 'os';
+import fs from 'fs-extra';
+import { createFixtureRepo } from './fixtures/fixtureRepo.js';
+import {
+  getCachedChanges,
+  saveCachedChanges,
+  getCachedMessages,
+  saveCachedMessages,
+  getCachedAiResult,
+  saveCachedAiResult,
+  clearCache
+} from '../src/services/cacheService.js';
+import { getCommitsInDateRange } from '../src/services/gitService.js';
+import { getParserConfigKey } from '../src/utils/commitParser.js';
+import { resetReportRange } from '../src/utils/dateUtils.js';
+import config from '../src/config/default.js';
+
+let cacheDir;
+
+before(async () => {
+  cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'git-report-cache-'));
+  config.cache = { enabled: true, dir: cacheDir };
+  mock.method(console, 'error');
+});
+
+after(async () => {
+  mock.restoreAll();
+  await fs.remove(cacheDir);
+});
+
+/**
+ * 列出目录下（含子目录）的所有文件
+ * @param {string} dir 目录
+ * @returns {Promise<Array<string>>} 文件路径（相对于 dir）
+ */
+const listFiles = async (dir) => {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const files = await Promise.all(entries.map(async entry => (entry.isDirectory()
+    ? (await listFiles(path.join(dir, entry.name))).map(file => path.join(entry.name, file))
+    : [entry.name])));
+  return files.flat();
+};
+
+/**
+ * 生成一个提交的变更详情
+ * @param {number} index 序号
+ * @returns {Object} 变更详情
+ */
+const createChange = (index) => ({
+  files: [{ path: `src/${index}.js`, oldPath: null, status: 'A', type: '新增', additions: index, deletions: 0, binary: false }],
+  additions: index,
+  deletions: 0
+});
+
+test('同时写入同一个仓库的分析缓存时不互相覆盖', async () => {
+  const repoPath = path.join(cacheDir, 'repo');
+  const hashes = Array.from({ length: 10 }, (item, index) => String(index).repeat(40));
+  
+  await Promise.all(hashes.map((hash, index) => saveCachedChanges(repoPath, new Map([[hash, createChange(index)]]))));
+  
+  assert.equal(console.error.mock.callCount(), 0);
+  const { changes, missing } = await getCachedChanges(repoPath, [...hashes, 'f'.repeat(40)]);
+  assert.equal(changes.size, 10);
+  assert.deepEqual(missing, ['f'.repeat(40)]);
+  assert.deepEqual(changes.get(hashes[3]), createChange(3));
+  
+  const [file] = (await listFiles(cacheDir)).filter(name => name.startsWith('analysis'));
+  assert.equal(Object.keys((await fs.readJson(path.join(cacheDir, file))).commits).length, 10);
+});
+
+test('同时写入同一个 AI 结果时不留下临时文件', async () => {
+  await Promise.all(Array.from({ length: 10 }, (item, index) => saveCachedAiResult('same-key', { summary: `第 ${index} 次` })));
+  
+  assert.equal(console.error.mock.callCount(), 0);
+  assert.match((await getCachedAiResult('same-key')).summary, /^第 \d 次$/);
+  assert.deepEqual((await listFiles(cacheDir)).filter(file => file.endsWith('.tmp')), []);
+});
+
+test('关闭缓存时不读写缓存', async () => {
+  config.cache.enabled = false;
+  try {
+    await saveCachedAiResult('disabled-key', { summary: '不应写入' });
+    assert.equal(await getCachedAiResult('disabled-key'), null);
+    assert.equal(await fs.pathExists(path.join(cacheDir, 'ai', 'disabled-key.json')), false);
+  } finally {
+    config.cache.enabled = true;
+  }
+});
+
+test('提交信息的解析结果按解析配置缓存，与变更详情保存在同一个文件中', async () => {
+  const repoPath = path.join(cacheDir, 'messages-repo');
+  const parsed = { pullRequest: null, conventional: { type: 'feat', scope: null, breaking: false, subject: 'a', issues: [] } };
+  await saveCachedChanges(repoPath, new Map([['a'.repeat(40), createChange(1)]]));
+  await saveCachedMessages(repoPath, 'key-1', new Map([['a'.repeat(40), parsed]]));
+  
+  assert.deepEqual(await getCachedMessages(repoPath, 'key-1'), new Map([['a'.repeat(40), parsed]]));
+  assert.equal((await getCachedMessages(repoPath, 'key-2')).size, 0);
+  assert.equal((await getCachedChanges(repoPath, ['a'.repeat(40)])).changes.size, 1);
+  
+  // 解析配置改变后替换之前的解析结果
+  await saveCachedMessages(repoPath, 'key-2', new Map([['b'.repeat(40), parsed]]));
+  assert.equal((await getCachedMessages(repoPath, 'key-1')).size, 0);
+  assert.deepEqual([...(await getCachedMessages(repoPath, 'key-2')).keys()], ['b'.repeat(40)]);
+});
+
+test('读取提交时使用缓存的解析结果，解析配置改变后重新解析', async () => {
+  const repo = await createFixtureRepo();
+  const issueTrackers = config.issueTrackers;
+  config.period = null;
+  config.since = '2026-10-01';
+  config.until = '2026-10-31';
+  resetReportRange();
+  
+  try {
+    const commits = await getCommitsInDateRange(repo.dir);
+    const merge = commits.find(commit => commit.hash === repo.hashes.merge);
+    assert.deepEqual(merge.pullRequest, { number: 9, title: 'feat(feature): add feature x' });
+    assert.equal((await getCachedMessages(repo.dir, getParserConfigKey())).size, commits.length);
+    
+    const cached = { pullRequest: null, conventional: { type: 'docs', scope: null, breaking: false, subject: '缓存的解析结果', issues: [] } };
+    await saveCachedMessages(repo.dir, getParserConfigKey(), new Map([[repo.hashes.docs, cached]]));
+    const again = await getCommitsInDateRange(repo.dir);
+    assert.equal(again.find(commit => commit.hash === repo.hashes.docs).conventional.subject, '缓存的解析结果');
+    
+    config.issueTrackers = [{ name: 'notes', pattern: '\\b(notes)\\b', url: '' }];
+    const reparsed = await getCommitsInDateRange(repo.dir);
+    const docs = reparsed.find(commit => commit.hash === repo.hashes.docs);
+    assert.equal(docs.conventional.subject, 'usage notes');
+    assert.deepEqual(docs.conventional.issues.map(issue => issue.id), ['notes']);
+  } finally {
+    config.issueTrackers = issueTrackers;
+    await repo.cleanup();
+  }
+});
+
+test('clearCache 删除分析缓存和 AI 结果', async () => {
+  await clearCache();
+  assert.equal(await fs.pathExists(path.join(cacheDir, 'analysis')), false);
+  assert.equal(await fs.pathExists(path.join(cacheDir, 'ai')), false);
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePullRequest, getMergedCommitsTitle, parseCommitMessage, getCommitCategory, UNKNOWN_PR_TITLE } from '../src/utils/commitParser.js';
+import config from '../src/config/default.js';
+
+test('parsePullRequest 使用合并提交正文的第一行作为标题', () => {
+  assert.deepEqual(parsePullRequest('Merge pull request #9 from org/feature/x', '\nAdd login page\n\nDetails'), {
+    number: 9,
+    title: 'Add login page'
+  });
+});
+
+test('parsePullRequest 在合并提交没有正文时不使用分支名作为标题', () => {
+  assert.deepEqual(parsePullRequest('Merge pull request #9 from org/feature/x', ''), { number: 9, title: null });
+  assert.deepEqual(parsePullRequest('Merge pull request #10'), { number: 10, title: null });
+});
+
+test('parsePullRequest 识别 GitLab 合并请求和 squash 合并', () => {
+  assert.deepEqual(
+    parsePullRequest("Merge branch 'feature' into 'main'", 'Add search\n\nSee merge request group/project!42'),
+    { number: 42, title: 'Add search' }
+  );
+  assert.deepEqual(
+    parsePullRequest("Merge branch 'feature' into 'main'", 'See merge request group/project!42'),
+    { number: 42, title: "Merge branch 'feature' into 'main'" }
+  );
+  assert.deepEqual(parsePullRequest('Add login page (#123)'), { number: 123, title: 'Add login page' });
+  assert.equal(parsePullRequest('fix: typo'), null);
+});
+
+test('getMergedCommitsTitle 根据带入的提交生成标题', () => {
+  assert.equal(getMergedCommitsTitle([]), UNKNOWN_PR_TITLE);
+  assert.equal(getMergedCommitsTitle(['feat: add x']), 'feat: add x');
+  assert.equal(getMergedCommitsTitle(['fix: follow-up', 'test: cover x', 'feat: add x']), 'feat: add x 等 3 个提交');
+});
+
+test('parseCommitMessage 解析 Conventional Commits 标题和类型别名', () => {
+  const parsed = parseCommitMessage('Feature(api)!: 新增接口');
+  
+  assert.equal(parsed.type, 'feat');
+  assert.equal(parsed.scope, 'api');
+  assert.equal(parsed.breaking, true);
+  assert.equal(parsed.subject, '新增接口');
+  assert.equal(parseCommitMessage('hotfix: 修复登录').type, 'fix');
+  assert.equal(parseCommitMessage('docs: 更新说明', 'BREAKING CHANGE: 删除旧接口').breaking, true);
+});
+
+test('parseCommitMessage 不把未知的前缀当作提交类型', () => {
+  for (const message of ['Update: readme', 'WIP: 登录页', 'Note: 临时方案', 'TODO(x): later']) {
+    const parsed = parseCommitMessage(message);
+    assert.equal(parsed.type, null, message);
+    assert.equal(parsed.subject, message);
+    assert.equal(getCommitCategory(parsed), 'other');
+  }
+});
+
+test('parseCommitMessage 接受 commitTypePatterns 中配置的类型', () => {
+  const patterns = config.commitTypePatterns;
+  config.commitTypePatterns = [...patterns, { pattern: '^\\[SEC\\]\\s*', type: 'security' }];
+  try {
+    assert.equal(parseCommitMessage('security(auth): 升级依赖').type, 'security');
+    assert.equal(parseCommitMessage('[SEC] 升级依赖').type, 'security');
+    assert.equal(parseCommitMessage('[FIX] 修复登录问题').type, 'fix');
+  } finally {
+    config.commitTypePatterns = patterns;
+  }
+});
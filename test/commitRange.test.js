@@ -0,0 +1,113 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFixtureRepo } from './fixtures/fixtureRepo.js';
+import { getCommitsByFullLog } from './fixtures/fullLogReference.js';
+import { getCommitsInDateRange } from '../src/services/gitService.js';
+import { resetReportRange } from '../src/utils/dateUtils.js';
+import config from '../src/config/default.js';
+
+/**
+ * getCommitsInDateRange 的回归测试
+ *
+ * 时间、作者和路径过滤下推到 git log 之后，结果应与读取完整历史再在 JS 中过滤的结果一致。
+ */
+
+const RANGES = [
+  ['2026-10-01', '2026-10-31'],
+  ['2026-10-07', '2026-10-10'],
+  ['2026-10-11', '2026-10-12'],
+  ['2026-11-01', '2026-11-30']
+];
+
+const MERGE_COMMITS = ['include', 'exclude', 'first-parent'];
+
+let repo;
+
+before(async () => {
+  config.cache = { ...config.cache, enabled: false };
+  repo = await createFixtureRepo();
+});
+
+after(async () => {
+  await repo?.cleanup();
+});
+
+/**
+ * 设置报告时间范围
+ * @param {string} since 开始日期
+ * @param {string} until 结束日期
+ */
+const setRange = (since, until) => {
+  config.period = null;
+  config.since = since;
+  config.until = until;
+  resetReportRange();
+};
+
+/**
+ * 分别用 getCommitsInDateRange 和完整历史查询提交，返回两边的提交哈希
+ * @param {Object} filters 过滤条件
+ * @returns {Promise<{actual: Array<string>, expected: Array<string>}>} 两种方式得到的提交哈希
+ */
+const queryBoth = async ({ revision = 'HEAD', authors = [], paths = [], mergeCommits }) => {
+  const commits = await getCommitsInDateRange(repo.dir, {
+    branches: [{ name: revision, ref: revision }],
+    authors,
+    paths,
+    mergeCommits
+  });
+  const reference = await getCommitsByFullLog(repo.dir, { revision, authors, paths, mergeCommits });
+  return {
+    actual: commits.map(commit => commit.hash),
+    expected: reference.map(commit => commit.hash)
+  };
+};
+
+test('按时间范围和合并提交策略过滤的结果与完整历史一致', async () => {
+  for (const [since, until] of RANGES) {
+    setRange(since, until);
+    for (const mergeCommits of MERGE_COMMITS) {
+      for (const revision of ['HEAD', 'refs/heads/rebased']) {
+        const { actual, expected } = await queryBoth({ revision, mergeCommits });
+        assert.deepEqual(actual, expected, `${since}..${until} ${mergeCommits} ${revision}`);
+      }
+    }
+  }
+});
+
+test('按作者和路径过滤的结果与完整历史一致', async () => {
+  setRange('2026-10-01', '2026-10-31');
+  for (const authors of [[], ['bob'], ['alice@example\\.com', '^nobody']]) {
+    for (const paths of [[], ['src'], ['README.md']]) {
+      for (const mergeCommits of MERGE_COMMITS) {
+        const { actual, expected } = await queryBoth({ revision: 'refs/heads/rebased', authors, paths, mergeCommits });
+        assert.deepEqual(actual, expected, `${authors.join('|')} ${paths.join(',')} ${mergeCommits}`);
+      }
+    }
+  }
+});
+
+test('提交者时间晚于结束日期的提交按作者时间统计', async () => {
+  setRange('2026-10-12', '2026-10-12');
+  const { actual, expected } = await queryBoth({ revision: 'refs/heads/rebased', mergeCommits: 'include' });
+  
+  assert.deepEqual(actual, [repo.hashes.rebased]);
+  assert.deepEqual(actual, expected);
+});
+
+test('提交者时间比作者时间晚很多天的提交同样按作者时间统计', async () => {
+  setRange('2026-10-13', '2026-10-13');
+  const { actual, expected } = await queryBoth({ revision: 'refs/heads/rebased', mergeCommits: 'include' });
+  
+  assert.deepEqual(actual, [repo.hashes.late]);
+  assert.deepEqual(actual, expected);
+});
+
+test('合并策略决定是否包含合并提交及其带入的提交', async () => {
+  setRange('2026-10-09', '2026-10-11');
+  const { hashes } = repo;
+  
+  assert.deepEqual((await queryBoth({ mergeCommits: 'include' })).actual, [hashes.merge, hashes.docs, hashes.feature]);
+  assert.deepEqual((await queryBoth({ mergeCommits: 'exclude' })).actual, [hashes.docs, hashes.feature]);
+  assert.deepEqual((await queryBoth({ mergeCommits: 'first-parent' })).actual, [hashes.merge, hashes.docs]);
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mapWithConcurrency } from '../src/utils/concurrency.js';
+
+/**
+ * 等待指定时间
+ * @param {number} ms 毫秒
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('结果按输入顺序返回，与完成顺序无关', async () => {
+  const delays = [30, 5, 20, 0, 10];
+  const finished = [];
+  
+  const results = await mapWithConcurrency(delays, 3, async (delay, index) => {
+    await sleep(delay);
+    finished.push(index);
+    return `${index}:${delay}`;
+  });
+  
+  assert.deepEqual(results, ['0:30', '1:5', '2:20', '3:0', '4:10']);
+  assert.notDeepEqual(finished, [0, 1, 2, 3, 4]);
+});
+
+test('同时执行的任务数不超过并发数', async () => {
+  for (const concurrency of [1, 2, 4, 100]) {
+    let running = 0;
+    let maxRunning = 0;
+    await mapWithConcurrency(Array.from({ length: 10 }, (item, index) => index), concurrency, async (index) => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await sleep(index % 3);
+      running--;
+    });
+    assert.equal(maxRunning, Math.min(concurrency, 10));
+  }
+});
+
+test('并发数无效时按 1 处理，空列表直接返回', async () => {
+  let running = 0;
+  let maxRunning = 0;
+  const results = await mapWithConcurrency([1, 2, 3], 0, async (value) => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    await sleep(1);
+    running--;
+    return value * 2;
+  });
+  
+  assert.deepEqual(results, [2, 4, 6]);
+  assert.equal(maxRunning, 1);
+  assert.deepEqual(await mapWithConcurrency([], 4, async () => assert.fail('不应调用')), []);
+});
+
+test('任务失败时以该错误拒绝，并且不再开始新的任务', async () => {
+  const started = [];
+  const error = new Error('仓库 2 读取失败');
+  
+  await assert.rejects(mapWithConcurrency([0, 1, 2, 3, 4, 5, 6, 7], 2, async (value) => {
+    started.push(value);
+    await sleep(value === 2 ? 0 : 5);
+    if (value === 2) {
+      throw error;
+    }
+    return value;
+  }), error);
+  
+  // 失败时另一个任务可能已经开始，之后不再开始新的任务
+  await sleep(20);
+  assert.deepEqual(started.slice(0, 3), [0, 1, 2]);
+  assert.ok(started.length <= 4);
+});
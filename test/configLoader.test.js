@@ -0,0 +1,131 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import os from 'os';
+import fs from 'fs-extra';
+import _ from 'lodash';
+import { loadConfigFile, loadLayeredConfig, validateConfig, DEFAULT_CONFIG } from '../src/utils/configLoader.js';
+import config from '../src/config/default.js';
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'git-report-config-'));
+  // 不读取运行测试的用户的配置文件
+  process.env.XDG_CONFIG_HOME = path.join(dir, 'xdg');
+});
+
+after(async () => {
+  await fs.remove(dir);
+});
+
+beforeEach(() => {
+  Object.keys(config).forEach(key => delete config[key]);
+  Object.assign(config, _.cloneDeep(DEFAULT_CONFIG));
+});
+
+/**
+ * 写入配置文件
+ * @param {string} name 文件名
+ * @param {string} content 文件内容
+ * @returns {Promise<string>} 文件路径
+ */
+const writeConfig = async (name, content) => {
+  const file = path.join(dir, name);
+  await fs.outputFile(file, content);
+  return file;
+};
+
+test('loadConfigFile 解析 YAML 配置文件', async () => {
+  const file = await writeConfig('config.yaml', [
+    '# 注释',
+    'defaults: &defaults',
+    '  enabled: true',
+    '  model: "gpt-4o"',
+    'openai:',
+    '  <<: *defaults',
+    '  systemPrompt: |',
+    '    第一行',
+    '    第二行',
+    'authorFilter: [alice, "bob@example.com"]',
+    'reportDays: 14'
+  ].join('\n'));
+  
+  assert.deepEqual(_.omit(await loadConfigFile(file), 'defaults'), {
+    openai: { enabled: true, model: 'gpt-4o', systemPrompt: '第一行\n第二行\n' },
+    authorFilter: ['alice', 'bob@example.com'],
+    reportDays: 14
+  });
+});
+
+test('loadConfigFile 将没有扩展名的文件先按 JSON 再按 YAML 解析', async () => {
+  assert.deepEqual(await loadConfigFile(await writeConfig('json/.gitreportrc', '{"reportDays": 3}')), { reportDays: 3 });
+  assert.deepEqual(await loadConfigFile(await writeConfig('yaml/.gitreportrc', 'reportDays: 3\n')), { reportDays: 3 });
+});
+
+test('loadConfigFile 在 YAML 语法错误或内容不是对象时报错', async () => {
+  await assert.rejects(loadConfigFile(await writeConfig('broken.yaml', 'openai:\n  model: [gpt\n')), /加载配置文件时出错/);
+  await assert.rejects(loadConfigFile(await writeConfig('list.yaml', '- a\n- b\n')), /需要包含（或默认导出）一个配置对象/);
+});
+
+test('合并配置文件和环境变量，未知的配置项只作为警告', async () => {
+  const file = await writeConfig('valid.json', JSON.stringify({ reportDays: 14, openai: { model: 'gpt-4o' }, unknownKey: 1 }));
+  const { files, warnings } = await loadLayeredConfig({
+    configFile: file,
+    env: { GIT_REPORT_CONCURRENCY: '2', GIT_REPORT_UNKNOWN: 'x' }
+  });
+  
+  assert.deepEqual(files, [file]);
+  assert.equal(config.reportDays, 14);
+  assert.equal(config.openai.model, 'gpt-4o');
+  assert.equal(config.openai.enabled, DEFAULT_CONFIG.openai.enabled);
+  assert.equal(config.concurrency, 2);
+  assert.deepEqual(warnings, [`${file}: unknownKey: 未知的配置项`, '环境变量 GIT_REPORT_UNKNOWN: 未知的环境变量']);
+});
+
+test('类型错误时报错，不合并任何配置', async () => {
+  const file = await writeConfig('invalid.json', JSON.stringify({ reportDays: 'x', concurrency: 2 }));
+  
+  await assert.rejects(loadLayeredConfig({ configFile: file, env: {} }), error => {
+    assert.match(error.message, /reportDays: 类型应为 number，实际为 string/);
+    return true;
+  });
+  assert.equal(config.reportDays, DEFAULT_CONFIG.reportDays);
+  assert.equal(config.concurrency, DEFAULT_CONFIG.concurrency);
+});
+
+test('取值错误和无法解析的环境变量一并报告', async () => {
+  const file = await writeConfig('values.json', JSON.stringify({ mergeCommits: 'all', llm: { providers: [{ type: 'gemini' }] } }));
+  
+  await assert.rejects(loadLayeredConfig({ configFile: file, env: { GIT_REPORT_REPORT_DAYS: 'abc' } }), error => {
+    assert.match(error.message, /mergeCommits: 取值应为/);
+    assert.match(error.message, /llm\.providers\[0\]\.type: 取值应为/);
+    assert.match(error.message, /环境变量 GIT_REPORT_REPORT_DAYS: 应为数字，实际为 abc/);
+    return true;
+  });
+  assert.equal(config.mergeCommits, DEFAULT_CONFIG.mergeCommits);
+});
+
+test('validateConfig 列出所有问题', () => {
+  assert.deepEqual(validateConfig({ reportDays: 0, foo: true, csv: { bundle: 'rar' } }), [
+    'reportDays: 应为正整数',
+    'foo: 未知的配置项',
+    'csv.bundle: 取值应为 folder, zip 之一'
+  ]);
+});
+
+test('允许多种类型的配置项接受字符串和数组', async () => {
+  const file = await writeConfig('branches.yaml', [
+    'branches:',
+    '  - main',
+    '  - feature/*',
+    'outputFormat: [markdown, json]'
+  ].join('\n'));
+  
+  await loadLayeredConfig({ configFile: file, env: {} });
+  assert.deepEqual(config.branches, ['main', 'feature/*']);
+  assert.deepEqual(config.outputFormat, ['markdown', 'json']);
+  
+  assert.deepEqual(validateConfig({ branches: 'main,feature/*', outputFormat: 'markdown,json' }), []);
+  assert.deepEqual(validateConfig({ branches: 1 }), ['branches: 类型应为 string 或 array，实际为 number']);
+});
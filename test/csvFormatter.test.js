@@ -0,0 +1,70 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { toCsvField, toCsv, formatReportAsCsv } from '../src/formatters/csvFormatter.js';
+import config from '../src/config/default.js';
+
+afterEach(() => {
+  config.csv = { ...config.csv, bom: true };
+});
+
+test('包含逗号、双引号或换行的字段按 RFC 4180 加引号', () => {
+  assert.equal(toCsvField('feat: add a, b'), '"feat: add a, b"');
+  assert.equal(toCsvField('say "hi"'), '"say ""hi"""');
+  assert.equal(toCsvField('line 1\nline 2'), '"line 1\nline 2"');
+  assert.equal(toCsvField('line 1\r\nline 2'), '"line 1\r\nline 2"');
+  assert.equal(toCsvField('plain text'), 'plain text');
+});
+
+test('数组用分号连接，空值输出为空字段，数字原样输出', () => {
+  assert.equal(toCsvField(['main', 'feature/a']), 'main;feature/a');
+  assert.equal(toCsvField(null), '');
+  assert.equal(toCsvField(undefined), '');
+  assert.equal(toCsvField(-3), '-3');
+  assert.equal(toCsvField(false), 'false');
+});
+
+test('以公式字符开头的文本前加单引号', () => {
+  assert.equal(toCsvField('=SUM(A1:A2)'), '\'=SUM(A1:A2)');
+  assert.equal(toCsvField('-1 行'), '\'-1 行');
+  assert.equal(toCsvField('@user, hi'), '"\'@user, hi"');
+});
+
+test('CSV 文本以 CRLF 分行，默认带 UTF-8 BOM，可以关闭', () => {
+  assert.equal(toCsv(['a', 'b'], [[1, 'x,y']]), '\uFEFFa,b\r\n1,"x,y"\r\n');
+  assert.equal(toCsv(['a'], [], false), 'a\r\n');
+  
+  config.csv = { ...config.csv, bom: false };
+  assert.ok(!toCsv(['a'], []).startsWith('\uFEFF'));
+});
+
+test('提交信息中的特殊字符在提交明细表中正确转义', () => {
+  const reportData = {
+    summary: { commitsByAuthor: { 'Li, Si': { email: 'lisi@example.com', team: null, commits: 1, additions: 2, deletions: 0 } }, fileTypes: {} },
+    repositories: [{
+      name: 'app',
+      path: '/repos/app',
+      currentBranch: 'main',
+      analysis: null,
+      commits: [{
+        hash: 'a'.repeat(40),
+        date: '2026-10-13T10:00:00+08:00',
+        author: 'Li, Si',
+        email: 'lisi@example.com',
+        team: null,
+        message: 'fix: 处理 "引号", 逗号\n\n正文',
+        branches: ['main'],
+        additions: 2,
+        deletions: 0,
+        filesChanged: 1
+      }]
+    }],
+    trend: null
+  };
+  
+  const files = formatReportAsCsv(reportData);
+  assert.deepEqual(Object.keys(files), ['commits.csv', 'contributors.csv', 'file-types.csv', 'repositories.csv']);
+  const [, row] = files['commits.csv'].split('\r\n');
+  assert.match(row, /^app,main,a{40},2026-10-13T10:00:00\+08:00,"Li, Si",lisi@example\.com,,/);
+  assert.match(row, /,"fix: 处理 ""引号"", 逗号\n\n正文",2,0,1,$/);
+  assert.equal(files['contributors.csv'], '\uFEFFauthor,email,team,commits,additions,deletions\r\n"Li, Si",lisi@example.com,,1,2,0\r\n');
+});
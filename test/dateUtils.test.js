@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import moment from 'moment';
+import {
+  generateReportFilename,
+  getPreviousRange,
+  parsePeriod,
+  resetReportRange,
+  resolveReportRange,
+  toUniqueFilenameParts
+} from '../src/utils/dateUtils.js';
+import config from '../src/config/default.js';
+
+test('名称转换为文件名后不冲突时保持原样', () => {
+  const parts = toUniqueFilenameParts(['Alice', 'Bob Smith', 'Carol']);
+  
+  assert.deepEqual([...parts.values()], ['Alice', 'Bob_Smith', 'Carol']);
+});
+
+test('名称转换为文件名后相同时追加原名称的短哈希', () => {
+  const authors = ['张 三', '张_三', '张/三', 'alice', 'Alice', 'Bob'];
+  const parts = toUniqueFilenameParts(authors);
+  
+  assert.equal(parts.size, authors.length);
+  assert.equal(new Set([...parts.values()].map(part => part.toLowerCase())).size, authors.length);
+  assert.match(parts.get('张 三'), /^张_三-[0-9a-f]{8}$/);
+  assert.match(parts.get('Alice'), /^Alice-[0-9a-f]{8}$/);
+  assert.equal(parts.get('Bob'), 'Bob');
+  
+  // 与其他名称的顺序无关，每次运行得到相同的文件名
+  assert.equal(toUniqueFilenameParts([...authors].reverse()).get('张 三'), parts.get('张 三'));
+});
+
+test('个人报告文件名包含贡献者的文件名片段', () => {
+  config.period = null;
+  config.since = '2026-10-05';
+  config.until = '2026-10-11';
+  resetReportRange();
+  
+  const part = toUniqueFilenameParts(['张 三', '张_三']).get('张 三');
+  assert.equal(generateReportFilename(`backend-${part}`, '.md'), `git-report-20261005-to-20261011-backend-${part}.md`);
+});
+
+/**
+ * 将时间范围转换为便于比较的字符串
+ * @param {{start: moment.Moment, end: moment.Moment, label: string|null}} range 时间范围
+ * @returns {string[]} 开始时间、结束时间和周期名称
+ */
+const formatRange = ({ start, end, label }) => [start.format('YYYY-MM-DD HH:mm:ss'), end.format('YYYY-MM-DD HH:mm:ss'), label];
+
+test('ISO 周只接受该周年实际存在的周数', () => {
+  // 2020 年和 2026 年的 1 月 1 日分别是周三（闰年）和周四，都有 53 周
+  assert.deepEqual(formatRange(parsePeriod('2020-W53')), ['2020-12-28 00:00:00', '2021-01-03 23:59:59', '2020-W53']);
+  assert.deepEqual(formatRange(parsePeriod('2026-W53')), ['2026-12-28 00:00:00', '2027-01-03 23:59:59', '2026-W53']);
+  assert.deepEqual(formatRange(parsePeriod('2026w1')), ['2025-12-29 00:00:00', '2026-01-04 23:59:59', '2026-W01']);
+  
+  assert.throws(() => parsePeriod('2025-W53'), /无效的 ISO 周: 2025-W53/);
+  assert.throws(() => parsePeriod('2021-W53'), /无效的 ISO 周: 2021-W53/);
+  assert.throws(() => parsePeriod('2026-W00'), /无效的 ISO 周/);
+});
+
+test('跨年时 last-week 使用 ISO 周年', () => {
+  const range = parsePeriod('last-week', moment('2027-01-10T10:00:00'));
+  assert.deepEqual(formatRange(range), ['2026-12-28 00:00:00', '2027-01-03 23:59:59', '2026-W53']);
+});
+
+test('迭代长度可以按天或按周指定', () => {
+  const expected = ['2026-09-28 00:00:00', '2026-10-11 23:59:59', 'sprint-20260928-14d'];
+  assert.deepEqual(formatRange(parsePeriod('sprint:2026-09-28:2w')), expected);
+  assert.deepEqual(formatRange(parsePeriod('SPRINT:2026-09-28:2W')), expected);
+  assert.deepEqual(formatRange(parsePeriod('sprint:2026-09-28:14')), expected);
+  
+  assert.throws(() => parsePeriod('sprint:2026-09-28:0w'), /无效的迭代长度/);
+  assert.throws(() => parsePeriod('sprint:2026-02-30:1w'), /无效的日期 sprint 开始日期: 2026-02-30/);
+});
+
+test('--period 不能与 --since/--until 同时使用', () => {
+  assert.throws(() => resolveReportRange({ period: 'last-week', since: '2026-10-01' }), /--period 不能与 --since\/--until 同时使用/);
+  assert.throws(() => resolveReportRange({ period: '2026-W41', until: '2026-10-11' }), /--period 不能与 --since\/--until 同时使用/);
+});
+
+test('月份的上一周期是完整的上一个自然月', () => {
+  assert.deepEqual(formatRange(getPreviousRange(parsePeriod('2026-08'))), ['2026-07-01 00:00:00', '2026-07-31 23:59:59', '2026-07']);
+  assert.deepEqual(formatRange(getPreviousRange(parsePeriod('2026-03'))), ['2026-02-01 00:00:00', '2026-02-28 23:59:59', '2026-02']);
+  assert.deepEqual(formatRange(getPreviousRange(parsePeriod('2026-01'))), ['2025-12-01 00:00:00', '2025-12-31 23:59:59', '2025-12']);
+  
+  const lastMonth = parsePeriod('last-month', moment('2026-03-31T10:00:00'));
+  assert.deepEqual(formatRange(lastMonth), ['2026-02-01 00:00:00', '2026-02-28 23:59:59', '2026-02']);
+});
+
+test('ISO 周和迭代的上一周期', () => {
+  assert.deepEqual(formatRange(getPreviousRange(parsePeriod('2021-W01'))), ['2020-12-28 00:00:00', '2021-01-03 23:59:59', '2020-W53']);
+  assert.deepEqual(formatRange(getPreviousRange(parsePeriod('sprint:2026-09-28:2w'))), ['2026-09-14 00:00:00', '2026-09-27 23:59:59', 'sprint-20260914-14d']);
+});
@@ -0,0 +1,126 @@
+import { execFileSync } from 'child_process';
+import path from 'path';
+import os from 'os';
+import fs from 'fs-extra';
+
+/**
+ * 测试用的 Git 仓库
+ *
+ * 由脚本生成，作者、提交时间和 Git 配置都是固定的，每次生成的提交哈希都相同。提交历史（时间为 UTC）：
+ * - root：     2026-10-05 新增 src/a.js（3 行）和 README.md（1 行），根提交
+ * - modify：   2026-10-06 修改 src/a.js（+3 -2）
+ * - rename：   2026-10-07 src/a.js 重命名为 src/app.js，内容不变
+ * - binary：   2026-10-08 新增二进制文件 assets/logo.png
+ * - feature：  2026-10-09 feature/x 分支上新增 src/feature.ts（3 行），作者 Bob
+ * - docs：     2026-10-10 main 上修改 README.md（+2）
+ * - merge：    2026-10-11 以 --no-ff 合并 feature/x，提交信息为 "Merge pull request #9 from org/feature/x"，没有正文
+ * - rebased：  rebased 分支上新增 src/rebased.js（1 行），作者 Bob，作者时间 2026-10-12，提交者时间 2026-10-20（模拟变基过的提交）
+ * - late：     rebased 分支上修改 src/rebased.js（+1），作者 Bob，作者时间 2026-10-13，提交者时间 2027-01-31（模拟很久之后才 cherry-pick 的提交）
+ *
+ * 生成后当前分支为 main，rebased 分支从 main 的最新提交分出，main 的历史中不包含 rebased 提交。
+ */
+
+// 固定的 Git 环境：忽略用户和系统配置，避免签名、默认分支等设置影响生成结果
+const BASE_ENV = {
+  GIT_CONFIG_NOSYSTEM: '1',
+  GIT_CONFIG_GLOBAL: os.devNull,
+  GIT_TERMINAL_PROMPT: '0',
+  TZ: 'UTC'
+};
+
+// 提交作者
+export const AUTHORS = {
+  alice: { name: 'Alice', email: 'alice@example.com' },
+  bob: { name: 'Bob', email: 'bob@example.com' }
+};
+
+/**
+ * 在仓库中执行 git 命令
+ * @param {string} dir 仓库目录
+ * @param {Array<string>} args 命令参数
+ * @param {Object} env 额外的环境变量
+ * @returns {string} 命令输出（去掉首尾空白）
+ */
+const git = (dir, args, env = {}) => execFileSync('git', args, {
+  cwd: dir,
+  env: { ...process.env, ...BASE_ENV, ...env },
+  encoding: 'utf8'
+}).trim();
+
+/**
+ * 以固定的作者和时间提交暂存区
+ * @param {string} dir 仓库目录
+ * @param {Array<string>} args commit 或 merge 命令及其参数
+ * @param {{name: string, email: string}} author 作者
+ * @param {string} date 作者时间（ISO 8601）
+ * @param {string} [committerDate] 提交者时间，默认与作者时间相同
+ * @returns {string} 新提交的哈希
+ */
+const commitAs = (dir, args, author, date, committerDate = date) => {
+  git(dir, args, {
+    GIT_AUTHOR_NAME: author.name,
+    GIT_AUTHOR_EMAIL: author.email,
+    GIT_AUTHOR_DATE: date,
+    GIT_COMMITTER_NAME: author.name,
+    GIT_COMMITTER_EMAIL: author.email,
+    GIT_COMMITTER_DATE: committerDate
+  });
+  return git(dir, ['rev-parse', 'HEAD']);
+};
+
+/**
+ * 生成测试仓库
+ * @param {string} [dir] 仓库目录，默认在系统临时目录中新建
+ * @returns {Promise<{dir: string, hashes: Object<string, string>, cleanup: function(): Promise<void>}>} 仓库目录、各提交的哈希和清理函数
+ */
+export const createFixtureRepo = async (dir) => {
+  const repoDir = dir || await fs.mkdtemp(path.join(os.tmpdir(), 'git-report-fixture-'));
+  const write = (file, content) => fs.outputFileSync(path.join(repoDir, file), content);
+  const hashes = {};
+  
+  git(repoDir, ['init', '-q', '-b', 'main']);
+  
+  write('src/a.js', 'const a = 1;\nconst b = 2;\nexport { a, b };\n');
+  write('README.md', '# fixture\n');
+  git(repoDir, ['add', '-A']);
+  hashes.root = commitAs(repoDir, ['commit', '-q', '-m', 'feat: initial commit'], AUTHORS.alice, '2026-10-05T10:00:00Z');
+  
+  write('src/a.js', 'const a = 1;\nconst b = 3;\nconst c = 4;\nexport { a, b, c };\n');
+  git(repoDir, ['add', '-A']);
+  hashes.modify = commitAs(repoDir, ['commit', '-q', '-m', 'fix(core): correct b'], AUTHORS.alice, '2026-10-06T10:00:00Z');
+  
+  git(repoDir, ['mv', 'src/a.js', 'src/app.js']);
+  hashes.rename = commitAs(repoDir, ['commit', '-q', '-m', 'refactor: rename a.js to app.js'], AUTHORS.alice, '2026-10-07T10:00:00Z');
+  
+  write('assets/logo.png', Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00, 0x00, 0x0d, 0xff, 0x00]));
+  git(repoDir, ['add', '-A']);
+  hashes.binary = commitAs(repoDir, ['commit', '-q', '-m', 'chore: add logo'], AUTHORS.alice, '2026-10-08T10:00:00Z');
+  
+  git(repoDir, ['checkout', '-q', '-b', 'feature/x']);
+  write('src/feature.ts', 'export const feature = () => {\n  return 42;\n};\n');
+  git(repoDir, ['add', '-A']);
+  hashes.feature = commitAs(repoDir, ['commit', '-q', '-m', 'feat(feature): add feature x'], AUTHORS.bob, '2026-10-09T10:00:00Z');
+  
+  git(repoDir, ['checkout', '-q', 'main']);
+  write('README.md', '# fixture\n\nUsage notes.\n');
+  git(repoDir, ['add', '-A']);
+  hashes.docs = commitAs(repoDir, ['commit', '-q', '-m', 'docs: usage notes'], AUTHORS.alice, '2026-10-10T10:00:00Z');
+  
+  hashes.merge = commitAs(repoDir, ['merge', '-q', '--no-ff', '-m', 'Merge pull request #9 from org/feature/x', 'feature/x'], AUTHORS.alice, '2026-10-11T10:00:00Z');
+  
+  git(repoDir, ['checkout', '-q', '-b', 'rebased']);
+  write('src/rebased.js', 'export const rebased = true;\n');
+  git(repoDir, ['add', '-A']);
+  hashes.rebased = commitAs(repoDir, ['commit', '-q', '-m', 'feat: rebased change'], AUTHORS.bob, '2026-10-12T10:00:00Z', '2026-10-20T10:00:00Z');
+  
+  write('src/rebased.js', 'export const rebased = true;\nexport const late = true;\n');
+  git(repoDir, ['add', '-A']);
+  hashes.late = commitAs(repoDir, ['commit', '-q', '-m', 'fix: late cherry-pick'], AUTHORS.bob, '2026-10-13T10:00:00Z', '2027-01-31T10:00:00Z');
+  git(repoDir, ['checkout', '-q', 'main']);
+  
+  return {
+    dir: repoDir,
+    hashes,
+    cleanup: () => fs.remove(repoDir)
+  };
+};
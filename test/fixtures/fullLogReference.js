@@ -0,0 +1,38 @@
+import { simpleGit } from 'simple-git';
+import { isDateInReportRange } from '../../src/utils/dateUtils.js';
+
+/**
+ * 优化前的提交查询方式：读取分支的完整历史，在 JS 中按作者时间和作者过滤
+ *
+ * 作为 getCommitsInDateRange 的对照：git log 下推 --since/--author 之后，结果应与这里完全相同。
+ * 路径过滤在两边都由 git 的 `-- <paths>` 完成（优化前的版本不支持路径过滤），以保证历史简化的规则一致。
+ *
+ * @param {string} repoPath 仓库路径
+ * @param {Object} filters 过滤条件
+ * @param {Array<string>} filters.authors 作者匹配模式（不区分大小写，匹配 "名称 <邮箱>"，与 git log --author 相同）
+ * @param {Array<string>} filters.paths 路径列表
+ * @param {string} filters.revision 起始修订版本，默认 HEAD
+ * @param {string} filters.mergeCommits 合并提交策略：'include', 'exclude', 'first-parent'
+ * @returns {Promise<Array<{hash: string, date: string, author: string}>>} 提交列表
+ */
+export const getCommitsByFullLog = async (repoPath, { authors = [], paths = [], revision = 'HEAD', mergeCommits = 'include' } = {}) => {
+  const args = [];
+  if (mergeCommits === 'exclude') {
+    args.push('--no-merges');
+  } else if (mergeCommits === 'first-parent') {
+    args.push('--first-parent');
+  }
+  args.push(revision);
+  if (paths.length > 0) {
+    args.push('--', ...paths);
+  }
+  
+  const log = await simpleGit(repoPath).log(args);
+  const patterns = authors.map(author => new RegExp(author, 'i'));
+  
+  return log.all
+    .filter(commit => isDateInReportRange(commit.date))
+    .filter(commit => patterns.length === 0 ||
+      patterns.some(pattern => pattern.test(`${commit.author_name} <${commit.author_email}>`)))
+    .map(commit => ({ hash: commit.hash, date: commit.date, author: commit.author_name }));
+};
@@ -0,0 +1,85 @@
+import { spawn, execFileSync } from 'child_process';
+import path from 'path';
+import os from 'os';
+import fs from 'fs-extra';
+
+/**
+ * 性能测试用的大型 Git 仓库
+ *
+ * 通过 git fast-import 生成，不需要工作区：提交按固定间隔分布在结束时间之前，
+ * 每个提交由若干作者之一修改一个文件，提交内容和哈希每次都相同。
+ */
+
+// 每批写入 fast-import 的提交数量
+const BATCH_SIZE = 1000;
+
+/**
+ * 生成单个提交的 fast-import 指令
+ * @param {number} index 提交序号
+ * @param {number} timestamp 提交时间（Unix 秒）
+ * @param {Object} options 仓库选项
+ * @returns {string} fast-import 指令
+ */
+const commitCommand = (index, timestamp, { authors, files }) => {
+  const author = `author-${index % authors}`;
+  const file = `src/module-${index % files}/file-${index % 7}.js`;
+  const content = `export const value${index} = ${index};\n`;
+  const message = `feat: change ${index}\n`;
+  const ident = `${author} <${author}@example.com> ${timestamp} +0000`;
+  
+  return [
+    'commit refs/heads/main',
+    `author ${ident}`,
+    `committer ${ident}`,
+    `data ${Buffer.byteLength(message)}`,
+    message,
+    `M 100644 inline ${file}`,
+    `data ${Buffer.byteLength(content)}`,
+    content
+  ].join('\n');
+};
+
+/**
+ * 生成大型测试仓库
+ * @param {Object} options 选项
+ * @param {number} options.commits 提交数量
+ * @param {number} options.authors 作者数量
+ * @param {number} options.files 模块目录数量
+ * @param {number} options.intervalMinutes 相邻提交的时间间隔（分钟）
+ * @param {string} options.endDate 最后一个提交的时间（ISO 8601）
+ * @returns {Promise<{dir: string, cleanup: function(): Promise<void>}>} 仓库目录和清理函数
+ */
+export const createLargeRepo = async ({
+  commits = 20000,
+  authors = 20,
+  files = 200,
+  intervalMinutes = 60,
+  endDate = '2026-10-16T00:00:00Z'
+} = {}) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'git-report-bench-'));
+  execFileSync('git', ['init', '-q', '-b', 'main'], { cwd: dir });
+  
+  const end = Math.floor(new Date(endDate).getTime() / 1000);
+  const child = spawn('git', ['fast-import', '--quiet'], { cwd: dir, stdio: ['pipe', 'ignore', 'inherit'] });
+  const finished = new Promise((resolve, reject) => {
+    child.on('error', reject);
+    child.on('close', code => (code === 0 ? resolve() : reject(new Error(`git fast-import 执行失败 (退出码 ${code})`))));
+  });
+  
+  for (let start = 0; start < commits; start += BATCH_SIZE) {
+    const batch = [];
+    for (let index = start; index < Math.min(start + BATCH_SIZE, commits); index++) {
+      batch.push(commitCommand(index, end - (commits - 1 - index) * intervalMinutes * 60, { authors, files }));
+    }
+    if (!child.stdin.write(batch.join('\n') + '\n')) {
+      await new Promise(resolve => child.stdin.once('drain', resolve));
+    }
+  }
+  child.stdin.end();
+  await finished;
+  
+  return {
+    dir,
+    cleanup: () => fs.remove(dir)
+  };
+};
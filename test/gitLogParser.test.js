@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createChangeLogParser, getChangeType } from '../src/utils/gitLogParser.js';
+
+/**
+ * 按 git log -z --raw --numstat 的格式拼接一个提交的输出
+ * @param {string} hash 提交哈希
+ * @param {Array<string>} raw raw 记录及其路径
+ * @param {Array<string>} numstat numstat 记录及其路径
+ * @returns {string} 提交的输出
+ */
+const commitOutput = (hash, raw, numstat) => `\x01${hash}\0\n${[...raw, ...numstat].join('\0')}\0`;
+
+const OUTPUT = [
+  commitOutput('a'.repeat(40), [
+    ':000000 100644 0000000 9741694 A', 'README.md',
+    ':000000 100644 0000000 47f8a5f A', 'src/a.js'
+  ], ['1\t0\tREADME.md', '3\t0\tsrc/a.js']),
+  commitOutput('b'.repeat(40), [
+    ':100644 100644 7cdad93 7cdad93 R100', 'src/a.js', 'src/app.js',
+    ':100644 100644 1111111 2222222 M', 'docs/使用 说明\t.md'
+  ], ['0\t0\t', 'src/a.js', 'src/app.js', '4\t1\tdocs/使用 说明\t.md']),
+  commitOutput('c'.repeat(40), [
+    ':000000 100644 0000000 5423407 A', 'assets/logo.png',
+    ':100644 000000 5423407 0000000 D', 'old.txt'
+  ], ['-\t-\tassets/logo.png', '0\t7\told.txt'])
+].join('\n');
+
+/**
+ * 按指定的块大小把输出写入解析器
+ * @param {string} output git 输出
+ * @param {number} size 每块的字符数
+ * @returns {Map<string, Object>} 解析结果
+ */
+const parseInChunks = (output, size) => {
+  const parser = createChangeLogParser();
+  for (let i = 0; i < output.length; i += size) {
+    parser.push(output.slice(i, i + size));
+  }
+  return parser.end();
+};
+
+test('getChangeType 按状态码首字母转换变更类型', () => {
+  assert.equal(getChangeType('A'), '新增');
+  assert.equal(getChangeType('M'), '修改');
+  assert.equal(getChangeType('D'), '删除');
+  assert.equal(getChangeType('R087'), '重命名');
+  assert.equal(getChangeType('C100'), '复制');
+  assert.equal(getChangeType('T'), '未知');
+});
+
+test('createChangeLogParser 解析根提交的新增文件', () => {
+  const commits = parseInChunks(OUTPUT, OUTPUT.length);
+  const root = commits.get('a'.repeat(40));
+  
+  assert.equal(root.additions, 4);
+  assert.equal(root.deletions, 0);
+  assert.deepEqual(root.files.map(file => [file.path, file.status, file.type, file.additions]), [
+    ['README.md', 'A', '新增', 1],
+    ['src/a.js', 'A', '新增', 3]
+  ]);
+});
+
+test('createChangeLogParser 解析重命名和包含空格、制表符、中文的路径', () => {
+  const commit = parseInChunks(OUTPUT, OUTPUT.length).get('b'.repeat(40));
+  
+  assert.deepEqual(commit.files[0], {
+    path: 'src/app.js',
+    oldPath: 'src/a.js',
+    status: 'R100',
+    type: '重命名',
+    additions: 0,
+    deletions: 0,
+    binary: false
+  });
+  assert.equal(commit.files[1].path, 'docs/使用 说明\t.md');
+  assert.equal(commit.files[1].additions, 4);
+  assert.equal(commit.files[1].deletions, 1);
+  assert.equal(commit.files.length, 2);
+});
+
+test('createChangeLogParser 二进制文件不计入行数', () => {
+  const commit = parseInChunks(OUTPUT, OUTPUT.length).get('c'.repeat(40));
+  
+  assert.equal(commit.files[0].binary, true);
+  assert.equal(commit.files[0].additions, 0);
+  assert.equal(commit.files[1].type, '删除');
+  assert.equal(commit.additions, 0);
+  assert.equal(commit.deletions, 7);
+});
+
+test('createChangeLogParser 的结果与输出的分块方式无关', () => {
+  const expected = parseInChunks(OUTPUT, OUTPUT.length);
+  for (const size of [1, 2, 3, 7, 64]) {
+    assert.deepEqual(parseInChunks(OUTPUT, size), expected, `块大小 ${size}`);
+  }
+});
+
+test('createChangeLogParser 没有输出时返回空结果', () => {
+  assert.equal(parseInChunks('', 1).size, 0);
+});
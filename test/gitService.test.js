@@ -0,0 +1,200 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFixtureRepo } from './fixtures/fixtureRepo.js';
+import simpleGit from 'simple-git';
+import { getCommitChanges, analyzeCodeChanges, getCommitsInDateRange, resolveBranches } from '../src/services/gitService.js';
+import { resetReportRange } from '../src/utils/dateUtils.js';
+import config from '../src/config/default.js';
+
+let repo;
+
+before(async () => {
+  config.cache = { ...config.cache, enabled: false };
+  repo = await createFixtureRepo();
+});
+
+after(async () => {
+  await repo?.cleanup();
+});
+
+beforeEach(() => {
+  config.includePaths = [];
+});
+
+/**
+ * 生成 analyzeCodeChanges 需要的提交记录
+ * @param {Array<string>} names 提交在测试仓库中的名称
+ * @returns {Array<Object>} 提交记录列表
+ */
+const fixtureCommits = (names) => names.map(name => ({
+  hash: repo.hashes[name],
+  author: name === 'feature' ? 'Bob' : 'Alice',
+  email: name === 'feature' ? 'bob@example.com' : 'alice@example.com',
+  team: null
+}));
+
+test('getCommitChanges 一次读取多个提交的变更', async () => {
+  const names = Object.keys(repo.hashes);
+  const changes = await getCommitChanges(repo.dir, names.map(name => repo.hashes[name]));
+  
+  assert.equal(changes.size, names.length);
+  assert.deepEqual([...changes.keys()], names.map(name => repo.hashes[name]));
+});
+
+test('getCommitChanges 将根提交与空树比较', async () => {
+  const changes = await getCommitChanges(repo.dir, [repo.hashes.root]);
+  const root = changes.get(repo.hashes.root);
+  
+  assert.deepEqual(root.files.map(file => [file.path, file.type, file.additions]), [
+    ['README.md', '新增', 1],
+    ['src/a.js', '新增', 3]
+  ]);
+  assert.equal(root.additions, 4);
+});
+
+test('getCommitChanges 识别重命名', async () => {
+  const changes = await getCommitChanges(repo.dir, [repo.hashes.rename]);
+  const [file] = changes.get(repo.hashes.rename).files;
+  
+  assert.equal(file.path, 'src/app.js');
+  assert.equal(file.oldPath, 'src/a.js');
+  assert.equal(file.type, '重命名');
+  assert.equal(file.additions, 0);
+  assert.equal(file.deletions, 0);
+});
+
+test('getCommitChanges 标记二进制文件', async () => {
+  const changes = await getCommitChanges(repo.dir, [repo.hashes.binary]);
+  const [file] = changes.get(repo.hashes.binary).files;
+  
+  assert.equal(file.path, 'assets/logo.png');
+  assert.equal(file.binary, true);
+  assert.equal(file.additions, 0);
+});
+
+test('getCommitChanges 合并提交只与第一个父提交比较', async () => {
+  const changes = await getCommitChanges(repo.dir, [repo.hashes.merge]);
+  const merge = changes.get(repo.hashes.merge);
+  
+  assert.deepEqual(merge.files.map(file => [file.path, file.type, file.additions]), [
+    ['src/feature.ts', '新增', 3]
+  ]);
+});
+
+test('getCommitChanges 在提交不存在时报错', async () => {
+  await assert.rejects(getCommitChanges(repo.dir, ['0'.repeat(40)]), /git log 执行失败/);
+});
+
+test('analyzeCodeChanges 汇总文件、行数和作者统计', async () => {
+  const commits = fixtureCommits(['root', 'modify', 'rename', 'binary', 'feature', 'docs']);
+  const analysis = await analyzeCodeChanges(repo.dir, commits);
+  
+  assert.equal(analysis.totalCommits, 6);
+  assert.deepEqual(analysis.lineChanges, { additions: 12, deletions: 2 });
+  assert.deepEqual(analysis.fileChanges, { added: 4, modified: 2, deleted: 0, renamed: 1 });
+  assert.equal(analysis.totalFilesChanged, 5);
+  // .md 在 ignoreFileTypes 中，不计入文件类型
+  assert.deepEqual(analysis.fileTypes, { '.js': 3, '.png': 1, '.ts': 1 });
+  assert.equal(analysis.mostChangedFiles[0].path, 'src/a.js');
+  assert.deepEqual(analysis.commitsByAuthor.Bob, {
+    email: 'bob@example.com',
+    team: null,
+    commits: 1,
+    additions: 3,
+    deletions: 0
+  });
+  
+  // 行数统计同时写回提交记录
+  assert.deepEqual(
+    commits.map(commit => [commit.additions, commit.deletions, commit.filesChanged]),
+    [[4, 0, 2], [3, 2, 1], [0, 0, 1], [0, 0, 1], [3, 0, 1], [2, 0, 1]]
+  );
+});
+
+test('analyzeCodeChanges 只统计 includePaths 下的文件', async () => {
+  config.includePaths = ['src/'];
+  const commits = fixtureCommits(['root', 'modify', 'docs', 'merge']);
+  const analysis = await analyzeCodeChanges(repo.dir, commits);
+  
+  assert.deepEqual(analysis.lineChanges, { additions: 9, deletions: 2 });
+  assert.equal(analysis.totalFilesChanged, 2);
+  assert.deepEqual(analysis.mostChangedFiles.map(file => file.path), ['src/a.js', 'src/feature.ts']);
+  assert.equal(analysis.commitsByAuthor.Alice.additions, 9);
+  assert.deepEqual(
+    commits.map(commit => [commit.additions, commit.filesChanged]),
+    [[3, 1], [3, 1], [0, 0], [3, 1]]
+  );
+});
+
+test('analyzeCodeChanges 在关闭代码分析或没有提交时返回 null', async () => {
+  assert.equal(await analyzeCodeChanges(repo.dir, []), null);
+  
+  config.includeCodeAnalysis = false;
+  try {
+    assert.equal(await analyzeCodeChanges(repo.dir, fixtureCommits(['root'])), null);
+  } finally {
+    config.includeCodeAnalysis = true;
+  }
+});
+
+test('getCommitsInDateRange 用合并带入的提交补全没有正文的合并请求标题', async () => {
+  config.since = '2026-10-11';
+  config.until = '2026-10-11';
+  resetReportRange();
+  
+  for (const mergeCommits of ['first-parent', 'include']) {
+    const [merge] = await getCommitsInDateRange(repo.dir, { mergeCommits, branches: [{ name: 'main', ref: 'HEAD' }] });
+    assert.equal(merge.hash, repo.hashes.merge);
+    assert.deepEqual(merge.pullRequest, { number: 9, title: 'feat(feature): add feature x' }, mergeCommits);
+    assert.equal(merge.conventional.type, 'feat');
+  }
+});
+
+test('getCommitsInDateRange 按团队过滤时完整匹配成员名称', async () => {
+  config.since = '2026-10-01';
+  config.until = '2026-10-31';
+  config.mergeCommits = 'exclude';
+  resetReportRange();
+  
+  try {
+    config.teamFilter = 'qa';
+    config.teams = { qa: ['Ali', 'bob@example.com'] };
+    const commits = await getCommitsInDateRange(repo.dir, { branches: [{ name: 'main', ref: 'HEAD' }] });
+    assert.deepEqual(commits.map(commit => commit.hash), [repo.hashes.feature]);
+    
+    config.teams = { qa: ['alice'] };
+    const aliceCommits = await getCommitsInDateRange(repo.dir, { branches: [{ name: 'main', ref: 'HEAD' }] });
+    assert.equal(aliceCommits.length, 5);
+    assert.ok(aliceCommits.every(commit => commit.author === 'Alice' && commit.team === 'qa'));
+  } finally {
+    config.teamFilter = '';
+    config.teams = {};
+  }
+});
+
+test('resolveBranches 解析分支范围，名称和通配符同时匹配本地和远程跟踪分支', async () => {
+  const git = simpleGit(repo.dir);
+  await git.raw(['update-ref', 'refs/remotes/origin/main', repo.hashes.merge]);
+  await git.raw(['update-ref', 'refs/remotes/origin/feature/y', repo.hashes.feature]);
+  await git.raw(['update-ref', 'refs/remotes/upstream/team/main', repo.hashes.docs]);
+  await git.raw(['symbolic-ref', 'refs/remotes/origin/HEAD', 'refs/remotes/origin/main']);
+  
+  const resolve = async (spec) => (await resolveBranches(git, 'main', spec)).map(branch => `${branch.name}=${branch.ref}`);
+  
+  assert.deepEqual(await resolve('current'), ['main=HEAD']);
+  assert.deepEqual(await resolve('all'), ['feature/x=refs/heads/feature/x', 'main=refs/heads/main', 'rebased=refs/heads/rebased']);
+  assert.deepEqual(await resolve('remote'), [
+    'origin/feature/y=refs/remotes/origin/feature/y',
+    'origin/main=refs/remotes/origin/main',
+    'upstream/team/main=refs/remotes/upstream/team/main'
+  ]);
+  assert.deepEqual(await resolve('main'), ['main=refs/heads/main', 'origin/main=refs/remotes/origin/main']);
+  assert.deepEqual(await resolve('origin/main'), ['origin/main=refs/remotes/origin/main']);
+  assert.deepEqual(await resolve('feature/*'), ['feature/x=refs/heads/feature/x', 'origin/feature/y=refs/remotes/origin/feature/y']);
+  assert.deepEqual(await resolve(['current', 'feature/*']), [
+    'main=HEAD',
+    'feature/x=refs/heads/feature/x',
+    'origin/feature/y=refs/remotes/origin/feature/y'
+  ]);
+  assert.deepEqual(await resolve('release/*'), []);
+});
@@ -0,0 +1,134 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import os from 'os';
+import fs from 'fs-extra';
+import { recordHistory, readHistory, buildHistorySeries, getScopeKey, getHistoryPath } from '../src/services/historyService.js';
+import { toJsonReport } from '../src/formatters/jsonFormatter.js';
+import config from '../src/config/default.js';
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'git-report-history-'));
+});
+
+after(async () => {
+  await fs.remove(dir);
+});
+
+beforeEach(async () => {
+  config.outputPath = await fs.mkdtemp(path.join(dir, 'out-'));
+  config.includePaths = [];
+  config.branches = 'current';
+  config.mergeCommits = 'include';
+});
+
+/**
+ * 生成只有一个仓库的报告数据
+ * @param {string} startDate 开始日期
+ * @param {string} endDate 结束日期
+ * @param {Array<{hash: string, date: string, author: string}>} commits 提交列表
+ * @returns {Object} 报告数据
+ */
+const createReportData = (startDate, endDate, commits) => ({
+  startDate,
+  endDate,
+  period: null,
+  team: null,
+  authorFilter: [],
+  author: null,
+  totalRepos: 1,
+  reposWithCommits: 1,
+  summary: {
+    totalCommits: commits.length,
+    totalFilesChanged: commits.length,
+    totalAdditions: commits.length * 10,
+    totalDeletions: commits.length,
+    commitsByAuthor: {},
+    commitTypes: {},
+    fileTypes: {},
+    fileChanges: { added: 0, modified: commits.length, deleted: 0, renamed: 0 }
+  },
+  changelog: {},
+  issues: [],
+  repositories: [{
+    name: 'app',
+    path: '/repos/app',
+    analysis: null,
+    commits: commits.map(commit => ({
+      ...commit,
+      email: `${commit.author.toLowerCase()}@example.com`,
+      message: `feat: 很长的提交信息 ${commit.hash}`,
+      additions: 10,
+      deletions: 1,
+      filesChanged: 1
+    }))
+  }],
+  trend: null
+});
+
+const COMMITS = {
+  a: { hash: 'a'.repeat(40), date: '2026-10-05', author: 'Alice' },
+  b: { hash: 'b'.repeat(40), date: '2026-10-08', author: 'Bob' },
+  c: { hash: 'c'.repeat(40), date: '2026-10-13', author: 'Alice' }
+};
+
+test('时间范围重叠的多次运行只保存一份提交，不保存完整报告', async () => {
+  await recordHistory(createReportData('2026-10-05', '2026-10-11', [COMMITS.b, COMMITS.a]), ['weekly.md']);
+  await recordHistory(createReportData('2026-10-08', '2026-10-14', [COMMITS.c, COMMITS.b]));
+  
+  const content = await fs.readFile(getHistoryPath(), 'utf8');
+  assert.doesNotMatch(content, /很长的提交信息/);
+  
+  const history = await readHistory();
+  assert.equal(history.runs.length, 2);
+  assert.deepEqual(history.runs[0].files, ['weekly.md']);
+  assert.equal(history.runs[0].summary.commits, 2);
+  assert.deepEqual(history.runs[1].repositories, [{ name: 'app', commits: 2, additions: null, deletions: null }]);
+  assert.equal(history.commits.length, 3);
+  
+  const series = buildHistorySeries(history, { by: 'week' });
+  assert.deepEqual(series.weeks, ['2026-W41', '2026-W42']);
+  assert.deepEqual(series.rows.map(row => [row.week, row.commits, row.additions]), [['2026-W41', 2, 20], ['2026-W42', 1, 10]]);
+});
+
+test('同时写入报告历史时不互相覆盖临时文件', async () => {
+  const days = ['01', '02', '03', '04', '05'];
+  await Promise.all(days.map(day => recordHistory(createReportData(`2026-10-${day}`, `2026-10-${day}`, [COMMITS.a]))));
+  
+  const files = await fs.readdir(config.outputPath);
+  assert.deepEqual(files, ['history.jsonl']);
+  assert.ok((await readHistory()).runs.length >= 1);
+});
+
+test('统计范围包含路径过滤、分支范围和合并提交策略', () => {
+  const report = toJsonReport(createReportData('2026-10-05', '2026-10-11', [COMMITS.a]));
+  assert.equal(getScopeKey(report), 'all');
+  
+  config.includePaths = ['packages/web'];
+  config.branches = 'main, feature/*';
+  config.mergeCommits = 'first-parent';
+  assert.equal(getScopeKey(report), 'paths:packages/web;branches:feature/*,main;merge:first-parent');
+  
+  config.branches = ['feature/*', 'main'];
+  assert.equal(getScopeKey({ ...report, filters: { ...report.filters, team: 'backend' } }),
+    'team:backend;paths:packages/web;branches:feature/*,main;merge:first-parent');
+});
+
+test('读取旧版本保存完整报告的历史记录', async () => {
+  const report = toJsonReport(createReportData('2026-10-05', '2026-10-11', [COMMITS.b, COMMITS.a]));
+  const entry = { id: '12345678', key: 'old', scope: 'all', recordedAt: '2026-10-12T09:00:00+08:00', range: report.range, files: [], report };
+  await fs.outputFile(getHistoryPath(), `${JSON.stringify(entry)}\n`);
+  
+  const history = await readHistory();
+  assert.equal(history.runs.length, 1);
+  assert.equal(history.runs[0].type, 'run');
+  assert.equal(history.runs[0].summary.commits, 2);
+  assert.deepEqual(history.commits.map(commit => commit.author).sort(), ['Alice', 'Bob']);
+  
+  await recordHistory(createReportData('2026-10-12', '2026-10-18', [COMMITS.c]));
+  const content = await fs.readFile(getHistoryPath(), 'utf8');
+  assert.doesNotMatch(content, /"report"/);
+  assert.equal((await readHistory()).commits.length, 3);
+});
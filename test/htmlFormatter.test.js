@@ -0,0 +1,82 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import os from 'os';
+import { createFixtureRepo } from './fixtures/fixtureRepo.js';
+import { generateFullReport } from '../src/services/reportService.js';
+import { formatReportAsHtml } from '../src/formatters/htmlFormatter.js';
+import { resetReportRange } from '../src/utils/dateUtils.js';
+import config from '../src/config/default.js';
+
+// git 会去掉作者名称中的尖括号，含 HTML 标签的名称只能来自 authors 中的规范名称
+const AUTHOR = 'Tom "TJ" & Jerry';
+const CANONICAL_AUTHOR = '<script>alert("name")</script> & Co';
+const SUBJECT = 'feat: 支持 <img src=x onerror=alert(1)> 和 "引号" ABC-12';
+
+let repo;
+let html;
+
+/**
+ * 以指定作者在测试仓库中添加一个空提交
+ * @param {string} message 提交信息
+ * @param {string} name 作者名称
+ * @param {string} email 作者邮箱
+ */
+const commitAs = (message, name, email) => {
+  execFileSync('git', ['commit', '-q', '--allow-empty', '-m', message], {
+    cwd: repo.dir,
+    env: {
+      ...process.env,
+      GIT_CONFIG_NOSYSTEM: '1',
+      GIT_CONFIG_GLOBAL: os.devNull,
+      GIT_AUTHOR_NAME: name,
+      GIT_AUTHOR_EMAIL: email,
+      GIT_AUTHOR_DATE: '2026-10-14T10:00:00Z',
+      GIT_COMMITTER_NAME: name,
+      GIT_COMMITTER_EMAIL: email,
+      GIT_COMMITTER_DATE: '2026-10-14T10:00:00Z'
+    }
+  });
+};
+
+before(async () => {
+  config.cache = { ...config.cache, enabled: false };
+  config.authors = { [CANONICAL_AUTHOR]: { aliases: ['eve@example.com'] } };
+  config.issueTrackers = [{ name: 'jira', pattern: '\\b([A-Z][A-Z0-9]+-\\d+)\\b', url: 'https://jira.example.com/browse/{id}?from=report&x=1' }];
+  mock.method(console, 'log');
+  repo = await createFixtureRepo();
+  commitAs(SUBJECT, AUTHOR, 'tom@example.com');
+  commitAs('chore: 清理', 'Eve', 'eve@example.com');
+  
+  config.period = null;
+  config.since = '2026-10-01';
+  config.until = '2026-10-31';
+  resetReportRange();
+  html = formatReportAsHtml(await generateFullReport([repo.dir]), '**注意** <b>未转义</b>');
+});
+
+after(async () => {
+  mock.restoreAll();
+  await repo?.cleanup();
+});
+
+test('提交信息和作者名称中的 HTML 特殊字符被转义', () => {
+  assert.ok(!html.includes('<script>alert'));
+  assert.ok(!html.includes(AUTHOR));
+  assert.ok(html.includes('Tom &quot;TJ&quot; &amp; Jerry'));
+  assert.ok(!html.includes('<img src=x'));
+  assert.ok(!html.includes('<b>未转义</b>'));
+  
+  assert.ok(html.includes('&lt;script&gt;alert(&quot;name&quot;)&lt;/script&gt; &amp; Co'));
+  assert.ok(html.includes('支持 &lt;img src=x onerror=alert(1)&gt; 和 &quot;引号&quot;'));
+  assert.ok(html.includes('&lt;b&gt;未转义&lt;/b&gt;'));
+});
+
+test('问题编号转换为链接，链接地址同样被转义', () => {
+  assert.ok(html.includes('<a href="https://jira.example.com/browse/ABC-12?from=report&amp;x=1">ABC-12</a>'));
+});
+
+test('图表中的作者名称被转义并截断', () => {
+  const labels = [...html.matchAll(/<text [^>]*text-anchor="end"[^>]*>([^<]*)<\/text>/g)].map(match => match[1]);
+  assert.ok(labels.includes('&lt;script&gt;alert(&quot;...'));
+});
@@ -0,0 +1,46 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import _ from 'lodash';
+import { extractIssues, getIssueUrl, toWebUrl } from '../src/utils/issueUtils.js';
+import config from '../src/config/default.js';
+
+const DEFAULT_TRACKERS = _.cloneDeep(config.issueTrackers);
+
+afterEach(() => {
+  config.issueTrackers = _.cloneDeep(DEFAULT_TRACKERS);
+});
+
+/**
+ * 提取文本中问题的标识
+ * @param {string} text 文本
+ * @returns {Array<string>} 问题标识
+ */
+const keysOf = (text) => extractIssues(text).map(issue => issue.key);
+
+test('extractIssues 识别 JIRA 和 GitHub 风格的问题编号', () => {
+  assert.deepEqual(extractIssues('fixes PROJ-12: 登录超时 (#34)'), [
+    { tracker: 'jira', id: 'PROJ-12', key: 'PROJ-12', closes: true },
+    { tracker: 'github', id: '34', key: '#34', closes: false }
+  ]);
+});
+
+test('extractIssues 默认不把 UTF-8、SHA-256、ISO-8601 等当作问题编号', () => {
+  assert.deepEqual(keysOf('convert to UTF-8, verify SHA-256, parse ISO-8601 per RFC-3339 (CVE-2024-1234)'), []);
+  assert.deepEqual(keysOf('OPS-7 use UTF-8'), ['OPS-7']);
+});
+
+test('extractIssues 设置 projects 后只识别这些项目', () => {
+  config.issueTrackers[0].projects = ['proj'];
+  
+  assert.deepEqual(keysOf('PROJ-1 OPS-2 ABC-3'), ['PROJ-1']);
+});
+
+test('getIssueUrl 按模板生成链接', () => {
+  config.issueTrackers[0].url = 'https://jira.example.com/browse/{id}';
+  const [jira, github] = extractIssues('PROJ-1 #2');
+  
+  assert.equal(getIssueUrl(jira), 'https://jira.example.com/browse/PROJ-1');
+  assert.equal(getIssueUrl(github, { remote: 'git@github.com:org/repo.git' }), 'https://github.com/org/repo/issues/2');
+  assert.equal(getIssueUrl(github, { remote: '' }), null);
+  assert.equal(toWebUrl('ssh://git@gitlab.example.com:2222/group/repo.git'), 'https://gitlab.example.com/group/repo');
+});
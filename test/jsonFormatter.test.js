@@ -0,0 +1,79 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFixtureRepo } from './fixtures/fixtureRepo.js';
+import { generateFullReport } from '../src/services/reportService.js';
+import { toJsonReport, validateJsonReport, JSON_SCHEMA_VERSION } from '../src/formatters/jsonFormatter.js';
+import { validateSchema } from '../src/utils/schemaValidator.js';
+import { resetReportRange } from '../src/utils/dateUtils.js';
+import config from '../src/config/default.js';
+
+let repo;
+let report;
+
+before(async () => {
+  config.cache = { ...config.cache, enabled: false };
+  mock.method(console, 'log');
+  repo = await createFixtureRepo();
+  
+  config.period = null;
+  config.since = '2026-10-01';
+  config.until = '2026-10-31';
+  resetReportRange();
+  report = toJsonReport(await generateFullReport([repo.dir]), '本周进展顺利');
+});
+
+after(async () => {
+  mock.restoreAll();
+  await repo?.cleanup();
+});
+
+test('生成的报告符合报告格式定义', () => {
+  assert.equal(report.schemaVersion, JSON_SCHEMA_VERSION);
+  assert.deepEqual(validateJsonReport(report), []);
+});
+
+test('当前版本的报告不允许出现格式定义以外的字段', () => {
+  const extended = { ...report, owner: 'platform' };
+  extended.repositories = [{ ...report.repositories[0], stars: 3 }];
+  
+  assert.deepEqual(validateJsonReport(extended), ['$.repositories[0].stars: 未定义的字段', '$.owner: 未定义的字段']);
+  assert.equal(validateJsonReport({ ...extended, schemaVersion: '1.0' }).length, 2);
+});
+
+test('次版本号更新的报告允许新增字段，但仍校验已知字段', () => {
+  const newer = { ...report, schemaVersion: '1.99', owner: 'platform' };
+  newer.repositories = [{ ...report.repositories[0], stars: 3 }];
+  assert.deepEqual(validateJsonReport(newer), []);
+  
+  assert.deepEqual(validateJsonReport({ ...newer, summary: { ...report.summary, commits: -1 } }), ['$.summary.commits: 不能小于 0']);
+});
+
+test('主版本号不同的报告视为不兼容', () => {
+  assert.deepEqual(validateJsonReport({ ...report, schemaVersion: '2.0' }), ['$.schemaVersion: 不支持的格式版本 2.0（当前为 1.2）']);
+});
+
+test('validateSchema 报告类型、取值、必填字段和引用的错误', () => {
+  const schema = {
+    type: 'object',
+    required: ['name', 'kind'],
+    additionalProperties: false,
+    properties: {
+      name: { type: 'string' },
+      kind: { enum: ['a', 'b'] },
+      count: { $ref: '#/$defs/count' },
+      tags: { type: 'array', items: { type: 'string' } }
+    },
+    $defs: { count: { type: 'integer', minimum: 0 } }
+  };
+  
+  assert.deepEqual(validateSchema({ name: 'x', kind: 'a', count: 1, tags: ['t'] }, schema), []);
+  assert.deepEqual(validateSchema({ name: 1, kind: 'c', count: 1.5, tags: ['t', 2], other: true }, schema), [
+    '$.name: 类型应为 string，实际为 integer',
+    '$.kind: 取值应为 "a", "b" 之一',
+    '$.count: 类型应为 integer，实际为 number',
+    '$.tags[1]: 类型应为 string，实际为 integer',
+    '$.other: 未定义的字段'
+  ]);
+  assert.deepEqual(validateSchema({ kind: 'a' }, schema), ['$: 缺少字段 name']);
+  assert.deepEqual(validateSchema([], schema), ['$: 类型应为 object，实际为 array']);
+});
@@ -0,0 +1,155 @@
+import { test, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { chat, getRetryDelay, isLlmAvailable } from '../src/services/llmService.js';
+import config from '../src/config/default.js';
+
+/**
+ * 模型调用的测试，全部使用 mock 提供方，不访问网络
+ */
+
+before(() => {
+  // 重试和切换提供方时的提示不输出到测试结果中
+  mock.method(console, 'log', () => {});
+});
+
+after(() => {
+  mock.restoreAll();
+});
+
+beforeEach(() => {
+  console.log.mock.resetCalls();
+  config.openai = { ...config.openai, enabled: true, apiKey: '' };
+  config.llm = { ...config.llm, timeout: 1000, maxRetries: 3, retryDelay: 1, maxRetryDelay: 5 };
+});
+
+/**
+ * 设置模型提供方（每次都是新的配置对象，mock 的调用计数从零开始）
+ * @param {...Object} providers 提供方配置
+ */
+const useProviders = (...providers) => {
+  config.llm.providers = providers;
+};
+
+test('按顺序使用第一个可用的提供方，跳过配置不完整的提供方', async () => {
+  useProviders(
+    { type: 'openai', model: 'gpt-4o' },
+    { type: 'mock', name: 'first', response: '第一个' },
+    { type: 'mock', name: 'second', response: '第二个' }
+  );
+  
+  assert.deepEqual(await chat([{ role: 'user', content: '你好' }]), { content: '第一个', provider: 'first' });
+});
+
+test('流式输出通过 onToken 回调', async () => {
+  useProviders({ type: 'mock', response: '流式内容' });
+  const tokens = [];
+  
+  await chat([{ role: 'user', content: '你好' }], { onToken: token => tokens.push(token) });
+  assert.equal(tokens.join(''), '流式内容');
+});
+
+test('遇到 429 时重试后成功', async () => {
+  useProviders(
+    { type: 'mock', name: 'limited', response: '成功', failures: 2, status: 429 },
+    { type: 'mock', name: 'backup', response: '备用' }
+  );
+  
+  assert.deepEqual(await chat([{ role: 'user', content: '你好' }]), { content: '成功', provider: 'limited' });
+  
+  // 每次重试前的等待时间翻倍
+  const retries = console.log.mock.calls.map(call => call.arguments[0]).filter(message => message.includes('后重试'));
+  assert.equal(retries.length, 2);
+  assert.match(retries[0], /0\.001 秒后重试（1\/3）/);
+  assert.match(retries[1], /0\.002 秒后重试（2\/3）/);
+});
+
+test('重试次数用完后使用下一个提供方', async () => {
+  config.llm.maxRetries = 2;
+  useProviders(
+    { type: 'mock', name: 'limited', response: '成功', failures: 3, status: 429 },
+    { type: 'mock', name: 'backup', response: '备用' }
+  );
+  
+  assert.deepEqual(await chat([{ role: 'user', content: '你好' }]), { content: '备用', provider: 'backup' });
+});
+
+test('不可重试的错误直接使用下一个提供方', async () => {
+  useProviders(
+    { type: 'mock', name: 'invalid', response: '成功', failures: 1, status: 400 },
+    { type: 'mock', name: 'backup', response: '备用' }
+  );
+  
+  assert.equal((await chat([{ role: 'user', content: '你好' }])).provider, 'backup');
+});
+
+test('请求超时后重试，仍然超时时使用下一个提供方', async () => {
+  config.llm.timeout = 20;
+  config.llm.maxRetries = 1;
+  useProviders(
+    { type: 'mock', name: 'slow', response: '太慢', delay: 1000 },
+    { type: 'mock', name: 'backup', response: '备用' }
+  );
+  
+  const started = Date.now();
+  assert.deepEqual(await chat([{ role: 'user', content: '你好' }]), { content: '备用', provider: 'backup' });
+  assert.ok(Date.now() - started < 1000, '超时后应取消请求，不等待模拟的响应');
+});
+
+test('所有提供方都失败时报告每个提供方的错误', async () => {
+  config.llm.timeout = 20;
+  config.llm.maxRetries = 0;
+  useProviders(
+    { type: 'mock', name: 'slow', delay: 1000 },
+    { type: 'mock', name: 'broken', failures: 1, status: 500 }
+  );
+  
+  await assert.rejects(chat([{ role: 'user', content: '你好' }]), error => {
+    assert.match(error.message, /所有模型提供方均调用失败/);
+    assert.match(error.message, /slow: 请求超时（20 毫秒）/);
+    assert.match(error.message, /broken: 模拟的调用失败 \(500\)/);
+    return true;
+  });
+});
+
+test('输出部分内容后中断时不重试也不切换提供方，避免重复输出', async () => {
+  useProviders(
+    { type: 'mock', name: 'flaky', response: '0123456789', interruptions: 1 },
+    { type: 'mock', name: 'backup', response: '备用' }
+  );
+  const tokens = [];
+  
+  await assert.rejects(chat([{ role: 'user', content: '你好' }], { onToken: token => tokens.push(token) }), error => {
+    assert.equal(error.partial, true);
+    assert.match(error.message, /flaky: 输出部分内容后中断: 模拟的输出中断/);
+    return true;
+  });
+  assert.deepEqual(tokens, ['01234']);
+});
+
+test('没有流式输出时，输出中断与其他错误一样重试', async () => {
+  useProviders({ type: 'mock', name: 'flaky', response: '0123456789', interruptions: 1 });
+  
+  assert.deepEqual(await chat([{ role: 'user', content: '你好' }]), { content: '0123456789', provider: 'flaky' });
+});
+
+test('getRetryDelay 按指数退避，优先使用 Retry-After，不超过上限', () => {
+  config.llm = { ...config.llm, retryDelay: 1000, maxRetryDelay: 30000 };
+  
+  assert.equal(getRetryDelay(1), 1000);
+  assert.equal(getRetryDelay(2), 2000);
+  assert.equal(getRetryDelay(3), 4000);
+  assert.equal(getRetryDelay(10), 30000);
+  assert.equal(getRetryDelay(1, { retryAfter: 5000 }), 5000);
+  assert.equal(getRetryDelay(1, { retryAfter: 60000 }), 30000);
+});
+
+test('isLlmAvailable 需要启用 AI 功能并且至少有一个可用的提供方', () => {
+  useProviders({ type: 'openai', model: 'gpt-4o' });
+  assert.equal(isLlmAvailable(), false);
+  
+  useProviders({ type: 'openai', model: 'gpt-4o' }, { type: 'mock' });
+  assert.equal(isLlmAvailable(), true);
+  
+  config.openai.enabled = false;
+  assert.equal(isLlmAvailable(), false);
+});
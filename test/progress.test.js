@@ -0,0 +1,71 @@
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createProgress } from '../src/utils/progress.js';
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+/**
+ * 创建记录写入内容的输出流
+ * @param {boolean} isTTY 是否为交互式终端
+ * @param {number} columns 终端宽度
+ * @returns {{isTTY: boolean, columns: number, chunks: string[], write: function(string): void}} 输出流
+ */
+const createStream = (isTTY, columns = 80) => ({
+  isTTY,
+  columns,
+  chunks: [],
+  write(chunk) {
+    this.chunks.push(chunk);
+  }
+});
+
+// 去掉颜色代码，只保留清除行的控制序列
+const stripColors = (text) => text.replace(/\x1b\[(?!K)[\d;]*m/g, '');
+
+test('交互式终端中在同一行刷新进度条，结束时清除该行', () => {
+  mock.method(console, 'log', () => {});
+  const stream = createStream(true);
+  const progress = createProgress({ total: 2, stream });
+  
+  progress.start('/repos/app');
+  progress.done('/repos/app');
+  progress.start('/repos/lib');
+  progress.done('/repos/lib');
+  progress.finish();
+  
+  const lines = stream.chunks.map(stripColors);
+  assert.equal(lines[0], `\r\x1b[K${'░'.repeat(24)} 0/2 /repos/app`);
+  assert.equal(lines[1], `\r\x1b[K${'█'.repeat(12)}${'░'.repeat(12)} 1/2 /repos/app`);
+  assert.equal(lines[3], `\r\x1b[K${'█'.repeat(24)} 2/2 /repos/lib`);
+  assert.equal(lines[4], '\r\x1b[K');
+  assert.equal(console.log.mock.callCount(), 0);
+});
+
+test('仓库路径超出终端宽度时从开头截断', () => {
+  const stream = createStream(true, 40);
+  const progress = createProgress({ total: 10, stream });
+  
+  progress.start('/home/user/projects/company/backend/service');
+  const line = stripColors(stream.chunks[0]);
+  assert.ok(line.endsWith(' 0/10 …/service'));
+  assert.ok(line.length - '\r\x1b[K'.length <= 40);
+});
+
+test('非交互式输出或关闭详细模式时逐行输出日志', () => {
+  mock.method(console, 'log', () => {});
+  const stream = createStream(false);
+  const progress = createProgress({ total: 2, stream });
+  progress.start('/repos/app');
+  progress.done('/repos/app');
+  progress.finish();
+  
+  assert.deepEqual(stream.chunks, []);
+  assert.deepEqual(console.log.mock.calls.map(call => stripColors(call.arguments[0])), ['处理仓库: /repos/app', '[1/2] 完成: /repos/app']);
+  
+  const quiet = createProgress({ total: 1, verbose: false, stream: createStream(true) });
+  quiet.start('/repos/lib');
+  quiet.done('/repos/lib');
+  assert.equal(console.log.mock.callCount(), 3);
+});
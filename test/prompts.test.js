@@ -0,0 +1,121 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { resolveReviewStyle, getReviewStyleNames, renderPrompt } from '../src/prompts/index.js';
+import config from '../src/config/default.js';
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'git-report-prompts-'));
+  await fs.writeFile(path.join(dir, 'brief.md'), '请简要总结：\n{reportContent}\n');
+  await fs.writeFile(path.join(dir, 'weekly.yaml'), [
+    'description: 周会汇报',
+    'language: English',
+    'system: 你是一位项目经理。',
+    'prompt: "汇报 {startDate} 的工作：{reportContent}"'
+  ].join('\n'));
+  await fs.writeJson(path.join(dir, 'no-content.json'), { prompt: '请总结本周工作' });
+  await fs.writeJson(path.join(dir, 'no-prompt.json'), { description: '缺少提示词' });
+});
+
+after(async () => {
+  await fs.remove(dir);
+});
+
+beforeEach(() => {
+  config.openai = { ...config.openai, reviewStyle: 'manager', promptTemplates: {}, language: '', systemPrompt: '' };
+});
+
+test('按名称获取内置风格，名称不区分大小写', async () => {
+  assert.deepEqual(getReviewStyleNames(), ['manager', 'self', 'release-notes', 'standup', 'manager-en']);
+  
+  const style = await resolveReviewStyle('Manager-EN');
+  assert.equal(style.name, 'manager-en');
+  assert.equal(style.language, 'English');
+  assert.ok(style.prompt.includes('{reportContent}'));
+  
+  // 默认读取配置 openai.reviewStyle，manager 风格使用 openai.promptTemplate
+  config.openai.promptTemplate = '点评：{reportContent}';
+  const manager = await resolveReviewStyle();
+  assert.equal(manager.name, 'manager');
+  assert.equal(manager.prompt, '点评：{reportContent}');
+});
+
+test('未知的风格名称列出所有可用的风格', async () => {
+  config.openai.promptTemplates = { weekly: { prompt: '{reportContent}' } };
+  await assert.rejects(resolveReviewStyle('unknown'), {
+    message: '不支持的点评风格: unknown（支持 manager, self, release-notes, standup, manager-en, weekly，或提示词模板的文件路径）'
+  });
+  await assert.rejects(resolveReviewStyle(''), /不支持的点评风格: （支持/);
+});
+
+test('promptTemplates 中的定义可以是对象或文件路径', async () => {
+  config.openai.promptTemplates = {
+    short: { description: '简短点评', prompt: '用一句话点评：{reportContent}' },
+    weekly: path.join(dir, 'weekly.yaml')
+  };
+  
+  const short = await resolveReviewStyle('short');
+  assert.equal(short.name, 'short');
+  assert.equal(short.description, '简短点评');
+  assert.equal(short.language, '中文');
+  assert.equal(short.system, (await resolveReviewStyle('manager')).system);
+  assert.equal(short.prompt, '用一句话点评：{reportContent}');
+  
+  assert.deepEqual(await resolveReviewStyle('weekly'), {
+    name: 'weekly',
+    description: '周会汇报',
+    language: 'English',
+    system: '你是一位项目经理。',
+    prompt: '汇报 {startDate} 的工作：{reportContent}'
+  });
+});
+
+test('文件路径中的文本文件全部作为提示词，数据文件读取各字段', async () => {
+  const brief = await resolveReviewStyle(path.join(dir, 'brief.md'));
+  assert.equal(brief.name, 'brief.md');
+  assert.equal(brief.prompt, '请简要总结：\n{reportContent}\n');
+  assert.equal(brief.language, '中文');
+  
+  const weekly = await resolveReviewStyle(path.join(dir, 'weekly.yaml'));
+  assert.equal(weekly.name, 'weekly.yaml');
+  assert.equal(weekly.system, '你是一位项目经理。');
+});
+
+test('提示词模板缺少 prompt 或 {reportContent} 变量时报错', async () => {
+  await assert.rejects(resolveReviewStyle(path.join(dir, 'no-content.json')), {
+    message: `提示词模板缺少 {reportContent} 变量: ${path.join(dir, 'no-content.json')}`
+  });
+  await assert.rejects(resolveReviewStyle(path.join(dir, 'no-prompt.json')), {
+    message: `提示词模板缺少 prompt: ${path.join(dir, 'no-prompt.json')}`
+  });
+  
+  config.openai.promptTemplates = { broken: { description: '缺少提示词' } };
+  await assert.rejects(resolveReviewStyle('broken'), { message: '提示词模板缺少 prompt: openai.promptTemplates.broken' });
+});
+
+test('openai.language 和 openai.systemPrompt 覆盖风格中的设置', async () => {
+  config.openai.language = '日本語';
+  config.openai.systemPrompt = '你是一位资深架构师。';
+  
+  for (const name of ['self', path.join(dir, 'weekly.yaml')]) {
+    const style = await resolveReviewStyle(name);
+    assert.equal(style.language, '日本語');
+    assert.equal(style.system, '你是一位资深架构师。');
+  }
+});
+
+test('填入提示词变量，未知的变量保持原样', () => {
+  assert.equal(
+    renderPrompt('{startDate} 至 {endDate}：{reportContent} {unknown} {totalCommits}', {
+      startDate: '2026-10-12',
+      endDate: '2026-10-18',
+      reportContent: '内容',
+      totalCommits: 0
+    }),
+    '2026-10-12 至 2026-10-18：内容 {unknown} 0'
+  );
+});
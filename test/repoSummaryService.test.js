@@ -0,0 +1,149 @@
+import { test, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import os from 'os';
+import fs from 'fs-extra';
+import { summarizeRepositories } from '../src/services/repoSummaryService.js';
+import config from '../src/config/default.js';
+
+let cacheDir;
+
+before(async () => {
+  cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'git-report-cache-'));
+  mock.method(console, 'log', () => {});
+});
+
+after(async () => {
+  mock.restoreAll();
+  await fs.remove(cacheDir);
+});
+
+beforeEach(async () => {
+  await fs.emptyDir(cacheDir);
+  config.cache = { enabled: true, dir: cacheDir };
+  config.openai = { ...config.openai, enabled: true, rewriteCommits: true, language: '' };
+});
+
+/**
+ * 使用返回指定内容的 mock 提供方
+ * @param {string} response 模型的回答
+ */
+const useResponse = (response) => {
+  config.llm = { ...config.llm, providers: [{ type: 'mock', response }] };
+};
+
+/**
+ * 生成报告数据：一个仓库，包含一个简略的提交和一个正常的提交
+ * @returns {Object} 报告数据
+ */
+const createReportData = () => ({
+  startDate: '2026-10-05T00:00:00+00:00',
+  endDate: '2026-10-11T23:59:59+00:00',
+  repositories: [{
+    name: 'alpha',
+    commits: [
+      { hash: 'a'.repeat(40), message: 'fix', author: 'Alice', additions: 3, deletions: 1, filesChanged: 1 },
+      { hash: 'b'.repeat(40), message: 'feat: 新增登录页面', author: 'Bob', additions: 120, deletions: 0, filesChanged: 4 }
+    ]
+  }]
+});
+
+/**
+ * 列出缓存的 AI 结果文件
+ * @returns {Promise<Array<string>>} 文件名
+ */
+const listCachedResults = async () => {
+  const dir = path.join(cacheDir, 'ai');
+  return await fs.pathExists(dir) ? fs.readdir(dir) : [];
+};
+
+test('解析 JSON 回答并缓存仓库总结和改写的提交信息', async () => {
+  useResponse('```json\n{"summary": "完成了登录功能。", "commits": {"aaaaaaa": "修复登录按钮无响应"}}\n```');
+  const reportData = createReportData();
+  
+  await summarizeRepositories(reportData);
+  assert.deepEqual(reportData.repositories[0].aiSummary, {
+    summary: '完成了登录功能。',
+    commitMessages: { ['a'.repeat(40)]: '修复登录按钮无响应' },
+    provider: 'mock'
+  });
+  assert.equal((await listCachedResults()).length, 1);
+  
+  // 提交没有变化时使用缓存，不再采用模型新的回答
+  useResponse('{"summary": "新的回答"}');
+  const again = createReportData();
+  await summarizeRepositories(again);
+  assert.equal(again.repositories[0].aiSummary.summary, '完成了登录功能。');
+});
+
+test('回答无法解析时不缓存，也不把原始回答当作总结', async () => {
+  useResponse('{"summary": "完成了登录功能。", "commits": {');
+  const reportData = createReportData();
+  
+  await summarizeRepositories(reportData);
+  assert.deepEqual(reportData.repositories[0].aiSummary, { summary: null, commitMessages: {} });
+  assert.deepEqual(await listCachedResults(), []);
+  
+  // 下次运行重新请求模型
+  useResponse('{"summary": "完成了登录功能。"}');
+  const again = createReportData();
+  await summarizeRepositories(again);
+  assert.equal(again.repositories[0].aiSummary.summary, '完成了登录功能。');
+});
+
+test('回答缺少 summary 时同样不缓存', async () => {
+  useResponse('{"commits": {"aaaaaaa": "修复登录按钮无响应"}}');
+  const reportData = createReportData();
+  
+  await summarizeRepositories(reportData);
+  assert.equal(reportData.repositories[0].aiSummary.summary, null);
+  assert.deepEqual(await listCachedResults(), []);
+});
+
+test('不改写提交信息时整个回答作为仓库总结', async () => {
+  config.openai.rewriteCommits = false;
+  useResponse('  完成了登录功能。\n');
+  const reportData = createReportData();
+  
+  await summarizeRepositories(reportData);
+  assert.deepEqual(reportData.repositories[0].aiSummary, { summary: '完成了登录功能。', commitMessages: {}, provider: 'mock' });
+});
+
+test('报告周期或提交的增删行数变化时重新生成仓库总结', async () => {
+  useResponse('{"summary": "第一次的总结"}');
+  await summarizeRepositories(createReportData());
+  
+  useResponse('{"summary": "周期变化后的总结"}');
+  const moved = { ...createReportData(), startDate: '2026-10-04T00:00:00+00:00' };
+  await summarizeRepositories(moved);
+  assert.equal(moved.repositories[0].aiSummary.summary, '周期变化后的总结');
+  
+  useResponse('{"summary": "路径过滤后的总结"}');
+  const filtered = createReportData();
+  filtered.repositories[0].commits[1] = { ...filtered.repositories[0].commits[1], additions: 20, filesChanged: 1 };
+  await summarizeRepositories(filtered);
+  assert.equal(filtered.repositories[0].aiSummary.summary, '路径过滤后的总结');
+  assert.equal((await listCachedResults()).length, 3);
+});
+
+test('记录实际回答的提供方，后备提供方的结果在首选提供方恢复后重新生成', async () => {
+  const primary = { type: 'mock', name: 'primary', failures: 1, status: 400, response: '{"summary": "首选提供方的总结"}' };
+  const fallback = { type: 'mock', name: 'fallback', response: '{"summary": "后备提供方的总结"}' };
+  config.llm = { ...config.llm, providers: [primary, fallback] };
+  
+  const reportData = createReportData();
+  await summarizeRepositories(reportData);
+  assert.equal(reportData.repositories[0].aiSummary.summary, '后备提供方的总结');
+  assert.equal(reportData.repositories[0].aiSummary.provider, 'fallback');
+  
+  const again = createReportData();
+  await summarizeRepositories(again);
+  assert.equal(again.repositories[0].aiSummary.summary, '首选提供方的总结');
+  assert.equal(again.repositories[0].aiSummary.provider, 'primary');
+  
+  // 首选提供方的结果可以直接使用缓存
+  config.llm = { ...config.llm, providers: [{ ...primary, failures: 0, response: '{"summary": "新的回答"}' }, fallback] };
+  const cached = createReportData();
+  await summarizeRepositories(cached);
+  assert.equal(cached.repositories[0].aiSummary.summary, '首选提供方的总结');
+});
@@ -0,0 +1,86 @@
+import { test, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFixtureRepo } from './fixtures/fixtureRepo.js';
+import { generateFullReport, generateAuthorReport, getReportAuthors } from '../src/services/reportService.js';
+import { resetReportRange } from '../src/utils/dateUtils.js';
+import config from '../src/config/default.js';
+
+let repo;
+
+before(async () => {
+  config.cache = { ...config.cache, enabled: false };
+  mock.method(console, 'log');
+  repo = await createFixtureRepo();
+});
+
+after(async () => {
+  mock.restoreAll();
+  await repo?.cleanup();
+});
+
+beforeEach(() => {
+  config.period = null;
+  config.since = '2026-10-01';
+  config.until = '2026-10-31';
+  config.includeCodeAnalysis = true;
+  resetReportRange();
+});
+
+test('默认统计合并提交和被合并分支上的提交', async () => {
+  const reportData = await generateFullReport([repo.dir]);
+  const hashes = reportData.repositories[0].commits.map(commit => commit.hash);
+  
+  assert.equal(config.mergeCommits, 'include');
+  assert.ok(hashes.includes(repo.hashes.merge));
+  assert.ok(hashes.includes(repo.hashes.feature));
+});
+
+test('未分析代码变更时仍按提交统计贡献者', async () => {
+  config.includeCodeAnalysis = false;
+  const reportData = await generateFullReport([repo.dir]);
+  
+  assert.equal(reportData.repositories[0].analysis, null);
+  assert.deepEqual(getReportAuthors(reportData), ['Alice', 'Bob']);
+  assert.deepEqual(reportData.summary.commitsByAuthor.Bob, {
+    email: 'bob@example.com',
+    team: null,
+    commits: 1,
+    additions: 0,
+    deletions: 0
+  });
+  assert.equal(reportData.summary.commitsByAuthor.Alice.commits, 6);
+  
+  const authorReport = await generateAuthorReport(reportData, 'Bob');
+  assert.equal(authorReport.summary.totalCommits, 1);
+  assert.deepEqual(Object.keys(authorReport.summary.commitsByAuthor), ['Bob']);
+});
+
+test('分析代码变更时贡献者统计包含增删行数', async () => {
+  const reportData = await generateFullReport([repo.dir]);
+  
+  assert.deepEqual(getReportAuthors(reportData), ['Alice', 'Bob']);
+  assert.equal(reportData.summary.commitsByAuthor.Bob.additions, 3);
+  assert.equal(
+    reportData.summary.commitsByAuthor.Alice.additions + reportData.summary.commitsByAuthor.Bob.additions,
+    reportData.summary.totalAdditions
+  );
+});
+
+test('按 authors 别名合并贡献者，团队取自规范身份', async () => {
+  const authors = config.authors;
+  config.authors = { Robert: { email: 'robert@company.com', aliases: ['BOB@example.com'], team: 'backend' } };
+  
+  try {
+    const reportData = await generateFullReport([repo.dir]);
+    assert.deepEqual(getReportAuthors(reportData), ['Alice', 'Robert']);
+    assert.deepEqual(reportData.summary.commitsByAuthor.Robert, {
+      email: 'robert@company.com',
+      team: 'backend',
+      commits: 1,
+      additions: 3,
+      deletions: 0
+    });
+  } finally {
+    config.authors = authors;
+  }
+});
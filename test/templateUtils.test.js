@@ -0,0 +1,65 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import os from 'os';
+import fs from 'fs-extra';
+import { compileTemplate } from '../src/utils/templateUtils.js';
+import { resolveFormatter } from '../src/formatters/index.js';
+import { escapeHtml } from '../src/utils/htmlUtils.js';
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'git-report-template-'));
+});
+
+after(async () => {
+  await fs.remove(dir);
+});
+
+test('<%= %> 使用转义函数输出，<%- %> 原样输出', () => {
+  const render = compileTemplate('<p><%= title %></p><%- html %>', { escape: escapeHtml });
+  const output = render({ title: '<b>"A & B"</b>', html: '<hr>' });
+  
+  assert.equal(output, '<p>&lt;b&gt;&quot;A &amp; B&quot;&lt;/b&gt;</p><hr>');
+});
+
+test('未指定转义函数时 <%= %> 不转义，null 和 undefined 输出为空', () => {
+  const render = compileTemplate('<%= a %>|<%= b %>|<%- c %>|<%= d %>');
+  assert.equal(render({ a: '<b>', b: null, c: undefined, d: 0 }), '<b>|||0');
+});
+
+test('支持语句、注释和去掉标签后的换行', () => {
+  const source = [
+    '<%# 仓库列表 -%>',
+    '<% repositories.forEach(repo => { -%>',
+    '- <%= repo.name %>: <%= repo.commits %>',
+    '<% }) -%>',
+    'end'
+  ].join('\n');
+  const render = compileTemplate(source);
+  
+  assert.equal(render({ repositories: [{ name: 'app', commits: 2 }, { name: 'lib', commits: 0 }] }), '- app: 2\n- lib: 0\nend');
+});
+
+test('编译和渲染失败时报告模板文件名', () => {
+  assert.throws(() => compileTemplate('<% if ( %>', { filename: 'broken.md.ejs' }), /^Error: 模板编译失败 broken\.md\.ejs: /);
+  
+  const render = compileTemplate('<%= missing.name %>', { filename: 'weekly.md.ejs' });
+  assert.throws(() => render({}), /^Error: 模板渲染失败 weekly\.md\.ejs: missing is not defined/);
+});
+
+test('HTML 模板格式化器转义 <%= %>，其他模板不转义', async () => {
+  const reportData = { startDate: '2026-10-12', repositories: [{ name: '<app>' }] };
+  const source = '<% repositories.forEach(repo => { %><%= repo.name %><% }) %>';
+  await fs.outputFile(path.join(dir, 'weekly.html'), source);
+  await fs.outputFile(path.join(dir, 'weekly.md.ejs'), source);
+  
+  const html = await resolveFormatter(path.join(dir, 'weekly.html'));
+  assert.equal(html.extension, '.html');
+  assert.equal(await html.format(reportData), '&lt;app&gt;');
+  
+  const markdown = await resolveFormatter(path.join(dir, 'weekly.md.ejs'));
+  assert.equal(markdown.extension, '.md');
+  assert.equal(await markdown.format(reportData), '<app>');
+});
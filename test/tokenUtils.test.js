@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateTokens, truncateToTokens, splitByTokens } from '../src/utils/tokenUtils.js';
+
+test('中文字符每个约 1 个 token，其他字符约 3 个 1 个 token', () => {
+  assert.equal(estimateTokens(''), 0);
+  assert.equal(estimateTokens(null), 0);
+  assert.equal(estimateTokens('abc'), 1);
+  assert.equal(estimateTokens('abcd'), 2);
+  assert.equal(estimateTokens('修复登录'), 4);
+  assert.equal(estimateTokens('fix: 修复登录'), 6);
+  assert.equal(estimateTokens('（）'), 2);
+});
+
+test('不超过限制时原样返回，超出时按 token 数截断', () => {
+  assert.deepEqual(truncateToTokens('abcdef', 2), { text: 'abcdef', truncatedTokens: 0 });
+  
+  const result = truncateToTokens('修复登录页面的问题', 4);
+  assert.equal(result.text, '修复登录');
+  assert.equal(result.truncatedTokens, 5);
+  
+  assert.deepEqual(truncateToTokens('abcdefghij', 2), { text: 'abcdef', truncatedTokens: 2 });
+  assert.deepEqual(truncateToTokens('abc', 0), { text: '', truncatedTokens: 1 });
+});
+
+test('截断时不拆开代理对字符', () => {
+  const { text } = truncateToTokens(`ab${'😀'.repeat(9)}`, 2);
+  assert.equal(text, `ab${'😀'.repeat(4)}`);
+  assert.ok(!/[\uD800-\uDBFF]$/.test(text));
+});
+
+test('按标题分段拆分，尽量保持段落完整', () => {
+  const text = ['# 仓库 A', '新增登录', '# 仓库 B', '修复问题', '# 仓库 C', '重构'].join('\n');
+  const { chunks, truncatedTokens } = splitByTokens(text, 20);
+  
+  assert.deepEqual(chunks, ['# 仓库 A\n新增登录\n# 仓库 B\n修复问题', '# 仓库 C\n重构']);
+  assert.equal(truncatedTokens, 0);
+  chunks.forEach(chunk => assert.ok(estimateTokens(chunk) <= 20));
+});
+
+test('超过限制的段落按行拆分，后续各块以段落标题加（续）开头', () => {
+  const lines = Array.from({ length: 6 }, (item, index) => `- 提交${index}`);
+  const { chunks } = splitByTokens(['# 仓库 A', ...lines].join('\n'), 12);
+  
+  assert.ok(chunks.length > 1);
+  assert.ok(chunks[0].startsWith('# 仓库 A\n'));
+  chunks.slice(1).forEach(chunk => assert.ok(chunk.startsWith('# 仓库 A（续）\n')));
+  assert.deepEqual(chunks.flatMap(chunk => chunk.split('\n')).filter(line => line.startsWith('- ')), lines);
+});
+
+test('超过限制的单行被截断并统计截掉的 token 数，段落标题保持完整', () => {
+  const { chunks, truncatedTokens } = splitByTokens(`# 标题\n${'很长'.repeat(20)}`, 10);
+  
+  // 续块标题“# 标题（续）”连同换行占 7 个 token，每行最多保留 2 个 token
+  assert.deepEqual(chunks, ['# 标题\n很长']);
+  assert.equal(truncatedTokens, 38);
+});
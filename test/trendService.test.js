@@ -0,0 +1,63 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import os from 'os';
+import fs from 'fs-extra';
+import { loadComparisonReport } from '../src/services/trendService.js';
+import { generateTrend } from '../src/services/reportService.js';
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'git-report-trend-'));
+});
+
+after(async () => {
+  await fs.remove(dir);
+});
+
+/**
+ * 生成只有一个仓库的报告数据
+ * @param {Array<{author: string, additions: number, deletions: number}>} commits 提交列表
+ * @returns {Object} 报告数据
+ */
+const createReportData = (commits) => ({
+  repositories: [{ name: 'app', commits }]
+});
+
+test('无法读取或不符合格式定义的对比报告直接报错', async () => {
+  const missing = path.join(dir, 'missing.json');
+  await assert.rejects(loadComparisonReport(missing), /无法读取对比报告/);
+  
+  const invalid = path.join(dir, 'invalid.json');
+  await fs.writeJson(invalid, { repositories: [] });
+  await assert.rejects(loadComparisonReport(invalid), /对比报告不符合格式定义: .*invalid\.json（\$: 缺少字段 schemaVersion）/);
+  
+  const future = path.join(dir, 'future.json');
+  await fs.writeJson(future, { schemaVersion: '99.0' });
+  await assert.rejects(loadComparisonReport(future), /不支持的格式版本 99\.0/);
+});
+
+test('generateTrend 使用已加载的上期统计，不再读取对比报告', async () => {
+  const comparison = {
+    period: { source: path.join(dir, 'removed.json'), startDate: '2026-10-05', endDate: '2026-10-11', period: 'week' },
+    snapshot: {
+      commits: 1,
+      additions: 10,
+      deletions: 0,
+      activeRepos: 1,
+      contributors: 1,
+      authors: { Alice: { commits: 1, additions: 10, deletions: 0, activeRepos: 1 } }
+    }
+  };
+  const reportData = createReportData([
+    { author: 'Alice', additions: 5, deletions: 1 },
+    { author: 'Bob', additions: 15, deletions: 2 }
+  ]);
+  
+  const trend = await generateTrend(reportData, comparison, []);
+  assert.equal(trend.previous, comparison.period);
+  assert.deepEqual(trend.metrics.find(metric => metric.key === 'commits'),
+    { key: 'commits', label: '提交次数', current: 2, previous: 1, delta: 1, percent: 100 });
+  assert.deepEqual(trend.authors.map(author => author.name), ['Alice', 'Bob']);
+});
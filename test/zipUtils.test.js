@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { createZip } from '../src/utils/zipUtils.js';
+
+/**
+ * 按中央目录读取 ZIP 文件，并检查本地文件头与中央目录一致
+ * @param {Buffer} zip ZIP 文件内容
+ * @returns {Array<{name: string, content: Buffer, crc: number, time: number, date: number}>} 文件列表
+ */
+const readZip = (zip) => {
+  const end = zip.length - 22;
+  assert.equal(zip.readUInt32LE(end), 0x06054b50);
+  const count = zip.readUInt16LE(end + 10);
+  let position = zip.readUInt32LE(end + 16);
+  assert.equal(position + zip.readUInt32LE(end + 12), end);
+  
+  return Array.from({ length: count }, () => {
+    assert.equal(zip.readUInt32LE(position), 0x02014b50);
+    assert.equal(zip.readUInt16LE(position + 8) & 0x0800, 0x0800);
+    const crc = zip.readUInt32LE(position + 16);
+    const compressedSize = zip.readUInt32LE(position + 20);
+    const size = zip.readUInt32LE(position + 24);
+    const nameLength = zip.readUInt16LE(position + 28);
+    const offset = zip.readUInt32LE(position + 42);
+    const name = zip.toString('utf8', position + 46, position + 46 + nameLength);
+    const time = zip.readUInt16LE(position + 12);
+    const date = zip.readUInt16LE(position + 14);
+    position += 46 + nameLength;
+    
+    assert.equal(zip.readUInt32LE(offset), 0x04034b50);
+    assert.equal(zip.readUInt16LE(offset + 8), 8);
+    assert.equal(zip.readUInt32LE(offset + 14), crc);
+    assert.equal(zip.readUInt16LE(offset + 26), nameLength);
+    const dataStart = offset + 30 + nameLength + zip.readUInt16LE(offset + 28);
+    const content = zlib.inflateRawSync(zip.subarray(dataStart, dataStart + compressedSize));
+    assert.equal(content.length, size);
+    
+    return { name, content, crc, time, date };
+  });
+};
+
+test('打包的文件可以按 ZIP 格式读回，内容和校验值一致', () => {
+  const binary = Buffer.from([0, 1, 2, 255, 254]);
+  const files = {
+    'commits.csv': '\uFEFFrepo,hash\r\napp,abc\r\n',
+    '贡献者.csv': 'author\r\n张三\r\n',
+    'logo.bin': binary,
+    'empty.txt': ''
+  };
+  
+  const entries = readZip(createZip(files, new Date(2026, 9, 18, 13, 45, 31)));
+  assert.deepEqual(entries.map(entry => entry.name), Object.keys(files));
+  entries.forEach((entry, index) => {
+    const expected = Object.values(files)[index];
+    assert.deepEqual(entry.content, Buffer.isBuffer(expected) ? expected : Buffer.from(expected, 'utf8'));
+    assert.equal(entry.crc, zlib.crc32(entry.content));
+  });
+  
+  assert.equal(entries[0].time, (13 << 11) | (45 << 5) | 15);
+  assert.equal(entries[0].date, ((2026 - 1980) << 9) | (10 << 5) | 18);
+});
+
+test('没有文件时生成空的 ZIP', () => {
+  const zip = createZip({});
+  assert.equal(zip.length, 22);
+  assert.deepEqual(readZip(zip), []);
+});